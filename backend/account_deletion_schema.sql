@@ -0,0 +1,41 @@
+-- ═══════════════════════════════════════════════════
+-- ACCOUNT DELETION — Erasure called by DELETE /api/auth/me
+-- Run this in Supabase SQL Editor (after the other schemas)
+-- ═══════════════════════════════════════════════════
+
+-- Kept but anonymised (fraud / replay detection needs the image hashes):
+--   verification_logs  → user_id, IP, User-Agent and extracted data removed
+--   official_grade_imports.imported_by, reconciliation_jobs.triggered_by → NULL (FK)
+-- Deleted: the user row and everything referencing it (grades, averages,
+-- grade_history, grade_verifications, verification_codes, sessions,
+-- password_reset_tokens, reconciliation_diffs).
+-- The function body runs in one transaction.
+CREATE OR REPLACE FUNCTION delete_user_account(p_user_id uuid) RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_logs integer := 0;
+    v_grades integer := 0;
+BEGIN
+    UPDATE verification_logs
+    SET user_id = NULL,
+        ip_address = 'anonymised',
+        user_agent = 'anonymised',
+        extracted_data = '{}'::jsonb
+    WHERE user_id = p_user_id;
+    GET DIAGNOSTICS v_logs = ROW_COUNT;
+
+    -- Older tables created before the FK conventions: delete explicitly
+    DELETE FROM grades WHERE user_id = p_user_id;
+    GET DIAGNOSTICS v_grades = ROW_COUNT;
+    DELETE FROM subject_averages WHERE user_id = p_user_id;
+    DELETE FROM averages WHERE user_id = p_user_id;
+
+    DELETE FROM users WHERE id = p_user_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'User not found: %', p_user_id;
+    END IF;
+
+    RETURN jsonb_build_object('grades_deleted', v_grades, 'logs_anonymised', v_logs);
+END;
+$$;
@@ -0,0 +1,127 @@
+-- ═══════════════════════════════════════════════════
+-- ADMIN ROLE & OFFICIAL GRADE IMPORTS
+-- Role on users, import log, and the transactional
+-- import function called by POST /api/admin/official-grades/import
+-- Run this in Supabase SQL Editor
+-- ═══════════════════════════════════════════════════
+
+-- 1. Roles
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role text NOT NULL DEFAULT 'student'
+    CHECK (role IN ('student', 'admin'));
+
+-- Promote an account manually:
+-- UPDATE users SET role = 'admin' WHERE student_id = '<matricule>';
+
+-- 2. Roster columns provided by the faculty exports
+ALTER TABLE students_list ADD COLUMN IF NOT EXISTS section text DEFAULT NULL;
+ALTER TABLE students_list ADD COLUMN IF NOT EXISTS student_group text DEFAULT NULL;
+
+-- 3. Import log (one row per committed file)
+CREATE TABLE IF NOT EXISTS official_grade_imports (
+    id bigint PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    imported_by uuid REFERENCES users(id) ON DELETE SET NULL,
+    filename text,
+    subject text NOT NULL,
+    semestre text NOT NULL,
+    kind text NOT NULL CHECK (kind IN ('exam', 'td')),
+    grades_count integer NOT NULL DEFAULT 0,
+    students_count integer NOT NULL DEFAULT 0,
+    rejected_count integer NOT NULL DEFAULT 0,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+ALTER TABLE official_grade_imports ENABLE ROW LEVEL SECURITY;
+
+-- 4. Transactional import
+--    p_grades:   [{ matricule, note, absent, observation }]
+--    p_students: [{ matricule, nom_fr, nom_ar, prenom_fr, prenom_ar, section, student_group }]
+--    p_kind:     'exam' → final_note / absent / observation, 'td' → td_note
+--    The whole function body runs in one transaction: any error rolls back
+--    both tables and the log row.
+CREATE OR REPLACE FUNCTION import_official_grades(
+    p_subject text,
+    p_semestre text,
+    p_kind text,
+    p_grades jsonb,
+    p_students jsonb,
+    p_filename text DEFAULT NULL,
+    p_imported_by uuid DEFAULT NULL,
+    p_rejected_count integer DEFAULT 0
+) RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_students integer := 0;
+    v_grades integer := 0;
+    v_import_id bigint;
+BEGIN
+    IF p_kind NOT IN ('exam', 'td') THEN
+        RAISE EXCEPTION 'Invalid import kind: %', p_kind;
+    END IF;
+
+    -- Roster: keep existing values when the file leaves a column empty
+    INSERT INTO students_list (matricule, nom_fr, nom_ar, prenom_fr, prenom_ar, section, student_group)
+    SELECT s.matricule, s.nom_fr, s.nom_ar, s.prenom_fr, s.prenom_ar, s.section, s.student_group
+    FROM jsonb_to_recordset(COALESCE(p_students, '[]'::jsonb))
+        AS s(matricule text, nom_fr text, nom_ar text, prenom_fr text, prenom_ar text, section text, student_group text)
+    ON CONFLICT (matricule) DO UPDATE SET
+        nom_fr = COALESCE(EXCLUDED.nom_fr, students_list.nom_fr),
+        nom_ar = COALESCE(EXCLUDED.nom_ar, students_list.nom_ar),
+        prenom_fr = COALESCE(EXCLUDED.prenom_fr, students_list.prenom_fr),
+        prenom_ar = COALESCE(EXCLUDED.prenom_ar, students_list.prenom_ar),
+        section = COALESCE(EXCLUDED.section, students_list.section),
+        student_group = COALESCE(EXCLUDED.student_group, students_list.student_group);
+    GET DIAGNOSTICS v_students = ROW_COUNT;
+
+    IF p_kind = 'exam' THEN
+        INSERT INTO official_grades (matricule, subject, semestre, final_note, absent, observation)
+        SELECT g.matricule, p_subject, p_semestre, g.note, COALESCE(g.absent, false), g.observation
+        FROM jsonb_to_recordset(COALESCE(p_grades, '[]'::jsonb))
+            AS g(matricule text, note numeric, absent boolean, observation text)
+        ON CONFLICT (matricule, subject, semestre) DO UPDATE SET
+            final_note = EXCLUDED.final_note,
+            absent = EXCLUDED.absent,
+            observation = EXCLUDED.observation;
+    ELSE
+        INSERT INTO official_grades (matricule, subject, semestre, td_note)
+        SELECT g.matricule, p_subject, p_semestre, g.note
+        FROM jsonb_to_recordset(COALESCE(p_grades, '[]'::jsonb))
+            AS g(matricule text, note numeric)
+        ON CONFLICT (matricule, subject, semestre) DO UPDATE SET
+            td_note = EXCLUDED.td_note;
+    END IF;
+    GET DIAGNOSTICS v_grades = ROW_COUNT;
+
+    INSERT INTO official_grade_imports (imported_by, filename, subject, semestre, kind, grades_count, students_count, rejected_count)
+    VALUES (p_imported_by, p_filename, p_subject, p_semestre, p_kind, v_grades, v_students, p_rejected_count)
+    RETURNING id INTO v_import_id;
+
+    RETURN jsonb_build_object('import_id', v_import_id, 'grades', v_grades, 'students', v_students);
+END;
+$$;
+
+-- 5. Official rows use the curriculum module name
+--    Imports write module.name; older rows (seed_grades.sql, insert_td_*.sql)
+--    use alias names such as 'Algèbre 3', so a re-import would add a second
+--    row per student. Alias rows are merged into the canonical row (the
+--    canonical marks win), then renamed. Re-run after loading alias-named seeds.
+UPDATE official_grades c SET
+    final_note = COALESCE(c.final_note, a.final_note),
+    td_note = COALESCE(c.td_note, a.td_note),
+    absent = COALESCE(c.absent, false) OR COALESCE(a.absent, false),
+    observation = COALESCE(c.observation, a.observation)
+FROM official_grades a
+JOIN curriculum_semesters s ON s.code = a.semestre
+JOIN curriculum_modules m ON m.semester_id = s.id AND a.subject = ANY(m.aliases) AND a.subject <> m.name
+WHERE c.matricule = a.matricule AND c.semestre = a.semestre AND c.subject = m.name;
+
+DELETE FROM official_grades a
+USING curriculum_semesters s, curriculum_modules m, official_grades c
+WHERE s.code = a.semestre
+  AND m.semester_id = s.id AND a.subject = ANY(m.aliases) AND a.subject <> m.name
+  AND c.matricule = a.matricule AND c.semestre = a.semestre AND c.subject = m.name;
+
+UPDATE official_grades a SET subject = m.name
+FROM curriculum_semesters s
+JOIN curriculum_modules m ON m.semester_id = s.id
+WHERE s.code = a.semestre AND a.subject = ANY(m.aliases) AND a.subject <> m.name;
@@ -0,0 +1,27 @@
+-- ═══════════════════════════════════════════════════
+-- ALIAS LIFECYCLE — Case-insensitive uniqueness, change
+-- cooldown and public change history
+-- Run this in Supabase SQL Editor
+-- ═══════════════════════════════════════════════════
+
+-- 1. Case-insensitive uniqueness (SilentWolf123 = silentwolf123)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_alias_lower ON users (lower(alias));
+
+-- 2. Last alias change (NULL = still the generated alias, first change is free)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS alias_changed_at timestamp with time zone DEFAULT NULL;
+
+-- 3. History: shown to rank observers, and a released alias stays
+--    blocked for other accounts for a while (no instant impersonation)
+CREATE TABLE IF NOT EXISTS alias_history (
+    id bigint PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    old_alias text NOT NULL,
+    new_alias text NOT NULL,
+    changed_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_alias_history_user ON alias_history(user_id, changed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_alias_history_old ON alias_history (lower(old_alias), changed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_alias_history_new ON alias_history (lower(new_alias), changed_at DESC);
+
+ALTER TABLE alias_history ENABLE ROW LEVEL SECURITY;
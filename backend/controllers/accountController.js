@@ -0,0 +1,137 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * ACCOUNT CONTROLLER — Privacy self-service (export / erasure)
+ * ═══════════════════════════════════════════════════════════════
+ *
+ *   GET    /api/auth/me/export?format=json|zip → everything tied to the account
+ *   DELETE /api/auth/me                        → password (+ 2FA) confirmed erasure,
+ *                                                audit rows anonymised (delete_user_account)
+ */
+
+import bcrypt from 'bcryptjs';
+import { supabase } from '../config/db.js';
+import { createZip } from '../utils/zipArchive.js';
+import { checkSecondFactor } from '../utils/totp.js';
+import { clearRefreshCookie } from '../utils/sessions.js';
+import { invalidateRankings } from '../utils/rankingEngine.js';
+
+// Credentials and token hashes never leave the server
+const SECRET_COLUMNS = [
+    'password_hash', 'student_id_hash', 'totp_secret', 'totp_recovery_codes', 'totp_last_step',
+    'refresh_token_hash', 'previous_token_hash', 'token_hash'
+];
+
+// Export section → table (every table keyed by user_id)
+const EXPORT_TABLES = {
+    grades: 'grades',
+    subjectAverages: 'subject_averages',
+    averages: 'averages',
+    semesterAverages: 'semester_averages',
+    annualAverages: 'annual_averages',
+    gradeHistory: 'grade_history',
+    gradeVerifications: 'grade_verifications',
+    verificationCodes: 'verification_codes',
+    verificationLogs: 'verification_logs',
+    reconciliationDiffs: 'reconciliation_diffs',
+    sessions: 'sessions',
+    passwordResets: 'password_reset_tokens',
+    rankHistory: 'ranking_snapshot_entries',
+    aliasHistory: 'alias_history',
+};
+
+const stripSecrets = (row) => Object.fromEntries(
+    Object.entries(row).filter(([key]) => !SECRET_COLUMNS.includes(key))
+);
+
+async function collectUserData(userId) {
+    const { data: user, error } = await supabase
+        .from('users')
+        .select('*')
+        .eq('id', userId)
+        .single();
+
+    if (error) throw error;
+
+    const sections = await Promise.all(Object.entries(EXPORT_TABLES).map(async ([section, table]) => {
+        const { data, error: tableError } = await supabase
+            .from(table)
+            .select('*')
+            .eq('user_id', userId);
+
+        if (tableError) throw tableError;
+        return [section, data.map(stripSecrets)];
+    }));
+
+    return {
+        exportedAt: new Date().toISOString(),
+        profile: { ...stripSecrets(user), two_factor_enabled: user.totp_enabled === true },
+        ...Object.fromEntries(sections)
+    };
+}
+
+// Export my data
+export const exportMyData = async (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        if (!['json', 'zip'].includes(format)) {
+            return res.status(400).json({ message: 'Format invalide' });
+        }
+
+        const data = await collectUserData(req.user.id);
+        const date = data.exportedAt.slice(0, 10);
+
+        if (format === 'zip') {
+            const files = Object.entries(data)
+                .filter(([key]) => key !== 'exportedAt')
+                .map(([key, value]) => ({ name: `${key}.json`, content: JSON.stringify(value, null, 2) }));
+            files.push({ name: 'README.txt', content: `Export du ${data.exportedAt}\nUn fichier JSON par catégorie de données liées à votre compte.\n` });
+
+            res.setHeader('Content-Type', 'application/zip');
+            res.setHeader('Content-Disposition', `attachment; filename="mes-donnees-${date}.zip"`);
+            return res.send(createZip(files));
+        }
+
+        res.setHeader('Content-Disposition', `attachment; filename="mes-donnees-${date}.json"`);
+        res.json(data);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// Delete my account
+export const deleteMyAccount = async (req, res) => {
+    try {
+        const { password, totpCode } = req.body || {};
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, password_hash, totp_enabled, totp_secret, totp_last_step, totp_recovery_codes')
+            .eq('id', req.user.id)
+            .single();
+
+        if (error) throw error;
+
+        const isMatch = await bcrypt.compare(password || '', user.password_hash);
+        if (!isMatch) {
+            return res.status(401).json({ message: 'Mot de passe incorrect' });
+        }
+
+        if (user.totp_enabled && !checkSecondFactor(user, totpCode)) {
+            return res.status(401).json({ message: 'Code de vérification invalide', twoFactorRequired: true });
+        }
+
+        const { data: result, error: deleteError } = await supabase.rpc('delete_user_account', {
+            p_user_id: user.id
+        });
+
+        if (deleteError) throw deleteError;
+        invalidateRankings('compte supprimé');
+
+        console.log(`[ACCOUNT] User ${user.id} deleted (${result?.grades_deleted ?? 0} grades, ${result?.logs_anonymised ?? 0} logs anonymised)`);
+
+        clearRefreshCookie(res);
+        res.json({ message: 'Compte supprimé' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
@@ -0,0 +1,228 @@
+import { supabase } from '../config/db.js';
+import { loadCurriculum, findModule } from '../utils/curriculum.js';
+import { parseFacultyCsv } from '../utils/facultyCsv.js';
+import { startReconciliation } from '../utils/gradeReconciler.js';
+import { rebuildAllAverages, invalidateRankings, getRankingVersion } from '../utils/rankingEngine.js';
+import { takeRankingSnapshots, SNAPSHOT_TRIGGERS } from '../utils/rankingSnapshots.js';
+
+const SEMESTER_CODES = ['S1', 'S2', 'S3', 'S4', 'S5', 'S6'];
+const IMPORT_KINDS = ['exam', 'td'];
+
+// Import official grades from a faculty CSV export
+// multipart: file + subject?, semester?, kind? (exam|td), preview? (true → parse only)
+export const importOfficialGrades = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ message: 'Fichier CSV requis (champ "file")' });
+        }
+
+        const parsed = parseFacultyCsv(req.file.buffer.toString('utf8'));
+
+        // Module and semester: explicit fields, else the file's metadata line
+        await loadCurriculum();
+        const subjectInput = req.body.subject || parsed.meta?.subject;
+        const semesterInput = req.body.semester || parsed.meta?.semester;
+        if (semesterInput && !SEMESTER_CODES.includes(semesterInput)) {
+            return res.status(400).json({ message: `Semestre invalide: ${semesterInput}` });
+        }
+
+        const module = findModule(subjectInput, semesterInput || null);
+        if (!module) {
+            // Known module, other semester: importing it would create a pair the curriculum lacks
+            const elsewhere = semesterInput ? findModule(subjectInput) : null;
+            return res.status(400).json({
+                message: elsewhere
+                    ? `Le module ${elsewhere.name} n'appartient pas au semestre ${semesterInput} (${elsewhere.semester})`
+                    : `Module inconnu: ${subjectInput || '(non précisé)'}`,
+                rejected: parsed.rejected
+            });
+        }
+
+        const semestre = semesterInput || module.semester;
+
+        const kind = req.body.kind || parsed.meta?.kind || 'exam';
+        if (!IMPORT_KINDS.includes(kind)) {
+            return res.status(400).json({ message: `Type invalide: ${kind}. Valeurs acceptées: ${IMPORT_KINDS.join(', ')}` });
+        }
+
+        // Roster rows for every valid line, grade rows only when there is a mark (or an absence)
+        const students = parsed.rows.map(r => ({
+            matricule: r.matricule,
+            nom_fr: r.nom_fr,
+            nom_ar: r.nom_ar,
+            prenom_fr: r.prenom_fr,
+            prenom_ar: r.prenom_ar,
+            section: r.section,
+            student_group: r.student_group
+        }));
+        const grades = parsed.rows
+            .filter(r => r.note !== null || (kind === 'exam' && r.absent))
+            .map(r => ({ matricule: r.matricule, note: r.note, absent: r.absent, observation: r.observation }));
+
+        const summary = {
+            subject: module.name,
+            semestre,
+            kind,
+            meta: parsed.meta,
+            dialect: parsed.dialect,
+            columns: parsed.columns,
+            students: students.length,
+            grades: grades.length,
+            withoutGrade: parsed.rows.length - grades.length,
+            rejected: parsed.rejected
+        };
+
+        if (req.body.preview === 'true' || req.body.preview === true) {
+            return res.json({ preview: true, ...summary, rows: parsed.rows });
+        }
+
+        if (grades.length === 0) {
+            return res.status(400).json({ message: 'Aucune note valide dans le fichier', ...summary });
+        }
+
+        // One transaction: roster + grades + import log (see admin_schema.sql)
+        const { data, error } = await supabase.rpc('import_official_grades', {
+            p_subject: module.name,
+            p_semestre: semestre,
+            p_kind: kind,
+            p_grades: grades,
+            p_students: students,
+            p_filename: req.file.originalname || null,
+            p_imported_by: req.user.id,
+            p_rejected_count: parsed.rejected.length
+        });
+
+        if (error) throw error;
+
+        console.log(`[ADMIN] Import ${data.import_id}: ${module.name} ${semestre} (${kind}) — ${data.grades} notes, ${data.students} étudiants, ${parsed.rejected.length} rejetées`);
+
+        // Official-mode rankings read official_grades directly
+        invalidateRankings(`import officiel ${data.import_id}`);
+
+        // Re-verify stored grades of this module against the new official rows
+        let reconciliationJobId = null;
+        try {
+            const job = await startReconciliation({
+                importId: data.import_id,
+                subject: module.name,
+                semestre,
+                triggeredBy: req.user.id
+            });
+            reconciliationJobId = job.id;
+        } catch (reconcileError) {
+            console.error('[ADMIN] Reconciliation start failed:', reconcileError.message);
+        }
+
+        res.status(201).json({
+            preview: false,
+            importId: data.import_id,
+            reconciliationJobId,
+            ...summary,
+            upserted: { grades: data.grades, students: data.students }
+        });
+    } catch (error) {
+        console.error('Official Import Error:', error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// List previous imports
+export const getOfficialImports = async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('official_grade_imports')
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(50);
+
+        if (error) throw error;
+        res.json(data);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// Re-verify grades on demand (body: subject?, semester?)
+export const runReconciliation = async (req, res) => {
+    try {
+        const { subject, semester } = req.body;
+
+        let subjectName = null;
+        if (subject) {
+            await loadCurriculum();
+            subjectName = findModule(subject)?.name;
+            if (!subjectName) {
+                return res.status(400).json({ message: `Module inconnu: ${subject}` });
+            }
+        }
+        if (semester && !SEMESTER_CODES.includes(semester)) {
+            return res.status(400).json({ message: `Semestre invalide: ${semester}` });
+        }
+
+        const job = await startReconciliation({ subject: subjectName, semestre: semester || null, triggeredBy: req.user.id });
+
+        res.status(202).json({
+            message: 'Réconciliation lancée',
+            jobId: job.id,
+            status: job.status
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// List reconciliation jobs
+export const getReconciliationJobs = async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('reconciliation_jobs')
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(50);
+
+        if (error) throw error;
+        res.json(data);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// One job with its per-user diffs
+export const getReconciliationJob = async (req, res) => {
+    try {
+        const { data: job, error } = await supabase
+            .from('reconciliation_jobs')
+            .select('*')
+            .eq('id', req.params.id)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!job) {
+            return res.status(404).json({ message: 'Réconciliation introuvable' });
+        }
+
+        const { data: diffs, error: diffError } = await supabase
+            .from('reconciliation_diffs')
+            .select('user_id, changes, created_at, users(alias, student_id)')
+            .eq('job_id', job.id);
+
+        if (diffError) throw diffError;
+        res.json({ ...job, diffs });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// Full rebuild of every user's averages, then a ranking snapshot
+export const rebuildRankings = async (req, res) => {
+    try {
+        const count = await rebuildAllAverages();
+
+        setImmediate(() => takeRankingSnapshots({ trigger: SNAPSHOT_TRIGGERS.REFRESH, triggeredBy: req.user.id }));
+
+        res.json({ message: 'Classements reconstruits', count, ...getRankingVersion() });
+    } catch (error) {
+        console.error('Rebuild Error:', error);
+        res.status(500).json({ message: error.message });
+    }
+};
@@ -1,11 +1,61 @@
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { supabase } from '../config/db.js';
 import { calculateAverages } from './gradeController.js';
+import { loadCurriculum, findModule, getActiveSemester } from '../utils/curriculum.js';
+import {
+    startSession, rotateSession, findSessionByToken, revokeSession, revokeAllSessions,
+    readRefreshCookie, clearRefreshCookie
+} from '../utils/sessions.js';
+import { checkSecondFactor } from '../utils/totp.js';
+import { getCohortPrefixes, extractKernel, findRosterStudent, findAccountByKernel } from '../utils/matricule.js';
+import {
+    validateAlias, escapeLike, ALIAS_CHANGE_COOLDOWN_DAYS, ALIAS_RELEASE_DAYS
+} from '../utils/aliasPolicy.js';
+import { invalidateRankings } from '../utils/rankingEngine.js';
+import { parsePrivacySettings, VISIBILITY_SCOPES } from '../utils/rankingPrivacy.js';
 
 const ADJECTIVES = ['Silent', 'Blue', 'Cosmic', 'Swift', 'Brave', 'Neon', 'Crimson', 'Shadow', 'Solar', 'Arctic'];
 const NOUNS = ['Wolf', 'Eagle', 'Tiger', 'Falcon', 'Lion', 'Phoenix', 'Dragon', 'Bear', 'Shark', 'Raven'];
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Can `alias` be taken by `userId`? Policy, case-insensitive uniqueness,
+ * and aliases released by someone else less than ALIAS_RELEASE_DAYS ago
+ * @returns {Object} { available, reason, message }
+ */
+const checkAliasAvailability = async (alias, userId) => {
+    const policy = validateAlias(alias);
+    if (!policy.valid) return { available: false, reason: policy.reason, message: policy.message };
+
+    const pattern = escapeLike(alias.trim());
+
+    let takenQuery = supabase.from('users').select('id').ilike('alias', pattern).limit(1);
+    if (userId) takenQuery = takenQuery.neq('id', userId);
+    const { data: taken, error } = await takenQuery;
+    if (error) throw error;
+
+    if (taken.length > 0) {
+        return { available: false, reason: 'taken', message: 'Ce pseudonyme est déjà pris' };
+    }
+
+    let releasedQuery = supabase
+        .from('alias_history')
+        .select('id')
+        .ilike('old_alias', pattern)
+        .gt('changed_at', new Date(Date.now() - ALIAS_RELEASE_DAYS * DAY_MS).toISOString())
+        .limit(1);
+    if (userId) releasedQuery = releasedQuery.neq('user_id', userId);
+    const { data: released, error: releasedError } = await releasedQuery;
+    if (releasedError) throw releasedError;
+
+    if (released.length > 0) {
+        return { available: false, reason: 'recently_used', message: 'Ce pseudonyme a été utilisé récemment par un autre étudiant' };
+    }
+
+    return { available: true, reason: null, message: null };
+};
+
 const generateUniqueAlias = async () => {
     let alias;
     let isUnique = false;
@@ -16,40 +66,43 @@ const generateUniqueAlias = async () => {
         const num = Math.floor(Math.random() * 900) + 100;
         alias = `${adj}${noun}${num}`;
 
-        const { data } = await supabase.from('users').select('id').eq('alias', alias).single();
-        if (!data) isUnique = true;
+        // Same rules as a chosen alias: policy, any case, not recently given up
+        ({ available: isUnique } = await checkAliasAvailability(alias, null));
     }
 
     return alias;
 };
 
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: '30d' });
-};
-
 // Register
 export const registerUser = async (req, res) => {
     const { studentId, password, initialGrades } = req.body;
 
     try {
-        // Student ID validation
-        if (!/^\d{12}$/.test(studentId)) {
-            return res.status(400).json({ message: 'Le numéro étudiant doit contenir exactement 12 chiffres' });
+        // Student ID validation: a cohort prefix of a configured promotion + 8-digit kernel
+        const matricule = String(studentId || '').trim().toUpperCase();
+        const cohortPrefixes = await getCohortPrefixes();
+        const { prefix, kernel } = extractKernel(matricule, cohortPrefixes.map(c => c.prefix));
+
+        if (!prefix) {
+            return res.status(400).json({
+                message: `Le numéro étudiant doit commencer par ${[...new Set(cohortPrefixes.map(c => c.prefix))].join(', ')}`
+            });
         }
 
-        if (!studentId.startsWith('2024')) {
-            return res.status(400).json({ message: 'Le numéro étudiant doit commencer par 2024' });
+        if (!/^\d{8}$/.test(kernel)) {
+            return res.status(400).json({ message: 'Le numéro étudiant doit se terminer par 8 chiffres' });
         }
 
-        // Check if user exists
-        const { data: userExists } = await supabase
-            .from('users')
-            .select('student_id')
-            .eq('student_id', studentId)
-            .maybeSingle();
+        // Must be on the official roster
+        const rosterStudent = await findRosterStudent(matricule, kernel);
+        if (!rosterStudent) {
+            return res.status(400).json({ message: 'Matricule introuvable dans la liste officielle des étudiants' });
+        }
 
-        if (userExists) {
-            return res.status(400).json({ message: 'Utilisateur déjà existant' });
+        // One account per student, whatever prefix was used
+        const claimedBy = await findAccountByKernel(kernel);
+        if (claimedBy) {
+            return res.status(400).json({ message: 'Ce matricule est déjà associé à un compte' });
         }
 
         const salt = await bcrypt.genSalt(10);
@@ -58,17 +111,28 @@ export const registerUser = async (req, res) => {
 
         const { data: newUser, error } = await supabase
             .from('users')
-            .insert([{ student_id: studentId, password_hash: hashedPassword, alias }])
+            .insert([{
+                student_id: matricule,
+                password_hash: hashedPassword,
+                alias,
+                student_group: rosterStudent.student_group || null
+            }])
             .select()
             .single();
 
+        // A concurrent registration of the same student (another prefix) won the race
+        if (error?.code === '23505' && error.message?.includes('student_kernel')) {
+            return res.status(400).json({ message: 'Ce matricule est déjà associé à un compte' });
+        }
         if (error) throw error;
 
         // Migrate initial grades if provided (Guest Mode migration)
         if (initialGrades && Array.isArray(initialGrades)) {
+            await loadCurriculum();
             const gradesToInsert = initialGrades.map(g => ({
                 user_id: newUser.id,
                 subject: g.subject,
+                semester: findModule(g.subject)?.semester || getActiveSemester(),
                 exam_score: g.exam,
                 td_score: g.td,
                 coefficient: g.coefficient || 1
@@ -88,7 +152,7 @@ export const registerUser = async (req, res) => {
             _id: newUser.id,
             studentId: newUser.student_id,
             alias: newUser.alias,
-            token: generateToken(newUser.id),
+            token: await startSession(res, newUser.id, req),
         });
     } catch (error) {
         console.error("Registration Error:", error);
@@ -99,7 +163,7 @@ export const registerUser = async (req, res) => {
 // Login
 export const authUser = async (req, res) => {
     try {
-        const { studentId, matricule, password } = req.body;
+        const { studentId, matricule, password, totpCode } = req.body;
         const idToSearch = studentId || matricule;
 
         const { data: user, error } = await supabase
@@ -117,24 +181,120 @@ export const authUser = async (req, res) => {
             return res.status(401).json({ message: 'Identifiants incorrects' });
         }
 
+        // Second factor (TOTP or recovery code) once 2FA is enabled
+        if (user.totp_enabled) {
+            if (!totpCode) {
+                return res.status(401).json({ message: 'Code de vérification requis', twoFactorRequired: true });
+            }
+
+            const updates = checkSecondFactor(user, totpCode);
+            if (!updates) {
+                return res.status(401).json({ message: 'Code de vérification invalide', twoFactorRequired: true });
+            }
+
+            const { error: updateError } = await supabase.from('users').update(updates).eq('id', user.id);
+            if (updateError) throw updateError;
+        }
 
         res.json({
             _id: user.id,
             studentId: user.student_id,
             alias: user.alias,
-            token: generateToken(user.id),
+            token: await startSession(res, user.id, req),
         });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 };
 
+// Refresh: rotate the refresh cookie and issue a new access token
+export const refreshSession = async (req, res) => {
+    try {
+        const result = await rotateSession(res, readRefreshCookie(req), req);
+
+        if (result.error) {
+            clearRefreshCookie(res);
+            return res.status(401).json({ message: result.error });
+        }
+
+        res.json({ token: result.accessToken });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// Logout (current device) — works with an expired access token
+export const logoutUser = async (req, res) => {
+    try {
+        const session = await findSessionByToken(readRefreshCookie(req));
+        if (session) await revokeSession(session.id);
+
+        clearRefreshCookie(res);
+        res.json({ message: 'Déconnecté' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// List active sessions (devices)
+export const getSessions = async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('sessions')
+            .select('id, user_agent, ip_address, created_at, last_used_at')
+            .eq('user_id', req.user.id)
+            .is('revoked_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .order('last_used_at', { ascending: false });
+
+        if (error) throw error;
+
+        res.json(data.map(s => ({
+            id: s.id,
+            userAgent: s.user_agent,
+            ipAddress: s.ip_address,
+            createdAt: s.created_at,
+            lastUsedAt: s.last_used_at,
+            current: s.id === req.user.sessionId,
+        })));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// Revoke one session
+export const deleteSession = async (req, res) => {
+    try {
+        const revoked = await revokeSession(req.params.id, req.user.id);
+        if (!revoked) {
+            return res.status(404).json({ message: 'Session introuvable' });
+        }
+
+        if (req.params.id === req.user.sessionId) clearRefreshCookie(res);
+        res.json({ message: 'Session révoquée' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// Log out all devices
+export const logoutAll = async (req, res) => {
+    try {
+        const count = await revokeAllSessions(req.user.id);
+
+        clearRefreshCookie(res);
+        res.json({ message: 'Déconnecté de tous les appareils', count });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
 // Get Profile
 export const getUserProfile = async (req, res) => {
     try {
         const { data: user, error } = await supabase
             .from('users')
-            .select('id, student_id, alias, display_mode, is_verified, student_group')
+            .select('id, student_id, alias, alias_changed_at, display_mode, ranking_scopes, is_verified, student_group, totp_enabled')
             .eq('id', req.user.id)
             .single();
 
@@ -145,26 +305,56 @@ export const getUserProfile = async (req, res) => {
             studentId: user.student_id,
             alias: user.alias,
             displayMode: user.display_mode,
+            rankingScopes: user.ranking_scopes || VISIBILITY_SCOPES,
             isVerified: user.is_verified || false,
             studentGroup: user.student_group,
+            twoFactorEnabled: user.totp_enabled || false,
+            aliasChangedAt: user.alias_changed_at,
+            nextAliasChangeAt: user.alias_changed_at
+                ? new Date(new Date(user.alias_changed_at).getTime() + ALIAS_CHANGE_COOLDOWN_DAYS * DAY_MS).toISOString()
+                : null,
         });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 };
 
-// Check alias uniqueness
+// Check alias availability
 export const checkAlias = async (req, res) => {
     try {
-        const { alias } = req.params;
+        res.json(await checkAliasAvailability(req.params.alias, req.user.id));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
 
-        const { data } = await supabase
+// Alias change history (who was this alias before?)
+export const getAliasHistory = async (req, res) => {
+    try {
+        const { data: owner } = await supabase
             .from('users')
-            .select('id')
-            .ilike('alias', alias)
-            .single();
+            .select('id, alias, alias_changed_at')
+            .ilike('alias', escapeLike(req.params.alias))
+            .maybeSingle();
+
+        if (!owner) {
+            return res.status(404).json({ message: 'Pseudonyme introuvable' });
+        }
+
+        const { data, error } = await supabase
+            .from('alias_history')
+            .select('old_alias, new_alias, changed_at')
+            .eq('user_id', owner.id)
+            .order('changed_at', { ascending: false })
+            .limit(20);
+
+        if (error) throw error;
 
-        res.json({ available: !data });
+        res.json({
+            alias: owner.alias,
+            changedAt: owner.alias_changed_at,
+            history: data.map(h => ({ oldAlias: h.old_alias, newAlias: h.new_alias, changedAt: h.changed_at }))
+        });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
@@ -173,25 +363,49 @@ export const checkAlias = async (req, res) => {
 // Update Profile
 export const updateProfile = async (req, res) => {
     try {
-        const { alias, displayMode } = req.body;
+        const { alias, displayMode, rankingScopes } = req.body;
         const userId = req.user.id;
 
-        const updates = {};
-        if (displayMode) updates.display_mode = displayMode;
+        // Privacy level and the rankings the student is listed in
+        const updates = parsePrivacySettings({ displayMode, rankingScopes });
+        if (updates.error) {
+            return res.status(400).json({ message: updates.error });
+        }
+
+        let previousAlias = null;
 
-        // If updating alias, check uniqueness first (unless it's the same)
+        // Alias change: policy + availability + cooldown (the first change after the generated alias is free)
         if (alias) {
-            const { data: existing } = await supabase
+            const { data: current, error: currentError } = await supabase
                 .from('users')
-                .select('id')
-                .eq('alias', alias)
-                .neq('id', userId) // Exclude self
+                .select('alias, alias_changed_at')
+                .eq('id', userId)
                 .single();
 
-            if (existing) {
-                return res.status(400).json({ message: 'Ce pseudonyme est déjà pris' });
+            if (currentError) throw currentError;
+
+            const nextAlias = String(alias).trim();
+            if (nextAlias !== current.alias) {
+                const availability = await checkAliasAvailability(nextAlias, userId);
+                if (!availability.available) {
+                    return res.status(400).json({ message: availability.message, reason: availability.reason });
+                }
+
+                if (current.alias_changed_at) {
+                    const nextChangeAt = new Date(new Date(current.alias_changed_at).getTime() + ALIAS_CHANGE_COOLDOWN_DAYS * DAY_MS);
+                    if (nextChangeAt > new Date()) {
+                        return res.status(429).json({
+                            message: `Vous pourrez changer de pseudonyme à partir du ${nextChangeAt.toLocaleDateString('fr-FR')}`,
+                            reason: 'cooldown',
+                            nextChangeAt: nextChangeAt.toISOString()
+                        });
+                    }
+                }
+
+                updates.alias = nextAlias;
+                updates.alias_changed_at = new Date().toISOString();
+                previousAlias = current.alias;
             }
-            updates.alias = alias;
         }
 
         if (Object.keys(updates).length > 0) {
@@ -200,7 +414,22 @@ export const updateProfile = async (req, res) => {
                 .update(updates)
                 .eq('id', userId);
 
+            // Unique index on lower(alias): lost a race with another account
+            if (error?.code === '23505') {
+                return res.status(400).json({ message: 'Ce pseudonyme est déjà pris', reason: 'taken' });
+            }
             if (error) throw error;
+
+            // Alias and privacy settings apply to every ranking row
+            invalidateRankings('profil modifié');
+        }
+
+        if (previousAlias) {
+            const { error: historyError } = await supabase
+                .from('alias_history')
+                .insert({ user_id: userId, old_alias: previousAlias, new_alias: updates.alias });
+
+            if (historyError) console.error('[ALIAS] Failed to record alias change:', historyError.message);
         }
 
         res.json({ message: 'Profil mis à jour' });
@@ -0,0 +1,25 @@
+import { loadCurriculum, isCurriculumLoaded } from '../utils/curriculum.js';
+
+// Get curriculum (programmes, levels, semesters with modules)
+export const getCurriculum = async (req, res) => {
+    try {
+        const curriculum = await loadCurriculum();
+        // The empty fallback would let the app compute with no modules
+        if (!isCurriculumLoaded()) {
+            return res.status(503).json({ message: 'Programme indisponible, réessayez plus tard' });
+        }
+        const { semester } = req.query;
+
+        if (semester) {
+            const found = curriculum.semesters.find(s => s.code === semester);
+            if (!found) {
+                return res.status(404).json({ message: `Semestre introuvable: ${semester}` });
+            }
+            return res.json(found);
+        }
+
+        res.json(curriculum);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
@@ -1,79 +1,85 @@
 import { supabase } from '../config/db.js';
-
-// Coefficients des matières
-const COEFFICIENTS = {
-    'Analyse 03': 5,
-    'Algèbre 03': 3,
-    'Économie d\'entreprise': 2,
-    'Probabilité et Statistique 01': 4,
-    'Anglais 02': 2,
-    'SFSD': 4,
-    'Architecture 02': 4,
-    'Électronique Fondamentale 02': 4,
+import { loadCurriculum, findModule, getSubjectVariants, getActiveSemester } from '../utils/curriculum.js';
+import { recomputeUsers } from '../utils/rankingEngine.js';
+import { matriculeSuffix, verifyAgainstOfficial } from '../utils/gradeVerifier.js';
+import { provenanceOnSave, toProvenance, confirmationChanged } from '../utils/gradeProvenance.js';
+import { diffGrade, recordGradeChanges, CHANGE_SOURCES, HISTORY_FIELDS } from '../utils/gradeHistory.js';
+
+const SEMESTER_CODES = ['S1', 'S2', 'S3', 'S4', 'S5', 'S6'];
+
+// Semester of a grade: explicit, else the module's semester, else the active one
+const resolveSemester = (subject, semester) => {
+    if (semester) return SEMESTER_CODES.includes(semester) ? semester : null;
+    return findModule(subject)?.semester || getActiveSemester();
 };
 
-const TOTAL_COEF = 28;
-
-// Subjects with official grade verification — map app name to possible DB names
-const VERIFIED_SUBJECTS = {
-    'Analyse 03': ['Analyse 03', 'Analyse 3'],
-    'Algèbre 03': ['Algèbre 03', 'Algèbre 3'],
-    'Probabilité et Statistique 01': ['Probabilité et Statistique 01', 'Probabilités et Statistiques 01'],
-    'Architecture 02': ['Architecture 02', 'Architecture 2'],
-    'SFSD': ['SFSD'],
-    'Électronique Fondamentale 02': ['Électronique Fondamentale 02', 'Électronique 02'],
-    'Économie d\'entreprise': ['Économie d\'entreprise'],
-    'Anglais 02': ['Anglais 02'],
+// Request mark fields and their label in error messages
+const MARK_FIELDS = { examScore: 'examen', tdScore: 'TD', tpScore: 'TP', rattrapageScore: 'rattrapage' };
+
+// First mark outside 0–20, if any (null / '' = not entered)
+const invalidMark = (marks) => Object.keys(MARK_FIELDS).find(field => {
+    const value = marks[field];
+    if (value === null || value === undefined || value === '') return false;
+    const mark = Number(value);
+    return !Number.isFinite(mark) || mark < 0 || mark > 20;
+});
+
+const invalidMarkMessage = (field, subject) =>
+    `Note ${MARK_FIELDS[field]} invalide${subject ? ` (${subject})` : ''}: elle doit être comprise entre 0 et 20`;
+
+// Official row of a student for one module (matched on the matricule suffix)
+const findOfficialGrade = async (studentId, module, semester) => {
+    if (!studentId) return null;
+    const { data } = await supabase
+        .from('official_grades')
+        .select('final_note, td_note, subject, matricule')
+        .like('matricule', `%${matriculeSuffix(studentId)}`)
+        .eq('semestre', semester)
+        .in('subject', getSubjectVariants(module.name))
+        .limit(1)
+        .maybeSingle();
+    return data;
 };
 
 // Add or update grade
 export const addGrade = async (req, res) => {
     try {
-        const { subject, examScore, tdScore } = req.body;
+        const { subject, examScore, tdScore, tpScore, rattrapageScore } = req.body;
         const userId = req.user.id;
-        const coefficient = COEFFICIENTS[subject] || 1;
+        const invalid = invalidMark(req.body);
+        if (invalid) {
+            return res.status(400).json({ message: invalidMarkMessage(invalid) });
+        }
+        await loadCurriculum();
+        const semester = resolveSemester(subject, req.body.semester);
+        if (!semester) {
+            return res.status(400).json({ message: `Semestre invalide: ${req.body.semester}` });
+        }
+        const module = findModule(subject, semester);
+        const coefficient = module?.coefficient || 1;
         let isExamVerified = null;
         let isTdVerified = null;
 
         // Check Official Grades - Separate Exam & TD Validation
-        const dbVariants = VERIFIED_SUBJECTS[subject];
-        if (dbVariants) {
-            const { data: userProfile } = await supabase
-                .from('users')
-                .select('student_id')
-                .eq('id', userId)
-                .single();
-
-            if (userProfile?.student_id) {
-                const suffix = userProfile.student_id.slice(-8);
-                const { data: official } = await supabase
-                    .from('official_grades')
-                    .select('final_note, td_note, subject, matricule')
-                    .like('matricule', `%${suffix}`)
-                    .in('subject', dbVariants)
-                    .limit(1)
-                    .maybeSingle();
-
-                if (official) {
-                    if (official.final_note !== null && examScore !== null && examScore !== undefined) {
-                        isExamVerified = Math.abs(parseFloat(official.final_note) - parseFloat(examScore)) <= 0.05;
-                    }
-                    if (official.td_note !== null && tdScore !== null && tdScore !== undefined) {
-                        isTdVerified = Math.abs(parseFloat(official.td_note) - parseFloat(tdScore)) <= 0.05;
-                    }
-                    console.log(`[VERIFY][${subject}] Exam:`, isExamVerified, '| TD:', isTdVerified);
-                }
+        if (module) {
+            const official = await findOfficialGrade(req.user.studentId, module, semester);
+            if (official) {
+                ({ isExamVerified, isTdVerified } = verifyAgainstOfficial(official, examScore, tdScore));
+                console.log(`[VERIFY][${subject}] Exam:`, isExamVerified, '| TD:', isTdVerified);
             }
         }
 
         // Upsert: insert or update if exists
         const { data: existing } = await supabase
             .from('grades')
-            .select('id')
+            .select('*')
             .eq('user_id', userId)
             .eq('subject', subject)
+            .eq('semester', semester)
             .single();
 
+        const provenance = provenanceOnSave(existing, { exam: examScore, td: tdScore }, { exam: isExamVerified, td: isTdVerified });
+
         let grade;
         if (existing) {
             const { data, error } = await supabase
@@ -81,8 +87,11 @@ export const addGrade = async (req, res) => {
                 .update({
                     exam_score: examScore,
                     td_score: tdScore,
+                    tp_score: tpScore,
+                    rattrapage_score: rattrapageScore,
                     is_exam_verified: isExamVerified,
                     is_td_verified: isTdVerified,
+                    ...provenance,
                     updated_at: new Date()
                 })
                 .eq('id', existing.id)
@@ -96,11 +105,15 @@ export const addGrade = async (req, res) => {
                 .insert({
                     user_id: userId,
                     subject,
+                    semester,
                     exam_score: examScore,
                     td_score: tdScore,
+                    tp_score: tpScore,
+                    rattrapage_score: rattrapageScore,
                     coefficient,
                     is_exam_verified: isExamVerified,
-                    is_td_verified: isTdVerified
+                    is_td_verified: isTdVerified,
+                    ...provenance
                 })
                 .select()
                 .single();
@@ -108,10 +121,20 @@ export const addGrade = async (req, res) => {
             grade = data;
         }
 
+        await recordGradeChanges({
+            userId,
+            subject,
+            semester,
+            changes: diffGrade(existing, { exam_score: examScore, td_score: tdScore, tp_score: tpScore, rattrapage_score: rattrapageScore }),
+            source: CHANGE_SOURCES.SINGLE,
+            userVerified: req.user.isVerified,
+            req
+        });
+
         // Recalculate averages
-        await calculateAverages(userId);
+        await calculateAverages(userId, { confirmationsChanged: confirmationChanged(existing, grade) });
 
-        res.status(201).json(grade);
+        res.status(201).json({ ...grade, provenance: toProvenance(grade) });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
@@ -120,9 +143,25 @@ export const addGrade = async (req, res) => {
 // Batch update grades (Atomic & Race-free)
 export const batchAddGrades = async (req, res) => {
     try {
-        const { grades } = req.body; // Array of { subject, examScore, tdScore }
+        const { grades } = req.body; // Array of { subject, examScore, tdScore, tpScore?, rattrapageScore?, semester? }
         const userId = req.user.id;
 
+        if (!Array.isArray(grades)) {
+            return res.status(400).json({ message: 'Liste de notes requise (champ "grades")' });
+        }
+
+        // Reject the whole batch before writing anything
+        const invalidGrade = grades.find(g => invalidMark(g));
+        if (invalidGrade) {
+            return res.status(400).json({ message: invalidMarkMessage(invalidMark(invalidGrade), invalidGrade.subject) });
+        }
+        await loadCurriculum();
+        const semesters = grades.map(g => resolveSemester(g.subject, g.semester));
+        const invalidSemester = semesters.findIndex(s => !s);
+        if (invalidSemester !== -1) {
+            return res.status(400).json({ message: `Semestre invalide: ${grades[invalidSemester].semester}` });
+        }
+
         // Get User Profile once for batch
         const { data: userProfile } = await supabase
             .from('users')
@@ -140,25 +179,29 @@ export const batchAddGrades = async (req, res) => {
         console.log('[BATCH] official_grades sample:', sampleGrades, '| total rows:', count);
 
         const results = [];
+        let confirmationsChanged = false;
 
         // Safer approach: Process sequentially
-        for (const g of grades) {
-            const coefficient = COEFFICIENTS[g.subject] || 1;
+        for (const [i, g] of grades.entries()) {
+            const semester = semesters[i];
+            const module = findModule(g.subject, semester);
+            const coefficient = module?.coefficient || 1;
             let isExamVerified = null;
             let isTdVerified = null;
 
             // Verification Logic — Separate Exam & TD
-            const dbVariants = VERIFIED_SUBJECTS[g.subject];
+            const dbVariants = module ? getSubjectVariants(module.name) : null;
             console.log(`[BATCH] Processing ${g.subject} | Variants:`, dbVariants);
 
             if (dbVariants && userProfile?.student_id) {
-                const suffix = userProfile.student_id.slice(-8);
+                const suffix = matriculeSuffix(userProfile.student_id);
                 console.log(`[BATCH] Searching for matricule %${suffix} with variants:`, dbVariants);
 
                 const { data: official, error: offError } = await supabase
                     .from('official_grades')
                     .select('final_note, td_note, subject, matricule')
                     .like('matricule', `%${suffix}`)
+                    .eq('semestre', semester)
                     .in('subject', dbVariants)
                     .limit(1)
                     .maybeSingle();
@@ -167,12 +210,7 @@ export const batchAddGrades = async (req, res) => {
 
                 if (official) {
                     console.log(`[BATCH] Found official record for ${g.subject}:`, official);
-                    if (official.final_note !== null) {
-                        isExamVerified = Math.abs(parseFloat(official.final_note) - parseFloat(g.examScore)) <= 0.05;
-                    }
-                    if (official.td_note !== null) {
-                        isTdVerified = Math.abs(parseFloat(official.td_note) - parseFloat(g.tdScore)) <= 0.05;
-                    }
+                    ({ isExamVerified, isTdVerified } = verifyAgainstOfficial(official, g.examScore, g.tdScore));
                     console.log(`[BATCH-VERIFY][${g.subject}] Exam:`, isExamVerified, '| TD:', isTdVerified);
                 } else {
                     console.log(`[BATCH] No official record found for ${g.subject} with variants ${dbVariants} and suffix ${suffix}`);
@@ -182,19 +220,28 @@ export const batchAddGrades = async (req, res) => {
             // Check existence
             const { data: existing } = await supabase
                 .from('grades')
-                .select('id')
+                .select('*')
                 .eq('user_id', userId)
                 .eq('subject', g.subject)
+                .eq('semester', semester)
                 .maybeSingle();
 
+            const provenance = provenanceOnSave(existing, { exam: g.examScore, td: g.tdScore }, { exam: isExamVerified, td: isTdVerified });
+            if (confirmationChanged(existing, { is_exam_verified: isExamVerified, is_td_verified: isTdVerified, ...provenance })) {
+                confirmationsChanged = true;
+            }
+
             if (existing) {
                 await supabase
                     .from('grades')
                     .update({
                         exam_score: g.examScore,
                         td_score: g.tdScore,
+                        tp_score: g.tpScore,
+                        rattrapage_score: g.rattrapageScore,
                         is_exam_verified: isExamVerified,
                         is_td_verified: isTdVerified,
+                        ...provenance,
                         updated_at: new Date()
                     })
                     .eq('id', existing.id);
@@ -204,24 +251,40 @@ export const batchAddGrades = async (req, res) => {
                     .insert({
                         user_id: userId,
                         subject: g.subject,
+                        semester,
                         exam_score: g.examScore,
                         td_score: g.tdScore,
+                        tp_score: g.tpScore,
+                        rattrapage_score: g.rattrapageScore,
                         coefficient,
                         is_exam_verified: isExamVerified,
-                        is_td_verified: isTdVerified
+                        is_td_verified: isTdVerified,
+                        ...provenance
                     });
             }
 
+            await recordGradeChanges({
+                userId,
+                subject: g.subject,
+                semester,
+                changes: diffGrade(existing, { exam_score: g.examScore, td_score: g.tdScore, tp_score: g.tpScore, rattrapage_score: g.rattrapageScore }),
+                source: CHANGE_SOURCES.BATCH,
+                userVerified: req.user.isVerified,
+                req
+            });
+
             // Collect result for frontend
             results.push({
                 subject: g.subject,
+                semester,
                 is_exam_verified: isExamVerified,
-                is_td_verified: isTdVerified
+                is_td_verified: isTdVerified,
+                provenance: toProvenance(provenance)
             });
         }
 
         // Recalculate averages ONCE
-        await calculateAverages(userId);
+        await calculateAverages(userId, { confirmationsChanged });
 
         res.json(results);
     } catch (error) {
@@ -230,76 +293,123 @@ export const batchAddGrades = async (req, res) => {
     }
 };
 
-// Get my grades
+// Get my grades (each row with per-slot provenance)
 export const getMyGrades = async (req, res) => {
     try {
-        const { data, error } = await supabase
+        let query = supabase
             .from('grades')
             .select('*')
             .eq('user_id', req.user.id);
 
+        if (req.query.semester) query = query.eq('semester', req.query.semester);
+
+        const { data, error } = await query;
+
         if (error) throw error;
-        res.json(data);
+        res.json(data.map(g => ({ ...g, provenance: toProvenance(g) })));
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 };
 
-// Calculate and store averages
-export const calculateAverages = async (userId) => {
-    const { data: grades } = await supabase
-        .from('grades')
-        .select('*')
-        .eq('user_id', userId);
+// Get my grade history (?subject=, ?semester=, ?limit= up to 500)
+export const getGradeHistory = async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
 
-    if (!grades || grades.length === 0) return;
+        let query = supabase
+            .from('grade_history')
+            .select('id, subject, semester, field, old_value, new_value, source, created_at')
+            .eq('user_id', req.user.id)
+            .order('created_at', { ascending: false })
+            .limit(limit);
 
-    let totalSum = 0;
-    let totalCoef = 0;
+        if (req.query.subject) query = query.eq('subject', req.query.subject);
+        if (req.query.semester) query = query.eq('semester', req.query.semester);
 
-    const updatesSubjectAverages = [];
+        const { data, error } = await query;
 
-    for (const grade of grades) {
-        let subjectAvg;
+        if (error) throw error;
+        res.json(data);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
 
-        // SPECIFIC RULE: Anglais 02 has no TD (Exam Only)
-        if (grade.subject === 'Anglais 02') {
-            subjectAvg = Number(grade.exam_score) || 0;
-        } else {
-            // Default: (60% Exam + 40% TD)
-            const exam = Number(grade.exam_score) || 0;
-            const td = Number(grade.td_score) || 0;
-            subjectAvg = (0.6 * exam) + (0.4 * td);
+// Undo one change: put the field back to its old value
+export const undoGradeChange = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const { data: entry, error: entryError } = await supabase
+            .from('grade_history')
+            .select('*')
+            .eq('id', req.params.id)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (entryError) throw entryError;
+        if (!entry || !HISTORY_FIELDS.includes(entry.field)) {
+            return res.status(404).json({ message: 'Modification introuvable' });
+        }
+
+        const { data: existing } = await supabase
+            .from('grades')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('subject', entry.subject)
+            .eq('semester', entry.semester)
+            .maybeSingle();
+
+        if (!existing) {
+            return res.status(404).json({ message: 'Note introuvable' });
         }
 
-        // Standardize precision: Round to 2 decimal places BEFORE weighting
-        subjectAvg = Math.round(subjectAvg * 100) / 100;
+        // Exam / TD changed: verification flags and provenance follow the restored mark
+        await loadCurriculum();
+        const restored = { ...existing, [entry.field]: entry.old_value };
+        const module = findModule(entry.subject, entry.semester);
+        const official = module ? await findOfficialGrade(req.user.studentId, module, entry.semester) : null;
+        const flags = verifyAgainstOfficial(official, restored.exam_score, restored.td_score);
 
-        const coefficient = COEFFICIENTS[grade.subject] || grade.coefficient || 1;
+        const { data: grade, error } = await supabase
+            .from('grades')
+            .update({
+                [entry.field]: entry.old_value,
+                is_exam_verified: flags.isExamVerified,
+                is_td_verified: flags.isTdVerified,
+                ...provenanceOnSave(existing, { exam: restored.exam_score, td: restored.td_score }, { exam: flags.isExamVerified, td: flags.isTdVerified }),
+                updated_at: new Date()
+            })
+            .eq('id', existing.id)
+            .select()
+            .single();
 
-        updatesSubjectAverages.push({
-            user_id: userId,
-            subject: grade.subject,
-            average: subjectAvg
+        if (error) throw error;
+
+        await recordGradeChanges({
+            userId,
+            subject: entry.subject,
+            semester: entry.semester,
+            changes: diffGrade(existing, { [entry.field]: entry.old_value }),
+            source: CHANGE_SOURCES.UNDO,
+            userVerified: req.user.isVerified,
+            req
         });
 
-        totalSum += subjectAvg * coefficient;
-        totalCoef += coefficient; // Use the corrected coefficient
-    }
+        await calculateAverages(userId, { confirmationsChanged: confirmationChanged(existing, grade) });
 
-    // Bulk upsert subject averages
-    if (updatesSubjectAverages.length > 0) {
-        await supabase
-            .from('subject_averages')
-            .upsert(updatesSubjectAverages, { onConflict: 'user_id,subject' });
+        res.json({ ...grade, provenance: toProvenance(grade) });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
     }
+};
 
-    const generalAvg = totalSum / TOTAL_COEF;
-
-    // Upsert general average
-    await supabase
-        .from('averages')
-        .upsert({ user_id: userId, general_average: generalAvg, last_calculated: new Date() }, { onConflict: 'user_id' });
+// Calculate and store averages (every semester with grades, then the annual
+// average of each level); rankings are invalidated only when a value changed
+// or the save changed verification flags / provenance
+export const calculateAverages = async (userId, options) => {
+    await recomputeUsers([userId], options);
 };
 
 // Force recalculate my averages
@@ -323,12 +433,25 @@ export const getMyAverages = async (req, res) => {
 
         const { data: subjects } = await supabase
             .from('subject_averages')
-            .select('subject, average')
+            .select('subject, semester, average, is_acquired, credits_earned')
+            .eq('user_id', req.user.id);
+
+        const { data: semesters } = await supabase
+            .from('semester_averages')
+            .select('semester, general_average, total_coefficient, is_validated, credits_earned, credits_total')
+            .eq('user_id', req.user.id)
+            .order('semester');
+
+        const { data: annual } = await supabase
+            .from('annual_averages')
+            .select('level_code, annual_average, semesters, is_complete')
             .eq('user_id', req.user.id);
 
         res.json({
             generalAverage: general?.general_average || 0,
-            subjectAverages: subjects || []
+            subjectAverages: subjects || [],
+            semesterAverages: semesters || [],
+            annualAverages: annual || []
         });
     } catch (error) {
         res.status(500).json({ message: error.message });
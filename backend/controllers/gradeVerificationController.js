@@ -6,6 +6,9 @@ import { detectTampering } from '../utils/gradeTamperingDetector.js';
 import { calculateGradeTrustScore, getGradeStatusMessage } from '../utils/gradeTrustScoring.js';
 import { runAllOCR, buildFrameConsensus, checkCodeInResults } from '../utils/multiOCR.js';
 import { compareGrades } from '../utils/gradeComparator.js';
+import { loadCurriculum, getActiveSemester } from '../utils/curriculum.js';
+import { applyOcrProvenance, GRADE_SOURCES } from '../utils/gradeProvenance.js';
+import { invalidateRankings } from '../utils/rankingEngine.js';
 
 const CODE_TTL_SECONDS = 300;
 const CODE_PREFIX = 'AG-S3-';
@@ -135,6 +138,9 @@ async function processScreenshotJob(jobId, tdBuffer, examBuffer, code, userId) {
                 .eq('id', jobId);
         };
 
+        // Module names, coefficients and slots come from the curriculum
+        await loadCurriculum();
+
         worker = await createWorker('fra+eng');
 
         // STEP 1: Process TD Screenshot
@@ -168,7 +174,8 @@ async function processScreenshotJob(jobId, tdBuffer, examBuffer, code, userId) {
         const { data: userGrades } = await supabase
             .from('grades')
             .select('*')
-            .eq('user_id', userId);
+            .eq('user_id', userId)
+            .eq('semester', getActiveSemester());
 
         const credibility = compareGrades(mergedResults.grades, userGrades || []);
         console.log(`[SCREENSHOT-VERIFY] Credibility: ${credibility.summary}`);
@@ -221,6 +228,17 @@ async function processScreenshotJob(jobId, tdBuffer, examBuffer, code, userId) {
                 .from('users')
                 .update({ is_verified: true })
                 .eq('id', userId);
+
+            // Slots the OCR confirmed now point to this job
+            try {
+                const slots = await applyOcrProvenance(userId, getActiveSemester(), credibility.details, GRADE_SOURCES.SCREENSHOT, jobId, scoreResult.trustScore);
+                console.log(`[SCREENSHOT-VERIFY] Provenance: ${slots} slot(s) confirmed by job ${jobId}`);
+            } catch (provenanceError) {
+                console.error('[SCREENSHOT-VERIFY] Provenance update failed:', provenanceError.message);
+            }
+
+            // Verification status and slot provenance (tie-breakers) changed
+            invalidateRankings('notes vérifiées');
         }
 
     } catch (err) {
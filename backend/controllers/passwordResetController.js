@@ -0,0 +1,178 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * PASSWORD RESET CONTROLLER — Recovery through the student card
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * FLOW:
+ *   1. POST /password-reset/verify   → matricule + card photo run through the
+ *                                      verification pipeline (QR + OCR + students_list)
+ *   2. VALID                          → one-time reset token (15 min, stored hashed)
+ *   3. POST /password-reset/complete → new password (+ 2FA code if enabled),
+ *                                      token consumed, every session revoked
+ */
+
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { supabase } from '../config/db.js';
+import { analyzeStudentCard } from './verificationController.js';
+import { getStatusMessage } from '../utils/trustScoring.js';
+import { getClientIP } from '../utils/verificationLogger.js';
+import { revokeAllSessions } from '../utils/sessions.js';
+import { checkSecondFactor } from '../utils/totp.js';
+
+const RESET_TOKEN_TTL_MS = 15 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 6;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Step 1: prove identity with the student card
+export const requestPasswordReset = async (req, res) => {
+    try {
+        const { manualStudentId } = req.body;
+        const imageBuffer = req.files?.['studentCard']?.[0]?.buffer;
+
+        if (!manualStudentId || manualStudentId.length < 8 || !imageBuffer) {
+            return res.status(400).json({ message: 'Données manquantes: matricule et photo requis.' });
+        }
+
+        const { data: user } = await supabase
+            .from('users')
+            .select('id')
+            .eq('student_id', manualStudentId)
+            .maybeSingle();
+
+        // The card is checked whether or not an account exists: the answer must
+        // not tell which matricules hold accounts
+        console.log(`[RESET] Card check for ${user ? `user ${user.id}` : 'unknown matricule'} from ${getClientIP(req)}`);
+        const analysis = await analyzeStudentCard({ imageBuffer, manualStudentId, userId: user?.id ?? null, req });
+
+        if (analysis.status !== 'VALID') {
+            return res.status(422).json({
+                ...analysis.payload,
+                success: false,
+                message: analysis.problems.length > 0
+                    ? analysis.problems.join('\n')
+                    : analysis.payload.message || getStatusMessage(analysis.status, analysis.payload.confidence_score)
+            });
+        }
+
+        // A genuine card without an account: same shape as a rejected card
+        if (!user) {
+            return res.status(422).json({
+                success: false,
+                validation_status: 'REJECTED',
+                message: getStatusMessage('REJECTED', analysis.payload.confidence_score)
+            });
+        }
+
+        // Only the latest token stays usable
+        await supabase
+            .from('password_reset_tokens')
+            .update({ used_at: new Date().toISOString() })
+            .eq('user_id', user.id)
+            .is('used_at', null);
+
+        const resetToken = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MS).toISOString();
+
+        const { error } = await supabase
+            .from('password_reset_tokens')
+            .insert({
+                user_id: user.id,
+                token_hash: hashToken(resetToken),
+                confidence_score: analysis.payload.confidence_score,
+                ip_address: getClientIP(req),
+                expires_at: expiresAt
+            });
+
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            message: 'Identité confirmée. Choisissez un nouveau mot de passe.',
+            resetToken,
+            expiresAt
+        });
+    } catch (error) {
+        console.error('[RESET] Error:', error);
+        res.status(500).json({
+            message: error.message === 'TIMEOUT'
+                ? "⏱ L'analyse a pris trop de temps. Réessayez avec une photo plus nette."
+                : error.message
+        });
+    }
+};
+
+// Step 2: set the new password with the one-time token
+export const completePasswordReset = async (req, res) => {
+    try {
+        const { resetToken, password, totpCode } = req.body;
+
+        if (!resetToken) {
+            return res.status(400).json({ message: 'Lien de réinitialisation manquant' });
+        }
+        if (!password || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ message: `Le mot de passe doit contenir au moins ${MIN_PASSWORD_LENGTH} caractères` });
+        }
+
+        const { data: token } = await supabase
+            .from('password_reset_tokens')
+            .select('id, user_id, expires_at, used_at')
+            .eq('token_hash', hashToken(resetToken))
+            .maybeSingle();
+
+        if (!token || token.used_at || new Date(token.expires_at) < new Date()) {
+            return res.status(400).json({ message: 'Lien de réinitialisation invalide ou expiré' });
+        }
+
+        const { data: user, error: userError } = await supabase
+            .from('users')
+            .select('id, totp_enabled, totp_secret, totp_last_step, totp_recovery_codes')
+            .eq('id', token.user_id)
+            .single();
+
+        if (userError) throw userError;
+
+        // The card proves identity, 2FA still protects against someone holding it
+        let totpUpdates = {};
+        if (user.totp_enabled) {
+            if (!totpCode) {
+                return res.status(401).json({ message: 'Code de vérification requis', twoFactorRequired: true });
+            }
+            totpUpdates = checkSecondFactor(user, totpCode);
+            if (!totpUpdates) {
+                return res.status(401).json({ message: 'Code de vérification invalide', twoFactorRequired: true });
+            }
+        }
+
+        // Consume the token first so it can't be used twice concurrently
+        const { data: consumed, error: consumeError } = await supabase
+            .from('password_reset_tokens')
+            .update({ used_at: new Date().toISOString() })
+            .eq('id', token.id)
+            .is('used_at', null)
+            .select('id');
+
+        if (consumeError) throw consumeError;
+        if (consumed.length === 0) {
+            return res.status(400).json({ message: 'Lien de réinitialisation invalide ou expiré' });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(password, salt);
+
+        const { error } = await supabase
+            .from('users')
+            .update({ password_hash: hashedPassword, ...totpUpdates })
+            .eq('id', user.id);
+
+        if (error) throw error;
+
+        const revoked = await revokeAllSessions(user.id);
+        console.log(`[RESET] Password changed for user ${user.id}, ${revoked} session(s) revoked`);
+
+        res.json({ message: 'Mot de passe modifié. Connectez-vous avec votre nouveau mot de passe.' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
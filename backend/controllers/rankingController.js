@@ -1,112 +1,152 @@
-import { supabase } from '../config/db.js';
+import { parsePageQuery, paginateRanking } from '../utils/rankingPage.js';
+import { parseRankingRule, describeRule } from '../utils/rankingRules.js';
+import {
+    resolveGeneralSource, buildGeneralRanking, buildSubjectRanking, buildGroupRanking,
+    resolveRankingFilters, buildQueryRanking, RANKING_MODES, RANKING_SORTS, SEMESTER_CODES
+} from '../utils/rankingBuilder.js';
+import {
+    takeRankingSnapshots, attachMovement, getRankHistory, SNAPSHOT_TRIGGERS, SNAPSHOT_SCOPES
+} from '../utils/rankingSnapshots.js';
+import { getCachedRanking, recomputeUsers } from '../utils/rankingEngine.js';
+import { openRankingStream } from '../utils/rankingStream.js';
+import { parseTrustLevel, DEFAULT_TRUST_LEVEL, TRUST_LEVELS } from '../utils/rankingTrust.js';
+import { loadRoster } from '../utils/roster.js';
+
+const HISTORY_MAX_POINTS = 100;
+
+// Every scope a filtered ranking touches: a module filter lists a module ranking,
+// a group or section filter a group one; only the unfiltered list is general
+const queryVisibility = (filters) => {
+    const scopes = [
+        ...(filters.subject ? ['subject'] : []),
+        ...(filters.group || filters.section ? ['group'] : [])
+    ];
+    return scopes.length > 0 ? scopes : ['general'];
+};
+
+// Paginated rows, the ranking rule, the filters and the version stamp of the cached ranking
+const rankingResponse = ({ ranking, version, builtAt }, page, { rule, trust, filters, visibility }, userId) => ({
+    ...paginateRanking(ranking, page, userId, visibility),
+    rule: describeRule(rule),
+    trust,
+    filters,
+    version,
+    builtAt
+});
+
+// Cache key of a ranking: scope plus everything the rows depend on
+const rankingKey = (scope, params, rule) =>
+    JSON.stringify([scope, params, rule.method, rule.tieBreakers]);
+
+// Rule, trust level, cache key and builder of a ranking scope, { error } on invalid parameters
+const resolveRanking = async (scope, key, query) => {
+    const rule = parseRankingRule(query);
+    if (rule.error) return { error: rule.error };
+    const { trust, error } = parseTrustLevel(query);
+    if (error) return { error };
+
+    // Snapshots rank identity-verified students: movement means nothing on a filtered ranking
+    const withMovement = (ranking, snapshotKey) => trust === DEFAULT_TRUST_LEVEL
+        ? attachMovement(ranking, scope, snapshotKey, rule.method)
+        : ranking;
+
+    if (scope === 'general') {
+        const source = await resolveGeneralSource(query);
+        if (source.error) return { error: source.error };
+
+        const mode = query.mode || 'self';
+        if (!RANKING_MODES.includes(mode)) {
+            return { error: `Mode invalide: ${mode}. Valeurs acceptées: ${RANKING_MODES.join(', ')}` };
+        }
+
+        return {
+            rule,
+            trust,
+            visibility: ['general'],
+            cacheKey: rankingKey('general', [source.table, source.filter, mode, trust], rule),
+            build: async () => {
+                const ranking = await buildGeneralRanking(source, rule, mode, trust);
+                // Snapshots cover the active semester self-reported ranking only
+                return mode === 'self' && source.table === 'averages'
+                    ? withMovement(ranking, '')
+                    : ranking;
+            }
+        };
+    }
+
+    if (scope === 'subject') {
+        if (!key) return { error: 'Paramètre key requis (module)' };
+        return {
+            rule,
+            trust,
+            visibility: ['subject'],
+            cacheKey: rankingKey('subject', [key, trust], rule),
+            build: async () => withMovement(await buildSubjectRanking(key, rule, trust), key)
+        };
+    }
+
+    if (scope === 'group') {
+        const { groups } = await loadRoster();
+        if (!groups.includes(key)) {
+            return { error: `Groupe invalide: ${key}. Valeurs acceptées: ${groups.join(', ')}` };
+        }
+        return {
+            rule,
+            trust,
+            visibility: ['group'],
+            cacheKey: rankingKey('group', [key, trust], rule),
+            build: async () => withMovement(await buildGroupRanking(key, rule, trust), key)
+        };
+    }
 
-// Get general ranking
-export const getGeneralRanking = async (req, res) => {
+    if (scope === 'query') {
+        const filters = await resolveRankingFilters(query);
+        if (filters.error) return { error: filters.error };
+        return {
+            rule,
+            trust,
+            filters,
+            visibility: queryVisibility(filters),
+            cacheKey: rankingKey('query', [filters, trust], rule),
+            build: () => buildQueryRanking(filters, rule, trust)
+        };
+    }
+
+    return { error: `Portée invalide: ${scope}. Valeurs acceptées: ${[...SNAPSHOT_SCOPES, 'query'].join(', ')}` };
+};
+
+// One page of a ranking scope
+const sendRanking = async (req, res, scope, key) => {
     try {
-        const { data, error } = await supabase
-            .from('averages')
-            .select(`
-        general_average,
-        user_id,
-        users!inner(alias, student_id, display_mode, is_verified)
-      `)
-            .eq('users.is_verified', true)
-            .order('general_average', { ascending: false });
-
-        if (error) throw error;
-
-        const ranking = data.map((item, index) => ({
-            rank: index + 1,
-            alias: item.users.alias,
-            displayName: item.users.display_mode === 'studentNumber'
-                ? item.users.student_id
-                : item.users.alias,
-            average: item.general_average,
-        }));
-
-        res.json(ranking);
+        const page = parsePageQuery(req.query);
+        if (page.error) {
+            return res.status(400).json({ message: page.error });
+        }
+        const resolved = await resolveRanking(scope, key, req.query);
+        if (resolved.error) {
+            return res.status(400).json({ message: resolved.error });
+        }
+
+        const cached = await getCachedRanking(resolved.cacheKey, resolved.build);
+
+        res.json(rankingResponse(cached, page, resolved, req.user.id));
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 };
 
-const SUBJECTS_CONFIG = [
-    { name: 'Analyse 03', coefficient: 5 },
-    { name: 'Algèbre 03', coefficient: 3 },
-    { name: 'Économie d\'entreprise', coefficient: 2 },
-    { name: 'Probabilité et Statistique 01', coefficient: 4 },
-    { name: 'Anglais 02', coefficient: 2 },
-    { name: 'SFSD', coefficient: 4 },
-    { name: 'Architecture 02', coefficient: 4 },
-    { name: 'Électronique Fondamentale 02', coefficient: 4 },
-];
+// Get general ranking (?semester=S3 or ?period=annual, ?mode=official, ?trust=identity|partial|full)
+export const getGeneralRanking = (req, res) => sendRanking(req, res, 'general', '');
 
-const TOTAL_COEF = 28;
-
-// Force Refresh Rankings
+// Refresh my averages (incremental: the caller only, full rebuilds are admin-only)
 export const refreshRankings = async (req, res) => {
     try {
-        // 1. Get all users
-        const { data: users, error: userError } = await supabase.from('users').select('id');
-        if (userError) throw userError;
-
-        // 2. Get all grades - Optimized: One query
-        const { data: grades, error: gradesError } = await supabase.from('grades').select('*');
-        if (gradesError) throw gradesError;
-
-        const updatesAverages = [];
-        const updatesSubjectAverages = [];
-
-        users.forEach(user => {
-            const userGrades = grades.filter(g => g.user_id === user.id);
-            let totalWeightedSum = 0;
-            let hasGrades = false;
-
-            SUBJECTS_CONFIG.forEach(subject => {
-                const grade = userGrades.find(g => g.subject === subject.name);
-                if (grade) {
-                    let avg = (grade.exam_score * 0.6) + (grade.td_score * 0.4);
-                    // Standardize precision: Round to 2 decimal places BEFORE weighting
-                    avg = Math.round(avg * 100) / 100;
-
-                    // Add subject average update
-                    updatesSubjectAverages.push({
-                        user_id: user.id,
-                        subject: subject.name,
-                        average: avg
-                    });
-                    totalWeightedSum += avg * subject.coefficient;
-                    hasGrades = true;
-                }
-            });
-
-            if (hasGrades) {
-                const generalAverage = totalWeightedSum / TOTAL_COEF;
-                updatesAverages.push({
-                    user_id: user.id,
-                    general_average: generalAverage,
-                    last_calculated: new Date().toISOString()
-                });
-            }
-        });
-
-        // Bulk upsert subject averages
-        if (updatesSubjectAverages.length > 0) {
-            const { error: subError } = await supabase
-                .from('subject_averages')
-                .upsert(updatesSubjectAverages, { onConflict: 'user_id,subject' });
-            if (subError) throw subError;
-        }
+        const { changed } = await recomputeUsers([req.user.id]);
 
-        // Bulk upsert general averages
-        if (updatesAverages.length > 0) {
-            const { error: avgError } = await supabase
-                .from('averages')
-                .upsert(updatesAverages, { onConflict: 'user_id' });
-            if (avgError) throw avgError;
-        }
+        // History snapshot in the background (throttled, never throws)
+        setImmediate(() => takeRankingSnapshots({ trigger: SNAPSHOT_TRIGGERS.REFRESH, triggeredBy: req.user.id, throttle: true }));
 
-        res.json({ message: 'Rankings updated successfully', count: updatesAverages.length });
+        res.json({ message: 'Rankings updated successfully', changed });
     } catch (error) {
         console.error('Refresh Error:', error);
         res.status(500).json({ message: error.message });
@@ -114,75 +154,66 @@ export const refreshRankings = async (req, res) => {
 };
 
 // Get ranking by subject
-export const getSubjectRanking = async (req, res) => {
+export const getSubjectRanking = (req, res) => sendRanking(req, res, 'subject', req.params.subject);
+
+// Get ranking by group (A1, A2, A3, A4)
+export const getGroupRanking = (req, res) => sendRanking(req, res, 'group', req.params.group);
+
+// Cross-filtered ranking (?subject, ?group, ?section, ?semester, ?sort=average|exam|td, ?trust)
+export const getRankingQuery = (req, res) => sendRanking(req, res, 'query', '');
+
+// Values the ranking filters accept (groups and sections from the roster)
+export const getRankingFilters = async (req, res) => {
     try {
-        const { subject } = req.params;
-
-        const { data, error } = await supabase
-            .from('subject_averages')
-            .select(`
-        average,
-        subject,
-        user_id,
-        users!inner(alias, student_id, display_mode, is_verified)
-      `)
-            .eq('subject', subject)
-            .eq('users.is_verified', true)
-            .order('average', { ascending: false });
-
-        if (error) throw error;
-
-        const ranking = data.map((item, index) => ({
-            rank: index + 1,
-            alias: item.users.alias,
-            displayName: item.users.display_mode === 'studentNumber'
-                ? item.users.student_id
-                : item.users.alias,
-            average: item.average,
-            subject: item.subject,
-        }));
-
-        res.json(ranking);
+        const { groups, sections } = await loadRoster();
+
+        res.json({ groups, sections, semesters: SEMESTER_CODES, sorts: RANKING_SORTS, trustLevels: TRUST_LEVELS });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 };
 
-// Get ranking by group (A1, A2, A3, A4)
-export const getGroupRanking = async (req, res) => {
+// Live deltas of a ranking over SSE (?scope=general|subject|group|query&key=... plus the ranking parameters)
+export const streamRanking = async (req, res) => {
     try {
-        const { group } = req.params;
+        const scope = req.query.scope || 'general';
+        const key = scope === 'general' ? '' : req.query.key;
+        const { cacheKey, build, visibility, error } = await resolveRanking(scope, key, req.query);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
 
-        // Validate group
-        const validGroups = ['A1', 'A2', 'A3', 'A4'];
-        if (!validGroups.includes(group)) {
-            return res.status(400).json({ message: `Groupe invalide: ${group}. Valeurs acceptées: ${validGroups.join(', ')}` });
+        await openRankingStream(req, res, {
+            streamKey: cacheKey,
+            visibility,
+            load: () => getCachedRanking(cacheKey, build),
+            userId: req.user.id
+        });
+    } catch (error) {
+        if (!res.headersSent) res.status(500).json({ message: error.message });
+    }
+};
+
+// My rank / average over time (?scope=general|subject|group&key=...&limit=30)
+export const getMyRankHistory = async (req, res) => {
+    try {
+        const scope = req.query.scope || 'general';
+        if (!SNAPSHOT_SCOPES.includes(scope)) {
+            return res.status(400).json({ message: `Portée invalide: ${scope}. Valeurs acceptées: ${SNAPSHOT_SCOPES.join(', ')}` });
+        }
+        const key = scope === 'general' ? '' : req.query.key;
+        if (scope !== 'general' && !key) {
+            return res.status(400).json({ message: 'Paramètre key requis (module ou groupe)' });
         }
 
-        const { data, error } = await supabase
-            .from('averages')
-            .select(`
-                general_average,
-                user_id,
-                users!inner(alias, student_id, display_mode, student_group, is_verified)
-            `)
-            .eq('users.student_group', group)
-            .eq('users.is_verified', true)
-            .order('general_average', { ascending: false });
-
-        if (error) throw error;
-
-        const ranking = data.map((item, index) => ({
-            rank: index + 1,
-            alias: item.users.alias,
-            displayName: item.users.display_mode === 'studentNumber'
-                ? item.users.student_id
-                : item.users.alias,
-            average: item.general_average,
-            group: item.users.student_group,
-        }));
-
-        res.json(ranking);
+        const limit = req.query.limit === undefined ? 30 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_MAX_POINTS) {
+            return res.status(400).json({ message: `limit invalide (1 à ${HISTORY_MAX_POINTS})` });
+        }
+
+        const history = await getRankHistory(req.user.id, scope, key, limit);
+
+        res.json({ scope, key, ...history });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
@@ -0,0 +1,118 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * STATS CONTROLLER — Cohort distribution per ranking scope
+ * ═══════════════════════════════════════════════════════════════
+ *
+ *   GET /api/stats/general            active semester general averages
+ *   GET /api/stats/subject?key=Module one module (subject_averages)
+ *   GET /api/stats/group?key=A1       general averages inside a roster group
+ *   ?bucketWidth=1|2|4                histogram bucket width (default 2)
+ *   GET /api/stats/groups?by=group|section&semester=S3
+ *                                     groups compared (see groupAggregates)
+ * Verified users only, like the rankings; see cohortStats for the floor.
+ */
+
+import { supabase } from '../config/db.js';
+import { loadRoster } from '../utils/roster.js';
+import { computeCohortStats, bucketIndex, BUCKET_WIDTHS, DEFAULT_BUCKET_WIDTH, K_ANONYMITY } from '../utils/cohortStats.js';
+import { getCachedRanking } from '../utils/rankingEngine.js';
+import { buildGroupAggregates, AGGREGATE_DIMENSIONS, UNDER_REGISTERED_RATE } from '../utils/groupAggregates.js';
+import { SEMESTER_CODES, subjectSemester } from '../utils/rankingBuilder.js';
+import { loadCurriculum } from '../utils/curriculum.js';
+import { fetchAllRows } from '../utils/fetchAll.js';
+
+const STATS_SCOPES = ['general', 'subject', 'group'];
+
+// [{ userId, average }] of a scope
+async function loadScopeAverages(scope, key) {
+    let buildQuery;
+    if (scope === 'subject') {
+        const curriculum = await loadCurriculum();
+        const semester = subjectSemester(curriculum, key)?.code ?? curriculum.activeSemester;
+        buildQuery = () => supabase
+            .from('subject_averages')
+            .select('user_id, average, users!inner(is_verified)')
+            .eq('subject', key)
+            .eq('semester', semester);
+    } else {
+        buildQuery = () => supabase
+            .from('averages')
+            .select('user_id, average:general_average, users!inner(is_verified)');
+    }
+
+    // One row per user in either table
+    const data = await fetchAllRows(() => buildQuery().eq('users.is_verified', true), ['user_id']);
+
+    const roster = scope === 'group' ? await loadRoster() : null;
+    return data
+        .filter(row => !roster || roster.byUser.get(row.user_id)?.group === key)
+        .map(row => ({ userId: row.user_id, average: Number(row.average) }));
+}
+
+// Get distribution statistics of a scope
+export const getScopeStats = async (req, res) => {
+    try {
+        const { scope } = req.params;
+        if (!STATS_SCOPES.includes(scope)) {
+            return res.status(400).json({ message: `Portée invalide: ${scope}. Valeurs acceptées: ${STATS_SCOPES.join(', ')}` });
+        }
+
+        const key = scope === 'general' ? '' : req.query.key;
+        if (scope !== 'general' && !key) {
+            return res.status(400).json({ message: 'Paramètre key requis (module ou groupe)' });
+        }
+        if (scope === 'group') {
+            const { groups } = await loadRoster();
+            if (!groups.includes(key)) {
+                return res.status(400).json({ message: `Groupe invalide: ${key}. Valeurs acceptées: ${groups.join(', ')}` });
+            }
+        }
+
+        const bucketWidth = req.query.bucketWidth === undefined ? DEFAULT_BUCKET_WIDTH : Number(req.query.bucketWidth);
+        if (!BUCKET_WIDTHS.includes(bucketWidth)) {
+            return res.status(400).json({ message: `bucketWidth invalide. Valeurs acceptées: ${BUCKET_WIDTHS.join(', ')}` });
+        }
+
+        // Same versioned materialisation as the rankings
+        const { ranking: rows, version } = await getCachedRanking(JSON.stringify(['stats', scope, key]), () => loadScopeAverages(scope, key));
+        const stats = computeCohortStats(rows.map(r => r.average), bucketWidth);
+
+        // The caller's own average is theirs to see; the bucket locates it in the chart
+        const mine = rows.find(r => r.userId === req.user.id);
+        const me = mine && !stats.suppressed
+            ? { average: mine.average, bucket: bucketIndex(Math.max(0, mine.average), bucketWidth) }
+            : null;
+
+        res.json({ scope, key, bucketWidth, ...stats, me, version });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// Compare roster groups (or sections): mean, median, pass rate, per-module means, participation
+export const getGroupAggregates = async (req, res) => {
+    try {
+        const by = req.query.by || 'group';
+        if (!AGGREGATE_DIMENSIONS.includes(by)) {
+            return res.status(400).json({ message: `Regroupement invalide: ${by}. Valeurs acceptées: ${AGGREGATE_DIMENSIONS.join(', ')}` });
+        }
+
+        const semester = req.query.semester || (await loadCurriculum()).activeSemester;
+        if (!SEMESTER_CODES.includes(semester)) {
+            return res.status(400).json({ message: `Semestre invalide: ${semester}. Valeurs acceptées: ${SEMESTER_CODES.join(', ')}` });
+        }
+
+        const { ranking: aggregates, version } = await getCachedRanking(
+            JSON.stringify(['groupStats', by, semester]),
+            () => buildGroupAggregates(by, semester)
+        );
+
+        // The caller's own group / section, to highlight its column
+        const roster = await loadRoster();
+        const me = roster.byUser.get(req.user.id)?.[by] ?? null;
+
+        res.json({ by, ...aggregates, kAnonymity: K_ANONYMITY, underRegisteredRate: UNDER_REGISTERED_RATE, me, version });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
@@ -0,0 +1,124 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * TWO-FACTOR CONTROLLER — Optional TOTP on top of matricule + password
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * FLOW:
+ *   1. POST /api/auth/2fa/setup    → new secret + otpauth:// URI (not active yet)
+ *   2. POST /api/auth/2fa/verify   → first valid code activates 2FA, returns recovery codes once
+ *   3. POST /api/auth/login        → requires `totpCode` (TOTP or recovery code) once active
+ *   4. POST /api/auth/2fa/disable  → password + code
+ */
+
+import bcrypt from 'bcryptjs';
+import { supabase } from '../config/db.js';
+import {
+    generateSecret, buildOtpauthUrl, verifyTotp, generateRecoveryCodes, checkSecondFactor
+} from '../utils/totp.js';
+
+// Start enrollment
+export const setupTwoFactor = async (req, res) => {
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('student_id, totp_enabled')
+            .eq('id', req.user.id)
+            .single();
+
+        if (error) throw error;
+
+        if (user.totp_enabled) {
+            return res.status(400).json({ message: 'La double authentification est déjà activée' });
+        }
+
+        const secret = generateSecret();
+        const { error: updateError } = await supabase
+            .from('users')
+            .update({ totp_secret: secret, totp_last_step: null })
+            .eq('id', req.user.id);
+
+        if (updateError) throw updateError;
+
+        res.json({ secret, otpauthUrl: buildOtpauthUrl(secret, user.student_id) });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// Confirm enrollment with a first code
+export const verifyTwoFactor = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('totp_secret, totp_enabled')
+            .eq('id', req.user.id)
+            .single();
+
+        if (error) throw error;
+
+        if (user.totp_enabled) {
+            return res.status(400).json({ message: 'La double authentification est déjà activée' });
+        }
+        if (!user.totp_secret) {
+            return res.status(400).json({ message: 'Lancez d\'abord la configuration' });
+        }
+
+        const step = verifyTotp(user.totp_secret, code);
+        if (step === null) {
+            return res.status(400).json({ message: 'Code de vérification invalide' });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        const { error: updateError } = await supabase
+            .from('users')
+            .update({ totp_enabled: true, totp_last_step: step, totp_recovery_codes: hashes })
+            .eq('id', req.user.id);
+
+        if (updateError) throw updateError;
+
+        res.json({ message: 'Double authentification activée', recoveryCodes: codes });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// Turn 2FA off (password + current code or recovery code)
+export const disableTwoFactor = async (req, res) => {
+    try {
+        const { password, code } = req.body;
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('password_hash, totp_secret, totp_enabled, totp_last_step, totp_recovery_codes')
+            .eq('id', req.user.id)
+            .single();
+
+        if (error) throw error;
+
+        if (!user.totp_enabled) {
+            return res.status(400).json({ message: 'La double authentification n\'est pas activée' });
+        }
+
+        const isMatch = await bcrypt.compare(password || '', user.password_hash);
+        if (!isMatch) {
+            return res.status(401).json({ message: 'Mot de passe incorrect' });
+        }
+
+        if (!checkSecondFactor(user, code)) {
+            return res.status(401).json({ message: 'Code de vérification invalide' });
+        }
+
+        const { error: updateError } = await supabase
+            .from('users')
+            .update({ totp_enabled: false, totp_secret: null, totp_last_step: null, totp_recovery_codes: [] })
+            .eq('id', req.user.id);
+
+        if (updateError) throw updateError;
+
+        res.json({ message: 'Double authentification désactivée' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
@@ -28,34 +28,25 @@ import { analyzeImage, preprocessForOCR, preprocessForQR, preprocessForQRContras
 import { detectFraud } from '../utils/fraudDetector.js';
 import { calculateTrustScore, getStatusMessage } from '../utils/trustScoring.js';
 import { logVerification, getClientIP, maskPII } from '../utils/verificationLogger.js';
+import { getCohortPrefixes, extractKernel } from '../utils/matricule.js';
+import { invalidateRankings } from '../utils/rankingEngine.js';
 
-export const verifyStudent = async (req, res) => {
+/**
+ * Run the card pipeline (steps 1-8) for a matricule
+ * Shared by account verification and password reset
+ * @param {Object} params
+ * @param {Buffer} params.imageBuffer - Student card photo
+ * @param {string} params.manualStudentId - Matricule typed by the user
+ * @param {string} params.userId - Account the attempt is logged against
+ * @param {Object} params.req - Express request (IP, User-Agent)
+ * @returns {Object} { blocked, status, payload, problems, student }
+ */
+export async function analyzeStudentCard({ imageBuffer, manualStudentId, userId, req }) {
     const startTime = Date.now();
-    console.log("╔═══════════════════════════════════════════════════╗");
-    console.log("║        ADVANCED VERIFICATION SYSTEM v2.0         ║");
-    console.log("╚═══════════════════════════════════════════════════╝");
-    console.log(`[VERIFY] User: ${req.user?.id}`);
-    console.log(`[VERIFY] IP: ${getClientIP(req)}`);
-    console.log(`[VERIFY] Time: ${new Date().toISOString()}`);
-
     let worker = null;
     let timeoutId = null;
 
     try {
-        const { manualStudentId } = req.body;
-        const imageBuffer = req.files?.['studentCard']?.[0]?.buffer;
-
-        if (!manualStudentId || manualStudentId.length < 8 || !imageBuffer) {
-            return res.status(400).json({
-                validation_status: 'REJECTED',
-                confidence_score: 0,
-                message: 'Données manquantes: matricule et photo requis.',
-                fraud_flags: [],
-                extracted_data: {},
-                verification_source: 'NONE'
-            });
-        }
-
         // ═══════════════════════════════════════
         // STEP 1: IMAGE ANALYSIS & PREPROCESSING
         // ═══════════════════════════════════════
@@ -75,7 +66,7 @@ export const verifyStudent = async (req, res) => {
         console.log("\n[STEP 2] 🛡  Fraud Detection...");
         const imageHash = await getImageHash(imageBuffer);
         const fraudContext = {
-            userId: req.user.id,
+            userId,
             ip: getClientIP(req),
             userAgent: req.headers['user-agent'] || 'unknown',
             qrMatricule: null, // Will be set after QR decode
@@ -95,7 +86,7 @@ export const verifyStudent = async (req, res) => {
             const rejectMessage = fraudResults.flags.map(f => `🚨 ${f.message}`).join('\n');
 
             await logVerification({
-                userId: req.user.id,
+                userId,
                 imageHash,
                 ipAddress: getClientIP(req),
                 userAgent: req.headers['user-agent'],
@@ -106,30 +97,28 @@ export const verifyStudent = async (req, res) => {
                 verificationSource: 'BLOCKED'
             });
 
-            return res.status(422).json({
-                validation_status: 'REJECTED',
-                confidence_score: 0,
-                message: rejectMessage || 'Vérification bloquée par le système anti-fraude.',
-                fraud_flags: fraudResults.flags,
-                extracted_data: {},
-                verification_source: 'BLOCKED'
-            });
+            return {
+                blocked: true,
+                status: 'REJECTED',
+                payload: {
+                    validation_status: 'REJECTED',
+                    confidence_score: 0,
+                    message: rejectMessage || 'Vérification bloquée par le système anti-fraude.',
+                    fraud_flags: fraudResults.flags,
+                    extracted_data: {},
+                    verification_source: 'BLOCKED'
+                },
+                problems: [],
+                student: null
+            };
         }
 
         // ═══════════════════════════════════════
         // STEP 3-5: QR + OCR + DB (with timeout)
         // ═══════════════════════════════════════
-        // Handle prefixes (ES..., 2024, 2424)
-        const prefixes = ['ES162220252424', '2024', '2025', '2026', '2424'];
-        let idKernel = manualStudentId;
-        // Find longest matching prefix
-        const matchedPrefix = prefixes.find(p => manualStudentId.startsWith(p));
-        if (matchedPrefix) {
-            idKernel = manualStudentId.substring(matchedPrefix.length);
-        } else if (manualStudentId.length >= 8) {
-            // Fallback to standard 4-digit prefix
-            idKernel = manualStudentId.substring(4);
-        }
+        // Handle cohort prefixes (ES..., 2024, 2424) configured per promotion
+        const cohortPrefixes = (await getCohortPrefixes()).map(c => c.prefix);
+        const { prefix: matchedPrefix, kernel: idKernel } = extractKernel(manualStudentId, cohortPrefixes);
 
         console.log(`\n[STEP 3] 📋 ID Kernel Extraction:`);
         console.log(`  ├─ Input: ${manualStudentId}`);
@@ -392,11 +381,8 @@ export const verifyStudent = async (req, res) => {
         // ═══════════════════════════════════════
         // STEP 8: AUDIT LOGGING
         // ═══════════════════════════════════════
-        // Skip user_id constraint if not strictly enforced in DB yet
-        const logUserId = req.user.id;
-
         await logVerification({
-            userId: logUserId,
+            userId,
             imageHash,
             ipAddress: getClientIP(req),
             userAgent: req.headers['user-agent'],
@@ -454,7 +440,50 @@ export const verifyStudent = async (req, res) => {
             elapsed_ms: elapsed
         };
 
-        if (trustResult.status === 'VALID') {
+        return {
+            blocked: false,
+            status: trustResult.status,
+            payload: responsePayload,
+            problems,
+            student: dbResults.student
+        };
+    } finally {
+        if (timeoutId) clearTimeout(timeoutId);
+        if (worker) try { await worker.terminate(); } catch { }
+    }
+}
+
+export const verifyStudent = async (req, res) => {
+    console.log("╔═══════════════════════════════════════════════════╗");
+    console.log("║        ADVANCED VERIFICATION SYSTEM v2.0         ║");
+    console.log("╚═══════════════════════════════════════════════════╝");
+    console.log(`[VERIFY] User: ${req.user?.id}`);
+    console.log(`[VERIFY] IP: ${getClientIP(req)}`);
+    console.log(`[VERIFY] Time: ${new Date().toISOString()}`);
+
+    try {
+        const { manualStudentId } = req.body;
+        const imageBuffer = req.files?.['studentCard']?.[0]?.buffer;
+
+        if (!manualStudentId || manualStudentId.length < 8 || !imageBuffer) {
+            return res.status(400).json({
+                validation_status: 'REJECTED',
+                confidence_score: 0,
+                message: 'Données manquantes: matricule et photo requis.',
+                fraud_flags: [],
+                extracted_data: {},
+                verification_source: 'NONE'
+            });
+        }
+
+        const analysis = await analyzeStudentCard({ imageBuffer, manualStudentId, userId: req.user.id, req });
+        const responsePayload = analysis.payload;
+
+        if (analysis.blocked) {
+            return res.status(422).json(responsePayload);
+        }
+
+        if (analysis.status === 'VALID') {
             // ═══ SUCCESS: Mark user as verified ═══
             const studentIdHash = crypto.createHash('sha256').update(manualStudentId).digest('hex');
 
@@ -480,14 +509,14 @@ export const verifyStudent = async (req, res) => {
 
             if (error) throw error;
 
-            // Average calculation skipped as function is missing
-            // await calculateAverages(req.user.id);
+            // Verified users enter the rankings
+            invalidateRankings('étudiant vérifié');
 
             return res.json({
                 ...responsePayload,
                 success: true,
-                message: getStatusMessage('VALID', trustResult.totalScore) +
-                    ` Bienvenue ${dbResults.student?.prenom_fr || ''} ${dbResults.student?.nom_fr || ''} !`
+                message: getStatusMessage('VALID', responsePayload.confidence_score) +
+                    ` Bienvenue ${analysis.student?.prenom_fr || ''} ${analysis.student?.nom_fr || ''} !`
             });
         }
 
@@ -495,14 +524,13 @@ export const verifyStudent = async (req, res) => {
         return res.status(422).json({
             ...responsePayload,
             success: false,
-            message: problems.length > 0
-                ? problems.join('\n')
-                : getStatusMessage(trustResult.status, trustResult.totalScore)
+            message: analysis.problems.length > 0
+                ? analysis.problems.join('\n')
+                : getStatusMessage(analysis.status, responsePayload.confidence_score)
         });
 
     } catch (error) {
         console.error('[VERIFY] Fatal Error:', error);
-        if (timeoutId) clearTimeout(timeoutId);
         if (!res.headersSent) {
             res.status(500).json({
                 validation_status: 'REJECTED',
@@ -515,8 +543,5 @@ export const verifyStudent = async (req, res) => {
                 verification_source: 'ERROR'
             });
         }
-    } finally {
-        if (timeoutId) clearTimeout(timeoutId);
-        if (worker) try { await worker.terminate(); } catch { }
     }
 };
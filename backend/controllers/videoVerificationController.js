@@ -10,6 +10,9 @@ import { aggregateTemporalResults, crossCheckWithPortal } from '../utils/tempora
 import { calculateVideoTrustScore, getVideoStatusMessage } from '../utils/videoTrustScoring.js';
 import { detectTampering } from '../utils/gradeTamperingDetector.js';
 import { compareGrades } from '../utils/gradeComparator.js';
+import { loadCurriculum, getActiveSemester } from '../utils/curriculum.js';
+import { applyOcrProvenance, GRADE_SOURCES } from '../utils/gradeProvenance.js';
+import { invalidateRankings } from '../utils/rankingEngine.js';
 
 /**
  * Submit video for verification (Async Start)
@@ -95,6 +98,9 @@ async function processVideoJob(jobId, videoBuffer, userId, verificationCode) {
                 .eq('id', jobId);
         };
 
+        // Module names, coefficients and slots come from the curriculum
+        await loadCurriculum();
+
         // STEP 1: Frame Extraction
         await updateStatus('EXTRACTING_FRAMES');
         const frames = await extractFrames(videoBuffer, { fps: 1, maxFrames: 8 });
@@ -170,7 +176,8 @@ async function processVideoJob(jobId, videoBuffer, userId, verificationCode) {
         const { data: portalGrades } = await supabase
             .from('grades')
             .select('*')
-            .eq('user_id', userId);
+            .eq('user_id', userId)
+            .eq('semester', getActiveSemester());
 
         const credibility = compareGrades(temporal.finalGrades, portalGrades || []);
         console.log(`[VIDEO-VERIFY] Credibility: ${credibility.summary}`);
@@ -247,6 +254,17 @@ async function processVideoJob(jobId, videoBuffer, userId, verificationCode) {
                 .from('users')
                 .update({ is_verified: true })
                 .eq('id', userId);
+
+            // Slots the OCR confirmed now point to this job
+            try {
+                const slots = await applyOcrProvenance(userId, getActiveSemester(), credibility.details, GRADE_SOURCES.VIDEO, jobId, scoreResult.trustScore);
+                console.log(`[VIDEO-VERIFY] Provenance: ${slots} slot(s) confirmed by job ${jobId}`);
+            } catch (provenanceError) {
+                console.error('[VIDEO-VERIFY] Provenance update failed:', provenanceError.message);
+            }
+
+            // Verification status and slot provenance (tie-breakers) changed
+            invalidateRankings('notes vérifiées');
         }
 
         console.log(`[VIDEO-JOB] Job ${jobId} completed in ${processingTime}s`);
@@ -1,15 +1,21 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseFacultyCsv, formatRejectedReport } from './utils/facultyCsv.js';
 
-const fs = require('fs');
-const path = require('path');
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
-const inputFile = path.join(__dirname, 'data.txt');
+// Usage: node convert_data.js [input] [subject] [semestre]
+const inputFile = path.resolve(__dirname, process.argv[2] || 'data.txt');
 const outputFile = path.join(__dirname, 'seed_grades.sql');
 
-const data = fs.readFileSync(inputFile, 'utf8');
-const lines = data.split('\n');
+const parsed = parseFacultyCsv(fs.readFileSync(inputFile, 'utf8'));
 
-const subject = 'Algèbre 03';
-const semestre = 'S3';
+const subject = process.argv[3] || parsed.meta?.subject || 'Algèbre 03';
+const semestre = process.argv[4] || parsed.meta?.semester || 'S3';
+
+const sqlText = (value) => (value ? `'${value.replace(/'/g, "''")}'` : 'NULL');
 
 let sql = `
 -- Recreate table (Global Grades)
@@ -35,44 +41,11 @@ CREATE POLICY "Service Write" ON official_grades FOR ALL USING (true) WITH CHECK
 INSERT INTO official_grades (matricule, subject, semestre, final_note, absent, observation) VALUES
 `;
 
-const values = [];
-
-for (const line of lines) {
-    const parts = line.split(';');
-    if (parts.length < 4) continue;
-
-    const matricule = parts[0].trim();
-    if (!matricule || matricule.startsWith('Matricule') || matricule.includes('formation')) continue;
-
-    let rawNote = parts[3] ? parts[3].trim() : '';
-    let absent = false;
-
-    // Clean note
-    if (rawNote.includes('"')) rawNote = rawNote.replace(/"/g, '');
-    rawNote = rawNote.replace(',', '.').replace(';', '.');
-
-    let noteVal = 'NULL';
-
-    if (rawNote === '' || rawNote.toLowerCase() === 'absent') {
-        const absCol = parts[4] ? parts[4].trim() : '';
-        if (absCol || rawNote.toLowerCase() === 'absent') {
-            absent = true;
-        }
-    } else {
-        const parsed = parseFloat(rawNote);
-        if (!isNaN(parsed)) {
-            noteVal = parsed;
-        }
-    }
-
-    // Observation
-    const obs = parts[6] ? parts[6].trim() : '';
-    const safeObs = obs ? `'${obs.replace(/'/g, "''")}'` : 'NULL';
+const values = parsed.rows.map(r =>
+    `('${r.matricule}', ${sqlText(subject)}, '${semestre}', ${r.note ?? 'NULL'}, ${r.absent}, ${sqlText(r.observation)})`
+);
 
-    if (matricule.match(/^\d+$/) || matricule.startsWith('ES')) {
-        values.push(`('${matricule}', '${subject}', '${semestre}', ${noteVal}, ${absent}, ${safeObs})`);
-    }
-}
+console.log(formatRejectedReport(parsed.rejected));
 
 if (values.length > 0) {
     sql += values.join(',\n') + ';';
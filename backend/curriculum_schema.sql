@@ -0,0 +1,112 @@
+-- ═══════════════════════════════════════════════════
+-- CURRICULUM SCHEMA
+-- Programmes → levels → semesters → modules
+-- Single source of truth for subject names, coefficients,
+-- exam/TD weighting and OCR aliases.
+-- Run this in Supabase SQL Editor
+-- ═══════════════════════════════════════════════════
+
+-- 1. Programmes (e.g. MI — Mathématiques et Informatique)
+CREATE TABLE IF NOT EXISTS curriculum_programmes (
+    id bigint PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    code text UNIQUE NOT NULL,
+    name text NOT NULL,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- 2. Levels / promotions (e.g. MI2 — 2ème année, promotion 2024)
+CREATE TABLE IF NOT EXISTS curriculum_levels (
+    id bigint PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    programme_id bigint REFERENCES curriculum_programmes(id) ON DELETE CASCADE NOT NULL,
+    code text UNIQUE NOT NULL,
+    name text NOT NULL,
+    promotion text,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- 3. Semesters (S1–S6), one active semester per level
+CREATE TABLE IF NOT EXISTS curriculum_semesters (
+    id bigint PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    level_id bigint REFERENCES curriculum_levels(id) ON DELETE CASCADE NOT NULL,
+    code text NOT NULL CHECK (code IN ('S1', 'S2', 'S3', 'S4', 'S5', 'S6')),
+    name text NOT NULL,
+    position integer DEFAULT 0,
+    is_active boolean DEFAULT false,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    UNIQUE (level_id, code)
+);
+
+-- 4. Modules
+--    aliases:        other official names for the module (CSV exports, OCR)
+--    ocr_keywords:   lowercase fragments used to spot the module in OCR text
+--    empty_allowed:  slots the Progrès portal may legitimately leave blank
+--    optional_slots: slots tolerated as mismatches during credibility checks
+CREATE TABLE IF NOT EXISTS curriculum_modules (
+    id bigint PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    semester_id bigint REFERENCES curriculum_semesters(id) ON DELETE CASCADE NOT NULL,
+    name text NOT NULL,
+    short_code text,
+    coefficient numeric(4,2) NOT NULL DEFAULT 1 CHECK (coefficient > 0),
+    exam_weight numeric(4,2) NOT NULL DEFAULT 0.6 CHECK (exam_weight >= 0 AND exam_weight <= 1),
+    td_weight numeric(4,2) NOT NULL DEFAULT 0.4 CHECK (td_weight >= 0 AND td_weight <= 1),
+    has_td boolean NOT NULL DEFAULT true,
+    aliases text[] DEFAULT '{}',
+    ocr_keywords text[] DEFAULT '{}',
+    empty_allowed text[] DEFAULT '{}',
+    optional_slots text[] DEFAULT '{}',
+    position integer DEFAULT 0,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    UNIQUE (semester_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_curriculum_levels_programme ON curriculum_levels(programme_id);
+CREATE INDEX IF NOT EXISTS idx_curriculum_semesters_level ON curriculum_semesters(level_id);
+CREATE INDEX IF NOT EXISTS idx_curriculum_modules_semester ON curriculum_modules(semester_id);
+
+-- RLS: public read (guest mode needs the module list), service role writes
+ALTER TABLE curriculum_programmes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE curriculum_levels ENABLE ROW LEVEL SECURITY;
+ALTER TABLE curriculum_semesters ENABLE ROW LEVEL SECURITY;
+ALTER TABLE curriculum_modules ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Public read on programmes" ON curriculum_programmes FOR SELECT USING (true);
+CREATE POLICY "Public read on levels" ON curriculum_levels FOR SELECT USING (true);
+CREATE POLICY "Public read on semesters" ON curriculum_semesters FOR SELECT USING (true);
+CREATE POLICY "Public read on modules" ON curriculum_modules FOR SELECT USING (true);
+
+-- ═══════════════════════════════════════════════════
+-- SEED: MI2 promotion 2024 — Semestre 3 (active) and Semestre 4
+-- To onboard S4, insert its modules and flip is_active.
+-- ═══════════════════════════════════════════════════
+
+INSERT INTO curriculum_programmes (code, name) VALUES
+('MI', 'Mathématiques et Informatique')
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO curriculum_levels (programme_id, code, name, promotion)
+SELECT id, 'MI2', 'MI 2ème année', '2024' FROM curriculum_programmes WHERE code = 'MI'
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO curriculum_semesters (level_id, code, name, position, is_active)
+SELECT id, 'S3', 'Semestre 03', 3, true FROM curriculum_levels WHERE code = 'MI2'
+ON CONFLICT (level_id, code) DO NOTHING;
+
+INSERT INTO curriculum_semesters (level_id, code, name, position, is_active)
+SELECT id, 'S4', 'Semestre 04', 4, false FROM curriculum_levels WHERE code = 'MI2'
+ON CONFLICT (level_id, code) DO NOTHING;
+
+INSERT INTO curriculum_modules (semester_id, name, short_code, coefficient, exam_weight, td_weight, has_td, aliases, ocr_keywords, empty_allowed, optional_slots, position)
+SELECT s.id, m.name, m.short_code, m.coefficient, m.exam_weight, m.td_weight, m.has_td, m.aliases, m.ocr_keywords, m.empty_allowed, m.optional_slots, m.position
+FROM curriculum_semesters s
+JOIN curriculum_levels l ON l.id = s.level_id AND l.code = 'MI2'
+CROSS JOIN (VALUES
+    ('Analyse 03', 'ANA3', 5, 0.6, 0.4, true, ARRAY['Analyse 3'], ARRAY['analyse math', 'analyse 3', 'analyse 03', 'analyse'], ARRAY[]::text[], ARRAY[]::text[], 1),
+    ('Algèbre 03', 'ALG3', 3, 0.6, 0.4, true, ARRAY['Algèbre 3'], ARRAY['algèbre', 'algebre', 'algébre', 'alg 03', 'alg 3'], ARRAY[]::text[], ARRAY[]::text[], 2),
+    ('Économie d''entreprise', 'ECO', 2, 0.6, 0.4, true, ARRAY[]::text[], ARRAY['economie', 'économie', 'entreprise', 'eco entreprise'], ARRAY['exam', 'td'], ARRAY[]::text[], 3),
+    ('Probabilité et Statistique 01', 'PROBA1', 4, 0.6, 0.4, true, ARRAY['Probabilités et Statistiques 01'], ARRAY['probabilit', 'statistique', 'proba', 'prob stat'], ARRAY['td'], ARRAY['td'], 4),
+    ('Anglais 02', 'ANG2', 2, 1.0, 0.0, false, ARRAY[]::text[], ARRAY['anglais', 'english'], ARRAY['exam'], ARRAY[]::text[], 5),
+    ('SFSD', 'SFSD', 4, 0.6, 0.4, true, ARRAY[]::text[], ARRAY['sfsd', 'structure fichier', 'structures de donn', 'fichiers'], ARRAY[]::text[], ARRAY[]::text[], 6),
+    ('Architecture 02', 'ARCH2', 4, 0.6, 0.4, true, ARRAY['Architecture 2'], ARRAY['architecture', 'ordinateur', 'arch 02', 'arch 2'], ARRAY[]::text[], ARRAY[]::text[], 7),
+    ('Électronique Fondamentale 02', 'ELEC2', 4, 0.6, 0.4, true, ARRAY['Électronique 02'], ARRAY['electronique', 'électronique', 'fondamentale'], ARRAY[]::text[], ARRAY[]::text[], 8)
+) AS m(name, short_code, coefficient, exam_weight, td_weight, has_td, aliases, ocr_keywords, empty_allowed, optional_slots, position)
+WHERE s.code = 'S3'
+ON CONFLICT (semester_id, name) DO NOTHING;
@@ -1,4 +1,5 @@
 import fs from 'fs';
+import { parseFacultyCsv, formatRejectedReport } from './utils/facultyCsv.js';
 
 const csvData = `Matricule;Nom   ;Prénom;Note;Absent;Absence Justifiée;Observation;Section;Groupe
  232431545108;ABDENNOUZ/عبد النوز;KHADIDJA/خديجة;9,5;;;;;
@@ -146,31 +147,19 @@ const csvData = `Matricule;Nom   ;Prénom;Note;Absent;Absence Justifiée;Observa
  242433293509;YAHI/ياحي;MOUAD/معاد;8;;;;;
  242435558708;ZEGHDOUD/زغدود;RAFIK/رفيق;10,25;;;;;`;
 
-const rows = csvData.split('\n').filter(r => r.trim() !== '');
+const parsed = parseFacultyCsv(csvData);
 const values = [];
 
-rows.forEach((row, index) => {
-    if (index === 0) return; // Skip header
-    const cols = row.split(';');
-    const matricule = cols[0].trim();
-    let noteStr = cols[3].replace(/"/g, '').trim();
-
-    // Handle "10;25" error -> 10.25
-    if (noteStr.includes(';')) {
-        noteStr = noteStr.replace(';', '.');
-    } else {
-        noteStr = noteStr.replace(',', '.');
-    }
-
-    if (!matricule) return;
-
-    if (noteStr) {
-        values.push(`('${matricule}', 'Algèbre 03', ${noteStr})`);
+parsed.rows.forEach(({ matricule, note }) => {
+    if (note !== null) {
+        values.push(`('${matricule}', 'Algèbre 03', ${note})`);
     } else {
         console.log(`Skipping ${matricule} - No Grade`);
     }
 });
 
+console.log(formatRejectedReport(parsed.rejected));
+
 const sql = `
 -- Drop existing table if needed (safety check, or just delete rows)
 -- DELETE FROM official_grades WHERE subject = 'Algèbre 03';
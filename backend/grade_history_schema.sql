@@ -0,0 +1,31 @@
+-- ═══════════════════════════════════════════════════
+-- GRADE HISTORY — Audit trail of every grade change
+-- One row per changed mark (exam, TD, TP, rattrapage)
+-- Run this in Supabase SQL Editor
+-- ═══════════════════════════════════════════════════
+
+-- source:
+--   single  POST /api/grades
+--   batch   POST /api/grades/batch (Dashboard auto-save)
+--   undo    POST /api/grades/history/:id/undo
+-- user_verified: users.is_verified at the time of the change, to spot
+-- marks flipped right before / after a verification
+CREATE TABLE IF NOT EXISTS grade_history (
+    id bigint PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    subject text NOT NULL,
+    semester text NOT NULL,
+    field text NOT NULL CHECK (field IN ('exam_score', 'td_score', 'tp_score', 'rattrapage_score')),
+    old_value numeric(4,2),
+    new_value numeric(4,2),
+    source text NOT NULL DEFAULT 'single' CHECK (source IN ('single', 'batch', 'undo')),
+    user_verified boolean DEFAULT false,
+    ip_address text DEFAULT 'unknown',
+    user_agent text DEFAULT 'unknown',
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_grade_history_user ON grade_history(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_grade_history_created ON grade_history(created_at DESC);
+
+ALTER TABLE grade_history ENABLE ROW LEVEL SECURITY;
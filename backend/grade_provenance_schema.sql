@@ -0,0 +1,29 @@
+-- ═══════════════════════════════════════════════════
+-- GRADE PROVENANCE
+-- Where each grade slot (exam, TD) comes from, which job
+-- confirmed it and with what confidence (0-100)
+-- Run this in Supabase SQL Editor
+-- ═══════════════════════════════════════════════════
+
+-- Sources:
+--   manual          typed by the student, not confirmed
+--   official_csv    matches official_grades (faculty CSV import)
+--   screenshot_ocr  confirmed by a verified screenshot job
+--   video_ocr       confirmed by a verified video job
+-- *_job_id: grade_verifications.id (OCR) or reconciliation_jobs.id (official)
+
+ALTER TABLE grades ADD COLUMN IF NOT EXISTS exam_source text NOT NULL DEFAULT 'manual'
+    CHECK (exam_source IN ('manual', 'official_csv', 'screenshot_ocr', 'video_ocr'));
+ALTER TABLE grades ADD COLUMN IF NOT EXISTS exam_job_id text DEFAULT NULL;
+ALTER TABLE grades ADD COLUMN IF NOT EXISTS exam_confidence numeric(5,2) DEFAULT NULL
+    CHECK (exam_confidence >= 0 AND exam_confidence <= 100);
+
+ALTER TABLE grades ADD COLUMN IF NOT EXISTS td_source text NOT NULL DEFAULT 'manual'
+    CHECK (td_source IN ('manual', 'official_csv', 'screenshot_ocr', 'video_ocr'));
+ALTER TABLE grades ADD COLUMN IF NOT EXISTS td_job_id text DEFAULT NULL;
+ALTER TABLE grades ADD COLUMN IF NOT EXISTS td_confidence numeric(5,2) DEFAULT NULL
+    CHECK (td_confidence >= 0 AND td_confidence <= 100);
+
+-- Backfill: marks already matched against official grades
+UPDATE grades SET exam_source = 'official_csv', exam_confidence = 100 WHERE is_exam_verified = true;
+UPDATE grades SET td_source = 'official_csv', td_confidence = 100 WHERE is_td_verified = true;
@@ -0,0 +1,55 @@
+-- ═══════════════════════════════════════════════════
+-- GRADING FORMULA PER MODULE
+-- Exam/TD/TP weights, rattrapage (resit) session,
+-- eliminatory marks and ECTS credits by compensation.
+-- Run this in Supabase SQL Editor (after multi_semester_schema.sql)
+-- ═══════════════════════════════════════════════════
+
+-- 1. Module formula
+--    tp_weight:       weight of the TP mark (only when has_tp)
+--    rattrapage_mode: 'max'      → best of exam and rattrapage
+--                     'override' → rattrapage replaces the exam mark
+--    eliminatory_mark: module average below this blocks compensation
+--    credits:         ECTS credits acquired with the module
+ALTER TABLE curriculum_modules ADD COLUMN IF NOT EXISTS tp_weight numeric(4,2) NOT NULL DEFAULT 0
+    CHECK (tp_weight >= 0 AND tp_weight <= 1);
+ALTER TABLE curriculum_modules ADD COLUMN IF NOT EXISTS has_tp boolean NOT NULL DEFAULT false;
+ALTER TABLE curriculum_modules ADD COLUMN IF NOT EXISTS rattrapage_mode text NOT NULL DEFAULT 'max'
+    CHECK (rattrapage_mode IN ('max', 'override'));
+ALTER TABLE curriculum_modules ADD COLUMN IF NOT EXISTS eliminatory_mark numeric(4,2) DEFAULT NULL
+    CHECK (eliminatory_mark IS NULL OR (eliminatory_mark >= 0 AND eliminatory_mark <= 20));
+ALTER TABLE curriculum_modules ADD COLUMN IF NOT EXISTS credits integer NOT NULL DEFAULT 0
+    CHECK (credits >= 0);
+
+-- 2. Semester rules
+--    pass_average: semester/module validation mark (10/20)
+--    compensation: a validated semester acquires every module's credits
+ALTER TABLE curriculum_semesters ADD COLUMN IF NOT EXISTS pass_average numeric(4,2) NOT NULL DEFAULT 10;
+ALTER TABLE curriculum_semesters ADD COLUMN IF NOT EXISTS compensation boolean NOT NULL DEFAULT true;
+
+-- 3. Grades: TP and rattrapage marks
+ALTER TABLE grades ADD COLUMN IF NOT EXISTS tp_score numeric(4,2) DEFAULT NULL;
+ALTER TABLE grades ADD COLUMN IF NOT EXISTS rattrapage_score numeric(4,2) DEFAULT NULL;
+
+-- 4. Stored results
+ALTER TABLE subject_averages ADD COLUMN IF NOT EXISTS is_acquired boolean DEFAULT false;
+ALTER TABLE subject_averages ADD COLUMN IF NOT EXISTS credits_earned integer DEFAULT 0;
+ALTER TABLE semester_averages ADD COLUMN IF NOT EXISTS is_validated boolean DEFAULT false;
+ALTER TABLE semester_averages ADD COLUMN IF NOT EXISTS credits_earned integer DEFAULT 0;
+ALTER TABLE semester_averages ADD COLUMN IF NOT EXISTS credits_total integer DEFAULT 0;
+
+-- ═══════════════════════════════════════════════════
+-- SEED: MI2 S3 credits (30 ECTS per semester)
+-- ═══════════════════════════════════════════════════
+UPDATE curriculum_modules m SET credits = c.credits
+FROM (VALUES
+    ('Analyse 03', 6),
+    ('Algèbre 03', 4),
+    ('Économie d''entreprise', 1),
+    ('Probabilité et Statistique 01', 5),
+    ('Anglais 02', 1),
+    ('SFSD', 5),
+    ('Architecture 02', 4),
+    ('Électronique Fondamentale 02', 4)
+) AS c(name, credits), curriculum_semesters s
+WHERE m.name = c.name AND m.semester_id = s.id AND s.code = 'S3';
@@ -3,6 +3,7 @@ import path from 'path';
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
+import { parseFacultyCsv, formatRejectedReport } from './utils/facultyCsv.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,11 +21,10 @@ if (!supabaseUrl || !supabaseKey) {
 
 const supabase = createClient(supabaseUrl, supabaseKey);
 
-// Configuration
-const CSV_FILENAME = 'notes_examne_A2S1_ALGEBRE3_MI2_A.csv';
-const CSV_PATH = path.join(__dirname, `../${CSV_FILENAME}`); // Assumes file is in project root
-const MODULE_NAME = 'Algèbre 3';
-const SEMESTRE = 'S3';
+// Configuration — usage: node import_grades.js [file.csv] [module] [semestre]
+// Module and semestre default to the file's metadata line when present
+const CSV_FILENAME = process.argv[2] || 'notes_examne_A2S1_ALGEBRE3_MI2_A.csv';
+const CSV_PATH = path.resolve(__dirname, '..', CSV_FILENAME); // Relative paths start from the project root
 
 async function importGrades() {
     try {
@@ -35,78 +35,27 @@ async function importGrades() {
             return;
         }
 
-        const data = fs.readFileSync(CSV_PATH, 'utf8');
-        const lines = data.split('\n');
+        const parsed = parseFacultyCsv(fs.readFileSync(CSV_PATH, 'utf8'));
+        const MODULE_NAME = process.argv[3] || parsed.meta?.subject || 'Algèbre 3';
+        const SEMESTRE = process.argv[4] || parsed.meta?.semester || 'S3';
 
-        const grades = [];
-        let skipped = 0;
-
-        // Skip metadata (line 0) and header (line 1) -> Start at line 2?
-        // User provided file content:
-        // Line 1: formation de base...
-        // Line 2: Matricule;Nom...
-        // Line 3: Data...
-        const START_LINE = 2;
-
-        for (let i = START_LINE; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-
-            // Handle CSV splitting with regex to respect quotes (e.g., "10;25")
-            // This regex matches a semicolon only if it's followed by an even number of quotes
-            const parts = line.split(/;(?=(?:(?:[^"]*"){2})*[^"]*$)/);
-
-            if (parts.length < 4) {
-                skipped++;
-                continue; // Not data line
-            }
-
-            const matricule = parts[0].trim();
-            // Note is at index 3
-
-            // Check formatted note
-            let rawNote = parts[3] ? parts[3].trim() : '';
-
-            // Remove surrounding quotes if present
-            if (rawNote.startsWith('"') && rawNote.endsWith('"')) {
-                rawNote = rawNote.slice(1, -1);
-            }
-
-            // Normalize decimal (10,5 -> 10.5, 10;25 -> 10.25)
-            // If rawNote came from "10;25", it is now 10;25. Replace ; with .
-            rawNote = rawNote.replace(',', '.').replace(';', '.');
-
-            let note = null;
-            let absent = false;
-
-            if (rawNote === '' || rawNote.toLowerCase() === 'absent') {
-                // Check 'Absent' column (index 4) or if Note itself says Absent
-                if ((parts[4] && parts[4].trim() !== '') || rawNote.toLowerCase() === 'absent') {
-                    absent = true;
-                }
-            } else {
-                note = parseFloat(rawNote);
-                if (isNaN(note)) {
-                    // Maybe it's not a number check for observation?
-                    if (rawNote.length > 5) { // Assuming notes are short
-                        // Log warning but continue
-                    }
-                }
-            }
-
-            // Only add if we have a valid matricule (digits or ES...)
-            if (matricule && (matricule.match(/^\d+$/) || matricule.startsWith('ES'))) {
-                grades.push({
-                    matricule,
-                    module: MODULE_NAME,
-                    semestre: SEMESTRE,
-                    note: isNaN(note) ? null : note,
-                    absent: absent,
-                    observation: parts[6] ? parts[6].trim() : null
-                });
-            }
+        if (parsed.columns.note === undefined) {
+            console.error('No grade column found in this file.');
+            console.log(formatRejectedReport(parsed.rejected));
+            return;
         }
 
+        const grades = parsed.rows.map(r => ({
+            matricule: r.matricule,
+            module: MODULE_NAME,
+            semestre: SEMESTRE,
+            note: r.note,
+            absent: r.absent,
+            observation: r.observation
+        }));
+
+        console.log(`Module: ${MODULE_NAME} (${SEMESTRE})`);
+        console.log(formatRejectedReport(parsed.rejected));
         console.log(`Parsed ${grades.length} grades.`);
 
         // Batch upsert
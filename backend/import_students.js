@@ -3,6 +3,7 @@ import path from 'path';
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
+import { parseFacultyCsv, formatRejectedReport } from './utils/facultyCsv.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,42 +21,26 @@ if (!supabaseUrl || !supabaseKey) {
 
 const supabase = createClient(supabaseUrl, supabaseKey);
 
-// Adjust path to point to the CSV file in the root 'prototype' folder
-const CSV_FILE = path.join(__dirname, '../notes_examne_A2S1_ALGEBRE3_MI2_A.csv');
+// Usage: node import_students.js [file.csv] — relative paths start from the project root
+const CSV_FILE = path.resolve(__dirname, '..', process.argv[2] || 'notes_examne_A2S1_ALGEBRE3_MI2_A.csv');
 
 async function importStudents() {
     try {
         console.log(`Reading CSV from: ${CSV_FILE}`);
-        const data = fs.readFileSync(CSV_FILE, 'utf8');
-        const lines = data.split('\n');
-
-        const students = [];
-
-        // Skip header (line 0)
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-
-            const parts = line.split(';');
-            if (parts.length < 7) continue;
-
-            const matricule = parts[0].trim();
-            const nom_fr = parts[3].trim();
-            const nom_ar = parts[4].trim();
-            const prenom_fr = parts[5].trim();
-            const prenom_ar = parts[6].trim();
-
-            if (matricule && nom_fr) {
-                students.push({
-                    matricule,
-                    nom_fr,
-                    nom_ar,
-                    prenom_fr,
-                    prenom_ar
-                });
-            }
-        }
-
+        const parsed = parseFacultyCsv(fs.readFileSync(CSV_FILE, 'utf8'));
+
+        // Any export with a Matricule column and names works (names list, grade exports)
+        const students = parsed.rows
+            .filter(r => r.nom_fr)
+            .map(r => ({
+                matricule: r.matricule,
+                nom_fr: r.nom_fr,
+                nom_ar: r.nom_ar,
+                prenom_fr: r.prenom_fr,
+                prenom_ar: r.prenom_ar
+            }));
+
+        console.log(formatRejectedReport(parsed.rejected));
         console.log(`Found ${students.length} students to import.`);
 
         // Batch insert (Supabase limit is usually 1000 rows per request)
@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import { supabase } from '../config/db.js';
+import { isSessionActive } from '../utils/sessions.js';
 
 export const protect = async (req, res, next) => {
     let token;
@@ -9,9 +10,14 @@ export const protect = async (req, res, next) => {
             token = req.headers.authorization.split(' ')[1];
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+            // Access tokens are bound to a session: reject legacy tokens and revoked devices
+            if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+                return res.status(401).json({ message: 'Session expirée' });
+            }
+
             const { data: user, error } = await supabase
                 .from('users')
-                .select('id, student_id, alias, is_verified')
+                .select('id, student_id, alias, is_verified, role')
                 .eq('id', decoded.id)
                 .single();
 
@@ -19,7 +25,7 @@ export const protect = async (req, res, next) => {
                 return res.status(401).json({ message: 'Non autorisé' });
             }
 
-            req.user = { id: user.id, studentId: user.student_id, alias: user.alias, isVerified: user.is_verified };
+            req.user = { id: user.id, studentId: user.student_id, alias: user.alias, isVerified: user.is_verified, role: user.role || 'student', sessionId: decoded.sid };
             next();
         } catch (error) {
             res.status(401).json({ message: 'Non autorisé, token invalide' });
@@ -37,3 +43,12 @@ export const verifiedOnly = (req, res, next) => {
         res.status(403).json({ message: 'Accès refusé. Vérification requise.' });
     }
 };
+
+// Middleware to restrict access to admins (back-office)
+export const adminOnly = (req, res, next) => {
+    if (req.user && req.user.role === 'admin') {
+        next();
+    } else {
+        res.status(403).json({ message: 'Accès refusé. Réservé aux administrateurs.' });
+    }
+};
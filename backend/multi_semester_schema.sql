@@ -0,0 +1,58 @@
+-- ═══════════════════════════════════════════════════
+-- MULTI-SEMESTER & ANNUAL AVERAGES
+-- Grades are tagged with their semester (S1–S6); averages are
+-- stored per semester and per academic year (level).
+-- `averages` keeps the active semester's general average.
+-- Run this in Supabase SQL Editor (after curriculum_schema.sql)
+-- ═══════════════════════════════════════════════════
+
+-- 1. Tag grades with a semester (existing rows are S3)
+ALTER TABLE grades ADD COLUMN IF NOT EXISTS semester text NOT NULL DEFAULT 'S3'
+    CHECK (semester IN ('S1', 'S2', 'S3', 'S4', 'S5', 'S6'));
+CREATE INDEX IF NOT EXISTS idx_grades_user_semester ON grades(user_id, semester);
+
+-- Same tag on subject averages (subject names are unique per semester,
+-- a name reused in another semester is another row)
+ALTER TABLE subject_averages ADD COLUMN IF NOT EXISTS semester text NOT NULL DEFAULT 'S3'
+    CHECK (semester IN ('S1', 'S2', 'S3', 'S4', 'S5', 'S6'));
+ALTER TABLE subject_averages DROP CONSTRAINT IF EXISTS subject_averages_user_id_subject_key;
+CREATE UNIQUE INDEX IF NOT EXISTS subject_averages_user_subject_semester_key
+    ON subject_averages(user_id, subject, semester);
+
+-- 2. Per-semester general averages
+CREATE TABLE IF NOT EXISTS semester_averages (
+    id bigint PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    semester text NOT NULL CHECK (semester IN ('S1', 'S2', 'S3', 'S4', 'S5', 'S6')),
+    general_average numeric(5,3) NOT NULL,
+    total_coefficient numeric(5,2) NOT NULL,
+    last_calculated timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    UNIQUE (user_id, semester)
+);
+
+CREATE INDEX IF NOT EXISTS idx_semester_averages_ranking ON semester_averages(semester, general_average DESC);
+
+-- 3. Annual averages (e.g. MI2 = S3 + S4)
+--    semesters:   semesters that had grades when the average was computed
+--    is_complete: true once every semester of the year is included
+CREATE TABLE IF NOT EXISTS annual_averages (
+    id bigint PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    level_code text NOT NULL,
+    annual_average numeric(5,3) NOT NULL,
+    semesters text[] NOT NULL DEFAULT '{}',
+    is_complete boolean NOT NULL DEFAULT false,
+    last_calculated timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    UNIQUE (user_id, level_code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_annual_averages_ranking ON annual_averages(level_code, annual_average DESC);
+
+-- RLS: backend uses the service role
+ALTER TABLE semester_averages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE annual_averages ENABLE ROW LEVEL SECURITY;
+
+-- 4. Backfill semester averages from the current S3 averages
+INSERT INTO semester_averages (user_id, semester, general_average, total_coefficient)
+SELECT user_id, 'S3', general_average, 28 FROM averages
+ON CONFLICT (user_id, semester) DO NOTHING;
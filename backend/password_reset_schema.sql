@@ -0,0 +1,23 @@
+-- ═══════════════════════════════════════════════════
+-- PASSWORD RESET — One-time tokens issued after a
+-- successful student-card check (no email available)
+-- Run this in Supabase SQL Editor
+-- ═══════════════════════════════════════════════════
+
+-- Flow:
+--   POST /api/auth/password-reset/verify    card photo + matricule → token (15 min)
+--   POST /api/auth/password-reset/complete  token + new password → all sessions revoked
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    token_hash text NOT NULL UNIQUE,              -- SHA-256 of the token sent to the client
+    confidence_score integer,                     -- Card trust score that unlocked the reset
+    ip_address text DEFAULT 'unknown',
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    expires_at timestamp with time zone NOT NULL,
+    used_at timestamp with time zone
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_user ON password_reset_tokens(user_id);
+
+ALTER TABLE password_reset_tokens ENABLE ROW LEVEL SECURITY;
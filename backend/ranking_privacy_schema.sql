@@ -0,0 +1,24 @@
+-- ═══════════════════════════════════════════════════
+-- RANKING PRIVACY — Privacy level and per-scope visibility
+-- How (and whether) a student is listed in public rankings
+-- Run this in Supabase SQL Editor
+-- ═══════════════════════════════════════════════════
+
+-- 1. display_mode becomes the privacy level:
+--      hidden      not listed to others (still ranked, sees own rank)
+--      alias       listed under the alias
+--      aliasGroup  listed under the alias with the roster group / section
+--    NULL = not configured yet (profile setup screen).
+--    The raw student number is no longer a display option.
+UPDATE users SET display_mode = 'alias' WHERE display_mode IS NOT NULL AND display_mode NOT IN ('hidden', 'alias', 'aliasGroup');
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_display_mode_check;
+ALTER TABLE users ADD CONSTRAINT users_display_mode_check
+    CHECK (display_mode IS NULL OR display_mode IN ('hidden', 'alias', 'aliasGroup'));
+
+-- 2. Rankings the student is listed in (e.g. group but not general)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS ranking_scopes text[] NOT NULL DEFAULT ARRAY['general', 'subject', 'group'];
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_ranking_scopes_check;
+ALTER TABLE users ADD CONSTRAINT users_ranking_scopes_check
+    CHECK (ranking_scopes <@ ARRAY['general', 'subject', 'group']);
@@ -0,0 +1,71 @@
+-- ═══════════════════════════════════════════════════
+-- RANKING SNAPSHOTS — Rank / average history per scope
+-- Taken after full rebuilds and official imports
+-- Run this in Supabase SQL Editor
+-- ═══════════════════════════════════════════════════
+
+-- scope / scope_key:
+--   general  ''            active semester general ranking
+--   subject  module name   one module of the active semester
+--   group    A1..A4        general average inside a group
+-- trigger:
+--   refresh          POST /api/admin/rankings/rebuild (full rebuild), or
+--                    POST /api/rankings/refresh (at most one per hour)
+--   official_import  reconciliation finished after a faculty CSV import
+--   reconciliation   reconciliation started by hand (POST /api/admin/reconciliation)
+CREATE TABLE IF NOT EXISTS ranking_snapshots (
+    id bigint PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    scope text NOT NULL CHECK (scope IN ('general', 'subject', 'group')),
+    scope_key text NOT NULL DEFAULT '',
+    semester text,
+    trigger text NOT NULL CHECK (trigger IN ('refresh', 'official_import', 'reconciliation')),
+    triggered_by uuid REFERENCES users(id) ON DELETE SET NULL,
+    rank_method text NOT NULL DEFAULT 'competition',
+    total integer NOT NULL DEFAULT 0,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_ranking_snapshots_scope ON ranking_snapshots(scope, scope_key, semester, created_at DESC);
+
+-- Deleted with the account (FK cascade)
+CREATE TABLE IF NOT EXISTS ranking_snapshot_entries (
+    snapshot_id bigint REFERENCES ranking_snapshots(id) ON DELETE CASCADE NOT NULL,
+    user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    rank integer NOT NULL,
+    average numeric(5,2) NOT NULL,
+    PRIMARY KEY (snapshot_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ranking_snapshot_entries_user ON ranking_snapshot_entries(user_id, snapshot_id DESC);
+
+ALTER TABLE ranking_snapshots ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ranking_snapshot_entries ENABLE ROW LEVEL SECURITY;
+
+-- Header + entries in one transaction
+CREATE OR REPLACE FUNCTION save_ranking_snapshot(
+    p_scope text,
+    p_scope_key text,
+    p_semester text,
+    p_trigger text,
+    p_entries jsonb,
+    p_triggered_by uuid DEFAULT NULL,
+    p_rank_method text DEFAULT 'competition'
+) RETURNS bigint
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_snapshot_id bigint;
+BEGIN
+    INSERT INTO ranking_snapshots (scope, scope_key, semester, trigger, triggered_by, rank_method, total)
+    VALUES (p_scope, COALESCE(p_scope_key, ''), p_semester, p_trigger, p_triggered_by, p_rank_method,
+            jsonb_array_length(COALESCE(p_entries, '[]'::jsonb)))
+    RETURNING id INTO v_snapshot_id;
+
+    INSERT INTO ranking_snapshot_entries (snapshot_id, user_id, rank, average)
+    SELECT v_snapshot_id, e.user_id, e.rank, e.average
+    FROM jsonb_to_recordset(COALESCE(p_entries, '[]'::jsonb))
+        AS e(user_id uuid, rank integer, average numeric);
+
+    RETURN v_snapshot_id;
+END;
+$$;
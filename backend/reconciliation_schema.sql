@@ -0,0 +1,42 @@
+-- ═══════════════════════════════════════════════════
+-- GRADE RECONCILIATION
+-- Re-checks users' grades against official_grades after each
+-- import (or on demand) and keeps a per-user diff of what changed
+-- Run this in Supabase SQL Editor
+-- ═══════════════════════════════════════════════════
+
+-- 1. Reconciliation jobs (one per import / manual run)
+CREATE TABLE IF NOT EXISTS reconciliation_jobs (
+    id bigint PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    import_id bigint REFERENCES official_grade_imports(id) ON DELETE SET NULL,
+    triggered_by uuid REFERENCES users(id) ON DELETE SET NULL,
+    subject text DEFAULT NULL,          -- NULL = every module
+    semestre text DEFAULT NULL,         -- NULL = every semester
+    status text NOT NULL DEFAULT 'PROCESSING' CHECK (status IN ('PROCESSING', 'COMPLETED', 'FAILED')),
+    grades_checked integer NOT NULL DEFAULT 0,
+    grades_changed integer NOT NULL DEFAULT 0,
+    users_changed integer NOT NULL DEFAULT 0,
+    error_message text,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    finished_at timestamp with time zone
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_jobs_created ON reconciliation_jobs(created_at DESC);
+
+ALTER TABLE reconciliation_jobs ENABLE ROW LEVEL SECURITY;
+
+-- 2. Per-user diffs
+--    changes: [{ subject, semester, field, before, after }]
+--    field:   'is_exam_verified' | 'is_td_verified' | 'exam_source' | 'td_source'
+CREATE TABLE IF NOT EXISTS reconciliation_diffs (
+    id bigint PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    job_id bigint REFERENCES reconciliation_jobs(id) ON DELETE CASCADE NOT NULL,
+    user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    changes jsonb NOT NULL DEFAULT '[]'::jsonb,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_diffs_job ON reconciliation_diffs(job_id);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_diffs_user ON reconciliation_diffs(user_id);
+
+ALTER TABLE reconciliation_diffs ENABLE ROW LEVEL SECURITY;
@@ -1,22 +1,7 @@
-import dotenv from 'dotenv';
-dotenv.config();
-
-import { createClient } from '@supabase/supabase-js';
-
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
-
-const SUBJECTS = [
-    { name: 'Analyse 03', coefficient: 5 },
-    { name: 'Algèbre 03', coefficient: 3 },
-    { name: 'Économie d\'entreprise', coefficient: 2 },
-    { name: 'Probabilité et Statistique 01', coefficient: 4 },
-    { name: 'Anglais 02', coefficient: 2 },
-    { name: 'SFSD', coefficient: 4 },
-    { name: 'Architecture 02', coefficient: 4 },
-    { name: 'Électronique Fondamentale 02', coefficient: 4 },
-];
-
-const TOTAL_COEF = 28;
+import { supabase } from './config/db.js';
+import { loadCurriculum } from './utils/curriculum.js';
+import { computeUserAverages, toAverageRows } from './utils/averageCalculator.js';
+import { saveAverages, collectAverageRows } from './utils/averageStore.js';
 
 const refreshRankings = async () => {
     console.log('🚀 Calcul des moyennes et mise à jour du classement...');
@@ -28,6 +13,12 @@ const refreshRankings = async () => {
         return;
     }
 
+    const curriculum = await loadCurriculum();
+    if (!curriculum.activeSemester) {
+        console.error('❌ Aucun module dans le programme actif (curriculum_modules)');
+        process.exit(1);
+    }
+
     console.log(`👤 Traitement de ${users.length} étudiants...`);
 
     let count = 0;
@@ -43,60 +34,16 @@ const refreshRankings = async () => {
             .select('*')
             .in('user_id', userIds);
 
-        const updatesAverages = [];
-        const updatesSubjectAverages = [];
-
-        // Process each user
-        batch.forEach(user => {
+        // Process each user: semester, annual and active-semester averages
+        const rows = collectAverageRows(batch.map(user => {
             const userGrades = grades.filter(g => g.user_id === user.id);
+            return toAverageRows(user.id, computeUserAverages(userGrades, curriculum), curriculum.activeSemester);
+        }));
 
-            let totalWeightedSum = 0;
-            let hasGrades = false;
-
-            // Calculate subject averages
-            SUBJECTS.forEach(subject => {
-                const grade = userGrades.find(g => g.subject === subject.name);
-                if (grade) {
-                    const avg = (grade.exam_score * 0.6) + (grade.td_score * 0.4);
-                    updatesSubjectAverages.push({
-                        user_id: user.id,
-                        subject: subject.name,
-                        average: avg
-                    });
-                    totalWeightedSum += avg * subject.coefficient;
-                    hasGrades = true;
-                }
-            });
-
-            // Calculate general average
-            if (hasGrades) {
-                const generalAverage = totalWeightedSum / TOTAL_COEF;
-                updatesAverages.push({
-                    user_id: user.id,
-                    general_average: generalAverage,
-                    last_calculated: new Date().toISOString()
-                });
-            }
-        });
-
-        // Bulk upsert subject averages
-        if (updatesSubjectAverages.length > 0) {
-            // Check duplicates logic if needed, but upsert with user_id,subject conflict should work if constraint exists
-            // Assuming primary key or unique constraint on (user_id, subject) for subject_averages
-            const { error: subError } = await supabase
-                .from('subject_averages')
-                .upsert(updatesSubjectAverages, { onConflict: 'user_id,subject' });
-
-            if (subError) console.error('  ⚠️ Erreur subject_averages:', subError.message);
-        }
-
-        // Bulk upsert general averages
-        if (updatesAverages.length > 0) {
-            const { error: avgError } = await supabase
-                .from('averages')
-                .upsert(updatesAverages, { onConflict: 'user_id' });
-
-            if (avgError) console.error('  ⚠️ Erreur averages:', avgError.message);
+        try {
+            await saveAverages(rows);
+        } catch (err) {
+            console.error('  ⚠️ Erreur moyennes:', err.message);
         }
 
         count += batch.length;
@@ -0,0 +1,26 @@
+-- ═══════════════════════════════════════════════════
+-- ROSTER-GATED REGISTRATION
+-- Matricule prefixes accepted per promotion; registration
+-- looks the matricule up in students_list by its kernel
+-- Run this in Supabase SQL Editor (after curriculum_schema.sql)
+-- ═══════════════════════════════════════════════════
+
+-- cohort_prefixes: leading part of the matricule for this promotion.
+-- Everything after the prefix is the kernel matched against
+-- students_list (faculty exports use 2224/2324/2424, cards use 2024...)
+ALTER TABLE curriculum_levels ADD COLUMN IF NOT EXISTS cohort_prefixes text[] NOT NULL DEFAULT '{}';
+
+UPDATE curriculum_levels
+SET cohort_prefixes = ARRAY['ES162220252424', '2024', '2224', '2324', '2424']
+WHERE code = 'MI2' AND cohort_prefixes = '{}';
+
+
+-- One account per student whatever the prefix: the kernel (last 8 digits,
+-- see utils/matricule.js) is stored and unique, so two concurrent
+-- registrations with different prefixes can't both pass.
+-- Existing duplicates must be merged first:
+--   SELECT right(student_id, 8), array_agg(student_id) FROM users
+--   WHERE student_id IS NOT NULL GROUP BY 1 HAVING count(*) > 1;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS student_kernel text
+    GENERATED ALWAYS AS (right(student_id, 8)) STORED;
+CREATE UNIQUE INDEX IF NOT EXISTS users_student_kernel_key ON users(student_kernel);
@@ -0,0 +1,31 @@
+import express from 'express';
+import multer from 'multer';
+import {
+    importOfficialGrades,
+    getOfficialImports,
+    runReconciliation,
+    getReconciliationJobs,
+    getReconciliationJob,
+    rebuildRankings
+} from '../controllers/adminController.js';
+import { protect, adminOnly } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// CSV exports stay in memory (a few hundred lines)
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } }); // 5MB limit
+
+router.use(protect, adminOnly);
+
+router.post('/official-grades/import', upload.single('file'), importOfficialGrades);
+router.get('/official-grades/imports', getOfficialImports);
+
+// Re-verification of stored grades (also started after every import)
+router.post('/reconciliation', runReconciliation);
+router.get('/reconciliation', getReconciliationJobs);
+router.get('/reconciliation/:id', getReconciliationJob);
+
+// Full averages rebuild (POST /api/rankings/refresh only recomputes the caller)
+router.post('/rankings/rebuild', rebuildRankings);
+
+export default router;
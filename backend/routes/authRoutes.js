@@ -1,7 +1,13 @@
 import express from 'express';
 import multer from 'multer';
-import { authUser, registerUser, getUserProfile, checkAlias, updateProfile } from '../controllers/authController.js';
+import {
+    authUser, registerUser, getUserProfile, checkAlias, getAliasHistory, updateProfile,
+    refreshSession, logoutUser, getSessions, deleteSession, logoutAll
+} from '../controllers/authController.js';
 import { verifyStudent } from '../controllers/verificationController.js';
+import { setupTwoFactor, verifyTwoFactor, disableTwoFactor } from '../controllers/twoFactorController.js';
+import { requestPasswordReset, completePasswordReset } from '../controllers/passwordResetController.js';
+import { exportMyData, deleteMyAccount } from '../controllers/accountController.js';
 import { protect } from '../middleware/authMiddleware.js';
 import rateLimit from 'express-rate-limit';
 
@@ -23,9 +29,31 @@ const verifyLimiter = rateLimit({
     message: 'Trop de tentatives de vérification. Attendez 15 minutes.',
 });
 
+const twoFactorLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: 'Trop de tentatives, réessayez plus tard',
+});
+
 router.post('/register', registerUser);
 router.post('/login', loginLimiter, authUser);
+router.post('/refresh', rateLimit({ windowMs: 15 * 60 * 1000, max: 60 }), refreshSession);
+router.post('/logout', logoutUser);
+router.post('/logout-all', protect, logoutAll);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, deleteSession);
+router.post('/password-reset/verify', verifyLimiter, upload.fields([
+    { name: 'studentCard', maxCount: 1 }
+]), requestPasswordReset);
+router.post('/password-reset/complete', loginLimiter, completePasswordReset);
 router.get('/me', protect, getUserProfile);
+router.get('/me/export', protect, rateLimit({ windowMs: 15 * 60 * 1000, max: 5 }), exportMyData);
+router.delete('/me', protect, loginLimiter, deleteMyAccount);
+router.post('/2fa/setup', protect, twoFactorLimiter, setupTwoFactor);
+router.post('/2fa/verify', protect, twoFactorLimiter, verifyTwoFactor);
+router.post('/2fa/disable', protect, twoFactorLimiter, disableTwoFactor);
+router.get('/check-alias/:alias', protect, rateLimit({ windowMs: 15 * 60 * 1000, max: 100 }), checkAlias);
+router.get('/alias/:alias/history', protect, getAliasHistory);
 router.put('/profile', protect, rateLimit({ windowMs: 15 * 60 * 1000, max: 20 }), updateProfile);
 router.post('/verify', protect, verifyLimiter, upload.fields([
     { name: 'studentCard', maxCount: 1 }
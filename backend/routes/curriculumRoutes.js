@@ -0,0 +1,9 @@
+import express from 'express';
+import { getCurriculum } from '../controllers/curriculumController.js';
+
+const router = express.Router();
+
+// Public: guest mode also needs the module list
+router.get('/', getCurriculum);
+
+export default router;
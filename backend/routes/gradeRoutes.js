@@ -1,6 +1,6 @@
 import express from 'express';
 import multer from 'multer';
-import { addGrade, batchAddGrades, getMyGrades, getMyAverages, recalcAverages } from '../controllers/gradeController.js';
+import { addGrade, batchAddGrades, getMyGrades, getMyAverages, recalcAverages, getGradeHistory, undoGradeChange } from '../controllers/gradeController.js';
 import { generateCode, submitVerification, getVerificationStatus } from '../controllers/gradeVerificationController.js';
 import { submitVideoVerification, getVideoVerificationStatus } from '../controllers/videoVerificationController.js';
 import { protect } from '../middleware/authMiddleware.js';
@@ -17,6 +17,10 @@ router.post('/batch', protect, batchAddGrades);
 router.post('/recalc', protect, recalcAverages);
 router.get('/averages', protect, getMyAverages);
 
+// Grade history (audit trail + undo)
+router.get('/history', protect, getGradeHistory);
+router.post('/history/:id/undo', protect, undoGradeChange);
+
 // Grade Verification (Screenshot - to be refactored)
 router.get('/verify/code', protect, generateCode);
 router.post('/verify/submit', protect, upload.fields([{ name: 'tdScreenshot', maxCount: 1 }, { name: 'examScreenshot', maxCount: 1 }]), submitVerification);
@@ -1,13 +1,20 @@
 import express from 'express';
-import { getGeneralRanking, getSubjectRanking, getGroupRanking, refreshRankings } from '../controllers/rankingController.js';
+import rateLimit from 'express-rate-limit';
+import { getGeneralRanking, getSubjectRanking, getGroupRanking, refreshRankings, getMyRankHistory, streamRanking, getRankingQuery, getRankingFilters } from '../controllers/rankingController.js';
 import { protect, verifiedOnly } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-router.post('/refresh', protect, verifiedOnly, refreshRankings);
+// Recomputes the caller's averages only; the limit stops cache-busting loops
+router.post('/refresh', protect, verifiedOnly, rateLimit({ windowMs: 60 * 1000, max: 6 }), refreshRankings);
 router.get('/general', protect, verifiedOnly, getGeneralRanking);
 router.get('/subject/:subject', protect, verifiedOnly, getSubjectRanking);
 router.get('/group/:group', protect, verifiedOnly, getGroupRanking);
+router.get('/query', protect, verifiedOnly, getRankingQuery);
+router.get('/filters', protect, verifiedOnly, getRankingFilters);
+router.get('/history', protect, verifiedOnly, getMyRankHistory);
+// Server-Sent Events: ranking deltas as averages change
+router.get('/stream', protect, verifiedOnly, streamRanking);
 
 export default router;
 
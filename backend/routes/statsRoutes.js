@@ -0,0 +1,10 @@
+import express from 'express';
+import { getScopeStats, getGroupAggregates } from '../controllers/statsController.js';
+import { protect, verifiedOnly } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.get('/groups', protect, verifiedOnly, getGroupAggregates);
+router.get('/:scope', protect, verifiedOnly, getScopeStats);
+
+export default router;
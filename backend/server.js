@@ -6,10 +6,15 @@ import { connectDB } from './config/db.js';
 import authRoutes from './routes/authRoutes.js';
 import gradeRoutes from './routes/gradeRoutes.js';
 import rankingRoutes from './routes/rankingRoutes.js';
+import curriculumRoutes from './routes/curriculumRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import statsRoutes from './routes/statsRoutes.js';
+import { loadCurriculum } from './utils/curriculum.js';
 
 dotenv.config();
 
 await connectDB();
+await loadCurriculum();
 
 const app = express();
 
@@ -30,6 +35,9 @@ app.get('/', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/grades', gradeRoutes);
 app.use('/api/rankings', rankingRoutes);
+app.use('/api/curriculum', curriculumRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/stats', statsRoutes);
 
 app.use((err, req, res, next) => {
     const statusCode = res.statusCode === 200 ? 500 : res.statusCode;
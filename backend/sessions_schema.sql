@@ -0,0 +1,24 @@
+-- ═══════════════════════════════════════════════════
+-- SESSIONS — Refresh tokens (one row per device)
+-- Access tokens live 15 minutes; the refresh token (httpOnly
+-- cookie) rotates on every POST /api/auth/refresh
+-- Run this in Supabase SQL Editor
+-- ═══════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS sessions (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    refresh_token_hash text NOT NULL UNIQUE,       -- SHA-256 of the current refresh token
+    previous_token_hash text,                      -- Last rotated token, to detect reuse
+    user_agent text DEFAULT 'unknown',
+    ip_address text DEFAULT 'unknown',
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    last_used_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    expires_at timestamp with time zone NOT NULL,
+    revoked_at timestamp with time zone
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_previous_hash ON sessions(previous_token_hash);
+
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
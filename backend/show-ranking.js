@@ -1,13 +1,13 @@
 import dotenv from 'dotenv';
 dotenv.config();
 import { createClient } from '@supabase/supabase-js';
+import { privacyOf, isVisibleTo } from './utils/rankingPrivacy.js';
 
 const s = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
 
 const { data } = await s.from('averages')
-    .select('general_average, users(alias)')
-    .order('general_average', { ascending: false })
-    .limit(20);
+    .select('general_average, users(alias, display_mode, ranking_scopes)')
+    .order('general_average', { ascending: false });
 
 // Map to same format
 if (!data) {
@@ -15,12 +15,16 @@ if (!data) {
     process.exit(1);
 }
 
-const sorted = data.map(i => ({ alias: i.users.alias, avg: i.general_average }));
+// Same privacy rules as the ranking lists: hidden students keep their rank but aren't printed
+const sorted = data
+    .map((i, index) => ({ rank: index + 1, alias: i.users.alias, avg: i.general_average, privacy: privacyOf(i.users) }))
+    .filter(u => isVisibleTo(u, ['general'], null))
+    .slice(0, 20);
 
 console.log('🏆 TOP 20 CLASSEMENT GÉNÉRAL (Depuis la table averages):\n');
-sorted.forEach((u, i) => {
-    const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : '  ';
-    console.log(`${medal} ${String(i + 1).padStart(2)}. @${u.alias.padEnd(20)} ${u.avg.toFixed(2)}`);
+sorted.forEach((u) => {
+    const medal = u.rank === 1 ? '🥇' : u.rank === 2 ? '🥈' : u.rank === 3 ? '🥉' : '  ';
+    console.log(`${medal} ${String(u.rank).padStart(2)}. @${u.alias.padEnd(20)} ${u.avg.toFixed(2)}`);
 });
 
 const { count } = await s.from('averages').select('*', { count: 'exact', head: true });
@@ -0,0 +1,13 @@
+-- ═══════════════════════════════════════════════════
+-- TWO-FACTOR AUTHENTICATION (TOTP)
+-- Optional authenticator-app codes checked at login
+-- Run this in Supabase SQL Editor
+-- ═══════════════════════════════════════════════════
+
+-- totp_secret: base32 secret, set by /2fa/setup, active once totp_enabled
+-- totp_last_step: last accepted 30s time step (a code can't be replayed)
+-- totp_recovery_codes: SHA-256 hashes of the unused one-time recovery codes
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret text DEFAULT NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled boolean NOT NULL DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step bigint DEFAULT NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_recovery_codes text[] NOT NULL DEFAULT '{}';
@@ -0,0 +1,126 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * ALIAS POLICY — Format, reserved names and offensive words
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Aliases are public on every ranking, so they are checked before
+ * availability: 3–20 characters, letters/digits/_ . -, starting with a
+ * letter, no matricule-like digit runs, no reserved or offensive word.
+ * Offensive words are matched in French, English and Arabic
+ * transliterations (Darija / arabizi, where digits stand for letters).
+ */
+
+export const ALIAS_MIN_LENGTH = 3;
+export const ALIAS_MAX_LENGTH = 20;
+export const ALIAS_CHANGE_COOLDOWN_DAYS = 14;
+export const ALIAS_RELEASE_DAYS = 30;
+
+const ALIAS_PATTERN = /^[A-Za-z][A-Za-z0-9_.-]*$/;
+
+// Names that could pass for staff or the app itself
+const RESERVED = [
+    'admin', 'administrateur', 'administrator', 'moderateur', 'moderator', 'modo', 'root',
+    'system', 'systeme', 'support', 'staff', 'official', 'officiel', 'classement', 'ranking',
+    'rankings', 'doyen', 'dean', 'prof', 'professeur', 'teacher', 'enseignant', 'scolarite',
+    'faculte', 'universite', 'usthb', 'anonyme', 'anonymous', 'deleted', 'supprime',
+    'null', 'undefined', 'you', 'vous', 'moi'
+];
+
+const OFFENSIVE = [
+    // French
+    'connard', 'connasse', 'salope', 'salaud', 'pute', 'putain', 'encule', 'batard', 'merde',
+    'nique', 'niquer', 'fdp', 'ntm', 'pd', 'pedale', 'bite', 'couille', 'chienne', 'abruti',
+    'debile', 'negro', 'bougnoule', 'youpin',
+    // English
+    'fuck', 'shit', 'bitch', 'asshole', 'bastard', 'dick', 'cock', 'cunt', 'slut', 'whore',
+    'retard', 'nigger', 'nigga', 'faggot', 'porn', 'sex',
+    // Arabic transliterations (Darija / arabizi)
+    'zebi', 'zeb', 'zabour', 'nik', 'nikmok', 'nikomok', 'nayek', 'mnayek', 'kahba', 'qahba',
+    '9ahba', '9a7ba', 'hmar', '7mar', 'kelb', 'kalb', 'khra', '5ra', 'tahan', 'ta7an',
+    'zamel', 'zemel', 'manyouk', 'sharmouta', 'charmouta'
+];
+
+// Short words only match a whole token (avoids "Falcon", "Nikola"...)
+const SUBSTRING_MIN_LENGTH = 5;
+
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', '@': 'a', $: 's' };
+
+const stripAccents = (value) => value.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+const deLeet = (value) => value.replace(/[0-9@$]/g, c => LEET[c] ?? c);
+const compact = (value) => value.replace(/[_.\-\s]/g, '');
+
+/**
+ * Lowercase variants an alias is checked under
+ * @returns {Object} { compacts, tokens }
+ */
+function variants(alias) {
+    const base = stripAccents(alias);
+    const lower = base.toLowerCase();
+
+    // Tokens: separators, camelCase boundaries, trailing digits removed
+    const rawTokens = base
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .split(/[_.\-\s]+/)
+        .map(t => t.toLowerCase())
+        .filter(Boolean);
+
+    const tokens = new Set();
+    for (const token of rawTokens) {
+        tokens.add(token);
+        tokens.add(token.replace(/\d+$/, ''));
+        tokens.add(deLeet(token));
+    }
+
+    return {
+        compacts: [compact(lower), compact(deLeet(lower)), compact(lower).replace(/\d+$/, '')],
+        tokens
+    };
+}
+
+function containsWord(alias, words) {
+    const { compacts, tokens } = variants(alias);
+    return words.some(word =>
+        tokens.has(word) ||
+        (word.length >= SUBSTRING_MIN_LENGTH && compacts.some(c => c.includes(word)))
+    );
+}
+
+function isReserved(alias) {
+    const { compacts } = variants(alias);
+    const stripped = compacts.map(c => c.replace(/\d+$/, ''));
+    return RESERVED.some(word =>
+        stripped.includes(word) ||
+        (word.length >= SUBSTRING_MIN_LENGTH && stripped.some(c => c.startsWith(word)))
+    );
+}
+
+/**
+ * Check an alias against the policy (not availability)
+ * @returns {Object} { valid, reason, message }
+ */
+export function validateAlias(alias) {
+    const value = typeof alias === 'string' ? alias.trim() : '';
+
+    if (value.length < ALIAS_MIN_LENGTH || value.length > ALIAS_MAX_LENGTH) {
+        return { valid: false, reason: 'length', message: `Le pseudonyme doit contenir entre ${ALIAS_MIN_LENGTH} et ${ALIAS_MAX_LENGTH} caractères` };
+    }
+    if (!ALIAS_PATTERN.test(value)) {
+        return { valid: false, reason: 'charset', message: 'Le pseudonyme doit commencer par une lettre et ne contenir que des lettres, chiffres, « _ », « . » ou « - »' };
+    }
+    if (/\d{6,}/.test(value)) {
+        return { valid: false, reason: 'digits', message: 'Le pseudonyme ne peut pas contenir plus de 5 chiffres consécutifs' };
+    }
+    if (isReserved(value)) {
+        return { valid: false, reason: 'reserved', message: 'Ce pseudonyme est réservé' };
+    }
+    if (containsWord(value, OFFENSIVE)) {
+        return { valid: false, reason: 'offensive', message: 'Ce pseudonyme n\'est pas autorisé' };
+    }
+
+    return { valid: true, reason: null, message: null };
+}
+
+/**
+ * Escape LIKE wildcards so ilike() is a case-insensitive equality
+ */
+export const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
@@ -0,0 +1,262 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * AVERAGE CALCULATOR — Grading formula engine
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Per module (weights from the curriculum):
+ *   exam used = rattrapage 'max'      → max(exam, rattrapage)
+ *               rattrapage 'override' → rattrapage
+ *   average   = Σ(weight × mark) / Σ(weights) over exam, TD (hasTD), TP (hasTP)
+ *
+ * Per semester:
+ *   general average = Σ(average × coefficient) / Σ(coefficients)
+ *   module validated when average ≥ pass average (10)
+ *   eliminatory mark: a module below it blocks compensation
+ *   compensation: validated semester → every module's credits acquired,
+ *   otherwise only validated modules' credits
+ */
+
+const DEFAULT_PASS_AVERAGE = 10;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toMark = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+};
+
+/**
+ * Exam mark after the rattrapage session
+ */
+function effectiveExam(module, grade) {
+    const exam = toMark(grade.exam_score) ?? 0;
+    const resit = toMark(grade.rattrapage_score);
+    if (resit === null) return { exam, usedRattrapage: false };
+
+    if (module.rattrapageMode === 'override') return { exam: resit, usedRattrapage: true };
+    return { exam: Math.max(exam, resit), usedRattrapage: resit > exam };
+}
+
+/**
+ * Compute one module average from a grades row
+ * @param {Object} module - Curriculum module ({ examWeight, tdWeight, tpWeight, hasTD, hasTP, rattrapageMode })
+ * @param {Object} grade - Grades row ({ exam_score, td_score, tp_score, rattrapage_score })
+ * @returns {number} average rounded to 2 decimals
+ */
+export function computeModuleAverage(module, grade) {
+    const { exam } = effectiveExam(module, grade);
+
+    const parts = [[module.examWeight ?? 1, exam]];
+    if (module.hasTD) parts.push([module.tdWeight ?? 0, toMark(grade.td_score) ?? 0]);
+    if (module.hasTP) parts.push([module.tpWeight ?? 0, toMark(grade.tp_score) ?? 0]);
+
+    const weightSum = parts.reduce((sum, [w]) => sum + w, 0);
+    const average = weightSum > 0
+        ? parts.reduce((sum, [w, mark]) => sum + w * mark, 0) / weightSum
+        : exam;
+
+    // Standardize precision: Round to 2 decimal places BEFORE weighting
+    return round2(average);
+}
+
+/**
+ * Compute one module result: average, validation and eliminatory status
+ */
+export function computeModuleResult(module, grade, passAverage = DEFAULT_PASS_AVERAGE) {
+    const average = computeModuleAverage(module, grade);
+    const { usedRattrapage } = effectiveExam(module, grade);
+
+    return {
+        subject: module.name,
+        average,
+        coefficient: module.coefficient,
+        credits: module.credits || 0,
+        validated: average >= passAverage,
+        eliminated: module.eliminatoryMark !== null && module.eliminatoryMark !== undefined
+            && average < module.eliminatoryMark,
+        usedRattrapage
+    };
+}
+
+/**
+ * Compute subject results, general average and credits for one semester
+ * @param {Array} grades - User's grades rows for the semester
+ * @param {Object} semester - Curriculum semester ({ modules, passAverage, compensation })
+ * @returns {Object} { subjectAverages[], generalAverage, totalCoefficient, isValidated,
+ *                     creditsEarned, creditsTotal, hasGrades }
+ */
+export function computeSemesterAverages(grades, semester) {
+    const modules = semester.modules;
+    const passAverage = semester.passAverage ?? DEFAULT_PASS_AVERAGE;
+    const totalCoefficient = modules.reduce((sum, m) => sum + m.coefficient, 0);
+    const creditsTotal = modules.reduce((sum, m) => sum + (m.credits || 0), 0);
+    const results = [];
+    let weightedSum = 0;
+
+    for (const module of modules) {
+        const grade = grades.find(g => g.subject === module.name);
+        if (!grade) continue;
+
+        const result = computeModuleResult(module, grade, passAverage);
+        results.push(result);
+        weightedSum += result.average * module.coefficient;
+    }
+
+    const generalAverage = totalCoefficient > 0 ? weightedSum / totalCoefficient : 0;
+    const allGraded = results.length === modules.length;
+    const anyEliminated = results.some(r => r.eliminated);
+
+    // Validated by compensation, or module by module when compensation is off
+    const isValidated = semester.compensation !== false
+        ? allGraded && !anyEliminated && generalAverage >= passAverage
+        : allGraded && results.every(r => r.validated);
+
+    const subjectAverages = results.map(r => {
+        const acquired = isValidated || r.validated;
+        return { ...r, acquired, creditsEarned: acquired ? r.credits : 0 };
+    });
+
+    return {
+        subjectAverages,
+        generalAverage,
+        totalCoefficient,
+        isValidated,
+        creditsEarned: subjectAverages.reduce((sum, r) => sum + r.creditsEarned, 0),
+        creditsTotal,
+        hasGrades: results.length > 0
+    };
+}
+
+/**
+ * Coefficient-weighted exam mark (after rattrapage) over the graded modules
+ * Ranking tie-breaker: Σ(exam × coefficient) / Σ(coefficients)
+ * @param {Array} grades - Grades rows ({ subject, semester, exam_score, rattrapage_score })
+ * @param {Array} semesters - Curriculum semesters, modules possibly narrowed to one subject
+ * @returns {number|null} rounded to 2 decimals, null when nothing is graded
+ */
+export function computeWeightedExam(grades, semesters) {
+    let weightedSum = 0;
+    let coefficientSum = 0;
+
+    for (const semester of semesters) {
+        for (const module of semester.modules) {
+            const grade = grades.find(g => g.subject === module.name && g.semester === semester.code);
+            if (!grade) continue;
+
+            weightedSum += effectiveExam(module, grade).exam * module.coefficient;
+            coefficientSum += module.coefficient;
+        }
+    }
+
+    return coefficientSum > 0 ? round2(weightedSum / coefficientSum) : null;
+}
+
+/**
+ * Coefficient-weighted TD mark over the graded modules that have a TD
+ * Ranking sort key: Σ(td × coefficient) / Σ(coefficients)
+ * @param {Array} grades - Grades rows ({ subject, semester, td_score })
+ * @param {Array} semesters - Curriculum semesters, modules possibly narrowed to one subject
+ * @returns {number|null} rounded to 2 decimals, null when nothing is graded
+ */
+export function computeWeightedTd(grades, semesters) {
+    let weightedSum = 0;
+    let coefficientSum = 0;
+
+    for (const semester of semesters) {
+        for (const module of semester.modules) {
+            if (!module.hasTD) continue;
+            const grade = grades.find(g => g.subject === module.name && g.semester === semester.code);
+            if (!grade) continue;
+
+            weightedSum += (toMark(grade.td_score) ?? 0) * module.coefficient;
+            coefficientSum += module.coefficient;
+        }
+    }
+
+    return coefficientSum > 0 ? round2(weightedSum / coefficientSum) : null;
+}
+
+/**
+ * Compute every semester average and the annual average of each level
+ * Annual average = mean of the level's semester averages (S3+S4 for MI2)
+ * @param {Array} grades - All of the user's grades rows ({ subject, semester, exam_score, td_score, ... })
+ * @param {Object} curriculum - Snapshot from loadCurriculum()
+ * @returns {Object} { semesters[], annual[] }
+ */
+export function computeUserAverages(grades, curriculum) {
+    const semesters = [];
+
+    for (const semester of curriculum.semesters) {
+        if (semester.modules.length === 0) continue;
+
+        const semesterGrades = grades.filter(g => g.semester === semester.code);
+        const result = computeSemesterAverages(semesterGrades, semester);
+        if (!result.hasGrades) continue;
+
+        semesters.push({ semester: semester.code, levelCode: semester.levelCode, ...result });
+    }
+
+    const annual = [];
+    const levelCodes = [...new Set(curriculum.semesters.map(s => s.levelCode).filter(Boolean))];
+
+    for (const levelCode of levelCodes) {
+        const levelSemesters = curriculum.semesters.filter(s => s.levelCode === levelCode);
+        const computed = semesters.filter(s => s.levelCode === levelCode);
+        if (computed.length === 0) continue;
+
+        const sum = computed.reduce((acc, s) => acc + s.generalAverage, 0);
+        annual.push({
+            levelCode,
+            annualAverage: sum / computed.length,
+            semesters: computed.map(s => s.semester),
+            isComplete: computed.length === levelSemesters.length
+        });
+    }
+
+    return { semesters, annual };
+}
+
+/**
+ * Flatten computeUserAverages() output into rows for each averages table
+ * `averages` (general ranking) keeps the active semester's average
+ * @returns {Object} { subjectRows[], semesterRows[], annualRows[], generalRow|null }
+ */
+export function toAverageRows(userId, { semesters, annual }, activeSemester) {
+    const now = new Date().toISOString();
+    const active = semesters.find(s => s.semester === activeSemester);
+
+    return {
+        subjectRows: semesters.flatMap(s =>
+            s.subjectAverages.map(sa => ({
+                user_id: userId,
+                semester: s.semester,
+                subject: sa.subject,
+                average: sa.average,
+                is_acquired: sa.acquired,
+                credits_earned: sa.creditsEarned
+            }))
+        ),
+        semesterRows: semesters.map(s => ({
+            user_id: userId,
+            semester: s.semester,
+            general_average: s.generalAverage,
+            total_coefficient: s.totalCoefficient,
+            is_validated: s.isValidated,
+            credits_earned: s.creditsEarned,
+            credits_total: s.creditsTotal,
+            last_calculated: now
+        })),
+        annualRows: annual.map(a => ({
+            user_id: userId,
+            level_code: a.levelCode,
+            annual_average: a.annualAverage,
+            semesters: a.semesters,
+            is_complete: a.isComplete,
+            last_calculated: now
+        })),
+        generalRow: active
+            ? { user_id: userId, general_average: active.generalAverage, last_calculated: now }
+            : null
+    };
+}
@@ -0,0 +1,41 @@
+/**
+ * AVERAGE STORE — Bulk upserts for the averages tables
+ * Rows come from toAverageRows() (utils/averageCalculator.js).
+ */
+
+import { supabase } from '../config/db.js';
+
+const UPSERTS = [
+    ['subjectRows', 'subject_averages', 'user_id,subject,semester'],
+    ['semesterRows', 'semester_averages', 'user_id,semester'],
+    ['annualRows', 'annual_averages', 'user_id,level_code'],
+    ['generalRows', 'averages', 'user_id'],
+];
+
+/**
+ * Upsert collected average rows, table by table
+ * @param {Object} rows - { subjectRows[], semesterRows[], annualRows[], generalRows[] }
+ */
+export async function saveAverages(rows) {
+    for (const [key, table, onConflict] of UPSERTS) {
+        const batch = rows[key] || [];
+        if (batch.length === 0) continue;
+
+        const { error } = await supabase.from(table).upsert(batch, { onConflict });
+        if (error) throw error;
+    }
+}
+
+/**
+ * Merge the per-user rows of toAverageRows() into one bulk payload
+ */
+export function collectAverageRows(perUserRows) {
+    const rows = { subjectRows: [], semesterRows: [], annualRows: [], generalRows: [] };
+    for (const r of perUserRows) {
+        rows.subjectRows.push(...r.subjectRows);
+        rows.semesterRows.push(...r.semesterRows);
+        rows.annualRows.push(...r.annualRows);
+        if (r.generalRow) rows.generalRows.push(r.generalRow);
+    }
+    return rows;
+}
@@ -0,0 +1,107 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * COHORT STATS — Distribution of averages with a k-anonymity floor
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Mean, median, standard deviation (population), quartiles (linear
+ * interpolation), pass rate (≥ 10) and a histogram over 0–20.
+ * Nothing is published below K_ANONYMITY students, and histogram
+ * buckets holding fewer than K_ANONYMITY students only say "< k",
+ * so a small group or an isolated mark can't be read back.
+ * A lone "< k" bucket would be count − Σ others: the smallest other
+ * non-empty bucket is hidden with it. Median and quartiles of a few
+ * students are their marks (count 5: q1/median/q3 = 2nd/3rd/4th mark),
+ * so they need QUANTILE_FLOOR students and are rounded to QUANTILE_STEP.
+ * Min / max are never returned for the same reason.
+ */
+
+export const K_ANONYMITY = 5;
+export const PASS_AVERAGE = 10;
+export const BUCKET_WIDTHS = [1, 2, 4];
+export const DEFAULT_BUCKET_WIDTH = 2;
+export const QUANTILE_FLOOR = 2 * K_ANONYMITY;
+export const QUANTILE_STEP = 0.5;
+
+const MAX_MARK = 20;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const roundStep = (value) => Math.round(value / QUANTILE_STEP) * QUANTILE_STEP;
+
+// Buckets shown as "< k": the small ones, plus the smallest other non-empty
+// bucket when only one is small (else its count could be subtracted back)
+function suppressedBuckets(counts) {
+    const hidden = new Set(counts.flatMap((n, i) => (n > 0 && n < K_ANONYMITY ? [i] : [])));
+    if (hidden.size === 1) {
+        const partner = counts
+            .map((n, i) => ({ n, i }))
+            .filter(({ n, i }) => n > 0 && !hidden.has(i))
+            .sort((a, b) => a.n - b.n)[0];
+        if (partner) hidden.add(partner.i);
+    }
+    return hidden;
+}
+
+// Linear interpolation between closest ranks (sorted ascending)
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Bucket index of an average (the last bucket includes 20)
+ */
+export const bucketIndex = (average, width) =>
+    Math.min(Math.floor(average / width), Math.ceil(MAX_MARK / width) - 1);
+
+/**
+ * Statistics of a list of averages
+ * @param {Array<number>} averages
+ * @param {number} bucketWidth - One of BUCKET_WIDTHS
+ * @returns {Object} { count, suppressed, kAnonymity, mean, median, stdDev, quartiles,
+ *                     passRate, histogram[] } — only count/suppressed below the floor,
+ *                     median / quartiles null below QUANTILE_FLOOR
+ */
+export function computeCohortStats(averages, bucketWidth = DEFAULT_BUCKET_WIDTH) {
+    const values = averages.map(Number).filter(Number.isFinite);
+    const count = values.length;
+
+    if (count < K_ANONYMITY) {
+        return { count, suppressed: true, kAnonymity: K_ANONYMITY };
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = values.reduce((sum, v) => sum + v, 0) / count;
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / count;
+
+    const counts = new Array(Math.ceil(MAX_MARK / bucketWidth)).fill(0);
+    values.forEach(v => counts[bucketIndex(Math.max(0, v), bucketWidth)]++);
+    const hidden = suppressedBuckets(counts);
+    const showQuantiles = count >= QUANTILE_FLOOR;
+
+    return {
+        count,
+        suppressed: false,
+        kAnonymity: K_ANONYMITY,
+        mean: round2(mean),
+        median: showQuantiles ? roundStep(quantile(sorted, 0.5)) : null,
+        stdDev: round2(Math.sqrt(variance)),
+        quartiles: showQuantiles
+            ? {
+                q1: roundStep(quantile(sorted, 0.25)),
+                q2: roundStep(quantile(sorted, 0.5)),
+                q3: roundStep(quantile(sorted, 0.75))
+            }
+            : null,
+        quantileFloor: QUANTILE_FLOOR,
+        passAverage: PASS_AVERAGE,
+        passRate: round2(values.filter(v => v >= PASS_AVERAGE).length / count * 100),
+        histogram: counts.map((n, i) => ({
+            from: i * bucketWidth,
+            to: Math.min((i + 1) * bucketWidth, MAX_MARK),
+            count: hidden.has(i) ? null : n,
+            suppressed: hidden.has(i)
+        }))
+    };
+}
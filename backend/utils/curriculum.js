@@ -0,0 +1,205 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * CURRICULUM — Programmes, levels, semesters and modules
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Loaded from the curriculum_* tables (see curriculum_schema.sql)
+ * and cached in memory. Every calculator, OCR matcher and page
+ * reads subject names, coefficients and weights from here.
+ *
+ * Async callers should `await loadCurriculum()` first; the sync
+ * getters then read the cached snapshot.
+ */
+
+import { supabase } from '../config/db.js';
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+let cache = null;
+let loadedAt = 0;
+let pending = null;
+
+/**
+ * Normalize a module/subject name for lookups (case, accents, spacing)
+ */
+export function normalizeName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function toModule(row, semesterCode) {
+    return {
+        id: row.id,
+        name: row.name,
+        shortCode: row.short_code,
+        semester: semesterCode,
+        coefficient: Number(row.coefficient),
+        examWeight: Number(row.exam_weight),
+        tdWeight: Number(row.td_weight),
+        tpWeight: Number(row.tp_weight ?? 0),
+        hasTD: row.has_td !== false,
+        hasTP: row.has_tp === true,
+        rattrapageMode: row.rattrapage_mode || 'max',
+        eliminatoryMark: row.eliminatory_mark !== null && row.eliminatory_mark !== undefined
+            ? Number(row.eliminatory_mark)
+            : null,
+        credits: Number(row.credits ?? 0),
+        aliases: row.aliases || [],
+        ocrKeywords: row.ocr_keywords || [],
+        emptyAllowed: row.empty_allowed || [],
+        optionalSlots: row.optional_slots || [],
+        position: row.position ?? 0
+    };
+}
+
+async function fetchCurriculum() {
+    const [programmes, levels, semesters, modules] = await Promise.all([
+        supabase.from('curriculum_programmes').select('id, code, name'),
+        supabase.from('curriculum_levels').select('id, programme_id, code, name, promotion, cohort_prefixes'),
+        supabase.from('curriculum_semesters').select('*').order('position'),
+        supabase.from('curriculum_modules').select('*').order('position')
+    ]);
+
+    for (const result of [programmes, levels, semesters, modules]) {
+        if (result.error) throw result.error;
+    }
+
+    const programmeById = new Map(programmes.data.map(p => [p.id, p]));
+    const levelById = new Map(levels.data.map(l => [l.id, l]));
+
+    const semesterList = semesters.data.map(s => {
+        const level = levelById.get(s.level_id);
+        const semesterModules = modules.data
+            .filter(m => m.semester_id === s.id)
+            .map(m => toModule(m, s.code));
+
+        return {
+            code: s.code,
+            name: s.name,
+            levelCode: level?.code || null,
+            position: s.position ?? 0,
+            isActive: s.is_active === true,
+            passAverage: Number(s.pass_average ?? 10),
+            compensation: s.compensation !== false,
+            modules: semesterModules,
+            totalCoefficient: semesterModules.reduce((sum, m) => sum + m.coefficient, 0),
+            totalCredits: semesterModules.reduce((sum, m) => sum + m.credits, 0)
+        };
+    });
+
+    const active = semesterList.find(s => s.isActive && s.modules.length > 0)
+        || semesterList.find(s => s.modules.length > 0);
+
+    return {
+        programmes: programmes.data.map(p => ({ code: p.code, name: p.name })),
+        levels: levels.data.map(l => ({
+            code: l.code,
+            name: l.name,
+            promotion: l.promotion,
+            cohortPrefixes: l.cohort_prefixes || [],
+            programmeCode: programmeById.get(l.programme_id)?.code || null
+        })),
+        semesters: semesterList,
+        activeSemester: active?.code || null
+    };
+}
+
+/**
+ * Load (or reuse) the cached curriculum
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Bypass the cache TTL
+ * @returns {Promise<Object>} curriculum snapshot
+ */
+export async function loadCurriculum({ force = false } = {}) {
+    if (!force && cache && Date.now() - loadedAt < CACHE_TTL_MS) return cache;
+    if (pending) return pending;
+
+    pending = (async () => {
+        try {
+            cache = await fetchCurriculum();
+            loadedAt = Date.now();
+            const active = cache.semesters.find(s => s.code === cache.activeSemester);
+            console.log(`[CURRICULUM] Loaded ${cache.semesters.length} semester(s), active: ${cache.activeSemester || 'none'} (${active?.modules.length || 0} modules)`);
+        } catch (err) {
+            // Keep serving the previous snapshot if the refresh fails
+            console.error('[CURRICULUM] Load error:', err.message);
+            if (!cache) cache = { programmes: [], levels: [], semesters: [], activeSemester: null };
+        } finally {
+            pending = null;
+        }
+        return cache;
+    })();
+
+    return pending;
+}
+
+/**
+ * Whether a snapshot was ever read from the database (false: the empty fallback)
+ */
+export const isCurriculumLoaded = () => loadedAt > 0;
+
+/**
+ * Current cached snapshot (may be empty before the first load)
+ */
+export function getCurriculum() {
+    return cache || { programmes: [], levels: [], semesters: [], activeSemester: null };
+}
+
+export function getActiveSemester() {
+    return getCurriculum().activeSemester;
+}
+
+export function getSemester(semesterCode = getActiveSemester()) {
+    return getCurriculum().semesters.find(s => s.code === semesterCode) || null;
+}
+
+export function getSemesterModules(semesterCode = getActiveSemester()) {
+    return getSemester(semesterCode)?.modules || [];
+}
+
+export function getTotalCoefficient(semesterCode = getActiveSemester()) {
+    return getSemester(semesterCode)?.totalCoefficient || 0;
+}
+
+/**
+ * Find a module by its name or any of its aliases
+ * @param {string} name - Subject name as typed, imported or OCR'd
+ * @param {string} [semesterCode] - Restrict to one semester (default: all, active first)
+ * @returns {Object|null} module definition
+ */
+export function findModule(name, semesterCode = null) {
+    const key = normalizeName(name);
+    if (!key) return null;
+
+    const { semesters, activeSemester } = getCurriculum();
+    const ordered = semesterCode
+        ? semesters.filter(s => s.code === semesterCode)
+        : [...semesters].sort((a, b) => (b.code === activeSemester) - (a.code === activeSemester));
+
+    for (const semester of ordered) {
+        for (const mod of semester.modules) {
+            if (normalizeName(mod.name) === key) return mod;
+            if (mod.aliases.some(a => normalizeName(a) === key)) return mod;
+        }
+    }
+    return null;
+}
+
+/**
+ * Map any known variant of a subject name to its canonical name
+ */
+export function resolveSubjectName(name) {
+    return findModule(name)?.name || name;
+}
+
+/**
+ * All names a module may be stored under (official_grades lookups)
+ */
+export function getSubjectVariants(name) {
+    const mod = findModule(name);
+    return mod ? [mod.name, ...mod.aliases] : [name];
+}
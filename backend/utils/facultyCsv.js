@@ -0,0 +1,354 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * FACULTY CSV — Shared parser for faculty / Progrès exports
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Handles every shape found in the repo:
+ *   liste_MIverfinal.csv     N°;Matricule;Nom;Prénom;Groupe
+ *   notes_MI2-proba.csv      N°;Matricule;Nom;Prénom;Note (comma decimals)
+ *   notes_examne_*.csv       metadata line "…/Semestre 3/Algèbre 3/MI2_A",
+ *                            Nom/عربي cells, " 2324…" matricules, "10;25" marks
+ *   architecture_td_data.csv multi-line quoted bilingual title, Colonne1… row,
+ *                            header row, then a ";;;;;;;;TD;" sub-header
+ *
+ * Pipeline:
+ *   1. Dialect: BOM, line endings, delimiter (; , or tab)
+ *   2. Records: quote-aware split, quoted cells may span several lines
+ *   3. Header: first record with a "Matricule" cell; sub-header rows
+ *      right below it may label extra columns (TD, Note, Examen…)
+ *   4. Column roles: matricule, nom, prénom (FR/AR), note, absent,
+ *      observation, section, groupe — note column inferred from the data
+ *      when no header names it
+ *   5. Rows + rejected lines report ({ line, raw, reason })
+ */
+
+const DELIMITERS = [';', ',', '\t'];
+const MATRICULE_REGEX = /^(\d{8,14}|ES\d+)$/;
+const ARABIC_REGEX = /[\u0600-\u06FF]/;
+
+// Header label → column role
+const HEADER_ROLES = {
+    'n°': 'index',
+    'n': 'index',
+    'num': 'index',
+    'matricule': 'matricule',
+    'nom': 'nom',
+    'prenom': 'prenom',
+    'nom fr': 'nom_fr',
+    'nom ar': 'nom_ar',
+    'prenom fr': 'prenom_fr',
+    'prenom ar': 'prenom_ar',
+    'note': 'note',
+    'td': 'note',
+    'cc': 'note',
+    'examen': 'note',
+    'exam': 'note',
+    'absent': 'absent',
+    'observation': 'observation',
+    'section': 'section',
+    'groupe': 'group',
+    'group': 'group',
+};
+
+// Absent column cells that mean "absent" ("0", "non", "N"… don't)
+const ABSENT_MARKERS = ['absent', 'abs', 'oui', 'o', '1', 'x', 'غائب'];
+
+// Labels that tell which kind of mark the note column holds
+const KIND_LABELS = { 'td': 'td', 'cc': 'td', 'examen': 'exam', 'exam': 'exam' };
+
+const normalizeLabel = (cell) => String(cell ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Detect BOM, line endings and delimiter
+ * @returns {Object} { text, hasBom, delimiter }
+ */
+export function detectDialect(rawText) {
+    const raw = String(rawText ?? '');
+    const hasBom = raw.charCodeAt(0) === 0xFEFF;
+    const text = (hasBom ? raw.slice(1) : raw).replace(/\r\n?/g, '\n');
+
+    // Count delimiters outside quotes on the first lines
+    const sample = text.split('\n').slice(0, 30).join('\n');
+    const counts = Object.fromEntries(DELIMITERS.map(d => [d, 0]));
+    let inQuotes = false;
+    for (const ch of sample) {
+        if (ch === '"') inQuotes = !inQuotes;
+        else if (!inQuotes && counts[ch] !== undefined) counts[ch]++;
+    }
+    const delimiter = DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), ';');
+
+    return { text, hasBom, delimiter };
+}
+
+/**
+ * Split text into records; quoted cells may contain delimiters,
+ * escaped quotes ("") and line breaks
+ * @returns {Array} [{ line, raw, cells[] }] — line is 1-based
+ */
+export function readRecords(text, delimiter = ';') {
+    const records = [];
+    let cells = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let startLine = 1;
+    let startIndex = 0;
+
+    const pushRecord = (endIndex) => {
+        cells.push(cell);
+        records.push({ line: startLine, raw: text.slice(startIndex, endIndex), cells: cells.map(c => c.trim()) });
+        cells = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                if (ch === '\n') line++;
+                cell += ch;
+            }
+            continue;
+        }
+
+        if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            cells.push(cell);
+            cell = '';
+        } else if (ch === '\n') {
+            pushRecord(i);
+            line++;
+            startLine = line;
+            startIndex = i + 1;
+        } else {
+            cell += ch;
+        }
+    }
+
+    if (cell !== '' || cells.length > 0) pushRecord(text.length);
+    return records;
+}
+
+/**
+ * Parse a mark: "9,5" → 9.5, "10;25" → 10.25, "" → null
+ * @returns {number|null|NaN} NaN when the cell is not a mark
+ */
+export function parseMark(raw) {
+    const value = String(raw ?? '').trim().replace(',', '.').replace(';', '.');
+    if (value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : NaN;
+}
+
+/**
+ * Split a bilingual cell "NOM/الاسم" into { fr, ar }
+ * A cell written only in Arabic script goes to `ar`
+ */
+export function splitBilingualName(raw) {
+    const value = String(raw ?? '').trim();
+    if (!value) return { fr: null, ar: null };
+
+    const parts = value.split('/').map(p => p.trim()).filter(Boolean);
+    const fr = parts.find(p => !ARABIC_REGEX.test(p)) || null;
+    const ar = parts.find(p => ARABIC_REGEX.test(p)) || null;
+    return { fr, ar };
+}
+
+/**
+ * Metadata above the header:
+ *   "formation de base en informatique/Semestre 3/Algèbre 3/MI2_A"
+ *   "Note de Contrôle continu de module Architecture des ordinateurs 2 Niveau:MI2 Section:A"
+ */
+function parseMetadata(records) {
+    const meta = {};
+
+    for (const record of records) {
+        const text = record.cells.filter(Boolean).join(' ');
+        if (!text) continue;
+
+        const parts = (record.cells[0] || '').split('/').map(p => p.trim());
+        const semesterIndex = parts.findIndex(p => /semestre\s*\d/i.test(p));
+        if (semesterIndex !== -1) {
+            meta.programme = meta.programme || parts[0] || null;
+            meta.semester = `S${parts[semesterIndex].match(/\d/)[0]}`;
+            meta.subject = meta.subject || parts[semesterIndex + 1] || null;
+            meta.group = meta.group || parts[semesterIndex + 2] || null;
+        }
+
+        const moduleMatch = text.match(/module\s+(.+?)\s+niveau\s*:/i);
+        if (moduleMatch && !meta.subject) meta.subject = moduleMatch[1].trim();
+
+        const levelMatch = text.match(/niveau\s*:\s*(\S+)/i);
+        if (levelMatch) meta.level = levelMatch[1];
+
+        const sectionMatch = text.match(/section\s*:\s*([A-Za-z0-9]+)/i);
+        if (sectionMatch) meta.section = sectionMatch[1];
+
+        if (/contr[oô]le continu/i.test(text)) meta.kind = 'td';
+    }
+
+    return Object.keys(meta).length > 0 ? meta : null;
+}
+
+/**
+ * Map header (+ sub-header) cells to column roles
+ */
+function detectColumns(header, subHeaders) {
+    const columns = {};
+    let kind = null;
+
+    const assign = (cells) => cells.forEach((cell, idx) => {
+        const label = normalizeLabel(cell);
+        const role = HEADER_ROLES[label];
+        if (!role || columns[role] !== undefined) return;
+        columns[role] = idx;
+        if (role === 'note' && KIND_LABELS[label]) kind = KIND_LABELS[label];
+    });
+
+    assign(header.cells);
+    subHeaders.forEach(r => assign(r.cells));
+
+    return { columns, kind };
+}
+
+/**
+ * No header names the note column: pick the column where most data
+ * rows hold a 0–20 mark (ignoring matricule and N° columns)
+ */
+function inferNoteColumn(dataRecords, columns) {
+    const taken = new Set(Object.values(columns));
+    const scores = {};
+
+    for (const record of dataRecords) {
+        record.cells.forEach((cell, idx) => {
+            if (taken.has(idx) || cell === '') return;
+            const mark = parseMark(cell);
+            if (!Number.isNaN(mark) && mark !== null && mark >= 0 && mark <= 20) {
+                scores[idx] = (scores[idx] || 0) + 1;
+            }
+        });
+    }
+
+    const best = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    return best && best[1] >= dataRecords.length / 2 ? Number(best[0]) : undefined;
+}
+
+/**
+ * Parse any faculty CSV export
+ * @param {string} rawText - File content
+ * @returns {Object} { dialect, meta, header, columns, rows[], rejected[] }
+ */
+export function parseFacultyCsv(rawText) {
+    const { text, hasBom, delimiter } = detectDialect(rawText);
+    const records = readRecords(text, delimiter);
+    const dialect = { delimiter, hasBom };
+    const rejected = [];
+    const rows = [];
+
+    const headerPos = records.findIndex(r => r.cells.some(c => normalizeLabel(c) === 'matricule'));
+    if (headerPos === -1) {
+        return {
+            dialect, meta: parseMetadata(records), header: null, columns: {}, rows,
+            rejected: [{ line: 1, raw: records[0]?.raw || '', reason: 'En-tête "Matricule" introuvable' }]
+        };
+    }
+
+    const header = records[headerPos];
+    const meta = parseMetadata(records.slice(0, headerPos));
+
+    // Sub-header rows: right below the header, no matricule, only labels
+    let dataStart = headerPos + 1;
+    const subHeaders = [];
+    while (dataStart < records.length) {
+        const cells = records[dataStart].cells;
+        const filled = cells.filter(Boolean);
+        const isLabelRow = filled.length > 0
+            && filled.every(c => Number.isNaN(parseMark(c)))
+            && !cells.some(c => MATRICULE_REGEX.test(c.replace(/\s+/g, '')));
+        if (!isLabelRow) break;
+        subHeaders.push(records[dataStart]);
+        dataStart++;
+    }
+
+    const { columns, kind } = detectColumns(header, subHeaders);
+    const dataRecords = records.slice(dataStart).filter(r => r.cells.some(Boolean));
+
+    if (columns.note === undefined) {
+        const inferred = inferNoteColumn(dataRecords, columns);
+        if (inferred !== undefined) columns.note = inferred;
+    }
+
+    const cell = (cells, role) => (columns[role] !== undefined ? cells[columns[role]] ?? '' : '');
+
+    for (const record of dataRecords) {
+        const { cells, line, raw } = record;
+        const matricule = cell(cells, 'matricule').replace(/\s+/g, '');
+
+        if (!matricule) {
+            rejected.push({ line, raw, reason: 'Matricule manquant' });
+            continue;
+        }
+        if (!MATRICULE_REGEX.test(matricule)) {
+            rejected.push({ line, raw, reason: `Matricule invalide: "${matricule}"` });
+            continue;
+        }
+
+        // "Absent" written in the note column itself
+        const rawNote = cell(cells, 'note');
+        const absentInNote = normalizeLabel(rawNote) === 'absent';
+        const note = absentInNote ? null : parseMark(rawNote);
+        if (Number.isNaN(note) || (note !== null && (note < 0 || note > 20))) {
+            rejected.push({ line, raw, reason: `Note invalide: "${rawNote}"` });
+            continue;
+        }
+
+        const nom = splitBilingualName(cell(cells, 'nom'));
+        const prenom = splitBilingualName(cell(cells, 'prenom'));
+
+        rows.push({
+            line,
+            matricule,
+            nom_fr: cell(cells, 'nom_fr') || nom.fr,
+            nom_ar: cell(cells, 'nom_ar') || nom.ar,
+            prenom_fr: cell(cells, 'prenom_fr') || prenom.fr,
+            prenom_ar: cell(cells, 'prenom_ar') || prenom.ar,
+            note,
+            absent: absentInNote || ABSENT_MARKERS.includes(normalizeLabel(cell(cells, 'absent'))),
+            observation: cell(cells, 'observation') || null,
+            section: cell(cells, 'section') || meta?.section || null,
+            student_group: cell(cells, 'group') || null
+        });
+    }
+
+    return {
+        dialect,
+        meta: kind ? { ...meta, kind: meta?.kind || kind } : meta,
+        header: { line: header.line, labels: header.cells },
+        columns,
+        rows,
+        rejected
+    };
+}
+
+/**
+ * Plain-text rejected lines report (CLI scripts)
+ */
+export function formatRejectedReport(rejected) {
+    if (rejected.length === 0) return 'Aucune ligne rejetée.';
+    return [
+        `${rejected.length} ligne(s) rejetée(s):`,
+        ...rejected.map(r => `  L${r.line}: ${r.reason} — ${r.raw.replace(/\n/g, ' ').slice(0, 80)}`)
+    ].join('\n');
+}
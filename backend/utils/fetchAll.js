@@ -0,0 +1,30 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * FETCH ALL — Every row of a query, past the PostgREST row cap
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * PostgREST returns at most max-rows (1000 by default) per request
+ * and silently drops the rest. Reads that may exceed it (grades of
+ * every ranked user, a full rebuild) page with .range() on a stable
+ * order until a short page comes back.
+ */
+
+export const PAGE_SIZE = 1000;
+
+/**
+ * All rows of a query
+ * @param {Function} buildQuery - () → fresh supabase select (one per page)
+ * @param {string[]} [orderColumns] - Columns that together are unique (stable order)
+ * @returns {Promise<Array>} rows
+ */
+export async function fetchAllRows(buildQuery, orderColumns = ['id']) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const query = orderColumns.reduce((q, column) => q.order(column, { ascending: true }), buildQuery());
+        const { data, error } = await query.range(from, from + PAGE_SIZE - 1);
+        if (error) throw error;
+
+        rows.push(...data);
+        if (data.length < PAGE_SIZE) return rows;
+    }
+}
@@ -235,13 +235,15 @@ async function checkBehavior(userId, ip) {
     try {
         const fifteenMinAgo = new Date(Date.now() - 15 * 60 * 1000).toISOString();
 
-        // Count recent attempts by this user
-        const { data: userAttempts, error } = await supabase
-            .from('verification_logs')
-            .select('created_at')
-            .eq('user_id', userId)
-            .gte('created_at', fifteenMinAgo)
-            .order('created_at', { ascending: false });
+        // Count recent attempts by this user (none for an unknown matricule: IP only)
+        const { data: userAttempts, error } = userId
+            ? await supabase
+                .from('verification_logs')
+                .select('created_at')
+                .eq('user_id', userId)
+                .gte('created_at', fifteenMinAgo)
+                .order('created_at', { ascending: false })
+            : { data: [] };
 
         if (error) {
             console.warn("[FRAUD] Behavior check warning:", error.message);
@@ -3,51 +3,42 @@
  * GRADE COMPARATOR — Compare OCR-extracted grades vs user-entered grades
  * ═══════════════════════════════════════════════════════════════
  * 
- * Scoring: 1 point per correct grade slot → /15 total
- * Threshold: ≥14/15 to pass
+ * Scoring: 1 point per correct grade slot → one exam slot per module,
+ * plus one TD slot for modules with TD (15 slots for S3)
+ * Threshold: all slots but one must match
  * 
- * Mandatory: ALL grades EXCEPT TD Probabilités
+ * Mandatory: ALL grades EXCEPT the module's optional_slots (TD Probabilités)
  * If any mandatory grade mismatches → instant REJECTED
  * 
  * Tolerance: ±0.5 for OCR rounding errors
+ * Slots are built from the curriculum (see utils/curriculum.js)
  */
 
-// Module name mapping: OCR extractor names → DB subject names
-const MODULE_NAME_MAP = {
-    'Analyse 03': 'Analyse 03',
-    'Algèbre 03': 'Algèbre 03',
-    'SFSD': 'SFSD',
-    'Architecture 02': 'Architecture 02',
-    'Électronique Fondamentale 02': 'Électronique Fondamentale 02',
-    'Probabilités et Statistiques 01': 'Probabilité et Statistique 01',
-    'Économie d\'entreprise': 'Économie d\'entreprise',
-    'Anglais 02': 'Anglais 02',
-};
-
-// Define which grade slots exist for each module and if they're mandatory
-const GRADE_SLOTS = [
-    { module: 'Analyse 03', type: 'exam', mandatory: true, coefficient: 5 },
-    { module: 'Analyse 03', type: 'td', mandatory: true, coefficient: 5 },
-    { module: 'Algèbre 03', type: 'exam', mandatory: true, coefficient: 3 },
-    { module: 'Algèbre 03', type: 'td', mandatory: true, coefficient: 3 },
-    { module: 'SFSD', type: 'exam', mandatory: true, coefficient: 4 },
-    { module: 'SFSD', type: 'td', mandatory: true, coefficient: 4 },
-    { module: 'Architecture 02', type: 'exam', mandatory: true, coefficient: 4 },
-    { module: 'Architecture 02', type: 'td', mandatory: true, coefficient: 4 },
-    { module: 'Électronique Fondamentale 02', type: 'exam', mandatory: true, coefficient: 4 },
-    { module: 'Électronique Fondamentale 02', type: 'td', mandatory: true, coefficient: 4 },
-    { module: 'Probabilités et Statistiques 01', type: 'exam', mandatory: true, coefficient: 4 },
-    { module: 'Probabilités et Statistiques 01', type: 'td', mandatory: false, coefficient: 4 }, // ONLY tolerated slot
-    { module: 'Économie d\'entreprise', type: 'exam', mandatory: true, coefficient: 2 },
-    { module: 'Économie d\'entreprise', type: 'td', mandatory: true, coefficient: 2 },
-    { module: 'Anglais 02', type: 'exam', mandatory: true, coefficient: 2 },
-    // Anglais has no TD → 15 total slots
-];
-
-const TOTAL_SLOTS = GRADE_SLOTS.length; // 15
-const PASS_THRESHOLD = 14;
+import { getSemesterModules, resolveSubjectName } from './curriculum.js';
+
 const TOLERANCE = 0.5; // ±0.5 for OCR rounding
 
+/**
+ * Build the grade slots of a semester from its curriculum modules
+ * @param {string} [semesterCode] - Defaults to the active semester
+ * @returns {Array} [{ module, type, mandatory, coefficient }]
+ */
+export function getGradeSlots(semesterCode) {
+    const slots = [];
+    for (const mod of getSemesterModules(semesterCode)) {
+        const types = mod.hasTD ? ['exam', 'td'] : ['exam'];
+        for (const type of types) {
+            slots.push({
+                module: mod.name,
+                type,
+                mandatory: !mod.optionalSlots.includes(type),
+                coefficient: mod.coefficient
+            });
+        }
+    }
+    return slots;
+}
+
 /**
  * Compare extracted grades (from OCR) vs user-entered grades (from DB)
  * 
@@ -56,10 +47,20 @@ const TOLERANCE = 0.5; // ±0.5 for OCR rounding
  * @returns {Object} { score, total, passed, details[], mandatoryFailures[], summary }
  */
 export function compareGrades(extractedGrades, userGrades) {
+    const gradeSlots = getGradeSlots();
+    const totalSlots = gradeSlots.length;
+    const passThreshold = Math.max(totalSlots - 1, 0);
+
+    // OCR results keyed by canonical module name
+    const ocrLookup = {};
+    for (const [name, values] of Object.entries(extractedGrades || {})) {
+        ocrLookup[resolveSubjectName(name)] = values;
+    }
+
     // Build user grades lookup by subject name
     const userLookup = {};
     for (const g of userGrades) {
-        userLookup[g.subject] = {
+        userLookup[resolveSubjectName(g.subject)] = {
             exam: g.exam_score !== null && g.exam_score !== undefined ? parseFloat(g.exam_score) : null,
             td: g.td_score !== null && g.td_score !== undefined ? parseFloat(g.td_score) : null
         };
@@ -75,12 +76,12 @@ export function compareGrades(extractedGrades, userGrades) {
     console.log('║ Module                          │ Type │  OCR  │  User │ Match │ Req ║');
     console.log('╠─────────────────────────────────┼──────┼───────┼───────┼───────┼─────╣');
 
-    for (const slot of GRADE_SLOTS) {
+    for (const slot of gradeSlots) {
         const ocrModuleName = slot.module;
-        const dbSubjectName = MODULE_NAME_MAP[ocrModuleName] || ocrModuleName;
+        const dbSubjectName = slot.module;
 
         // Get OCR value
-        const ocrData = extractedGrades[ocrModuleName];
+        const ocrData = ocrLookup[ocrModuleName];
         const ocrValue = ocrData ? ocrData[slot.type] : null;
 
         // Get user-entered value
@@ -129,11 +130,11 @@ export function compareGrades(extractedGrades, userGrades) {
         }
     }
 
-    const passed = score >= PASS_THRESHOLD && mandatoryFailures.length === 0;
+    const passed = score >= passThreshold && mandatoryFailures.length === 0;
     const statusEmoji = passed ? '✅ PASSED' : '❌ REJECTED';
 
     console.log('╠═══════════════════════════════════════════════════════════════════════╣');
-    console.log(`║ CREDIBILITY SCORE: ${score}/${TOTAL_SLOTS} — ${statusEmoji}`.padEnd(72) + '║');
+    console.log(`║ CREDIBILITY SCORE: ${score}/${totalSlots} — ${statusEmoji}`.padEnd(72) + '║');
 
     if (mandatoryFailures.length > 0) {
         console.log(`║ ⚠️  ${mandatoryFailures.length} mandatory grade(s) failed!`.padEnd(72) + '║');
@@ -147,13 +148,11 @@ export function compareGrades(extractedGrades, userGrades) {
 
     return {
         score,
-        total: TOTAL_SLOTS,
+        total: totalSlots,
         passed,
-        threshold: PASS_THRESHOLD,
+        threshold: passThreshold,
         mandatoryFailures,
         details,
-        summary: `${score}/${TOTAL_SLOTS} — ${passed ? 'VALIDÉ' : 'REJETÉ'}${mandatoryFailures.length > 0 ? ` (${mandatoryFailures.length} note(s) obligatoire(s) incorrecte(s))` : ''}`
+        summary: `${score}/${totalSlots} — ${passed ? 'VALIDÉ' : 'REJETÉ'}${mandatoryFailures.length > 0 ? ` (${mandatoryFailures.length} note(s) obligatoire(s) incorrecte(s))` : ''}`
     };
 }
-
-export { GRADE_SLOTS, TOTAL_SLOTS, PASS_THRESHOLD, MODULE_NAME_MAP };
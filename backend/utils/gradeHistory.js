@@ -0,0 +1,79 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * GRADE HISTORY — Audit trail for grade edits
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Every save compares the previous grades row with the new marks and
+ * writes one grade_history row per changed field. Used for:
+ *   - the Dashboard timeline and undo
+ *   - spotting marks flipped around a verification (user_verified)
+ * Like the verification logger, a failed write never blocks the save.
+ */
+
+import { supabase } from '../config/db.js';
+import { getClientIP } from './verificationLogger.js';
+
+export const HISTORY_FIELDS = ['exam_score', 'td_score', 'tp_score', 'rattrapage_score'];
+
+export const CHANGE_SOURCES = {
+    SINGLE: 'single',
+    BATCH: 'batch',
+    UNDO: 'undo',
+};
+
+const toValue = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+};
+
+/**
+ * Changed fields between the stored row and the new marks
+ * @param {Object|null} before - Current grades row (null for a new grade)
+ * @param {Object} after - New values keyed by column ({ exam_score, td_score, ... }), undefined = untouched
+ * @returns {Array} [{ field, oldValue, newValue }]
+ */
+export function diffGrade(before, after) {
+    return HISTORY_FIELDS
+        .filter(field => after[field] !== undefined)
+        .map(field => ({ field, oldValue: toValue(before?.[field]), newValue: toValue(after[field]) }))
+        .filter(c => c.oldValue !== c.newValue);
+}
+
+/**
+ * Record the changes of one grade save
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.subject
+ * @param {string} params.semester
+ * @param {Array} params.changes - From diffGrade()
+ * @param {string} params.source - CHANGE_SOURCES value
+ * @param {boolean} params.userVerified - users.is_verified at the time of the change
+ * @param {Object} params.req - Express request (IP, User-Agent)
+ */
+export async function recordGradeChanges({ userId, subject, semester, changes, source, userVerified, req }) {
+    if (!changes || changes.length === 0) return;
+
+    try {
+        const { error } = await supabase
+            .from('grade_history')
+            .insert(changes.map(c => ({
+                user_id: userId,
+                subject,
+                semester,
+                field: c.field,
+                old_value: c.oldValue,
+                new_value: c.newValue,
+                source,
+                user_verified: userVerified === true,
+                ip_address: req ? getClientIP(req) : 'unknown',
+                user_agent: req?.headers['user-agent'] || 'unknown'
+            })));
+
+        if (error) {
+            console.error('[HISTORY] Failed to record grade changes:', error.message);
+        }
+    } catch (e) {
+        console.error('[HISTORY] Recorder error:', e.message);
+    }
+}
@@ -6,30 +6,12 @@
  * Responsibilities:
  *   1. Parse OCR text to find module names (fuzzy match)
  *   2. Extract associated grades (exam + TD)
- *   3. Validate grade structure against S3 official list
+ *   3. Validate grade structure against the active semester's curriculum
  *   4. Detect missing/extra modules
  *   5. Validate grade ranges and decimal format
  */
 
-// Official S3 module definitions
-const S3_MODULES = [
-    { name: 'Probabilités et Statistiques 01', aliases: ['probabilit', 'statistique', 'proba', 'prob stat'], coefficient: 4, hasTD: true },
-    { name: 'Économie d\'entreprise', aliases: ['economie', 'économie', 'entreprise', 'eco entreprise'], coefficient: 2, hasTD: true },
-    { name: 'Anglais 02', aliases: ['anglais', 'english'], coefficient: 2, hasTD: false },
-    { name: 'Électronique Fondamentale 02', aliases: ['electronique', 'électronique', 'fondamentale'], coefficient: 4, hasTD: true },
-    { name: 'SFSD', aliases: ['sfsd', 'structure fichier', 'structures de donn', 'fichiers'], coefficient: 4, hasTD: true },
-    { name: 'Analyse 03', aliases: ['analyse math', 'analyse 3', 'analyse 03', 'analyse'], coefficient: 5, hasTD: true },
-    { name: 'Architecture 02', aliases: ['architecture', 'ordinateur', 'arch 02', 'arch 2'], coefficient: 4, hasTD: true },
-    { name: 'Algèbre 03', aliases: ['algèbre', 'algebre', 'algébre', 'alg 03', 'alg 3'], coefficient: 3, hasTD: true },
-];
-
-// Modules that may legitimately have empty grades
-const ALLOWED_EMPTY = [
-    { module: 'Anglais 02', field: 'exam' },
-    { module: 'Économie d\'entreprise', field: 'exam' },
-    { module: 'Économie d\'entreprise', field: 'td' },
-    { module: 'Probabilités et Statistiques 01', field: 'td' },
-];
+import { getSemesterModules, findModule } from './curriculum.js';
 
 /**
  * Levenshtein distance for fuzzy matching
@@ -71,20 +53,28 @@ function similarity(a, b) {
  */
 function matchModule(ocrText) {
     const normalized = ocrText.toLowerCase().trim();
+    const modules = getSemesterModules();
 
-    for (const mod of S3_MODULES) {
-        // Direct name match (fuzzy 85%)
-        if (similarity(normalized, mod.name.toLowerCase()) >= 85) {
+    // Direct name match (fuzzy 85%)
+    for (const mod of modules) {
+        if ([mod.name, ...mod.aliases].some(n => similarity(normalized, n.toLowerCase()) >= 85)) {
             return mod;
         }
-        // Alias match
-        for (const alias of mod.aliases) {
-            if (normalized.includes(alias.toLowerCase())) {
-                return mod;
+    }
+
+    // Keyword match — longest keyword wins so generic ones ('analyse') don't shadow specific ones
+    let best = null;
+    let bestLength = 0;
+    for (const mod of modules) {
+        for (const keyword of mod.ocrKeywords) {
+            const key = keyword.toLowerCase();
+            if (key.length > bestLength && normalized.includes(key)) {
+                best = mod;
+                bestLength = key.length;
             }
         }
     }
-    return null;
+    return best;
 }
 
 /**
@@ -351,7 +341,7 @@ function legacyExtractGrades(ocrText, pageContext) {
 }
 
 /**
- * Validate extracted grade structure against S3 requirements
+ * Validate extracted grade structure against the active semester's modules
  * @param {Object} extractedGrades - From extractGrades()
  * @returns {Object} validation results
  */
@@ -359,10 +349,11 @@ export function validateGradeStructure(extractedGrades) {
     const issues = [];
     let structureScore = 100;
 
-    // Check all 8 modules present
+    // Check all modules present
+    const modules = getSemesterModules();
     const foundNames = Object.keys(extractedGrades);
-    const missingModules = S3_MODULES.filter(m => !foundNames.includes(m.name));
-    const extraModules = foundNames.filter(name => !S3_MODULES.find(m => m.name === name));
+    const missingModules = modules.filter(m => !foundNames.includes(m.name));
+    const extraModules = foundNames.filter(name => !modules.find(m => m.name === name));
 
     if (missingModules.length > 0) {
         const penalty = missingModules.length * 12;
@@ -387,7 +378,7 @@ export function validateGradeStructure(extractedGrades) {
 
     // Check grade ranges and mandatory fields
     for (const [moduleName, grade] of Object.entries(extractedGrades)) {
-        const moduleDef = S3_MODULES.find(m => m.name === moduleName);
+        const moduleDef = modules.find(m => m.name === moduleName);
         if (!moduleDef) continue;
 
         // Exam grade validation
@@ -402,7 +393,7 @@ export function validateGradeStructure(extractedGrades) {
             }
         } else {
             // Check if this module is allowed to be empty
-            const isAllowed = ALLOWED_EMPTY.some(a => a.module === moduleName && a.field === 'exam');
+            const isAllowed = moduleDef.emptyAllowed.includes('exam');
             if (!isAllowed) {
                 structureScore -= 5;
                 issues.push({
@@ -425,7 +416,7 @@ export function validateGradeStructure(extractedGrades) {
                     });
                 }
             } else {
-                const isAllowed = ALLOWED_EMPTY.some(a => a.module === moduleName && a.field === 'td');
+                const isAllowed = moduleDef.emptyAllowed.includes('td');
                 if (!isAllowed) {
                     structureScore -= 5;
                     issues.push({
@@ -451,7 +442,7 @@ export function validateGradeStructure(extractedGrades) {
     return {
         valid: structureScore >= 60,
         structureScore: Math.max(0, structureScore),
-        modulesExpected: S3_MODULES.length,
+        modulesExpected: modules.length,
         modulesFound: foundNames.length,
         missingModules: missingModules.map(m => m.name),
         extraModules,
@@ -515,7 +506,7 @@ export function mergeGrades(tdExtraction, examExtraction) {
     for (const moduleName of allModules) {
         const tdData = tdExtraction.grades[moduleName] || {};
         const examData = examExtraction.grades[moduleName] || {};
-        const moduleDef = S3_MODULES.find(m => m.name === moduleName);
+        const moduleDef = findModule(moduleName);
 
         merged[moduleName] = {
             td: tdData.td ?? tdData.exam ?? null,       // TD screenshot: first number is typically TD
@@ -538,25 +529,26 @@ export function mergeGrades(tdExtraction, examExtraction) {
  * Formula: Module avg = (TD * td_coef + Exam * exam_coef) / (td_coef + exam_coef)
  * Semester avg = sum(module_avg * coefficient) / sum(coefficients)
  * 
- * For S3: TD weight = 0.40, Exam weight = 0.60
+ * Exam/TD weights come from the curriculum module (default 0.60 / 0.40)
  * Modules without TD: average = exam grade
  * 
  * @param {Object} grades - Merged grades object
  * @returns {Object} averages result
  */
 export function calculateAverages(grades) {
-    const TD_WEIGHT = 0.40;
-    const EXAM_WEIGHT = 0.60;
     const moduleAverages = {};
     let totalWeightedSum = 0;
     let totalCoef = 0;
 
     for (const [moduleName, grade] of Object.entries(grades)) {
         const coef = grade.coefficient || 1;
+        const moduleDef = findModule(moduleName);
+        const tdWeight = moduleDef?.tdWeight ?? 0.40;
+        const examWeight = moduleDef?.examWeight ?? 0.60;
         let avg = null;
 
         if (grade.hasTD && grade.td !== null && grade.exam !== null) {
-            avg = parseFloat(((grade.td * TD_WEIGHT + grade.exam * EXAM_WEIGHT)).toFixed(2));
+            avg = parseFloat(((grade.td * tdWeight + grade.exam * examWeight)).toFixed(2));
         } else if (grade.exam !== null) {
             avg = grade.exam;
         } else if (grade.td !== null) {
@@ -585,5 +577,3 @@ export function calculateAverages(grades) {
         modulesCalculated: Object.values(moduleAverages).filter(m => m.average !== null).length
     };
 }
-
-export { S3_MODULES, ALLOWED_EMPTY };
@@ -0,0 +1,194 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * GRADE PROVENANCE — Why a mark is considered trustworthy
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Every grade slot (exam, TD) carries:
+ *   source      manual | official_csv | screenshot_ocr | video_ocr
+ *   job id      grade_verifications.id or reconciliation_jobs.id
+ *   confidence  0-100 (100 for official marks, trust score for OCR)
+ *
+ * Precedence: official_csv > OCR > manual. Editing a mark drops it
+ * back to manual unless it still matches the official one.
+ */
+
+import { supabase } from '../config/db.js';
+import { resolveSubjectName } from './curriculum.js';
+import { VERIFY_TOLERANCE } from './gradeVerifier.js';
+import { fetchAllRows } from './fetchAll.js';
+
+export const GRADE_SOURCES = {
+    MANUAL: 'manual',
+    OFFICIAL: 'official_csv',
+    SCREENSHOT: 'screenshot_ocr',
+    VIDEO: 'video_ocr',
+};
+
+const SLOT_COLUMNS = {
+    exam: { score: 'exam_score', source: 'exam_source', jobId: 'exam_job_id', confidence: 'exam_confidence' },
+    td: { score: 'td_score', source: 'td_source', jobId: 'td_job_id', confidence: 'td_confidence' },
+};
+
+const OCR_SOURCES = [GRADE_SOURCES.SCREENSHOT, GRADE_SOURCES.VIDEO];
+const VERIFIED_FLAGS = { exam: 'is_exam_verified', td: 'is_td_verified' };
+
+// grades columns confirmedSlots() reads
+export const CONFIRMATION_COLUMNS = 'is_exam_verified, is_td_verified, exam_source, td_source, exam_job_id, td_job_id';
+
+/**
+ * Whether a write changed what confirmedSlots() sees (trust levels, tie-breakers)
+ * @param {Object|null} before - grades row before the write
+ * @param {Object} after - Written columns (or the row after)
+ */
+export const confirmationChanged = (before, after) => CONFIRMATION_COLUMNS.split(', ')
+    .some(column => String(before?.[column] ?? '') !== String(after[column] ?? ''));
+
+const hasMark = (value) => value !== null && value !== undefined && value !== '';
+
+const sameMark = (a, b) => {
+    if (!hasMark(a) || !hasMark(b)) return !hasMark(a) && !hasMark(b);
+    return Math.abs(parseFloat(a) - parseFloat(b)) <= VERIFY_TOLERANCE;
+};
+
+const slotColumns = (slot, source, jobId = null, confidence = null) => {
+    const col = SLOT_COLUMNS[slot];
+    return { [col.source]: source, [col.jobId]: jobId, [col.confidence]: confidence };
+};
+
+/**
+ * Provenance columns when a user saves a grade
+ * @param {Object|null} existing - Current grades row
+ * @param {Object} scores - { exam, td } new marks
+ * @param {Object} flags - { exam, td } official match (true/false/null)
+ * @returns {Object} Columns to merge into the insert/update
+ */
+export function provenanceOnSave(existing, scores, flags) {
+    const columns = {};
+
+    for (const [slot, col] of Object.entries(SLOT_COLUMNS)) {
+        const current = existing?.[col.source];
+
+        if (flags[slot] === true) {
+            const jobId = current === GRADE_SOURCES.OFFICIAL ? existing[col.jobId] : null;
+            Object.assign(columns, slotColumns(slot, GRADE_SOURCES.OFFICIAL, jobId, 100));
+        } else if (existing && current !== GRADE_SOURCES.OFFICIAL && sameMark(existing[col.score], scores[slot])) {
+            // Unchanged mark: an OCR confirmation still holds
+            Object.assign(columns, slotColumns(slot, current || GRADE_SOURCES.MANUAL, existing[col.jobId], existing[col.confidence]));
+        } else {
+            Object.assign(columns, slotColumns(slot, GRADE_SOURCES.MANUAL));
+        }
+    }
+
+    return columns;
+}
+
+/**
+ * Provenance columns after a reconciliation run
+ * @param {Object} grade - Current grades row
+ * @param {Object} flags - { exam, td } recomputed official match
+ * @param {string|number} jobId - reconciliation_jobs.id
+ * @returns {Object} Columns to update (empty when nothing changes)
+ */
+export function provenanceOnReconcile(grade, flags, jobId) {
+    const columns = {};
+
+    for (const [slot, col] of Object.entries(SLOT_COLUMNS)) {
+        const current = grade[col.source];
+
+        if (flags[slot] === true && current !== GRADE_SOURCES.OFFICIAL) {
+            Object.assign(columns, slotColumns(slot, GRADE_SOURCES.OFFICIAL, String(jobId), 100));
+        } else if (flags[slot] !== true && current === GRADE_SOURCES.OFFICIAL) {
+            Object.assign(columns, slotColumns(slot, GRADE_SOURCES.MANUAL));
+        }
+    }
+
+    return columns;
+}
+
+/**
+ * Mark the slots a verified OCR job confirmed
+ * Official marks are never downgraded to OCR.
+ * @param {string} userId
+ * @param {string} semester - Semester the job compared
+ * @param {Array} details - compareGrades() details ({ module, type, match, userValue })
+ * @param {string} source - GRADE_SOURCES.SCREENSHOT | GRADE_SOURCES.VIDEO
+ * @param {string} jobId - grade_verifications.id
+ * @param {number} confidence - Job trust score (0-100)
+ * @returns {number} Slots updated
+ */
+export async function applyOcrProvenance(userId, semester, details, source, jobId, confidence) {
+    const { data: grades, error } = await supabase
+        .from('grades')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('semester', semester);
+
+    if (error) throw error;
+
+    let updated = 0;
+    for (const grade of grades || []) {
+        const module = resolveSubjectName(grade.subject);
+        const columns = {};
+
+        for (const d of details) {
+            if (d.module !== module || !d.match || d.userValue === null) continue;
+            if (!SLOT_COLUMNS[d.type] || grade[SLOT_COLUMNS[d.type].source] === GRADE_SOURCES.OFFICIAL) continue;
+            Object.assign(columns, slotColumns(d.type, source, jobId, confidence));
+            updated++;
+        }
+
+        if (Object.keys(columns).length === 0) continue;
+        const { error: updateError } = await supabase.from('grades').update(columns).eq('id', grade.id);
+        if (updateError) throw updateError;
+    }
+
+    return updated;
+}
+
+/**
+ * API shape: { exam: { source, jobId, confidence }, td: { ... } }
+ */
+export function toProvenance(grade) {
+    const provenance = {};
+    for (const [slot, col] of Object.entries(SLOT_COLUMNS)) {
+        provenance[slot] = {
+            source: grade[col.source] || GRADE_SOURCES.MANUAL,
+            jobId: grade[col.jobId] ?? null,
+            confidence: grade[col.confidence] !== null && grade[col.confidence] !== undefined
+                ? Number(grade[col.confidence])
+                : null
+        };
+    }
+    return provenance;
+}
+
+/**
+ * Which slots of some grades rows are confirmed: matching the official
+ * grades (is_*_verified, official_csv) or confirmed by a screenshot/video
+ * job still VERIFIED in grade_verifications (a rejected job proves nothing)
+ * @param {Array} grades - Rows with CONFIRMATION_COLUMNS
+ * @returns {Promise<Function>} (grade, slot: 'exam' | 'td') → boolean
+ */
+export async function confirmedSlots(grades) {
+    const jobIds = [...new Set(grades.flatMap(g => Object.values(SLOT_COLUMNS)
+        .map(col => OCR_SOURCES.includes(g[col.source]) ? g[col.jobId] : null))
+        .filter(Boolean))];
+
+    const verifiedJobs = new Set();
+    if (jobIds.length > 0) {
+        const jobs = await fetchAllRows(() => supabase
+            .from('grade_verifications')
+            .select('id')
+            .in('id', jobIds)
+            .eq('status', 'VERIFIED'));
+        jobs.forEach(j => verifiedJobs.add(String(j.id)));
+    }
+
+    return (grade, slot) => {
+        const col = SLOT_COLUMNS[slot];
+        const source = grade[col.source];
+        return grade[VERIFIED_FLAGS[slot]] === true
+            || source === GRADE_SOURCES.OFFICIAL
+            || (OCR_SOURCES.includes(source) && verifiedJobs.has(String(grade[col.jobId])));
+    };
+}
@@ -0,0 +1,189 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * GRADE RECONCILER — Re-verify stored grades after official imports
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * is_exam_verified / is_td_verified are set when a user saves grades.
+ * An official CSV imported later would leave them stale, so every
+ * import starts a reconciliation job:
+ *   1. Load official rows + users' grades in scope (module / semester)
+ *   2. Recompute both flags and slot provenance per grade with an official row
+ *   3. Update changed grades, recalculate the owners' averages
+ *   4. Store one diff per user in reconciliation_diffs
+ *   5. Snapshot the rankings (rank history)
+ */
+
+import { supabase } from '../config/db.js';
+import { loadCurriculum, findModule, getSubjectVariants } from './curriculum.js';
+import { recomputeUsers } from './rankingEngine.js';
+import { matriculeSuffix, verifyAgainstOfficial } from './gradeVerifier.js';
+import { provenanceOnReconcile } from './gradeProvenance.js';
+import { takeRankingSnapshots, SNAPSHOT_TRIGGERS } from './rankingSnapshots.js';
+import { fetchAllRows } from './fetchAll.js';
+
+const FLAG_FIELDS = [
+    ['is_exam_verified', 'isExamVerified'],
+    ['is_td_verified', 'isTdVerified'],
+];
+
+const SOURCE_FIELDS = ['exam_source', 'td_source'];
+
+const gradeKey = (suffix, subject, semester) => `${suffix}|${subject}|${semester}`;
+
+/**
+ * Create a reconciliation job and run it in the background
+ * @param {Object} scope - { importId?, subject?, semestre?, triggeredBy? }
+ * @returns {Object} The reconciliation_jobs row (status PROCESSING)
+ */
+export async function startReconciliation({ importId = null, subject = null, semestre = null, triggeredBy = null } = {}) {
+    const { data: job, error } = await supabase
+        .from('reconciliation_jobs')
+        .insert({
+            import_id: importId,
+            triggered_by: triggeredBy,
+            subject,
+            semestre,
+            status: 'PROCESSING'
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    setImmediate(() => runReconciliation(job));
+    return job;
+}
+
+/**
+ * Background processor — never throws, failures end up on the job row
+ */
+async function runReconciliation(job) {
+    try {
+        const result = await reconcileGrades(job);
+
+        await supabase
+            .from('reconciliation_jobs')
+            .update({
+                status: 'COMPLETED',
+                grades_checked: result.gradesChecked,
+                grades_changed: result.gradesChanged,
+                users_changed: result.usersChanged,
+                finished_at: new Date().toISOString()
+            })
+            .eq('id', job.id);
+
+        console.log(`[RECONCILE] Job ${job.id}: ${result.gradesChanged}/${result.gradesChecked} notes modifiées, ${result.usersChanged} utilisateurs`);
+
+        // Rank history point once the averages reflect the official marks
+        await takeRankingSnapshots({
+            trigger: job.import_id ? SNAPSHOT_TRIGGERS.OFFICIAL_IMPORT : SNAPSHOT_TRIGGERS.RECONCILIATION,
+            triggeredBy: job.triggered_by
+        });
+    } catch (err) {
+        console.error(`[RECONCILE] Job ${job.id} failed:`, err);
+        await supabase
+            .from('reconciliation_jobs')
+            .update({
+                status: 'FAILED',
+                error_message: err.message,
+                finished_at: new Date().toISOString()
+            })
+            .eq('id', job.id);
+    }
+}
+
+/**
+ * Re-verify every grade in scope against official_grades
+ * @param {Object} job - reconciliation_jobs row ({ id, subject, semestre })
+ * @returns {Object} { gradesChecked, gradesChanged, usersChanged }
+ */
+export async function reconcileGrades(job) {
+    await loadCurriculum();
+    const variants = job.subject ? getSubjectVariants(job.subject) : null;
+
+    // 1. Official rows and grades in scope (paged: a partial read would un-verify marks)
+    const inScope = (query, semesterColumn) => {
+        let scoped = job.semestre ? query.eq(semesterColumn, job.semestre) : query;
+        if (variants) scoped = scoped.in('subject', variants);
+        return scoped;
+    };
+
+    const [officials, grades, users] = await Promise.all([
+        fetchAllRows(() => inScope(supabase.from('official_grades').select('id, matricule, subject, semestre, final_note, td_note'), 'semestre')),
+        fetchAllRows(() => inScope(supabase.from('grades').select('id, user_id, subject, semester, exam_score, td_score, is_exam_verified, is_td_verified, exam_source, td_source'), 'semester')),
+        fetchAllRows(() => supabase.from('users').select('id, student_id').not('student_id', 'is', null))
+    ]);
+
+    // Official rows keyed by matricule suffix + canonical module name + semester.
+    // Exam-only and TD-only rows (or alias / canonical duplicates) complete
+    // each other; the canonical row's marks win.
+    const officialByKey = new Map();
+    officials.forEach(o => {
+        const name = findModule(o.subject, o.semestre)?.name || o.subject;
+        const key = gradeKey(matriculeSuffix(o.matricule), name, o.semestre);
+        const seen = officialByKey.get(key);
+        if (!seen) {
+            officialByKey.set(key, o);
+            return;
+        }
+        const [primary, secondary] = o.subject === name ? [o, seen] : [seen, o];
+        officialByKey.set(key, {
+            ...primary,
+            final_note: primary.final_note ?? secondary.final_note,
+            td_note: primary.td_note ?? secondary.td_note
+        });
+    });
+    const suffixByUser = new Map(users.map(u => [u.id, matriculeSuffix(u.student_id)]));
+
+    // 2. Recompute flags and provenance
+    const changesByUser = new Map();
+    let gradesChanged = 0;
+
+    for (const g of grades) {
+        const suffix = suffixByUser.get(g.user_id);
+        if (!suffix) continue;
+
+        const name = findModule(g.subject, g.semester)?.name || g.subject;
+        const official = officialByKey.get(gradeKey(suffix, name, g.semester));
+        // No official row: nothing to compare, existing flags stay as they are
+        if (!official) continue;
+        const flags = verifyAgainstOfficial(official, g.exam_score, g.td_score);
+
+        const provenance = provenanceOnReconcile(g, { exam: flags.isExamVerified, td: flags.isTdVerified }, job.id);
+
+        const changes = [
+            ...FLAG_FIELDS
+                .filter(([column, key]) => g[column] !== flags[key])
+                .map(([column, key]) => ({ field: column, before: g[column], after: flags[key] })),
+            ...SOURCE_FIELDS
+                .filter(column => provenance[column] !== undefined)
+                .map(column => ({ field: column, before: g[column], after: provenance[column] }))
+        ].map(c => ({ subject: g.subject, semester: g.semester, ...c }));
+        if (changes.length === 0) continue;
+
+        // 3. Update the grade row
+        const { error } = await supabase
+            .from('grades')
+            .update({ is_exam_verified: flags.isExamVerified, is_td_verified: flags.isTdVerified, ...provenance })
+            .eq('id', g.id);
+        if (error) throw error;
+
+        gradesChanged++;
+        if (!changesByUser.has(g.user_id)) changesByUser.set(g.user_id, []);
+        changesByUser.get(g.user_id).push(...changes);
+    }
+
+    const userIds = [...changesByUser.keys()];
+    if (userIds.length > 0) {
+        // Averages of every user whose grades changed (flags / provenance: trust levels too)
+        await recomputeUsers(userIds, { confirmationsChanged: true });
+
+        // 4. Per-user diffs
+        const { error: diffError } = await supabase
+            .from('reconciliation_diffs')
+            .insert(userIds.map(id => ({ job_id: job.id, user_id: id, changes: changesByUser.get(id) })));
+        if (diffError) throw diffError;
+    }
+
+    return { gradesChecked: grades.length, gradesChanged, usersChanged: userIds.length };
+}
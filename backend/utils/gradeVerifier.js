@@ -0,0 +1,41 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * GRADE VERIFIER — Compare a user's marks with official_grades
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Official rows are matched on the last 8 digits of the matricule
+ * (faculty exports and student cards don't share the same prefix).
+ * Flags: true = matches (±0.05), false = differs, null = nothing to compare.
+ */
+
+export const VERIFY_TOLERANCE = 0.05;
+
+/**
+ * Matricule suffix used to match official rows
+ */
+export function matriculeSuffix(studentId) {
+    return studentId ? String(studentId).slice(-8) : null;
+}
+
+/**
+ * Compare one mark with the official one
+ * @returns {boolean|null}
+ */
+export function matchesOfficial(officialNote, score) {
+    if (officialNote === null || officialNote === undefined) return null;
+    if (score === null || score === undefined || score === '') return null;
+    return Math.abs(parseFloat(officialNote) - parseFloat(score)) <= VERIFY_TOLERANCE;
+}
+
+/**
+ * Verification flags for one grade row
+ * @param {Object|null} official - official_grades row ({ final_note, td_note })
+ * @returns {Object} { isExamVerified, isTdVerified }
+ */
+export function verifyAgainstOfficial(official, examScore, tdScore) {
+    if (!official) return { isExamVerified: null, isTdVerified: null };
+    return {
+        isExamVerified: matchesOfficial(official.final_note, examScore),
+        isTdVerified: matchesOfficial(official.td_note, tdScore)
+    };
+}
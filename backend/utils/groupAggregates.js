@@ -0,0 +1,170 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * GROUP AGGREGATES — Roster groups (or sections) compared side by side
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * For one semester, each roster group gets the mean, median and pass
+ * rate of its general averages and, per module, the mean module
+ * average and the mean TD mark (what delegates bring to teachers when
+ * a TD looks harder in one group). Verified users only, all privacy
+ * levels included: nothing but aggregates leaves here, and every
+ * figure follows the cohortStats k-anonymity floor (counts included).
+ * The whole-cohort column only pools published figures: a cohort (or a
+ * module of a cohort) hidden under the floor is left out of it, else
+ * overall minus the other columns would give the hidden one back.
+ * Participation = registered students / students the faculty lists in
+ * the group; a group below UNDER_REGISTERED_RATE is flagged because
+ * its figures describe the few who signed up, not the group.
+ */
+
+import { supabase } from '../config/db.js';
+import { loadCurriculum } from './curriculum.js';
+import { computeModuleAverage } from './averageCalculator.js';
+import { computeCohortStats, K_ANONYMITY } from './cohortStats.js';
+import { loadRoster } from './roster.js';
+import { fetchAllRows } from './fetchAll.js';
+
+export const AGGREGATE_DIMENSIONS = ['group', 'section'];
+export const UNDER_REGISTERED_RATE = 50;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Mean of a list of marks, nothing (not even the size) below the floor
+function floorMean(values) {
+    if (values.length < K_ANONYMITY) return { count: null, suppressed: true };
+    return { count: values.length, suppressed: false, mean: round2(values.reduce((sum, v) => sum + v, 0) / values.length) };
+}
+
+// Mean, median and pass rate of general averages (no histogram: one row per group)
+function summarize(averages) {
+    const { count, suppressed, mean, median, passRate } = computeCohortStats(averages);
+    return suppressed ? { count: null, suppressed } : { count, suppressed, mean, median, passRate };
+}
+
+// { userId → general average } and { userId → grades[] } of verified users for one semester
+async function loadSemesterMarks(semester) {
+    const modules = semester.modules.map(m => m.name);
+
+    const [averages, grades] = await Promise.all([
+        fetchAllRows(() => supabase
+            .from('semester_averages')
+            .select('id, user_id, general_average, users!inner(is_verified)')
+            .eq('semester', semester.code)
+            .eq('users.is_verified', true)),
+        modules.length === 0
+            ? []
+            : fetchAllRows(() => supabase
+                .from('grades')
+                .select('id, user_id, subject, exam_score, td_score, tp_score, rattrapage_score, users!inner(is_verified)')
+                .eq('semester', semester.code)
+                .in('subject', modules)
+                .eq('users.is_verified', true))
+    ]);
+
+    const gradesByUser = new Map();
+    grades.forEach(g => {
+        if (!gradesByUser.has(g.user_id)) gradesByUser.set(g.user_id, []);
+        gradesByUser.get(g.user_id).push(g);
+    });
+
+    return {
+        averages: new Map(averages.map(a => [a.user_id, Number(a.general_average)])),
+        gradesByUser
+    };
+}
+
+// General averages of a set of users
+const generalsOf = (userIds, averages) => userIds.map(id => averages.get(id)).filter(Number.isFinite);
+
+// Module averages and TD marks of a set of users for one module
+function moduleMarks(userIds, module, gradesByUser) {
+    const grades = userIds
+        .map(id => gradesByUser.get(id)?.find(g => g.subject === module.name))
+        .filter(Boolean);
+    const tdMarks = grades
+        .filter(g => g.td_score !== null && g.td_score !== '')
+        .map(g => Number(g.td_score))
+        .filter(Number.isFinite);
+    return { moduleAverages: grades.map(g => computeModuleAverage(module, g)), tdMarks };
+}
+
+// Aggregates of one set of users
+function aggregate(userIds, semester, averages, gradesByUser) {
+    const subjects = semester.modules.map(module => {
+        const { moduleAverages, tdMarks } = moduleMarks(userIds, module, gradesByUser);
+        return {
+            subject: module.name,
+            ...floorMean(moduleAverages),
+            tdMean: module.hasTD ? floorMean(tdMarks).mean ?? null : null
+        };
+    });
+
+    return { ...summarize(generalsOf(userIds, averages)), subjects };
+}
+
+// Whole-cohort column pooled from the published cohort figures only
+function aggregateOverall(cohorts, members, semester, averages, gradesByUser) {
+    const usersOf = (published) => cohorts.filter(published).flatMap(c => members.get(c.key));
+
+    const subjects = semester.modules.map((module, i) => ({
+        subject: module.name,
+        ...floorMean(moduleMarks(usersOf(c => !c.subjects[i].suppressed), module, gradesByUser).moduleAverages),
+        tdMean: module.hasTD
+            ? floorMean(moduleMarks(usersOf(c => c.subjects[i].tdMean !== null), module, gradesByUser).tdMarks).mean ?? null
+            : null
+    }));
+
+    return {
+        ...summarize(generalsOf(usersOf(c => !c.suppressed), averages)),
+        subjects,
+        partial: cohorts.some(c => c.suppressed)
+    };
+}
+
+/**
+ * Groups (or sections) compared over one semester
+ * @param {string} by - One of AGGREGATE_DIMENSIONS
+ * @param {string} semesterCode - Curriculum semester code
+ * @returns {Promise<Object>} { semester, subjects[], cohorts[], overall } — cohorts[]:
+ *   { key, registered, rosterSize, participationRate, underRegistered, count, suppressed,
+ *     mean?, median?, passRate?, subjects[] }; registered, participationRate and count are
+ *   null under the floor; overall.partial when hidden cohorts were left out of it
+ */
+export async function buildGroupAggregates(by, semesterCode) {
+    const curriculum = await loadCurriculum();
+    const semester = curriculum.semesters.find(s => s.code === semesterCode) || { code: semesterCode, modules: [] };
+
+    const [roster, { averages, gradesByUser }] = await Promise.all([loadRoster(), loadSemesterMarks(semester)]);
+    const keys = by === 'section' ? roster.sections : roster.groups;
+
+    // Registered = verified accounts with marks this semester, placed by the roster
+    const marked = [...new Set([...averages.keys(), ...gradesByUser.keys()])];
+    const members = new Map(keys.map(key => [key, []]));
+    marked.forEach(userId => members.get(roster.byUser.get(userId)?.[by])?.push(userId));
+
+    const cohorts = keys.map(key => {
+        const userIds = members.get(key);
+        const rosterSize = roster.sizes[by][key] || 0;
+        // Below the floor the rate would give the head count back from the roster size
+        const fewRegistered = userIds.length < K_ANONYMITY;
+        const participationRate = rosterSize > 0 && !fewRegistered
+            ? round2(Math.min(userIds.length / rosterSize, 1) * 100)
+            : null;
+        return {
+            key,
+            registered: fewRegistered ? null : userIds.length,
+            rosterSize,
+            participationRate,
+            underRegistered: fewRegistered
+                || (participationRate !== null && participationRate < UNDER_REGISTERED_RATE),
+            ...aggregate(userIds, semester, averages, gradesByUser)
+        };
+    });
+
+    return {
+        semester: semester.code,
+        subjects: semester.modules.map(m => ({ name: m.name, hasTD: !!m.hasTD })),
+        cohorts,
+        overall: aggregateOverall(cohorts, members, semester, averages, gradesByUser)
+    };
+}
@@ -0,0 +1,85 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * MATRICULE — Cohort prefixes, kernel extraction, roster lookup
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * The same student appears as 2024XXXXXXXX (card), 2324XXXXXXXX /
+ * 2424XXXXXXXX (faculty exports) or ES162220252424XXXXXXXX.
+ * Stripping the cohort prefix leaves the kernel, which is what
+ * students_list and other accounts are matched on.
+ * Prefixes come from curriculum_levels.cohort_prefixes (per promotion).
+ */
+
+import { supabase } from '../config/db.js';
+import { loadCurriculum } from './curriculum.js';
+
+// Used when no promotion has prefixes configured yet
+export const DEFAULT_COHORT_PREFIXES = ['ES162220252424', '2024', '2025', '2026', '2424'];
+
+const byLengthDesc = (a, b) => b.length - a.length;
+
+/**
+ * Prefixes of every promotion (longest first)
+ * @returns {Promise<Array>} [{ prefix, levelCode, promotion }]
+ */
+export async function getCohortPrefixes() {
+    const curriculum = await loadCurriculum();
+    const configured = curriculum.levels.flatMap(level =>
+        (level.cohortPrefixes || []).map(prefix => ({ prefix, levelCode: level.code, promotion: level.promotion }))
+    );
+
+    const list = configured.length > 0
+        ? configured
+        : DEFAULT_COHORT_PREFIXES.map(prefix => ({ prefix, levelCode: null, promotion: null }));
+
+    return list.sort((a, b) => byLengthDesc(a.prefix, b.prefix));
+}
+
+/**
+ * Split a matricule into prefix + kernel
+ * @param {string} matricule
+ * @param {Array<string>} [prefixes] - Defaults to DEFAULT_COHORT_PREFIXES
+ * @returns {Object} { prefix, kernel } — prefix is null when none matched (4-digit fallback)
+ */
+export function extractKernel(matricule, prefixes = DEFAULT_COHORT_PREFIXES) {
+    const value = String(matricule || '').trim().toUpperCase();
+    const prefix = [...prefixes].sort(byLengthDesc).find(p => value.startsWith(p)) || null;
+
+    return {
+        prefix,
+        kernel: prefix ? value.substring(prefix.length) : value.substring(4)
+    };
+}
+
+/**
+ * students_list row for a kernel (exact matricule preferred)
+ * @returns {Promise<Object|null>}
+ */
+export async function findRosterStudent(matricule, kernel) {
+    const { data, error } = await supabase
+        .from('students_list')
+        .select('*')
+        .ilike('matricule', `%${kernel}`);
+
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+
+    return data.find(s => s.matricule === matricule) || data[0];
+}
+
+/**
+ * Account already registered with the same kernel (any prefix)
+ * users.student_kernel is unique (roster_registration_schema.sql): this is
+ * the friendly early check, the index settles concurrent registrations.
+ * @returns {Promise<Object|null>}
+ */
+export async function findAccountByKernel(kernel) {
+    const { data, error } = await supabase
+        .from('users')
+        .select('id, student_id')
+        .eq('student_kernel', kernel)
+        .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+}
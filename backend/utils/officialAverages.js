@@ -0,0 +1,129 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * OFFICIAL AVERAGES — Rankings backed by official_grades
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Per grade slot (module exam, module TD when hasTD):
+ *   1. official_grades mark for the matricule (absent exam → 0)
+ *   2. else the user's self-reported mark, only when confirmed (matching
+ *      the official grades or a still-VERIFIED screenshot/video job)
+ * TP and rattrapage marks are never in the faculty exports and
+ * always come from the user's grades.
+ * Only identity-verified accounts are ranked, like every other mode:
+ * anyone can register an unverified account on someone else's
+ * matricule, and it must not be listed under their faculty marks.
+ *
+ * Each result carries officialSlots / totalSlots so the leaderboard
+ * shows how much of an average comes from the faculty's data.
+ */
+
+import { supabase } from '../config/db.js';
+import { findModule } from './curriculum.js';
+import { computeUserAverages } from './averageCalculator.js';
+import { matriculeSuffix } from './gradeVerifier.js';
+import { confirmedSlots, CONFIRMATION_COLUMNS } from './gradeProvenance.js';
+import { fetchAllRows } from './fetchAll.js';
+
+const hasMark = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Merge official and self-reported marks for one user and one semester
+ * @param {Object} semester - Curriculum semester ({ code, modules })
+ * @param {Array} official - official_grades rows of the user for this semester
+ * @param {Array} grades - grades rows of the user for this semester
+ * @param {Function} confirmed - (grade, slot) → boolean, from confirmedSlots()
+ * @returns {Object} { grades[], officialSlots, totalSlots }
+ */
+export function mergeOfficialGrades(semester, official, grades, confirmed) {
+    const merged = [];
+    let officialSlots = 0;
+    let totalSlots = 0;
+
+    for (const module of semester.modules) {
+        const off = official.find(o => findModule(o.subject, semester.code)?.name === module.name);
+        const own = grades.find(g => findModule(g.subject, semester.code)?.name === module.name);
+
+        const officialExam = off && (hasMark(off.final_note) || off.absent);
+        const officialTd = module.hasTD && off && hasMark(off.td_note);
+
+        totalSlots += module.hasTD ? 2 : 1;
+        officialSlots += (officialExam ? 1 : 0) + (officialTd ? 1 : 0);
+
+        // Unconfirmed self-reported slots are left empty
+        const ownMark = (slot) => own && confirmed(own, slot) ? own[`${slot}_score`] ?? null : null;
+
+        const row = {
+            subject: module.name,
+            semester: semester.code,
+            exam_score: officialExam ? (hasMark(off.final_note) ? off.final_note : 0) : ownMark('exam'),
+            td_score: officialTd ? off.td_note : ownMark('td'),
+            tp_score: own?.tp_score ?? null,
+            rattrapage_score: own?.rattrapage_score ?? null
+        };
+
+        const anyMark = hasMark(row.exam_score) || hasMark(row.td_score) || hasMark(row.tp_score) || hasMark(row.rattrapage_score);
+        if (anyMark) merged.push(row);
+    }
+
+    return { grades: merged, officialSlots, totalSlots };
+}
+
+/**
+ * Official-backed averages of every user for a set of semesters
+ * @param {Object} curriculum - Snapshot from loadCurriculum()
+ * @param {Array} semesterCodes - ['S3'] for a semester ranking, the level's semesters for annual
+ * @returns {Array} [{ user, semesters[], annual[], grades[] (merged marks), officialSlots, totalSlots }]
+ */
+export async function computeOfficialAverages(curriculum, semesterCodes) {
+    const semesters = curriculum.semesters.filter(s => semesterCodes.includes(s.code) && s.modules.length > 0);
+
+    const [users, officials, grades] = await Promise.all([
+        fetchAllRows(() => supabase.from('users').select('id, alias, alias_changed_at, student_id, display_mode, ranking_scopes, is_verified').not('student_id', 'is', null).eq('is_verified', true)),
+        fetchAllRows(() => supabase.from('official_grades').select('id, matricule, subject, semestre, final_note, td_note, absent').in('semestre', semesterCodes)),
+        fetchAllRows(() => supabase.from('grades').select(`id, user_id, subject, semester, exam_score, td_score, tp_score, rattrapage_score, ${CONFIRMATION_COLUMNS}`).in('semester', semesterCodes))
+    ]);
+    const confirmed = await confirmedSlots(grades);
+
+    // Group once instead of filtering per user
+    const officialBySuffix = new Map();
+    officials.forEach(o => {
+        const suffix = matriculeSuffix(o.matricule);
+        if (!officialBySuffix.has(suffix)) officialBySuffix.set(suffix, []);
+        officialBySuffix.get(suffix).push(o);
+    });
+    const gradesByUser = new Map();
+    grades.forEach(g => {
+        if (!gradesByUser.has(g.user_id)) gradesByUser.set(g.user_id, []);
+        gradesByUser.get(g.user_id).push(g);
+    });
+
+    const results = [];
+    for (const user of users) {
+        const userOfficial = officialBySuffix.get(matriculeSuffix(user.student_id)) || [];
+        const userGrades = gradesByUser.get(user.id) || [];
+        if (userOfficial.length === 0 && userGrades.length === 0) continue;
+
+        const mergedGrades = [];
+        let officialSlots = 0;
+        let totalSlots = 0;
+
+        for (const semester of semesters) {
+            const merged = mergeOfficialGrades(
+                semester,
+                userOfficial.filter(o => o.semestre === semester.code),
+                userGrades.filter(g => g.semester === semester.code),
+                confirmed
+            );
+            mergedGrades.push(...merged.grades);
+            officialSlots += merged.officialSlots;
+            totalSlots += merged.totalSlots;
+        }
+
+        if (mergedGrades.length === 0) continue;
+
+        const averages = computeUserAverages(mergedGrades, curriculum);
+        results.push({ user, ...averages, grades: mergedGrades, officialSlots, totalSlots });
+    }
+
+    return results;
+}
@@ -0,0 +1,352 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * RANKING BUILDER — Full ordered rankings per scope
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Shared by the ranking endpoints and the snapshot job:
+ *   general  averages / semester_averages / annual_averages,
+ *            or official-backed (computeOfficialAverages)
+ *   subject  subject_averages of one module
+ *   group    active semester general average inside a roster group
+ *   query    cross filters (subject, group, section, semester) and a
+ *            sort key (average, exam only, TD only)
+ * Rows keep the internal `userId`; rankingPage strips it before sending.
+ * Every row carries its trust level (rankingTrust); ?trust= filters the
+ * rows before ranking, so a "full" ranking numbers proven students only.
+ * Rows also carry the internal privacy settings and roster group; the
+ * lists apply them per viewer (rankingPrivacy).
+ */
+
+import { supabase } from '../config/db.js';
+import { loadCurriculum } from './curriculum.js';
+import { computeWeightedExam, computeWeightedTd } from './averageCalculator.js';
+import { computeOfficialAverages } from './officialAverages.js';
+import { ALIAS_RELEASE_DAYS } from './aliasPolicy.js';
+import { rankRows, loadTieBreakers } from './rankingRules.js';
+import { loadTrust, meetsTrust, DEFAULT_TRUST_LEVEL } from './rankingTrust.js';
+import { loadRoster } from './roster.js';
+import { privacyOf } from './rankingPrivacy.js';
+import { fetchAllRows } from './fetchAll.js';
+
+export const SEMESTER_CODES = ['S1', 'S2', 'S3', 'S4', 'S5', 'S6'];
+export const RANKING_MODES = ['self', 'official'];
+export const RANKING_SORTS = ['average', 'exam', 'td'];
+
+/**
+ * Pick the averages table for ?semester=S3 / ?period=annual (default: active semester)
+ * @returns {Object} { table, column, filter, period, semester?, level? } or { error }
+ */
+export async function resolveGeneralSource({ semester, period }) {
+    if (period === 'annual') {
+        const curriculum = await loadCurriculum();
+        const level = curriculum.semesters.find(s => s.code === curriculum.activeSemester)?.levelCode;
+        return { table: 'annual_averages', column: 'annual_average', filter: level ? ['level_code', level] : null, period: 'annual', level };
+    }
+    if (period && period !== 'semester') {
+        return { error: `Période invalide: ${period}. Valeurs acceptées: semester, annual` };
+    }
+    if (semester) {
+        if (!SEMESTER_CODES.includes(semester)) {
+            return { error: `Semestre invalide: ${semester}. Valeurs acceptées: ${SEMESTER_CODES.join(', ')}` };
+        }
+        return { table: 'semester_averages', column: 'general_average', filter: ['semester', semester], period: 'semester', semester };
+    }
+    return { table: 'averages', column: 'general_average', filter: null, period: 'semester' };
+}
+
+// Rows flag aliases changed in the last ALIAS_RELEASE_DAYS (impersonation warning)
+const recentAliasChange = (changedAt) =>
+    changedAt && Date.now() - new Date(changedAt).getTime() < ALIAS_RELEASE_DAYS * 24 * 60 * 60 * 1000
+        ? changedAt
+        : null;
+
+// Ranking row columns from a users row (never the student number)
+const userColumns = (user) => ({
+    alias: user.alias,
+    aliasChangedAt: recentAliasChange(user.alias_changed_at),
+    displayName: user.alias,
+    privacy: privacyOf(user),
+});
+
+// Curriculum semesters a general ranking covers (tie-breakers, official averages)
+const sourceSemesters = (source, curriculum) => source.period === 'annual'
+    ? curriculum.semesters.filter(s => s.levelCode === source.level)
+    : curriculum.semesters.filter(s => s.code === (source.semester || curriculum.activeSemester));
+
+// Attach trust levels and roster groups, drop rows under the requested level, then rank
+async function rankTrusted(rows, rule, trust, semesters, loadBreakers) {
+    const levels = await loadTrust(rows.map(r => r.userId), semesters);
+    const roster = await loadRoster();
+    const trusted = rows
+        .map(row => ({ ...row, group: row.group ?? roster.byUser.get(row.userId)?.group ?? null, trust: levels.get(row.userId) }))
+        .filter(row => meetsTrust(row.trust.level, trust));
+    return rankRows(trusted, rule, loadBreakers);
+}
+
+// Official-backed ranking: averages computed on the fly from official_grades,
+// verified users' own marks fill the slots the faculty hasn't published yet
+async function buildOfficialRanking(source, rule, trust) {
+    const curriculum = await loadCurriculum();
+    const semesters = sourceSemesters(source, curriculum);
+    const semesterCodes = semesters.length > 0
+        ? semesters.map(s => s.code)
+        : [source.semester || curriculum.activeSemester];
+
+    const results = await computeOfficialAverages(curriculum, semesterCodes);
+    const resultByUser = new Map(results.map(r => [r.user.id, r]));
+
+    const rows = results
+        .map(r => ({
+            user: r.user,
+            average: source.period === 'annual'
+                ? r.annual.find(a => a.levelCode === source.level)?.annualAverage
+                : r.semesters.find(s => s.semester === semesterCodes[0])?.generalAverage,
+            officialSlots: r.officialSlots,
+            totalSlots: r.totalSlots
+        }))
+        .filter(r => r.average !== undefined)
+        .map(item => ({
+            userId: item.user.id,
+            ...userColumns(item.user),
+            average: item.average,
+            officialSlots: item.officialSlots,
+            totalSlots: item.totalSlots
+        }));
+
+    // Unverified slots here are the ones the faculty hasn't published
+    return rankTrusted(rows, rule, trust, semesters, async (userIds) => new Map(userIds.map(id => {
+        const result = resultByUser.get(id);
+        return [id, {
+            unverifiedSlots: result.totalSlots - result.officialSlots,
+            weightedExam: computeWeightedExam(result.grades, semesters)
+        }];
+    })));
+}
+
+/**
+ * General ranking
+ * @param {Object} source - From resolveGeneralSource()
+ * @param {Object} rule - From parseRankingRule()
+ * @param {string} mode - self | official
+ * @param {string} trust - Minimum trust level (TRUST_LEVELS)
+ * @returns {Promise<Array>} ranked rows
+ */
+export async function buildGeneralRanking(source, rule, mode = 'self', trust = DEFAULT_TRUST_LEVEL) {
+    if (mode === 'official') return buildOfficialRanking(source, rule, trust);
+
+    const buildQuery = () => {
+        const query = supabase
+            .from(source.table)
+            .select(`
+        ${source.column},
+        user_id,
+        users!inner(alias, alias_changed_at, display_mode, ranking_scopes, is_verified)
+      `)
+            .eq('users.is_verified', true);
+        return source.filter ? query.eq(...source.filter) : query;
+    };
+
+    // One row per user once filtered; rankRows does the ordering
+    const data = await fetchAllRows(buildQuery, ['user_id']);
+
+    const rows = data.map(item => ({
+        userId: item.user_id,
+        ...userColumns(item.users),
+        average: item[source.column],
+    }));
+
+    const curriculum = await loadCurriculum();
+    const semesters = sourceSemesters(source, curriculum);
+    return rankTrusted(rows, rule, trust, semesters, (userIds) => loadTieBreakers(userIds, semesters));
+}
+
+/**
+ * Semester a module ranking covers: a name reused across semesters
+ * means the active semester's module, else the latest one
+ * @returns {Object|undefined} curriculum semester
+ */
+export function subjectSemester(curriculum, subject) {
+    const owners = curriculum.semesters.filter(s => s.modules.some(m => m.name === subject));
+    return owners.find(s => s.code === curriculum.activeSemester) || owners[owners.length - 1];
+}
+
+/**
+ * Ranking of one module
+ * @returns {Promise<Array>} ranked rows
+ */
+export async function buildSubjectRanking(subject, rule, trust = DEFAULT_TRUST_LEVEL) {
+    const curriculum = await loadCurriculum();
+    const owner = subjectSemester(curriculum, subject);
+
+    const data = await fetchAllRows(() => supabase
+        .from('subject_averages')
+        .select(`
+        average,
+        subject,
+        user_id,
+        users!inner(alias, alias_changed_at, display_mode, ranking_scopes, is_verified)
+      `)
+        .eq('subject', subject)
+        .eq('semester', owner?.code ?? curriculum.activeSemester)
+        .eq('users.is_verified', true), ['user_id']);
+
+    const rows = data.map(item => ({
+        userId: item.user_id,
+        ...userColumns(item.users),
+        average: item.average,
+        subject: item.subject,
+    }));
+
+    // Tie-breakers only look at this module
+    const semesters = owner ? [{ ...owner, modules: owner.modules.filter(m => m.name === subject) }] : [];
+    return rankTrusted(rows, rule, trust, semesters, (userIds) => loadTieBreakers(userIds, semesters));
+}
+
+/**
+ * Ranking inside a roster group
+ * @returns {Promise<Array>} ranked rows
+ */
+export async function buildGroupRanking(group, rule, trust = DEFAULT_TRUST_LEVEL) {
+    const data = await fetchAllRows(() => supabase
+        .from('averages')
+        .select(`
+                general_average,
+                user_id,
+                users!inner(alias, alias_changed_at, display_mode, ranking_scopes, is_verified)
+            `)
+        .eq('users.is_verified', true), ['user_id']);
+
+    const roster = await loadRoster();
+    const rows = data
+        .filter(item => roster.byUser.get(item.user_id)?.group === group)
+        .map(item => ({
+            userId: item.user_id,
+            ...userColumns(item.users),
+            average: item.general_average,
+            group,
+        }));
+
+    // `averages` holds the active semester
+    const curriculum = await loadCurriculum();
+    const semesters = sourceSemesters({ period: 'semester' }, curriculum);
+    return rankTrusted(rows, rule, trust, semesters, (userIds) => loadTieBreakers(userIds, semesters));
+}
+
+/**
+ * Validate the query ranking filters (?subject, ?group, ?section, ?semester, ?sort)
+ * The semester defaults to the module's, then to the active one.
+ * @returns {Promise<Object>} { subject, group, section, semester, sort } or { error }
+ */
+export async function resolveRankingFilters(query) {
+    const sort = query.sort || 'average';
+    if (!RANKING_SORTS.includes(sort)) {
+        return { error: `Tri invalide: ${sort}. Valeurs acceptées: ${RANKING_SORTS.join(', ')}` };
+    }
+    if (query.semester && !SEMESTER_CODES.includes(query.semester)) {
+        return { error: `Semestre invalide: ${query.semester}. Valeurs acceptées: ${SEMESTER_CODES.join(', ')}` };
+    }
+
+    const curriculum = await loadCurriculum();
+    let semester = query.semester || curriculum.activeSemester;
+    const subject = query.subject || null;
+    if (subject) {
+        const owner = curriculum.semesters.find(s => s.modules.some(m => m.name === subject)
+            && (!query.semester || s.code === query.semester));
+        if (!owner) {
+            return { error: query.semester ? `Module ${subject} absent du semestre ${query.semester}` : `Module inconnu: ${subject}` };
+        }
+        semester = owner.code;
+        if (sort === 'td' && !owner.modules.find(m => m.name === subject).hasTD) {
+            return { error: `Le module ${subject} n'a pas de TD` };
+        }
+    }
+
+    const roster = await loadRoster();
+    const group = query.group || null;
+    if (group && !roster.groups.includes(group)) {
+        return { error: `Groupe invalide: ${group}. Valeurs acceptées: ${roster.groups.join(', ')}` };
+    }
+    const section = query.section || null;
+    if (section && !roster.sections.includes(section)) {
+        return { error: `Section invalide: ${section}. Valeurs acceptées: ${roster.sections.join(', ')}` };
+    }
+
+    return { subject, group, section, semester, sort };
+}
+
+// Stored averages of verified users: one module (subject_averages) or a semester (semester_averages)
+async function loadStoredAverages(subject, semester) {
+    const [table, column] = subject
+        ? ['subject_averages', 'average']
+        : ['semester_averages', 'general_average'];
+
+    const buildQuery = () => {
+        const query = supabase
+            .from(table)
+            .select(`
+        ${column},
+        user_id,
+        users!inner(alias, alias_changed_at, display_mode, ranking_scopes, is_verified)
+      `)
+            .eq('semester', semester)
+            .eq('users.is_verified', true);
+        return subject ? query.eq('subject', subject) : query;
+    };
+
+    // One row per user for a semester (and subject)
+    const data = await fetchAllRows(buildQuery, ['user_id']);
+
+    return data.map(item => ({ userId: item.user_id, ...userColumns(item.users), average: item[column] }));
+}
+
+// Coefficient-weighted exam or TD mark of verified users over the given modules
+async function loadMarkAverages(semesters, sort) {
+    const modules = semesters.flatMap(s => s.modules.map(m => m.name));
+    if (modules.length === 0) return [];
+
+    const data = await fetchAllRows(() => supabase
+        .from('grades')
+        .select(`
+        id, user_id, subject, semester, exam_score, td_score, rattrapage_score,
+        users!inner(alias, alias_changed_at, display_mode, ranking_scopes, is_verified)
+      `)
+        .in('semester', semesters.map(s => s.code))
+        .in('subject', modules)
+        .eq('users.is_verified', true));
+
+    const byUser = new Map();
+    data.forEach(g => {
+        if (!byUser.has(g.user_id)) byUser.set(g.user_id, { user: g.users, grades: [] });
+        byUser.get(g.user_id).grades.push(g);
+    });
+
+    const weighted = sort === 'td' ? computeWeightedTd : computeWeightedExam;
+    return [...byUser.entries()]
+        .map(([userId, { user, grades }]) => ({ userId, ...userColumns(user), average: weighted(grades, semesters) }))
+        .filter(row => row.average !== null);
+}
+
+/**
+ * Ranking from cross filters; `average` holds the sorted value (average, exam or TD)
+ * @param {Object} filters - From resolveRankingFilters()
+ * @returns {Promise<Array>} ranked rows
+ */
+export async function buildQueryRanking(filters, rule, trust = DEFAULT_TRUST_LEVEL) {
+    const { subject, group, section, semester, sort } = filters;
+
+    const curriculum = await loadCurriculum();
+    const semesters = curriculum.semesters
+        .filter(s => s.code === semester)
+        .map(s => ({ ...s, modules: subject ? s.modules.filter(m => m.name === subject) : s.modules }));
+
+    const rows = sort === 'average'
+        ? await loadStoredAverages(subject, semester)
+        : await loadMarkAverages(semesters, sort);
+
+    const roster = await loadRoster();
+    const placed = rows
+        .map(row => ({ ...row, ...roster.byUser.get(row.userId) }))
+        .filter(row => (!group || row.group === group) && (!section || row.section === section));
+
+    return rankTrusted(placed, rule, trust, semesters, (userIds) => loadTieBreakers(userIds, semesters));
+}
@@ -0,0 +1,171 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * RANKING ENGINE — Incremental recompute and cached rankings
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Writes:  recomputeUsers(ids) recalculates only the given users'
+ *          averages and bumps the ranking version when a ranked value
+ *          actually changed, or when the caller changed verification
+ *          flags / provenance (trust levels, tie-breakers). rebuildAllAverages() is the admin-only
+ *          full pass (POST /api/admin/rankings/rebuild).
+ * Reads:   getCachedRanking(key, build) serves the materialised
+ *          ranking of the current version; concurrent misses share
+ *          one build. Anything shown on a ranking row (alias, display
+ *          mode, verification, official marks) calls invalidateRankings().
+ * Like the curriculum cache, the materialisation lives in process;
+ * rankingEvents emits 'invalidated' for the live stream (rankingStream).
+ */
+
+import { EventEmitter } from 'events';
+import { supabase } from '../config/db.js';
+import { loadCurriculum } from './curriculum.js';
+import { computeUserAverages, toAverageRows } from './averageCalculator.js';
+import { saveAverages, collectAverageRows } from './averageStore.js';
+import { fetchAllRows } from './fetchAll.js';
+
+// Safety net for time-based row fields (recent alias change)
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 200;
+const USER_BATCH_SIZE = 200;
+
+let version = 1;
+let versionAt = new Date().toISOString();
+const cache = new Map();
+
+export const rankingEvents = new EventEmitter();
+
+/**
+ * Current ranking version stamp
+ * @returns {Object} { version, updatedAt }
+ */
+export const getRankingVersion = () => ({ version, updatedAt: versionAt });
+
+/**
+ * Drop every materialised ranking
+ * @param {string} reason - Logged
+ */
+export function invalidateRankings(reason) {
+    version++;
+    versionAt = new Date().toISOString();
+    cache.clear();
+    console.log(`[RANKINGS] Version ${version} (${reason})`);
+    rankingEvents.emit('invalidated', { version, reason });
+}
+
+/**
+ * Materialised ranking for a cache key
+ * @param {string} key - Scope + parameters the build depends on
+ * @param {Function} build - async () → ranked rows
+ * @returns {Promise<Object>} { ranking, version, builtAt }
+ */
+export function getCachedRanking(key, build) {
+    const entry = cache.get(key);
+    if (entry && entry.version === version && Date.now() - entry.createdAt < CACHE_TTL_MS) {
+        return entry.promise;
+    }
+
+    if (cache.size >= MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+
+    const builtFor = version;
+    const promise = build().then(ranking => ({ ranking, version: builtFor, builtAt: new Date().toISOString() }));
+    cache.set(key, { version: builtFor, createdAt: Date.now(), promise });
+
+    // A failed build is retried by the next read
+    promise.catch(() => {
+        if (cache.get(key)?.promise === promise) cache.delete(key);
+    });
+
+    return promise;
+}
+
+// Ranked values only: [table, key columns, value column]
+const RANKED_VALUES = [
+    ['subjectRows', 'subject_averages', ['user_id', 'subject', 'semester'], 'average'],
+    ['semesterRows', 'semester_averages', ['user_id', 'semester'], 'general_average'],
+    ['annualRows', 'annual_averages', ['user_id', 'level_code'], 'annual_average'],
+    ['generalRows', 'averages', ['user_id'], 'general_average'],
+];
+
+const rounded = (value) => Math.round(Number(value) * 100);
+
+/**
+ * Whether new rows change any stored ranked value of these users
+ */
+async function rankedValuesChanged(userIds, rows) {
+    for (const [rowsKey, table, keyColumns, valueColumn] of RANKED_VALUES) {
+        const data = await fetchAllRows(() => supabase
+            .from(table)
+            .select([...keyColumns, valueColumn].join(', '))
+            .in('user_id', userIds), keyColumns);
+
+        const rowKey = (row) => keyColumns.map(c => row[c]).join('|');
+        const stored = new Map(data.map(row => [rowKey(row), rounded(row[valueColumn])]));
+        const next = rows[rowsKey] || [];
+
+        if (next.some(row => stored.get(rowKey(row)) !== rounded(row[valueColumn]))) return true;
+    }
+    return false;
+}
+
+/**
+ * Recalculate the averages of some users only
+ * @param {Array} userIds
+ * @param {Object} [options]
+ * @param {boolean} [options.confirmationsChanged] - Grades flags / provenance were written
+ * @returns {Promise<Object>} { users, changed }
+ */
+export async function recomputeUsers(userIds, { confirmationsChanged = false } = {}) {
+    const ids = [...new Set(userIds)].filter(Boolean);
+    if (ids.length === 0) return { users: 0, changed: false };
+
+    const grades = await fetchAllRows(() => supabase.from('grades').select('*').in('user_id', ids));
+
+    const gradesByUser = new Map(ids.map(id => [id, []]));
+    grades.forEach(g => gradesByUser.get(g.user_id).push(g));
+
+    // Users without grades keep no averages rows to write
+    const graded = ids.filter(id => gradesByUser.get(id).length > 0);
+    if (graded.length === 0) {
+        if (confirmationsChanged) invalidateRankings(`vérification des notes de ${ids.length} utilisateur(s)`);
+        return { users: 0, changed: confirmationsChanged };
+    }
+
+    const curriculum = await loadCurriculum();
+    const rows = collectAverageRows(graded.map(id =>
+        toAverageRows(id, computeUserAverages(gradesByUser.get(id), curriculum), curriculum.activeSemester)
+    ));
+
+    const changed = await rankedValuesChanged(graded, rows);
+    await saveAverages(rows);
+    if (changed || confirmationsChanged) invalidateRankings(`${graded.length} utilisateur(s) recalculé(s)`);
+
+    return { users: graded.length, changed: changed || confirmationsChanged };
+}
+
+/**
+ * Full rebuild of every user's averages, batch by batch
+ * @returns {Promise<number>} users with averages
+ */
+export async function rebuildAllAverages() {
+    const users = await fetchAllRows(() => supabase.from('users').select('id'));
+
+    let rebuilt = 0;
+    for (let i = 0; i < users.length; i += USER_BATCH_SIZE) {
+        const batch = users.slice(i, i + USER_BATCH_SIZE).map(u => u.id);
+        // ~8 grades rows per user and semester: a batch can pass the row cap
+        const grades = await fetchAllRows(() => supabase.from('grades').select('*').in('user_id', batch));
+
+        const gradesByUser = new Map(batch.map(id => [id, []]));
+        grades.forEach(g => gradesByUser.get(g.user_id).push(g));
+
+        const curriculum = await loadCurriculum();
+        const rows = collectAverageRows(batch.map(id =>
+            toAverageRows(id, computeUserAverages(gradesByUser.get(id), curriculum), curriculum.activeSemester)
+        ));
+        await saveAverages(rows);
+        rebuilt += rows.generalRows.length;
+    }
+
+    invalidateRankings('reconstruction complète');
+    return rebuilt;
+}
@@ -0,0 +1,125 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * RANKING PAGE — Offset / cursor pagination and "around me" windows
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Controllers build the full ordered ranking (rows carry an internal
+ * `userId`), this module slices it:
+ *   ?limit=50&offset=100        offset page
+ *   ?limit=50&cursor=<token>    keyset page (continues after the last row seen)
+ *   ?around=me&radius=5         caller's row with 5 neighbours each side
+ *   ?portion=top80|bottom20     restrict to the top 80% / bottom 20% first
+ * The caller's own row is always returned in `me`, whatever the page.
+ * Rows other students hide from the scope are skipped (rankingPrivacy).
+ */
+
+import { isVisibleTo, stripPrivate } from './rankingPrivacy.js';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+export const DEFAULT_RADIUS = 5;
+export const MAX_RADIUS = 50;
+
+const PORTIONS = {
+    top80: (list) => list.slice(0, Math.ceil(list.length * 0.8)),
+    bottom20: (list) => list.slice(-Math.ceil(list.length * 0.2)),
+};
+
+const encodeCursor = (row) => Buffer.from(JSON.stringify({ u: row.userId, r: row.rank })).toString('base64url');
+
+function decodeCursor(token) {
+    try {
+        const cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+        return typeof cursor.u === 'string' && Number.isInteger(cursor.r) ? cursor : null;
+    } catch {
+        return null;
+    }
+}
+
+const parseInteger = (value, fallback) => (value === undefined ? fallback : Number(value));
+
+/**
+ * Validate pagination query parameters
+ * @returns {Object} { limit, offset, cursor, around, radius, portion } or { error }
+ */
+export function parsePageQuery(query) {
+    const limit = parseInteger(query.limit, DEFAULT_PAGE_SIZE);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return { error: `limit invalide (1 à ${MAX_PAGE_SIZE})` };
+    }
+
+    const offset = parseInteger(query.offset, 0);
+    if (!Number.isInteger(offset) || offset < 0) {
+        return { error: 'offset invalide' };
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeCursor(query.cursor);
+        if (!cursor) return { error: 'Curseur invalide' };
+    }
+
+    if (query.around !== undefined && query.around !== 'me') {
+        return { error: 'around invalide: seule la valeur "me" est acceptée' };
+    }
+
+    const radius = parseInteger(query.radius, DEFAULT_RADIUS);
+    if (!Number.isInteger(radius) || radius < 1 || radius > MAX_RADIUS) {
+        return { error: `radius invalide (1 à ${MAX_RADIUS})` };
+    }
+
+    if (query.portion !== undefined && !PORTIONS[query.portion]) {
+        return { error: `portion invalide. Valeurs acceptées: ${Object.keys(PORTIONS).join(', ')}` };
+    }
+
+    return { limit, offset, cursor, around: query.around === 'me', radius, portion: query.portion || null };
+}
+
+/**
+ * Public row: internal user id and privacy settings removed, caller flagged
+ */
+export const toPublicRow = (row, userId) => {
+    const { userId: rowUserId, ...rest } = row;
+    return rowUserId === userId ? { ...stripPrivate(rest, true), isMe: true } : stripPrivate(rest, false);
+};
+
+/**
+ * Slice a full ranking
+ * @param {Array} ranking - Ordered rows with `rank` and internal `userId`
+ * @param {Object} page - From parsePageQuery()
+ * @param {string} userId - Caller
+ * @param {Array} scopes - Visibility scopes the ranking touches (general, subject, group)
+ * @returns {Object} { rows, total, offset, limit, nextCursor, me }
+ */
+export function paginateRanking(ranking, page, userId, scopes) {
+    const ranked = page.portion ? PORTIONS[page.portion](ranking) : ranking;
+    // Hidden students still hold their rank and count in the total
+    const list = ranked.filter(r => isVisibleTo(r, scopes, userId));
+
+    let start = page.offset;
+    let limit = page.limit;
+
+    if (page.around) {
+        const index = list.findIndex(r => r.userId === userId);
+        limit = page.radius * 2 + 1;
+        start = index === -1 ? 0 : Math.max(0, index - page.radius);
+    } else if (page.cursor) {
+        const index = list.findIndex(r => r.userId === page.cursor.u);
+        // Row gone since the last page: resume at the first rank after it
+        const next = index !== -1 ? index + 1 : list.findIndex(r => r.rank > page.cursor.r);
+        start = next === -1 ? list.length : next;
+    }
+
+    const rows = list.slice(start, start + limit);
+    const end = start + rows.length;
+    const me = ranking.find(r => r.userId === userId);
+
+    return {
+        rows: rows.map(r => toPublicRow(r, userId)),
+        total: ranked.length,
+        offset: start,
+        limit,
+        nextCursor: end < list.length && rows.length > 0 ? encodeCursor(rows[rows.length - 1]) : null,
+        me: me ? toPublicRow(me, userId) : null
+    };
+}
@@ -0,0 +1,75 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * RANKING PRIVACY — Who appears in which public ranking list
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * users.display_mode is the privacy level:
+ *   hidden      never listed to others (still ranked, sees own rank)
+ *   alias       listed under the alias (default)
+ *   aliasGroup  listed under the alias with the roster group / section
+ * users.ranking_scopes lists the scopes the student is listed in
+ * (general, subject, group), e.g. a group ranking but not the general one.
+ * Hidden students keep their rank and count in the totals: the lists
+ * skip their rows instead of renumbering. The student number is never
+ * part of a ranking row.
+ */
+
+export const PRIVACY_LEVELS = ['hidden', 'alias', 'aliasGroup'];
+export const DEFAULT_PRIVACY_LEVEL = 'alias';
+export const VISIBILITY_SCOPES = ['general', 'subject', 'group'];
+
+// Row fields that only aliasGroup students share
+const PLACEMENT_FIELDS = ['group', 'section'];
+
+/**
+ * Internal privacy of a ranking row from a users row
+ */
+export const privacyOf = (user) => ({
+    level: PRIVACY_LEVELS.includes(user.display_mode) ? user.display_mode : DEFAULT_PRIVACY_LEVEL,
+    scopes: Array.isArray(user.ranking_scopes) ? user.ranking_scopes : VISIBILITY_SCOPES
+});
+
+/**
+ * Validate profile privacy fields
+ * @param {Object} body - { displayMode?, rankingScopes? }
+ * @returns {Object} users columns to update, or { error }
+ */
+export function parsePrivacySettings({ displayMode, rankingScopes }) {
+    const updates = {};
+
+    if (displayMode !== undefined) {
+        if (!PRIVACY_LEVELS.includes(displayMode)) {
+            return { error: `Mode d'affichage invalide: ${displayMode}. Valeurs acceptées: ${PRIVACY_LEVELS.join(', ')}` };
+        }
+        updates.display_mode = displayMode;
+    }
+
+    if (rankingScopes !== undefined) {
+        const unknown = Array.isArray(rankingScopes)
+            ? rankingScopes.find(scope => !VISIBILITY_SCOPES.includes(scope))
+            : rankingScopes;
+        if (unknown !== undefined) {
+            return { error: `Classement invalide: ${unknown}. Valeurs acceptées: ${VISIBILITY_SCOPES.join(', ')}` };
+        }
+        updates.ranking_scopes = [...new Set(rankingScopes)];
+    }
+
+    return updates;
+}
+
+/**
+ * Whether a row may be listed to a viewer in every scope a ranking touches (own row always)
+ * @param {Array} scopes - e.g. ['subject', 'group'] for a module ranking of one group
+ */
+export const isVisibleTo = (row, scopes, viewerId) => row.userId === viewerId
+    || (row.privacy?.level !== 'hidden' && scopes.every(scope => (row.privacy?.scopes ?? VISIBILITY_SCOPES).includes(scope)));
+
+/**
+ * Row without the internal privacy settings, placement only when shared
+ */
+export function stripPrivate(row, isOwn) {
+    const { privacy, ...rest } = row;
+    if (isOwn || privacy?.level === 'aliasGroup') return rest;
+    PLACEMENT_FIELDS.forEach(field => delete rest[field]);
+    return rest;
+}
@@ -0,0 +1,189 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * RANKING RULES — Rank numbering, ties and tie-breakers
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Averages are compared at the displayed precision (2 decimals).
+ * Equal averages are separated by the tie-breakers, in order:
+ *   unverifiedSlots  fewer exam/TD marks without an official or OCR proof
+ *   weightedExam     higher coefficient-weighted exam mark
+ * Students still equal after every tie-breaker share a rank:
+ *   ?ties=competition  1, 2, 2, 4 (default)
+ *   ?ties=dense        1, 2, 2, 3
+ * ?tieBreak=none (or a comma list) changes the tie-breakers.
+ * The rule is returned with every ranking (describeRule).
+ */
+
+import { supabase } from '../config/db.js';
+import { computeWeightedExam } from './averageCalculator.js';
+import { confirmedSlots, CONFIRMATION_COLUMNS } from './gradeProvenance.js';
+import { fetchAllRows } from './fetchAll.js';
+
+export const RANK_METHODS = {
+    competition: { pattern: '1224', label: 'les ex aequo partagent un rang, le suivant saute les rangs occupés' },
+    dense: { pattern: '1223', label: 'les ex aequo partagent un rang, le suivant prend le rang immédiatement après' }
+};
+export const DEFAULT_RANK_METHOD = 'competition';
+
+export const TIE_BREAKERS = {
+    unverifiedSlots: { order: 'asc', label: 'moins de notes non vérifiées (ni officielles ni confirmées par OCR)' },
+    weightedExam: { order: 'desc', label: 'meilleure note d\'examen pondérée par les coefficients' }
+};
+export const DEFAULT_TIE_BREAKERS = ['unverifiedSlots', 'weightedExam'];
+
+const AVERAGE_PRECISION = 2;
+
+const toKey = (average) => Math.round(Number(average) * 10 ** AVERAGE_PRECISION);
+
+const hasMark = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Validate ?ties= and ?tieBreak=
+ * @returns {Object} { method, tieBreakers[] } or { error }
+ */
+export function parseRankingRule(query) {
+    const method = query.ties || DEFAULT_RANK_METHOD;
+    if (!RANK_METHODS[method]) {
+        return { error: `Méthode de classement invalide: ${method}. Valeurs acceptées: ${Object.keys(RANK_METHODS).join(', ')}` };
+    }
+
+    let tieBreakers = DEFAULT_TIE_BREAKERS;
+    if (query.tieBreak !== undefined) {
+        tieBreakers = query.tieBreak === 'none' ? [] : [...new Set(query.tieBreak.split(','))];
+        const unknown = tieBreakers.find(key => !TIE_BREAKERS[key]);
+        if (unknown) {
+            return { error: `Critère de départage invalide: ${unknown}. Valeurs acceptées: none, ${Object.keys(TIE_BREAKERS).join(', ')}` };
+        }
+    }
+
+    return { method, tieBreakers };
+}
+
+/**
+ * Rule as sent to clients
+ */
+export function describeRule(rule) {
+    const { pattern, label } = RANK_METHODS[rule.method];
+    const breakers = rule.tieBreakers.map(key => ({ key, order: TIE_BREAKERS[key].order, label: TIE_BREAKERS[key].label }));
+
+    return {
+        method: rule.method,
+        pattern,
+        precision: AVERAGE_PRECISION,
+        tieBreakers: breakers,
+        description: `Classement par moyenne (${AVERAGE_PRECISION} décimales)`
+            + (breakers.length ? `, à égalité départagé par : ${breakers.map(b => b.label).join(', puis ')}` : '')
+            + `. Égalité persistante (${pattern}) : ${label}.`
+    };
+}
+
+/**
+ * Unverified slots and weighted exam from the users' grades rows
+ * @param {Array} userIds - Users whose average is tied with someone
+ * @param {Array} semesters - Curriculum semesters of the ranking (modules narrowed for a subject)
+ * @returns {Promise<Map>} userId → { unverifiedSlots, weightedExam }
+ */
+export async function loadTieBreakers(userIds, semesters) {
+    const codes = semesters.map(s => s.code);
+    if (userIds.length === 0 || codes.length === 0) return new Map();
+
+    const grades = await fetchAllRows(() => supabase
+        .from('grades')
+        .select(`id, user_id, subject, semester, exam_score, td_score, rattrapage_score, ${CONFIRMATION_COLUMNS}`)
+        .in('user_id', userIds)
+        .in('semester', codes));
+
+    // Same definition as the trust levels (rankingTrust)
+    const confirmed = await confirmedSlots(grades);
+    const result = new Map();
+
+    // Grouped once: one lookup per user and module instead of scanning every row
+    const gradesByUser = new Map(userIds.map(id => [id, new Map()]));
+    grades.forEach(g => gradesByUser.get(g.user_id)?.set(`${g.semester}|${g.subject}`, g));
+
+    for (const userId of userIds) {
+        const userGrades = gradesByUser.get(userId);
+        let unverifiedSlots = 0;
+
+        for (const semester of semesters) {
+            for (const module of semester.modules) {
+                const grade = userGrades.get(`${semester.code}|${module.name}`);
+                if (!grade) continue;
+                if (hasMark(grade.exam_score) && !confirmed(grade, 'exam')) unverifiedSlots++;
+                if (module.hasTD && hasMark(grade.td_score) && !confirmed(grade, 'td')) unverifiedSlots++;
+            }
+        }
+
+        result.set(userId, { unverifiedSlots, weightedExam: computeWeightedExam([...userGrades.values()], semesters) });
+    }
+
+    return result;
+}
+
+/**
+ * Users sharing their (rounded) average with at least one other row
+ */
+function tiedUserIds(rows) {
+    const counts = new Map();
+    rows.forEach(r => counts.set(toKey(r.average), (counts.get(toKey(r.average)) || 0) + 1));
+    return rows.filter(r => counts.get(toKey(r.average)) > 1).map(r => r.userId);
+}
+
+// Missing tie-break values sort after present ones
+function compareBreaker(a, b, order) {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return 1;
+    if (b === null || b === undefined) return -1;
+    return order === 'asc' ? a - b : b - a;
+}
+
+/**
+ * Sort and number a ranking
+ * @param {Array} rows - Rows with internal `userId` and `average`, any order
+ * @param {Object} rule - From parseRankingRule()
+ * @param {Function} loadBreakers - async (userIds) → Map userId → tie-break values,
+ *                                  only called for users with a tied average
+ * @returns {Promise<Array>} rows with `rank`, `tied` (rank shared) and, for tied
+ *                           averages, the `tieBreak` values that decided the order
+ */
+export async function rankRows(rows, rule, loadBreakers) {
+    const tiedIds = tiedUserIds(rows);
+    const breakers = rule.tieBreakers.length > 0 && tiedIds.length > 0
+        ? await loadBreakers(tiedIds)
+        : new Map();
+
+    const withBreakers = rows.map(row => {
+        const values = breakers.get(row.userId);
+        if (!values) return row;
+        return { ...row, tieBreak: Object.fromEntries(rule.tieBreakers.map(key => [key, values[key] ?? null])) };
+    });
+
+    const compare = (a, b) => {
+        const byAverage = toKey(b.average) - toKey(a.average);
+        if (byAverage !== 0) return byAverage;
+        for (const key of rule.tieBreakers) {
+            const diff = compareBreaker(a.tieBreak?.[key], b.tieBreak?.[key], TIE_BREAKERS[key].order);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    };
+
+    // Alias only fixes the display order inside a shared rank
+    const sorted = withBreakers.sort((a, b) => compare(a, b) || String(a.alias).localeCompare(String(b.alias)));
+
+    const ranked = [];
+    sorted.forEach((row, index) => {
+        const previous = ranked[index - 1];
+        const sameAsPrevious = previous && compare(previous, row) === 0;
+        const rank = sameAsPrevious
+            ? previous.rank
+            : rule.method === 'dense' ? (previous ? previous.rank + 1 : 1) : index + 1;
+        ranked.push({ rank, ...row, tied: false });
+        if (sameAsPrevious) {
+            previous.tied = true;
+            ranked[index].tied = true;
+        }
+    });
+
+    return ranked;
+}
@@ -0,0 +1,180 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * RANKING SNAPSHOTS — Rank history and movement
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * After an admin rebuild, an official import or a refresh (at most one per
+ * REFRESH_MIN_INTERVAL_MINUTES), the general ranking, every module of the
+ * active semester and every group are stored with the default rule
+ * (save_ranking_snapshot, one transaction per scope).
+ * Used for:
+ *   - GET /api/rankings/history (the caller's rank / average over time)
+ *   - movement arrows on ranking rows
+ * Like the grade history, a failed snapshot never blocks the trigger.
+ */
+
+import { supabase } from '../config/db.js';
+import { loadCurriculum } from './curriculum.js';
+import { parseRankingRule } from './rankingRules.js';
+import { buildGeneralRanking, buildSubjectRanking, buildGroupRanking } from './rankingBuilder.js';
+import { invalidateRankings } from './rankingEngine.js';
+import { loadRoster } from './roster.js';
+
+export const SNAPSHOT_TRIGGERS = {
+    REFRESH: 'refresh',
+    OFFICIAL_IMPORT: 'official_import',
+    RECONCILIATION: 'reconciliation',
+};
+
+export const SNAPSHOT_SCOPES = ['general', 'subject', 'group'];
+
+// Anyone can hit refresh: at most one refresh snapshot per interval
+const REFRESH_MIN_INTERVAL_MINUTES = 60;
+
+const DEFAULT_RULE = parseRankingRule({});
+
+const buildScope = (scope, key) => {
+    if (scope === 'subject') return buildSubjectRanking(key, DEFAULT_RULE);
+    if (scope === 'group') return buildGroupRanking(key, DEFAULT_RULE);
+    return buildGeneralRanking({ table: 'averages', column: 'general_average', filter: null, period: 'semester' }, DEFAULT_RULE);
+};
+
+async function latestSnapshotAt() {
+    const { data } = await supabase
+        .from('ranking_snapshots')
+        .select('created_at')
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    return data ? new Date(data.created_at).getTime() : 0;
+}
+
+/**
+ * Snapshot every scope of the active semester — never throws
+ * @param {Object} options - { trigger, triggeredBy?, throttle? (user refresh: skipped
+ *   when any snapshot is younger than REFRESH_MIN_INTERVAL_MINUTES) }
+ * @returns {Promise<number>} snapshots saved
+ */
+export async function takeRankingSnapshots({ trigger, triggeredBy = null, throttle = false }) {
+    try {
+        if (throttle
+            && Date.now() - await latestSnapshotAt() < REFRESH_MIN_INTERVAL_MINUTES * 60 * 1000) {
+            return 0;
+        }
+
+        const curriculum = await loadCurriculum();
+        const semester = curriculum.activeSemester;
+        const modules = curriculum.semesters.find(s => s.code === semester)?.modules || [];
+        const { groups } = await loadRoster();
+
+        const scopes = [
+            ['general', ''],
+            ...modules.map(m => ['subject', m.name]),
+            ...groups.map(g => ['group', g]),
+        ];
+
+        let saved = 0;
+        for (const [scope, key] of scopes) {
+            const ranking = await buildScope(scope, key);
+            if (ranking.length === 0) continue;
+
+            const { error } = await supabase.rpc('save_ranking_snapshot', {
+                p_scope: scope,
+                p_scope_key: key,
+                p_semester: semester,
+                p_trigger: trigger,
+                p_entries: ranking.map(r => ({ user_id: r.userId, rank: r.rank, average: Math.round(Number(r.average) * 100) / 100 })),
+                p_triggered_by: triggeredBy,
+                p_rank_method: DEFAULT_RULE.method
+            });
+            if (error) throw error;
+            saved++;
+        }
+
+        console.log(`[SNAPSHOT] ${saved} classement(s) enregistré(s) (${trigger}, ${semester})`);
+        // Cached rankings carry movement against the previous snapshots
+        if (saved > 0) invalidateRankings('instantané');
+        return saved;
+    } catch (err) {
+        console.error('[SNAPSHOT] Failed:', err.message);
+        return 0;
+    }
+}
+
+// Latest snapshots of a scope in the active semester, newest first
+async function recentSnapshots(scope, key, limit, method = DEFAULT_RULE.method) {
+    const curriculum = await loadCurriculum();
+    const { data, error } = await supabase
+        .from('ranking_snapshots')
+        .select('id, total, created_at')
+        .eq('scope', scope)
+        .eq('scope_key', key || '')
+        .eq('semester', curriculum.activeSemester)
+        .eq('rank_method', method)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (error) throw error;
+    return { semester: curriculum.activeSemester, snapshots: data };
+}
+
+/**
+ * Add previousRank / movement (positive = moved up) to a live ranking
+ * Reference: the latest snapshot, or the one before it when the row
+ * hasn't moved since the latest (the snapshot was taken from this state)
+ * @param {Array} ranking - Ranked rows with internal `userId`
+ * @param {string} method - Rank numbering of the live ranking (snapshots use the same)
+ * @returns {Promise<Array>} rows, movement null when the user wasn't in the snapshots
+ */
+export async function attachMovement(ranking, scope, key, method) {
+    const { snapshots } = await recentSnapshots(scope, key, 2, method);
+    if (snapshots.length === 0) return ranking;
+
+    const { data: entries, error } = await supabase
+        .from('ranking_snapshot_entries')
+        .select('snapshot_id, user_id, rank')
+        .in('snapshot_id', snapshots.map(s => s.id));
+
+    if (error) throw error;
+
+    const rankIn = (snapshot) => new Map(entries.filter(e => e.snapshot_id === snapshot?.id).map(e => [e.user_id, e.rank]));
+    const [latest, previous] = snapshots.map(rankIn);
+
+    return ranking.map(row => {
+        let previousRank = latest.get(row.userId);
+        if (previousRank === row.rank && previous?.has(row.userId)) previousRank = previous.get(row.userId);
+        return previousRank === undefined
+            ? { ...row, previousRank: null, movement: null }
+            : { ...row, previousRank, movement: previousRank - row.rank };
+    });
+}
+
+/**
+ * One user's rank and average over time in a scope (oldest first)
+ * @returns {Promise<Object>} { semester, points: [{ at, rank, total, average }] }
+ */
+export async function getRankHistory(userId, scope, key, limit) {
+    const { semester, snapshots } = await recentSnapshots(scope, key, limit);
+    if (snapshots.length === 0) return { semester, points: [] };
+
+    const { data: entries, error } = await supabase
+        .from('ranking_snapshot_entries')
+        .select('snapshot_id, rank, average')
+        .eq('user_id', userId)
+        .in('snapshot_id', snapshots.map(s => s.id));
+
+    if (error) throw error;
+
+    const bySnapshot = new Map(entries.map(e => [e.snapshot_id, e]));
+    const points = snapshots
+        .filter(s => bySnapshot.has(s.id))
+        .map(s => ({
+            at: s.created_at,
+            rank: bySnapshot.get(s.id).rank,
+            total: s.total,
+            average: Number(bySnapshot.get(s.id).average)
+        }))
+        .reverse();
+
+    return { semester, points };
+}
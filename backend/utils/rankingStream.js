@@ -0,0 +1,161 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * RANKING STREAM — Server-Sent Events with ranking deltas
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Clients watching the same ranking (same cache key) share one stream
+ * state: the last rows sent, indexed by user. When the ranking engine
+ * invalidates (grade saves, batch saves, reconciliation, official
+ * imports...), every watched ranking is rebuilt once — debounced — and
+ * each client receives:
+ *   event: ready  { version }                           on connect
+ *   event: delta  { version, total, changed[], removed[], me }
+ * changed = public rows that are new or differ, removed = aliases gone
+ * (or renamed, or now hidden). Both are computed per client with the
+ * privacy rules of the lists: a row the client never saw is never
+ * mentioned. A stream ends after the access token lifetime; the client
+ * reconnects with a fresh token.
+ */
+
+import { rankingEvents } from './rankingEngine.js';
+import { toPublicRow } from './rankingPage.js';
+import { isVisibleTo } from './rankingPrivacy.js';
+
+const HEARTBEAT_MS = 25 * 1000;
+const FLUSH_DELAY_MS = 1000;
+const STREAM_MAX_MS = 15 * 60 * 1000;
+const MAX_CLIENTS = 500;
+
+const streams = new Map();
+let clientCount = 0;
+let flushTimer = null;
+let flushing = false;
+
+const send = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+const indexRows = (ranking) => new Map(ranking.map(row => [row.userId, { row, json: JSON.stringify(row) }]));
+
+/**
+ * Rebuild every watched ranking and push what changed
+ */
+async function flush() {
+    for (const stream of streams.values()) {
+        try {
+            const { ranking, version } = await stream.load();
+            if (version === stream.version) continue;
+
+            const next = indexRows(ranking);
+            const changed = [];
+            for (const [userId, entry] of next) {
+                if (stream.rows.get(userId)?.json !== entry.json) changed.push(entry.row);
+            }
+            const gone = [...stream.rows.values()]
+                .map(entry => entry.row)
+                .filter(row => next.get(row.userId)?.row.alias !== row.alias);
+            const previous = stream.rows;
+
+            stream.rows = next;
+            stream.version = version;
+
+            for (const client of stream.clients) {
+                const visible = (row) => row && isVisibleTo(row, stream.visibility, client.userId);
+                const shown = changed.filter(visible);
+                // Rows the client saw that are gone, renamed or hidden since
+                const removed = [
+                    ...gone.filter(visible),
+                    ...changed.filter(row => !visible(row) && visible(previous.get(row.userId)?.row))
+                ].map(row => row.alias);
+                const me = next.get(client.userId)?.row;
+
+                send(client.res, 'delta', {
+                    version,
+                    total: ranking.length,
+                    changed: shown.map(row => toPublicRow(row, client.userId)),
+                    removed: [...new Set(removed)],
+                    me: me ? toPublicRow(me, client.userId) : null
+                });
+            }
+        } catch (err) {
+            console.error('[STREAM] Delta failed:', err.message);
+        }
+    }
+}
+
+function scheduleFlush() {
+    if (flushTimer || streams.size === 0) return;
+    flushTimer = setTimeout(async () => {
+        flushTimer = null;
+        // One pass at a time: invalidations during a pass get their own
+        if (flushing) return scheduleFlush();
+        flushing = true;
+        try {
+            await flush();
+        } finally {
+            flushing = false;
+        }
+    }, FLUSH_DELAY_MS);
+}
+
+rankingEvents.on('invalidated', scheduleFlush);
+
+/**
+ * Attach an SSE client to a ranking
+ * @param {Object} options - { streamKey, visibility (privacy scopes), load: async () → { ranking, version }, userId }
+ */
+export async function openRankingStream(req, res, { streamKey, visibility, load, userId }) {
+    if (clientCount >= MAX_CLIENTS) {
+        return res.status(503).json({ message: 'Trop de connexions en direct, réessayez plus tard' });
+    }
+
+    let stream = streams.get(streamKey);
+    if (!stream) {
+        stream = { load, visibility, version: null, rows: new Map(), clients: new Set() };
+        stream.ready = load().then(({ ranking, version }) => {
+            stream.rows = indexRows(ranking);
+            stream.version = version;
+        });
+        streams.set(streamKey, stream);
+    }
+
+    // The slot is taken and the close handler set before the first load:
+    // a client leaving while it runs must not keep counting against MAX_CLIENTS
+    clientCount++;
+    const client = { res, userId };
+    let heartbeat = null;
+    let lifetime = null;
+    let closed = false;
+    const release = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        clearTimeout(lifetime);
+        stream.clients.delete(client);
+        clientCount--;
+        if (stream.clients.size === 0 && streams.get(streamKey) === stream) streams.delete(streamKey);
+    };
+    req.on('close', release);
+
+    try {
+        await stream.ready;
+    } catch (err) {
+        release();
+        throw err;
+    }
+    // Gone during the load: its close already ran (or is about to)
+    if (req.destroyed || closed) return release();
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    stream.clients.add(client);
+    streams.set(streamKey, stream);
+
+    send(res, 'ready', { version: stream.version });
+
+    heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    lifetime = setTimeout(() => res.end(), STREAM_MAX_MS);
+}
@@ -0,0 +1,89 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * RANKING TRUST — How much of a ranked average is proven
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Every ranking only lists identity-verified students. On top of that
+ * each exam/TD mark of the ranked semesters (modules) is confirmed when:
+ *   - it matches the official grades (is_*_verified, official_csv), or
+ *   - it was confirmed by a screenshot/video job still VERIFIED
+ *     in grade_verifications.
+ * Levels (?trust=):
+ *   identity  identity verified (default, every row)
+ *   partial   at least one mark confirmed
+ *   full      every exam/TD slot of the ranked modules confirmed
+ *             (a blank slot counts as unconfirmed)
+ * Each row carries { level, verifiedSlots, totalSlots } for the badge.
+ */
+
+import { supabase } from '../config/db.js';
+import { confirmedSlots, CONFIRMATION_COLUMNS } from './gradeProvenance.js';
+import { fetchAllRows } from './fetchAll.js';
+
+export const TRUST_LEVELS = ['identity', 'partial', 'full'];
+export const DEFAULT_TRUST_LEVEL = 'identity';
+
+const hasMark = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Validate ?trust=
+ * @returns {Object} { trust } or { error }
+ */
+export function parseTrustLevel(query) {
+    const trust = query.trust || DEFAULT_TRUST_LEVEL;
+    if (!TRUST_LEVELS.includes(trust)) {
+        return { error: `Niveau de vérification invalide: ${trust}. Valeurs acceptées: ${TRUST_LEVELS.join(', ')}` };
+    }
+    return { trust };
+}
+
+/**
+ * Whether a row's level reaches the requested one
+ */
+export const meetsTrust = (level, trust) => TRUST_LEVELS.indexOf(level) >= TRUST_LEVELS.indexOf(trust);
+
+/**
+ * Confirmed marks of each user over the ranked modules
+ * @param {Array} userIds
+ * @param {Array} semesters - Curriculum semesters of the ranking (modules narrowed for a subject)
+ * @returns {Promise<Map>} userId → { level, verifiedSlots, totalSlots }
+ */
+export async function loadTrust(userIds, semesters) {
+    const codes = semesters.map(s => s.code);
+    const result = new Map(userIds.map(id => [id, { level: DEFAULT_TRUST_LEVEL, verifiedSlots: 0, totalSlots: 0 }]));
+    if (userIds.length === 0 || codes.length === 0) return result;
+
+    const grades = await fetchAllRows(() => supabase
+        .from('grades')
+        .select(`id, user_id, subject, semester, exam_score, td_score, ${CONFIRMATION_COLUMNS}`)
+        .in('user_id', userIds)
+        .in('semester', codes));
+
+    const confirmed = await confirmedSlots(grades);
+
+    const gradesByUser = new Map(userIds.map(id => [id, []]));
+    grades.forEach(g => gradesByUser.get(g.user_id)?.push(g));
+
+    for (const userId of userIds) {
+        const userGrades = gradesByUser.get(userId);
+        let verifiedSlots = 0;
+        let totalSlots = 0;
+
+        for (const semester of semesters) {
+            for (const module of semester.modules) {
+                const grade = userGrades.find(g => g.subject === module.name && g.semester === semester.code);
+                totalSlots += module.hasTD ? 2 : 1;
+                if (!grade) continue;
+                if (hasMark(grade.exam_score) && confirmed(grade, 'exam')) verifiedSlots++;
+                if (module.hasTD && hasMark(grade.td_score) && confirmed(grade, 'td')) verifiedSlots++;
+            }
+        }
+
+        const level = totalSlots > 0 && verifiedSlots === totalSlots ? 'full'
+            : verifiedSlots > 0 ? 'partial'
+                : DEFAULT_TRUST_LEVEL;
+        result.set(userId, { level, verifiedSlots, totalSlots });
+    }
+
+    return result;
+}
@@ -0,0 +1,72 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * ROSTER — Group and section of every account
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * students_list (faculty exports) is the reference for sections and
+ * groups. Accounts are matched on the matricule kernel, like at signup;
+ * users.student_group (copied at signup) is the fallback for accounts
+ * the roster doesn't place in a group. The group and section lists the
+ * rankings accept are read from here instead of a constant.
+ * Official imports upsert the roster and invalidate the rankings, so
+ * the roster is materialised with the ranking version.
+ */
+
+import { supabase } from '../config/db.js';
+import { getCohortPrefixes, extractKernel } from './matricule.js';
+import { getCachedRanking } from './rankingEngine.js';
+
+const ROSTER_CACHE_KEY = JSON.stringify(['roster']);
+
+const byName = (a, b) => a.localeCompare(b, 'fr', { numeric: true });
+
+async function buildRoster() {
+    const [{ data: students, error }, { data: users, error: usersError }] = await Promise.all([
+        supabase.from('students_list').select('matricule, section, student_group'),
+        supabase.from('users').select('id, student_id, student_group')
+    ]);
+    if (error) throw error;
+    if (usersError) throw usersError;
+
+    const prefixes = (await getCohortPrefixes()).map(p => p.prefix);
+    const byMatricule = new Map(students.map(s => [s.matricule, s]));
+    const byKernel = new Map();
+    students.forEach(s => {
+        const { kernel } = extractKernel(s.matricule, prefixes);
+        if (!byKernel.has(kernel)) byKernel.set(kernel, s);
+    });
+
+    const byUser = new Map();
+    for (const user of users) {
+        const student = byMatricule.get(user.student_id)
+            || byKernel.get(extractKernel(user.student_id, prefixes).kernel);
+        byUser.set(user.id, {
+            group: student?.student_group || user.student_group || null,
+            section: student?.section || null
+        });
+    }
+
+    const distinct = (values) => [...new Set(values.filter(Boolean))].sort(byName);
+    const countBy = (field) => students.reduce((sizes, s) => {
+        if (s[field]) sizes[s[field]] = (sizes[s[field]] || 0) + 1;
+        return sizes;
+    }, {});
+
+    return {
+        byUser,
+        groups: distinct([...students.map(s => s.student_group), ...[...byUser.values()].map(e => e.group)]),
+        sections: distinct(students.map(s => s.section)),
+        // Students the faculty lists per group / section (participation rates)
+        sizes: { group: countBy('student_group'), section: countBy('section') }
+    };
+}
+
+/**
+ * Roster placement of every account
+ * @returns {Promise<Object>} { byUser: Map userId → { group, section }, groups[], sections[],
+ *                            sizes: { group: { A1: n }, section: { … } } }
+ */
+export async function loadRoster() {
+    const { ranking: roster } = await getCachedRanking(ROSTER_CACHE_KEY, buildRoster);
+    return roster;
+}
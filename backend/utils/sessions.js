@@ -0,0 +1,226 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * SESSIONS — Short-lived access tokens + rotating refresh tokens
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Access token: JWT { id, sid } valid 15 minutes, sent as Bearer.
+ * Refresh token: random secret in an httpOnly cookie (path /api/auth),
+ * stored hashed in `sessions`, replaced on every refresh.
+ * Presenting an already rotated token revokes the session (token theft),
+ * except within ROTATION_GRACE_MS of the rotation: two tabs refreshing
+ * with the same cookie get an access token for the session instead,
+ * and keep the cookie the winning refresh set.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { supabase } from '../config/db.js';
+import { getClientIP } from './verificationLogger.js';
+
+export const ACCESS_TOKEN_TTL = '15m';
+export const REFRESH_TOKEN_DAYS = 30;
+export const REFRESH_COOKIE = 'refresh_token';
+
+const REFRESH_TTL_MS = REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000;
+const ROTATION_GRACE_MS = 10 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+/**
+ * Signed access token bound to a session
+ */
+export function generateAccessToken(userId, sessionId) {
+    return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+// Frontend and API are on different domains in production (Vercel / Render)
+const cookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+    path: '/api/auth',
+});
+
+export function setRefreshCookie(res, token) {
+    res.cookie(REFRESH_COOKIE, token, { ...cookieOptions(), maxAge: REFRESH_TTL_MS });
+}
+
+export function clearRefreshCookie(res) {
+    res.clearCookie(REFRESH_COOKIE, cookieOptions());
+}
+
+/**
+ * Read the refresh token from the Cookie header (no cookie-parser needed)
+ */
+export function readRefreshCookie(req) {
+    const header = req.headers.cookie || '';
+    for (const part of header.split(';')) {
+        const [name, ...rest] = part.trim().split('=');
+        if (name === REFRESH_COOKIE) return decodeURIComponent(rest.join('='));
+    }
+    return null;
+}
+
+/**
+ * Open a session for a user (login / register) and set the cookie
+ * @returns {string} Access token
+ */
+export async function startSession(res, userId, req) {
+    const refreshToken = newRefreshToken();
+
+    const { data: session, error } = await supabase
+        .from('sessions')
+        .insert({
+            user_id: userId,
+            refresh_token_hash: hashToken(refreshToken),
+            user_agent: req.headers['user-agent'] || 'unknown',
+            ip_address: getClientIP(req),
+            expires_at: new Date(Date.now() + REFRESH_TTL_MS).toISOString()
+        })
+        .select('id')
+        .single();
+
+    if (error) throw error;
+
+    setRefreshCookie(res, refreshToken);
+    return generateAccessToken(userId, session.id);
+}
+
+// Access token for a session whose token was rotated by a concurrent refresh
+const concurrentRefresh = (session) => ({
+    userId: session.user_id,
+    sessionId: session.id,
+    accessToken: generateAccessToken(session.user_id, session.id)
+});
+
+const withinGrace = (session) => Date.now() - new Date(session.last_used_at).getTime() < ROTATION_GRACE_MS;
+
+/**
+ * Rotate a refresh token
+ * @returns {Object} { userId, sessionId, accessToken } or { error }
+ */
+export async function rotateSession(res, refreshToken, req) {
+    if (!refreshToken) return { error: 'Session absente' };
+    const hash = hashToken(refreshToken);
+
+    const { data: session } = await supabase
+        .from('sessions')
+        .select('*')
+        .eq('refresh_token_hash', hash)
+        .maybeSingle();
+
+    if (!session) {
+        const { data: reused } = await supabase
+            .from('sessions')
+            .select('id, user_id, last_used_at, expires_at')
+            .eq('previous_token_hash', hash)
+            .is('revoked_at', null)
+            .maybeSingle();
+
+        if (reused && withinGrace(reused) && new Date(reused.expires_at) > new Date()) {
+            return concurrentRefresh(reused);
+        }
+
+        // An old token of a live session was replayed: revoke that session
+        if (reused) {
+            await revokeSession(reused.id);
+            console.warn(`[SESSION] Refresh token reuse detected, session ${reused.id} revoked`);
+        }
+        return { error: 'Session invalide' };
+    }
+
+    if (session.revoked_at || new Date(session.expires_at) < new Date()) {
+        return { error: 'Session expirée' };
+    }
+
+    // Conditional on the presented token: only one concurrent refresh rotates
+    const nextToken = newRefreshToken();
+    const { data: rotated, error } = await supabase
+        .from('sessions')
+        .update({
+            refresh_token_hash: hashToken(nextToken),
+            previous_token_hash: hash,
+            last_used_at: new Date().toISOString(),
+            ip_address: getClientIP(req),
+            user_agent: req.headers['user-agent'] || session.user_agent
+        })
+        .eq('id', session.id)
+        .eq('refresh_token_hash', hash)
+        .is('revoked_at', null)
+        .select('id');
+
+    if (error) throw error;
+    if (rotated.length === 0) {
+        // Lost the race: fine if the winner rotated this very token, not if the session was revoked
+        const { data: current } = await supabase
+            .from('sessions')
+            .select('previous_token_hash, revoked_at')
+            .eq('id', session.id)
+            .maybeSingle();
+        return current && !current.revoked_at && current.previous_token_hash === hash
+            ? concurrentRefresh(session)
+            : { error: 'Session invalide' };
+    }
+
+    setRefreshCookie(res, nextToken);
+    return {
+        userId: session.user_id,
+        sessionId: session.id,
+        accessToken: generateAccessToken(session.user_id, session.id)
+    };
+}
+
+/**
+ * Session id of a refresh token (logout without a valid access token)
+ */
+export async function findSessionByToken(refreshToken) {
+    if (!refreshToken) return null;
+    const { data } = await supabase
+        .from('sessions')
+        .select('id, user_id')
+        .eq('refresh_token_hash', hashToken(refreshToken))
+        .maybeSingle();
+    return data;
+}
+
+/**
+ * Is the session behind an access token still usable?
+ */
+export async function isSessionActive(sessionId) {
+    const { data } = await supabase
+        .from('sessions')
+        .select('revoked_at, expires_at')
+        .eq('id', sessionId)
+        .maybeSingle();
+    return !!data && !data.revoked_at && new Date(data.expires_at) > new Date();
+}
+
+export async function revokeSession(sessionId, userId = null) {
+    let query = supabase
+        .from('sessions')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', sessionId)
+        .is('revoked_at', null);
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data, error } = await query.select('id');
+    if (error) throw error;
+    return data.length > 0;
+}
+
+/**
+ * Revoke every active session of a user (log out all devices, password reset)
+ * @returns {number} Sessions revoked
+ */
+export async function revokeAllSessions(userId) {
+    const { data, error } = await supabase
+        .from('sessions')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .select('id');
+
+    if (error) throw error;
+    return data.length;
+}
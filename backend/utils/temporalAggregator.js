@@ -10,7 +10,7 @@
  *   4. Compute consistency score
  */
 
-import { MODULE_NAME_MAP } from './gradeComparator.js';
+import { resolveSubjectName } from './curriculum.js';
 
 /**
  * Aggregate grades across multiple frames using majority vote
@@ -235,7 +235,7 @@ export function crossCheckWithPortal(extractedGrades, portalGrades) {
 
     // Check each extracted module against portal data
     for (const [module, data] of Object.entries(extractedGrades)) {
-        const dbSubjectName = MODULE_NAME_MAP[module] || module;
+        const dbSubjectName = resolveSubjectName(module);
         const portal = portalLookup[dbSubjectName];
 
         if (!portal) {
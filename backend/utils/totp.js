@@ -0,0 +1,140 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * TOTP — Time-based one-time passwords (RFC 6238) + recovery codes
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Compatible with Google Authenticator, Aegis, Authy...:
+ * HMAC-SHA1, 6 digits, 30 second steps, base32 secret.
+ * A drift of one step either way is accepted; the matched step is
+ * returned so the caller can refuse a replayed code.
+ */
+
+import crypto from 'crypto';
+
+export const TOTP_ISSUER = 'Classement';
+export const RECOVERY_CODE_COUNT = 10;
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+function base32Decode(secret) {
+    const clean = secret.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 secret');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function hotp(key, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', key).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return code.toString().padStart(DIGITS, '0');
+}
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+/**
+ * New random secret (160 bits, base32)
+ */
+export function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * otpauth:// URI for authenticator apps (QR code or tap-to-add on mobile)
+ */
+export function buildOtpauthUrl(secret, accountName) {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+/**
+ * Check a 6-digit code
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number|null} lastStep - Last accepted step (replay protection)
+ * @returns {number|null} Matched step, or null if invalid
+ */
+export function verifyTotp(secret, code, lastStep = null) {
+    const token = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(token)) return null;
+
+    const key = base32Decode(secret);
+    const now = currentStep();
+
+    for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+        if (lastStep !== null && step <= lastStep) continue;
+        const expected = hotp(key, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) return step;
+    }
+    return null;
+}
+
+export const hashRecoveryCode = (code) =>
+    crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[\s-]/g, '')).digest('hex');
+
+/**
+ * One-time recovery codes, shown once; only their hashes are stored
+ * @returns {Object} { codes, hashes }
+ */
+export function generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Check a TOTP code, falling back to a recovery code
+ * @param {Object} user - users row (totp_secret, totp_last_step, totp_recovery_codes)
+ * @param {string} code
+ * @returns {Object|null} Column updates to persist when valid, null otherwise
+ */
+export function checkSecondFactor(user, code) {
+    if (!code || !user.totp_secret) return null;
+
+    const step = verifyTotp(user.totp_secret, code, user.totp_last_step ?? null);
+    if (step !== null) return { totp_last_step: step };
+
+    const hash = hashRecoveryCode(code);
+    const remaining = user.totp_recovery_codes || [];
+    if (remaining.includes(hash)) {
+        return { totp_recovery_codes: remaining.filter(h => h !== hash) };
+    }
+    return null;
+}
@@ -17,18 +17,7 @@
  */
 
 import { calculateAverages } from './gradeOCRExtractor.js';
-import { MODULE_NAME_MAP } from './gradeComparator.js';
-
-const S3_COEFFICIENTS = {
-    'Analyse 03': 5,
-    'Algèbre 03': 3,
-    'Économie d\'entreprise': 2,
-    'Probabilité et Statistique 01': 4,
-    'Anglais 02': 2,
-    'SFSD': 4,
-    'Architecture 02': 4,
-    'Électronique Fondamentale 02': 4,
-};
+import { findModule, resolveSubjectName } from './curriculum.js';
 
 /**
  * Calculate video-based trust score
@@ -93,12 +82,13 @@ export function calculateVideoTrustScore({
         // Calculate expected averages from extracted grades
         const extractedForCalc = {};
         for (const [module, data] of Object.entries(extractedGrades)) {
-            const dbName = MODULE_NAME_MAP[module] || module;
+            const dbName = resolveSubjectName(module);
+            const mod = findModule(dbName);
             extractedForCalc[dbName] = {
                 exam: data.exam,
                 td: data.td,
-                coefficient: S3_COEFFICIENTS[dbName] || 1,
-                hasTD: data.hasTD ?? true
+                coefficient: mod?.coefficient || 1,
+                hasTD: data.hasTD ?? mod?.hasTD ?? true
             };
         }
 
@@ -108,11 +98,12 @@ export function calculateVideoTrustScore({
         if (calculated && calculated.modules) {
             const portalForCalc = {};
             for (const [module, data] of Object.entries(portalGrades)) {
+                const mod = findModule(module);
                 portalForCalc[module] = {
                     exam: data.exam ?? data.examScore,
                     td: data.td ?? data.tdScore,
-                    coefficient: S3_COEFFICIENTS[module] || 1,
-                    hasTD: S3_COEFFICIENTS[module] === 2 && module === 'Anglais 02' ? false : true // Logic for hasTD
+                    coefficient: mod?.coefficient || 1,
+                    hasTD: mod?.hasTD ?? true
                 };
             }
             const portalCalc = calculateAverages(portalForCalc);
@@ -2,10 +2,12 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import Navbar from './components/Navbar';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
 import Dashboard from './pages/Dashboard';
 import Ranking from './pages/Ranking';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import { ThemeProvider, useTheme } from './context/ThemeContext';
+import { CurriculumProvider } from './context/CurriculumContext';
 import { useState, createContext, useContext } from 'react';
 import './i18n';
 
@@ -36,6 +38,7 @@ function AppContent() {
             {/* Public Routes */}
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
 
             {/* Protected Routes */}
             <Route path="/" element={
@@ -60,7 +63,9 @@ function App() {
     <Router>
       <AuthProvider>
         <ThemeProvider>
-          <AppContent />
+          <CurriculumProvider>
+            <AppContent />
+          </CurriculumProvider>
         </ThemeProvider>
       </AuthProvider>
     </Router>
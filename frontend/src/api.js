@@ -2,6 +2,7 @@ import axios from 'axios';
 
 const api = axios.create({
     baseURL: import.meta.env.VITE_API_URL || '',
+    withCredentials: true, // refresh_token cookie (/api/auth)
 });
 
 export default api;
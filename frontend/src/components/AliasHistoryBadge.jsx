@@ -0,0 +1,50 @@
+import { useState } from 'react';
+import { History } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import api from '../api';
+
+// "Renamed" badge on ranking rows (changedAt is only sent for recent changes);
+// click to see the previous aliases
+const AliasHistoryBadge = ({ alias, changedAt }) => {
+    const { t, i18n } = useTranslation();
+    const [history, setHistory] = useState(null);
+    const [open, setOpen] = useState(false);
+
+    if (!changedAt) return null;
+
+    const toggle = async () => {
+        setOpen(!open);
+        if (history || open) return;
+        try {
+            const { data } = await api.get(`/api/auth/alias/${encodeURIComponent(alias)}/history`);
+            setHistory(data.history);
+        } catch (err) {
+            console.error("Error fetching alias history:", err);
+            setHistory([]);
+        }
+    };
+
+    return (
+        <span className="relative inline-flex">
+            <button
+                onClick={toggle}
+                title={t('aliasRecentlyChanged')}
+                className="inline-flex w-fit items-center gap-[0.25rem] px-[0.5rem] py-[0.125rem] bg-amber-50 text-amber-700 border border-amber-200 text-[0.5rem] font-black uppercase tracking-widest rounded-md hover:bg-amber-100"
+            >
+                <History size={10} /> {t('aliasRenamed')}
+            </button>
+            {open && history && (
+                <span className="absolute left-0 top-full mt-[0.25rem] z-20 min-w-[12rem] bg-white border border-gray-100 shadow-xl rounded-[0.75rem] p-[0.75rem] text-[0.7rem] font-bold text-gray-600">
+                    {history.length === 0 ? t('aliasNoHistory') : history.slice(0, 5).map(h => (
+                        <span key={h.changedAt} className="block">
+                            <span className="line-through text-gray-400">{h.oldAlias}</span> → {h.newAlias}
+                            <span className="text-gray-400"> · {new Date(h.changedAt).toLocaleDateString(i18n.language)}</span>
+                        </span>
+                    ))}
+                </span>
+            )}
+        </span>
+    );
+};
+
+export default AliasHistoryBadge;
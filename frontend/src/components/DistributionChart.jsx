@@ -0,0 +1,88 @@
+import { useState, useEffect } from 'react';
+import { BarChart3, EyeOff } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import api from '../api';
+
+// Cohort distribution of a ranking scope (GET /api/stats/:scope);
+// buckets under the k-anonymity floor are drawn as "< k", the caller's bucket is highlighted
+const DistributionChart = ({ scope, scopeKey }) => {
+    const { t } = useTranslation();
+    const [stats, setStats] = useState(null);
+
+    useEffect(() => {
+        if (!scope) return;
+        const fetchStats = async () => {
+            try {
+                const { data } = await api.get(`/api/stats/${scope}`, { params: { key: scopeKey || undefined } });
+                setStats(data);
+            } catch (err) {
+                console.error("Error fetching stats:", err);
+                setStats(null);
+            }
+        };
+        fetchStats();
+    }, [scope, scopeKey]);
+
+    if (!scope || !stats) return null;
+
+    if (stats.suppressed) {
+        return (
+            <div className="flex items-center gap-[0.75rem] px-[1.25rem] sm:px-[3rem] py-[1.25rem] border-b border-gray-50 text-gray-400 text-[0.75rem] font-bold">
+                <EyeOff size={16} /> {t('statsSuppressed', { k: stats.kAnonymity })}
+            </div>
+        );
+    }
+
+    const maxCount = Math.max(1, ...stats.histogram.map(b => b.count ?? stats.kAnonymity - 1));
+    // Median and quartiles only exist above the quantile floor (rounded server-side)
+    const summary = [
+        [t('statsMean'), stats.mean.toFixed(2)],
+        stats.median !== null && [t('statsMedian'), stats.median.toFixed(2)],
+        [t('statsStdDev'), stats.stdDev.toFixed(2)],
+        stats.quartiles && [t('statsQuartiles'), `${stats.quartiles.q1.toFixed(2)} – ${stats.quartiles.q3.toFixed(2)}`],
+        [t('statsPassRate'), `${stats.passRate.toFixed(1)}%`],
+    ].filter(Boolean);
+
+    return (
+        <div className="px-[1.25rem] sm:px-[3rem] py-[1.5rem] border-b border-gray-50">
+            <div className="flex items-center gap-[0.5rem] mb-[1rem] text-[0.625rem] font-black text-indigo-600 uppercase tracking-[0.3em]">
+                <BarChart3 size={14} /> {t('distribution')} · {stats.count}
+            </div>
+
+            <div className="flex items-end gap-[0.25rem] h-[6rem]">
+                {stats.histogram.map((bucket, i) => {
+                    const isMine = stats.me?.bucket === i;
+                    const height = bucket.suppressed
+                        ? (stats.kAnonymity - 1) / maxCount
+                        : bucket.count / maxCount;
+                    return (
+                        <div key={bucket.from} className="flex-1 flex flex-col items-center justify-end h-full" title={`${bucket.from}–${bucket.to} : ${bucket.suppressed ? `< ${stats.kAnonymity}` : bucket.count}`}>
+                            <span className={`text-[0.5rem] font-black mb-[0.125rem] ${isMine ? 'text-indigo-600' : 'text-gray-400'}`}>
+                                {isMine ? t('you') : bucket.suppressed ? `<${stats.kAnonymity}` : bucket.count || ''}
+                            </span>
+                            <div
+                                className={`w-full rounded-t-md ${isMine ? 'bg-indigo-600' : bucket.suppressed ? 'bg-gray-200 border border-dashed border-gray-300' : bucket.from >= stats.passAverage ? 'bg-green-300' : 'bg-red-200'}`}
+                                style={{ height: `${Math.max(height * 100, bucket.count === 0 ? 0 : 4)}%` }}
+                            />
+                        </div>
+                    );
+                })}
+            </div>
+            <div className="flex gap-[0.25rem] mt-[0.25rem]">
+                {stats.histogram.map(bucket => (
+                    <span key={bucket.from} className="flex-1 text-center text-[0.5rem] font-bold text-gray-300">{bucket.from}</span>
+                ))}
+            </div>
+
+            <div className="flex flex-wrap gap-[0.5rem] mt-[1rem]">
+                {summary.map(([label, value]) => (
+                    <span key={label} className="px-[0.625rem] py-[0.25rem] rounded-md bg-gray-50 border border-gray-100 text-[0.625rem] font-black text-gray-600">
+                        <span className="text-gray-400 uppercase tracking-widest">{label}</span> {value}
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default DistributionChart;
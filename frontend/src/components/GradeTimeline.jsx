@@ -0,0 +1,124 @@
+import { useState, useEffect } from 'react';
+import { History, Undo2, ArrowRight, ChevronDown } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import api from '../api';
+
+const FIELD_KEYS = {
+    exam_score: 'historyFieldExam',
+    td_score: 'historyFieldTd',
+    tp_score: 'historyFieldTp',
+    rattrapage_score: 'historyFieldRattrapage',
+};
+
+const SOURCE_KEYS = {
+    single: 'historySourceSingle',
+    batch: 'historySourceBatch',
+    undo: 'historySourceUndo',
+};
+
+const PAGE_SIZE = 8;
+
+const formatValue = (value) => (value === null || value === undefined ? '--' : parseFloat(value).toFixed(2));
+
+// Timeline of the user's grade changes (GET /api/grades/history) with undo
+const GradeTimeline = ({ refreshKey, onUndo }) => {
+    const { t, i18n } = useTranslation();
+    const [entries, setEntries] = useState([]);
+    const [expanded, setExpanded] = useState(false);
+    const [undoingId, setUndoingId] = useState(null);
+    const [error, setError] = useState(null);
+
+    const fetchHistory = async () => {
+        try {
+            const { data } = await api.get('/api/grades/history?limit=100');
+            setEntries(data);
+        } catch (err) {
+            console.error("Error fetching grade history:", err);
+        }
+    };
+
+    useEffect(() => {
+        fetchHistory();
+    }, [refreshKey]);
+
+    const handleUndo = async (entry) => {
+        setUndoingId(entry.id);
+        setError(null);
+        try {
+            await api.post(`/api/grades/history/${entry.id}/undo`);
+            await fetchHistory();
+            if (onUndo) onUndo();
+        } catch (err) {
+            setError(err.response?.data?.message || t('error'));
+        } finally {
+            setUndoingId(null);
+        }
+    };
+
+    if (entries.length === 0) return null;
+
+    const visible = expanded ? entries : entries.slice(0, PAGE_SIZE);
+
+    return (
+        <div className="mt-[2rem] bg-white p-[1.25rem] sm:p-[2rem] rounded-[1.5rem] shadow-lg border border-gray-100">
+            <div className="flex items-center gap-[1rem] mb-[1.5rem]">
+                <div className="w-[3rem] h-[3rem] rounded-[1rem] flex items-center justify-center flex-shrink-0 bg-indigo-100 text-indigo-600">
+                    <History size={22} />
+                </div>
+                <div>
+                    <h3 className="text-[1rem] font-black text-gray-950 tracking-tight">{t('gradeHistory')}</h3>
+                    <p className="text-gray-400 font-bold text-[0.625rem] uppercase tracking-[0.15em]">{entries.length} {t('historyChanges')}</p>
+                </div>
+            </div>
+
+            {error && (
+                <div className="mb-[1rem] bg-red-50 border border-red-100 text-red-600 p-[0.75rem] rounded-[1rem] text-[0.75rem] font-black">{error}</div>
+            )}
+
+            <ol className="relative border-l-2 border-indigo-100 ml-[0.75rem] space-y-[1rem]">
+                {visible.map(entry => (
+                    <li key={entry.id} className="ml-[1.25rem]">
+                        <span className={`absolute -left-[0.45rem] mt-[0.35rem] w-[0.75rem] h-[0.75rem] rounded-full border-2 border-white ${entry.source === 'undo' ? 'bg-amber-400' : 'bg-indigo-500'}`}></span>
+                        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-[0.5rem]">
+                            <div className="min-w-0">
+                                <p className="text-[0.875rem] font-black text-gray-950 tracking-tight truncate">
+                                    {t(entry.subject)} · <span className="text-indigo-600">{t(FIELD_KEYS[entry.field])}</span>
+                                </p>
+                                <p className="text-[0.6rem] font-bold text-gray-400 uppercase tracking-widest">
+                                    {new Date(entry.created_at).toLocaleString(i18n.language)} · {t(SOURCE_KEYS[entry.source] || 'historySourceSingle')}
+                                </p>
+                            </div>
+                            <div className="flex items-center gap-[0.75rem] flex-shrink-0">
+                                <span className="inline-flex items-center gap-[0.5rem] text-[0.875rem] font-black">
+                                    <span className="text-gray-400 line-through">{formatValue(entry.old_value)}</span>
+                                    <ArrowRight size={14} className="text-gray-300" />
+                                    <span className="text-gray-950">{formatValue(entry.new_value)}</span>
+                                </span>
+                                <button
+                                    onClick={() => handleUndo(entry)}
+                                    disabled={undoingId !== null}
+                                    title={t('undo')}
+                                    className="p-[0.5rem] rounded-[0.75rem] bg-gray-50 border border-gray-100 text-gray-500 hover:bg-amber-50 hover:text-amber-600 hover:border-amber-200 disabled:opacity-30 transition-all active:scale-95"
+                                >
+                                    <Undo2 size={14} className={undoingId === entry.id ? 'animate-pulse' : ''} />
+                                </button>
+                            </div>
+                        </div>
+                    </li>
+                ))}
+            </ol>
+
+            {entries.length > PAGE_SIZE && (
+                <button
+                    onClick={() => setExpanded(!expanded)}
+                    className="mt-[1.5rem] w-full flex items-center justify-center gap-[0.5rem] py-[0.75rem] rounded-[1rem] bg-gray-50 text-gray-500 font-black text-[0.625rem] uppercase tracking-widest hover:bg-gray-100 transition-all"
+                >
+                    {expanded ? t('showLess') : t('showMore')}
+                    <ChevronDown size={14} className={`transition-transform ${expanded ? 'rotate-180' : ''}`} />
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default GradeTimeline;
@@ -0,0 +1,153 @@
+import { useState, useEffect } from 'react';
+import { Scale, AlertTriangle } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { useCurriculum } from '../context/useCurriculum';
+import api from '../api';
+
+const DIMENSIONS = ['group', 'section'];
+
+const selectClass = "bg-white border-2 border-gray-100 rounded-[1rem] py-[0.625rem] px-[1rem] font-black text-gray-900 text-[0.625rem] focus:border-indigo-500 transition-all outline-none cursor-pointer";
+
+// Highest published value of a row (highlighted)
+const bestOf = (values) => {
+    const published = values.filter(v => typeof v === 'number');
+    return published.length > 1 ? Math.max(...published) : null;
+};
+
+// Groups (or sections) side by side (GET /api/stats/groups): general average figures,
+// per-module means with the TD mean, participation; figures under the k-anonymity floor stay hidden
+const GroupComparison = () => {
+    const { t } = useTranslation();
+    const { semesters } = useCurriculum();
+    const [by, setBy] = useState('group');
+    const [semester, setSemester] = useState('');
+    const [data, setData] = useState(null);
+
+    useEffect(() => {
+        const fetchAggregates = async () => {
+            try {
+                const { data: aggregates } = await api.get('/api/stats/groups', { params: { by, semester: semester || undefined } });
+                setData(aggregates);
+            } catch (err) {
+                console.error("Error fetching group aggregates:", err);
+                setData(null);
+            }
+        };
+        fetchAggregates();
+    }, [by, semester]);
+
+    const columns = data ? [...data.cohorts, { key: null, ...data.overall }] : [];
+    const hidden = data ? `< ${data.kAnonymity}` : '';
+    // Suppressed cohorts say "< k"; a median under the quantile floor is just absent
+    const format = (value, suffix = '', column) => typeof value === 'number'
+        ? `${value.toFixed(2)}${suffix}`
+        : column && !column.suppressed && value === null ? '—' : hidden;
+
+    const rows = data ? [
+        { label: t('statsMean'), values: columns.map(c => c.mean) },
+        { label: t('statsMedian'), values: columns.map(c => c.median), general: true },
+        { label: t('statsPassRate'), values: columns.map(c => c.passRate), suffix: '%' },
+        ...data.subjects.map((subject, i) => ({
+            label: t(subject.name),
+            values: columns.map(c => c.subjects[i].mean),
+            td: subject.hasTD ? columns.map(c => c.subjects[i].tdMean) : null,
+        })),
+    ] : [];
+
+    return (
+        <div className="bg-white shadow-3xl rounded-[2.5rem] p-[1.5rem] sm:p-[2rem] mb-[3rem] border border-indigo-50 animate-in fade-in slide-in-from-top-4 duration-500">
+            <div className="flex flex-wrap items-center justify-between gap-[1rem] mb-[1.25rem]">
+                <span className="flex items-center gap-[0.5rem] text-[0.625rem] font-black text-indigo-600 uppercase tracking-[0.3em]">
+                    <Scale size={14} /> {t('groupComparison')}
+                </span>
+                <div className="flex items-center gap-[0.75rem]">
+                    <div className="flex p-1 bg-gray-50 rounded-[1.25rem] border-2 border-gray-100">
+                        {DIMENSIONS.map(dimension => (
+                            <button
+                                key={dimension}
+                                onClick={() => setBy(dimension)}
+                                className={`px-[1rem] py-[0.5rem] rounded-[1rem] font-black text-[0.625rem] uppercase tracking-wider transition-all ${by === dimension ? 'bg-gray-900 text-white shadow-lg' : 'text-gray-500 hover:bg-white'}`}
+                            >
+                                {t(`compareBy_${dimension}`)}
+                            </button>
+                        ))}
+                    </div>
+                    <select className={selectClass} value={semester} onChange={(e) => setSemester(e.target.value)}>
+                        <option value="">{t('activeSemester')}</option>
+                        {semesters.filter(s => s.modules.length > 0).map(s => <option key={s.code} value={s.code}>{s.code}</option>)}
+                    </select>
+                </div>
+            </div>
+
+            {data && data.cohorts.length === 0 && (
+                <p className="text-[0.75rem] font-bold text-gray-400">{t('noGroupsToCompare')}</p>
+            )}
+
+            {data && data.cohorts.length > 0 && (
+                <>
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-[0.6875rem]">
+                            <thead>
+                                <tr>
+                                    <th />
+                                    {columns.map(c => (
+                                        <th
+                                            key={c.key ?? 'overall'}
+                                            className={`px-[0.75rem] py-[0.5rem] font-black uppercase tracking-widest text-center ${c.key !== null && c.key === data.me ? 'text-indigo-600' : 'text-gray-500'}`}
+                                        >
+                                            <span className="inline-flex items-center gap-[0.25rem]">
+                                                {c.key ?? t('overallCohort')}
+                                                {c.underRegistered && <span title={t('underRegistered')}><AlertTriangle size={12} className="text-amber-500" /></span>}
+                                            </span>
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <tr className="border-t border-gray-50">
+                                    <td className="px-[0.75rem] py-[0.5rem] font-black text-gray-400 uppercase tracking-widest text-[0.5rem]">{t('participation')}</td>
+                                    {columns.map(c => (
+                                        <td key={c.key ?? 'overall'} className={`px-[0.75rem] py-[0.5rem] text-center font-bold ${c.underRegistered ? 'text-amber-600' : 'text-gray-600'}`}>
+                                            {c.key === null
+                                                ? c.count ?? hidden
+                                                : `${c.registered ?? hidden}/${c.rosterSize || '?'}${c.participationRate !== null ? ` · ${c.participationRate.toFixed(0)}%` : ''}`}
+                                        </td>
+                                    ))}
+                                </tr>
+                                {rows.map(row => {
+                                    // The whole-cohort column is a reference, not a competitor
+                                    const best = bestOf(row.values.slice(0, -1));
+                                    return (
+                                        <tr key={row.label} className="border-t border-gray-50">
+                                            <td className="px-[0.75rem] py-[0.5rem] font-black text-gray-400 uppercase tracking-widest text-[0.5rem]">{row.label}</td>
+                                            {row.values.map((value, i) => (
+                                                <td key={columns[i].key ?? 'overall'} className="px-[0.75rem] py-[0.5rem] text-center">
+                                                    <span className={`font-black ${value === best && i < columns.length - 1 ? 'text-emerald-600' : typeof value === 'number' ? 'text-gray-900' : 'text-gray-300'}`}>
+                                                        {format(value, row.suffix, row.general && columns[i])}
+                                                    </span>
+                                                    {row.td && typeof row.td[i] === 'number' && (
+                                                        <span className="block text-[0.5rem] font-bold text-gray-400">{t('tdMean', { value: row.td[i].toFixed(2) })}</span>
+                                                    )}
+                                                </td>
+                                            ))}
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <p className="flex items-center gap-[0.375rem] mt-[1rem] text-[0.5625rem] font-bold text-gray-400">
+                        <AlertTriangle size={12} className="text-amber-500" />
+                        {t('underRegisteredHint', { rate: data.underRegisteredRate, k: data.kAnonymity })}
+                    </p>
+                    {data.overall.partial && (
+                        <p className="mt-[0.375rem] text-[0.5625rem] font-bold text-gray-400">{t('overallPartialHint', { k: data.kAnonymity })}</p>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default GroupComparison;
@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { Download, Trash2, FileJson, FileArchive } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import api from '../api';
+import { useAuth } from '../context/AuthContext';
+
+// Data export (GET /api/auth/me/export) and account erasure (DELETE /api/auth/me)
+const PrivacyPanel = () => {
+    const { t } = useTranslation();
+    const { logout } = useAuth();
+    const [exporting, setExporting] = useState(null);
+    const [deleting, setDeleting] = useState(false);
+    const [password, setPassword] = useState('');
+    const [totpCode, setTotpCode] = useState('');
+    const [twoFactorRequired, setTwoFactorRequired] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleExport = async (format) => {
+        setExporting(format);
+        setError(null);
+        try {
+            const response = await api.get(`/api/auth/me/export?format=${format}`, { responseType: 'blob' });
+            const url = URL.createObjectURL(response.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `mes-donnees-${new Date().toISOString().slice(0, 10)}.${format}`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error("Export failed:", err);
+            setError(t('exportError'));
+        } finally {
+            setExporting(null);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(t('deleteAccountConfirm'))) return;
+        setBusy(true);
+        setError(null);
+        try {
+            await api.delete('/api/auth/me', { data: { password, totpCode: twoFactorRequired ? totpCode : undefined } });
+            await logout();
+        } catch (err) {
+            if (err.response?.data?.twoFactorRequired) setTwoFactorRequired(true);
+            setError(err.response?.data?.message || t('error'));
+            setBusy(false);
+        }
+    };
+
+    const buttonClass = "flex items-center justify-center gap-[0.5rem] py-[0.875rem] px-[1.5rem] rounded-[1.25rem] font-black text-[0.625rem] uppercase tracking-widest disabled:opacity-30 transition-all touch-feedback";
+    const inputClass = "w-full bg-gray-50 border-2 border-transparent rounded-[1.25rem] py-[0.875rem] px-[1.25rem] text-[0.875rem] font-black text-gray-950 focus:bg-white focus:border-red-500 outline-none transition-all shadow-inner";
+
+    return (
+        <div>
+            <label className="block text-[0.625rem] font-black text-indigo-600 uppercase tracking-[0.3em] mb-[1rem]">{t('myData')}</label>
+
+            {error && (
+                <div className="mb-[1rem] bg-red-50 border border-red-100 text-red-600 p-[0.75rem] rounded-[1rem] text-[0.75rem] font-black">{error}</div>
+            )}
+
+            <p className="text-gray-500 font-bold text-[0.75rem] mb-[0.75rem]">{t('exportHelp')}</p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-[0.75rem]">
+                <button onClick={() => handleExport('json')} disabled={exporting !== null} className={`${buttonClass} bg-gray-50 border border-gray-100 text-gray-600 hover:bg-indigo-50 hover:text-indigo-600`}>
+                    {exporting === 'json' ? <Download size={14} className="animate-bounce" /> : <FileJson size={14} />} {t('exportJson')}
+                </button>
+                <button onClick={() => handleExport('zip')} disabled={exporting !== null} className={`${buttonClass} bg-gray-50 border border-gray-100 text-gray-600 hover:bg-indigo-50 hover:text-indigo-600`}>
+                    {exporting === 'zip' ? <Download size={14} className="animate-bounce" /> : <FileArchive size={14} />} {t('exportZip')}
+                </button>
+            </div>
+
+            {!deleting ? (
+                <button onClick={() => setDeleting(true)} className={`${buttonClass} mt-[1rem] w-full border-2 border-red-100 bg-red-50 text-red-600 hover:bg-red-100`}>
+                    <Trash2 size={14} /> {t('deleteAccount')}
+                </button>
+            ) : (
+                <div className="mt-[1rem] p-[1rem] rounded-[1.25rem] border-2 border-red-100 bg-red-50/50 space-y-[0.75rem]">
+                    <p className="text-red-700 font-black text-[0.75rem]">{t('deleteAccountHelp')}</p>
+                    <input type="password" className={inputClass} value={password} onChange={(e) => setPassword(e.target.value)} placeholder={t('password')} />
+                    {twoFactorRequired && (
+                        <input type="text" autoComplete="one-time-code" className={inputClass} value={totpCode} onChange={(e) => setTotpCode(e.target.value)} placeholder={t('twoFactorCode')} />
+                    )}
+                    <div className="flex flex-col sm:flex-row gap-[0.75rem]">
+                        <button onClick={() => setDeleting(false)} disabled={busy} className={`${buttonClass} flex-1 bg-white border border-gray-100 text-gray-500`}>
+                            {t('cancel')}
+                        </button>
+                        <button onClick={handleDelete} disabled={busy || !password} className={`${buttonClass} flex-1 bg-red-600 text-white hover:bg-red-700`}>
+                            <Trash2 size={14} /> {t('deleteAccountFinal')}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PrivacyPanel;
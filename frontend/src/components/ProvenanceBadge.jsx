@@ -0,0 +1,38 @@
+import { PenLine, Landmark, Camera, Video } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+
+// One entry per grades.*_source value (see backend/utils/gradeProvenance.js)
+const SOURCES = {
+    manual: { icon: PenLine, i18nKey: 'provenanceManual', tone: 'bg-gray-100 text-gray-500 border-gray-200' },
+    official_csv: { icon: Landmark, i18nKey: 'provenanceOfficial', tone: 'bg-emerald-50 text-emerald-700 border-emerald-200' },
+    screenshot_ocr: { icon: Camera, i18nKey: 'provenanceScreenshot', tone: 'bg-indigo-50 text-indigo-700 border-indigo-200' },
+    video_ocr: { icon: Video, i18nKey: 'provenanceVideo', tone: 'bg-violet-50 text-violet-700 border-violet-200' },
+};
+
+const ProvenanceBadge = ({ provenance, className = '' }) => {
+    const { t } = useTranslation();
+    if (!provenance) return null;
+
+    const source = SOURCES[provenance.source] || SOURCES.manual;
+    const Icon = source.icon;
+    const title = [
+        t(source.i18nKey),
+        provenance.confidence !== null ? `${t('confidenceScore')}: ${Math.round(provenance.confidence)}%` : null,
+        provenance.jobId ? `${t('provenanceJob')}: ${provenance.jobId}` : null,
+    ].filter(Boolean).join(' · ');
+
+    return (
+        <span
+            title={title}
+            className={`inline-flex items-center gap-1 px-[0.4rem] py-[0.1rem] rounded-md border text-[0.5rem] font-black uppercase tracking-widest whitespace-nowrap ${source.tone} ${className}`}
+        >
+            <Icon size={10} />
+            {t(source.i18nKey)}
+            {provenance.confidence !== null && provenance.source !== 'manual' && (
+                <span className="opacity-70">{Math.round(provenance.confidence)}%</span>
+            )}
+        </span>
+    );
+};
+
+export default ProvenanceBadge;
@@ -0,0 +1,66 @@
+import { useState, useEffect } from 'react';
+import { TrendingUp } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import api from '../api';
+
+const WIDTH = 160;
+const HEIGHT = 40;
+const PADDING = 4;
+
+// Caller's rank over the snapshots of one scope (GET /api/rankings/history);
+// best rank drawn at the top
+const RankSparkline = ({ scope, scopeKey }) => {
+    const { t, i18n } = useTranslation();
+    const [points, setPoints] = useState([]);
+
+    useEffect(() => {
+        if (!scope) return;
+        const fetchHistory = async () => {
+            try {
+                const { data } = await api.get('/api/rankings/history', { params: { scope, key: scopeKey || undefined } });
+                setPoints(data.points);
+            } catch (err) {
+                console.error("Error fetching rank history:", err);
+                setPoints([]);
+            }
+        };
+        fetchHistory();
+    }, [scope, scopeKey]);
+
+    if (!scope || points.length < 2) return null;
+
+    const ranks = points.map(p => p.rank);
+    const best = Math.min(...ranks);
+    const worst = Math.max(...ranks);
+    const coords = points.map((p, i) => [
+        PADDING + (i / (points.length - 1)) * (WIDTH - PADDING * 2),
+        PADDING + ((p.rank - best) / (worst - best || 1)) * (HEIGHT - PADDING * 2)
+    ]);
+    const [lastX, lastY] = coords[coords.length - 1];
+
+    return (
+        <div className="flex items-center gap-[0.75rem] mt-[0.75rem]">
+            <span className="flex items-center gap-[0.375rem] text-gray-400 text-[0.625rem] font-black uppercase tracking-widest">
+                <TrendingUp size={12} /> {t('rankHistory')}
+            </span>
+            <svg width={WIDTH} height={HEIGHT} viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="overflow-visible">
+                <polyline
+                    points={coords.map(c => c.join(',')).join(' ')}
+                    fill="none"
+                    stroke="#818cf8"
+                    strokeWidth="2"
+                    strokeLinejoin="round"
+                    strokeLinecap="round"
+                />
+                {coords.map(([x, y], i) => (
+                    <circle key={points[i].at} cx={x} cy={y} r={i === coords.length - 1 ? 3 : 1.5} fill={i === coords.length - 1 ? '#facc15' : '#818cf8'}>
+                        <title>{`${new Date(points[i].at).toLocaleDateString(i18n.language)} — #${points[i].rank}/${points[i].total} (${points[i].average.toFixed(2)})`}</title>
+                    </circle>
+                ))}
+                <text x={lastX + 6} y={lastY + 3} fill="#facc15" fontSize="10" fontWeight="900">#{ranks[ranks.length - 1]}</text>
+            </svg>
+        </div>
+    );
+};
+
+export default RankSparkline;
@@ -0,0 +1,96 @@
+import { SlidersHorizontal, RotateCcw } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { useCurriculum } from '../context/useCurriculum';
+
+const SORT_KEYS = ['average', 'exam', 'td'];
+
+const selectClass = "w-full bg-white border-2 border-gray-100 rounded-[1rem] py-[0.75rem] px-[1rem] font-black text-gray-900 text-[0.75rem] focus:border-indigo-500 transition-all outline-none cursor-pointer";
+const labelClass = "block text-[0.5rem] font-black text-gray-400 uppercase tracking-[0.3em] mb-[0.375rem]";
+
+// Cross filters of GET /api/rankings/query; groups and sections come from the roster (GET /api/rankings/filters)
+const RankingFilterBuilder = ({ value, onChange, onReset, groups, sections }) => {
+    const { t } = useTranslation();
+    const { semesters } = useCurriculum();
+
+    const withModules = semesters.filter(s => s.modules.length > 0);
+    const modules = withModules
+        .filter(s => !value.semester || s.code === value.semester)
+        .flatMap(s => s.modules);
+    const selectedModule = modules.find(m => m.name === value.subject);
+
+    const update = (changes) => {
+        const next = { ...value, ...changes };
+        // A module belongs to one semester; TD sorting needs a module with TD
+        if (changes.semester && next.subject && !withModules.some(s => s.code === changes.semester && s.modules.some(m => m.name === next.subject))) {
+            next.subject = '';
+        }
+        const module = withModules.flatMap(s => s.modules).find(m => m.name === next.subject);
+        if (next.sort === 'td' && module && !module.hasTD) next.sort = 'average';
+        onChange(next);
+    };
+
+    return (
+        <div className="bg-white shadow-3xl rounded-[2.5rem] p-[1.5rem] sm:p-[2rem] mb-[3rem] border border-indigo-50 animate-in fade-in slide-in-from-top-4 duration-500">
+            <div className="flex items-center justify-between mb-[1.25rem]">
+                <span className="flex items-center gap-[0.5rem] text-[0.625rem] font-black text-indigo-600 uppercase tracking-[0.3em]">
+                    <SlidersHorizontal size={14} /> {t('crossFilters')}
+                </span>
+                <button
+                    onClick={onReset}
+                    className="flex items-center gap-[0.375rem] text-gray-400 hover:text-gray-700 text-[0.625rem] font-black uppercase tracking-widest transition-all"
+                >
+                    <RotateCcw size={12} /> {t('resetFilters')}
+                </button>
+            </div>
+
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-[1rem]">
+                <div>
+                    <label className={labelClass}>{t('filterSemester')}</label>
+                    <select className={selectClass} value={value.semester} onChange={(e) => update({ semester: e.target.value })}>
+                        <option value="">{t('activeSemester')}</option>
+                        {withModules.map(s => <option key={s.code} value={s.code}>{s.code}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className={labelClass}>{t('filterSubject')}</label>
+                    <select className={selectClass} value={value.subject} onChange={(e) => update({ subject: e.target.value })}>
+                        <option value="">{t('allSubjects')}</option>
+                        {modules.map(m => <option key={m.name} value={m.name}>{t(m.name)}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className={labelClass}>{t('filterGroup')}</label>
+                    <select className={selectClass} value={value.group} onChange={(e) => update({ group: e.target.value })}>
+                        <option value="">{t('allGroups')}</option>
+                        {groups.map(g => <option key={g} value={g}>{g}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className={labelClass}>{t('filterSection')}</label>
+                    <select className={selectClass} value={value.section} onChange={(e) => update({ section: e.target.value })} disabled={sections.length === 0}>
+                        <option value="">{t('allSections')}</option>
+                        {sections.map(s => <option key={s} value={s}>{s}</option>)}
+                    </select>
+                </div>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-[0.75rem] mt-[1.25rem]">
+                <span className="text-[0.5rem] font-black text-gray-400 uppercase tracking-[0.3em]">{t('sortBy')}</span>
+                <div className="flex p-1 bg-gray-50 rounded-[1.25rem] border-2 border-gray-100">
+                    {SORT_KEYS.map(sort => (
+                        <button
+                            key={sort}
+                            onClick={() => update({ sort })}
+                            disabled={sort === 'td' && selectedModule && !selectedModule.hasTD}
+                            className={`px-[1rem] py-[0.625rem] rounded-[1rem] font-black text-[0.625rem] uppercase tracking-wider transition-all disabled:opacity-30 ${value.sort === sort ? 'bg-gray-900 text-white shadow-lg' : 'text-gray-500 hover:bg-white'}`}
+                        >
+                            {t(`sort_${sort}`)}
+                        </button>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RankingFilterBuilder;
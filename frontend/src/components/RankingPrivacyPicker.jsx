@@ -0,0 +1,62 @@
+import { EyeOff, VenetianMask, UsersRound } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+
+const PRIVACY_LEVELS = [
+    { level: 'hidden', icon: EyeOff },
+    { level: 'alias', icon: VenetianMask },
+    { level: 'aliasGroup', icon: UsersRound },
+];
+
+const VISIBILITY_SCOPES = ['general', 'subject', 'group'];
+
+// Privacy level (users.display_mode) and the rankings the student is listed in;
+// the student number is never shown to others
+const RankingPrivacyPicker = ({ displayMode, onDisplayModeChange, rankingScopes, onRankingScopesChange }) => {
+    const { t } = useTranslation();
+
+    const toggleScope = (scope) => {
+        onRankingScopesChange(rankingScopes.includes(scope)
+            ? rankingScopes.filter(s => s !== scope)
+            : [...rankingScopes, scope]);
+    };
+
+    return (
+        <div className="space-y-[1rem]">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-[1rem]">
+                {PRIVACY_LEVELS.map(option => {
+                    const Icon = option.icon;
+                    return (
+                        <button
+                            key={option.level}
+                            onClick={() => onDisplayModeChange(option.level)}
+                            title={t(`privacy_${option.level}_hint`)}
+                            className={`flex items-center justify-center gap-[0.75rem] py-[1.125rem] px-[1.5rem] rounded-[1.25rem] border-2 font-black transition-all text-[0.7rem] uppercase tracking-widest touch-feedback ${displayMode === option.level ? 'border-indigo-600 bg-indigo-600 text-white' : 'border-gray-50 bg-gray-50 text-gray-400'}`}
+                        >
+                            <Icon size={16} /> {t(`privacy_${option.level}`)}
+                        </button>
+                    );
+                })}
+            </div>
+            <p className="text-[0.625rem] font-bold text-gray-400 ml-[0.5rem]">{t(`privacy_${displayMode}_hint`)}</p>
+
+            {displayMode !== 'hidden' && (
+                <div className="flex flex-wrap items-center gap-[0.75rem] ml-[0.5rem]">
+                    <span className="text-[0.5rem] font-black text-gray-400 uppercase tracking-[0.3em]">{t('listedIn')}</span>
+                    {VISIBILITY_SCOPES.map(scope => (
+                        <label key={scope} className="flex items-center gap-[0.375rem] text-[0.625rem] font-black text-gray-600 uppercase tracking-widest cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={rankingScopes.includes(scope)}
+                                onChange={() => toggleScope(scope)}
+                                className="accent-indigo-600"
+                            />
+                            {t(`visibilityScope_${scope}`)}
+                        </label>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RankingPrivacyPicker;
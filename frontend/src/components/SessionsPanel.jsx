@@ -0,0 +1,117 @@
+import { useState, useEffect } from 'react';
+import { MonitorSmartphone, LogOut, X } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import api from '../api';
+import { useAuth } from '../context/AuthContext';
+
+// Short device label from the stored User-Agent
+const describeDevice = (userAgent = '') => {
+    const browser = /Edg\//.test(userAgent) ? 'Edge'
+        : /Firefox\//.test(userAgent) ? 'Firefox'
+            : /Chrome\//.test(userAgent) ? 'Chrome'
+                : /Safari\//.test(userAgent) ? 'Safari'
+                    : null;
+    const os = /Android/.test(userAgent) ? 'Android'
+        : /iPhone|iPad/.test(userAgent) ? 'iOS'
+            : /Windows/.test(userAgent) ? 'Windows'
+                : /Mac OS/.test(userAgent) ? 'macOS'
+                    : /Linux/.test(userAgent) ? 'Linux'
+                        : null;
+    return [browser, os].filter(Boolean).join(' · ') || userAgent || '?';
+};
+
+// Active sessions (GET /api/auth/sessions) with per-device revoke and "log out all devices"
+const SessionsPanel = () => {
+    const { t, i18n } = useTranslation();
+    const { logout, logoutAll } = useAuth();
+    const [sessions, setSessions] = useState([]);
+    const [busyId, setBusyId] = useState(null);
+    const [error, setError] = useState(null);
+
+    const fetchSessions = async () => {
+        try {
+            const { data } = await api.get('/api/auth/sessions');
+            setSessions(data);
+        } catch (err) {
+            console.error("Error fetching sessions:", err);
+        }
+    };
+
+    useEffect(() => {
+        fetchSessions();
+    }, []);
+
+    const handleRevoke = async (session) => {
+        setBusyId(session.id);
+        setError(null);
+        try {
+            if (session.current) {
+                await logout();
+                return;
+            }
+            await api.delete(`/api/auth/sessions/${session.id}`);
+            await fetchSessions();
+        } catch (err) {
+            setError(err.response?.data?.message || t('error'));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleLogoutAll = async () => {
+        if (!window.confirm(t('logoutAllConfirm'))) return;
+        setBusyId('all');
+        setError(null);
+        try {
+            await logoutAll();
+        } catch (err) {
+            setError(err.response?.data?.message || t('error'));
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div>
+            <label className="block text-[0.625rem] font-black text-indigo-600 uppercase tracking-[0.3em] mb-[1rem]">{t('activeSessions')}</label>
+
+            {error && (
+                <div className="mb-[1rem] bg-red-50 border border-red-100 text-red-600 p-[0.75rem] rounded-[1rem] text-[0.75rem] font-black">{error}</div>
+            )}
+
+            <div className="space-y-[0.75rem]">
+                {sessions.map(session => (
+                    <div key={session.id} className={`flex items-center gap-[1rem] p-[1rem] rounded-[1.25rem] border-2 ${session.current ? 'border-indigo-100 bg-indigo-50/50' : 'border-gray-50 bg-gray-50'}`}>
+                        <MonitorSmartphone size={20} className={session.current ? 'text-indigo-600' : 'text-gray-400'} />
+                        <div className="flex-1 min-w-0">
+                            <p className="text-[0.875rem] font-black text-gray-950 tracking-tight truncate">
+                                {describeDevice(session.userAgent)}
+                                {session.current && <span className="ml-[0.5rem] inline-flex px-[0.5rem] py-[0.125rem] bg-indigo-600 text-white text-[0.5rem] font-black uppercase tracking-widest rounded-md align-middle">{t('thisDevice')}</span>}
+                            </p>
+                            <p className="text-[0.6rem] font-bold text-gray-400 uppercase tracking-widest truncate">
+                                {session.ipAddress} · {t('lastActive')} {new Date(session.lastUsedAt).toLocaleString(i18n.language)}
+                            </p>
+                        </div>
+                        <button
+                            onClick={() => handleRevoke(session)}
+                            disabled={busyId !== null}
+                            title={t('revokeSession')}
+                            className="p-[0.5rem] rounded-[0.75rem] bg-white border border-gray-100 text-gray-500 hover:bg-red-50 hover:text-red-600 hover:border-red-200 disabled:opacity-30 transition-all active:scale-95"
+                        >
+                            <X size={14} />
+                        </button>
+                    </div>
+                ))}
+            </div>
+
+            <button
+                onClick={handleLogoutAll}
+                disabled={busyId !== null}
+                className="mt-[1rem] w-full flex items-center justify-center gap-[0.5rem] py-[0.875rem] rounded-[1.25rem] border-2 border-red-100 bg-red-50 text-red-600 font-black text-[0.625rem] uppercase tracking-widest hover:bg-red-100 disabled:opacity-30 transition-all touch-feedback"
+            >
+                <LogOut size={14} /> {t('logoutAllDevices')}
+            </button>
+        </div>
+    );
+};
+
+export default SessionsPanel;
@@ -0,0 +1,134 @@
+import { useState, useEffect } from 'react';
+import { KeyRound, ShieldCheck, ShieldOff, Copy } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import api from '../api';
+
+// TOTP enrollment (POST /api/auth/2fa/setup → /verify) and removal (/disable)
+const TwoFactorPanel = () => {
+    const { t } = useTranslation();
+    const [enabled, setEnabled] = useState(null);
+    const [setup, setSetup] = useState(null); // { secret, otpauthUrl }
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+    const [disabling, setDisabling] = useState(false);
+    const [code, setCode] = useState('');
+    const [password, setPassword] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        api.get('/api/auth/me')
+            .then(({ data }) => setEnabled(data.twoFactorEnabled || false))
+            .catch(err => console.error("Error fetching 2FA status:", err));
+    }, []);
+
+    const run = async (action) => {
+        setBusy(true);
+        setError(null);
+        try {
+            await action();
+        } catch (err) {
+            setError(err.response?.data?.message || t('error'));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const startSetup = () => run(async () => {
+        const { data } = await api.post('/api/auth/2fa/setup');
+        setSetup(data);
+        setCode('');
+    });
+
+    const confirmSetup = () => run(async () => {
+        const { data } = await api.post('/api/auth/2fa/verify', { code });
+        setRecoveryCodes(data.recoveryCodes);
+        setSetup(null);
+        setEnabled(true);
+        setCode('');
+    });
+
+    const confirmDisable = () => run(async () => {
+        await api.post('/api/auth/2fa/disable', { password, code });
+        setEnabled(false);
+        setDisabling(false);
+        setRecoveryCodes(null);
+        setPassword('');
+        setCode('');
+    });
+
+    if (enabled === null) return null;
+
+    const inputClass = "w-full bg-gray-50 border-2 border-transparent rounded-[1.25rem] py-[0.875rem] px-[1.25rem] text-[0.875rem] font-black text-gray-950 focus:bg-white focus:border-indigo-600 outline-none transition-all shadow-inner";
+    const buttonClass = "flex items-center justify-center gap-[0.5rem] py-[0.875rem] px-[1.5rem] rounded-[1.25rem] font-black text-[0.625rem] uppercase tracking-widest disabled:opacity-30 transition-all touch-feedback";
+
+    return (
+        <div>
+            <label className="block text-[0.625rem] font-black text-indigo-600 uppercase tracking-[0.3em] mb-[1rem]">{t('twoFactorTitle')}</label>
+
+            {error && (
+                <div className="mb-[1rem] bg-red-50 border border-red-100 text-red-600 p-[0.75rem] rounded-[1rem] text-[0.75rem] font-black">{error}</div>
+            )}
+
+            <div className={`flex items-center gap-[1rem] p-[1rem] rounded-[1.25rem] border-2 ${enabled ? 'border-emerald-100 bg-emerald-50/50' : 'border-gray-50 bg-gray-50'}`}>
+                {enabled ? <ShieldCheck size={20} className="text-emerald-600" /> : <KeyRound size={20} className="text-gray-400" />}
+                <p className="flex-1 text-[0.875rem] font-black text-gray-950 tracking-tight">
+                    {enabled ? t('twoFactorEnabled') : t('twoFactorDisabled')}
+                </p>
+                {!enabled && !setup && (
+                    <button onClick={startSetup} disabled={busy} className={`${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700`}>
+                        {t('twoFactorEnable')}
+                    </button>
+                )}
+                {enabled && !disabling && (
+                    <button onClick={() => setDisabling(true)} className={`${buttonClass} bg-white border border-gray-100 text-gray-500 hover:text-red-600`}>
+                        <ShieldOff size={14} /> {t('twoFactorDisable')}
+                    </button>
+                )}
+            </div>
+
+            {setup && (
+                <div className="mt-[1rem] space-y-[0.75rem]">
+                    <p className="text-gray-500 font-bold text-[0.75rem]">{t('twoFactorSetupHelp')}</p>
+                    <div className="flex items-center gap-[0.5rem] bg-gray-950 text-white rounded-[1rem] p-[0.875rem]">
+                        <code className="flex-1 text-[0.75rem] font-black tracking-widest break-all">{setup.secret}</code>
+                        <button onClick={() => navigator.clipboard?.writeText(setup.secret)} title={t('copy')} className="p-[0.375rem] rounded-[0.5rem] hover:bg-white/10">
+                            <Copy size={14} />
+                        </button>
+                    </div>
+                    <a href={setup.otpauthUrl} className="inline-block text-indigo-600 font-black text-[0.7rem] uppercase tracking-widest underline">{t('twoFactorOpenApp')}</a>
+                    <div className="flex flex-col sm:flex-row gap-[0.75rem]">
+                        <input type="text" autoComplete="one-time-code" className={inputClass} value={code} onChange={(e) => setCode(e.target.value)} placeholder="123456" />
+                        <button onClick={confirmSetup} disabled={busy || !code} className={`${buttonClass} bg-gray-950 text-white hover:bg-black`}>
+                            {t('twoFactorConfirm')}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {recoveryCodes && (
+                <div className="mt-[1rem] p-[1rem] rounded-[1.25rem] border-2 border-amber-100 bg-amber-50">
+                    <p className="text-amber-700 font-black text-[0.75rem] mb-[0.75rem]">{t('twoFactorRecoveryHelp')}</p>
+                    <div className="grid grid-cols-2 gap-[0.5rem]">
+                        {recoveryCodes.map(rc => (
+                            <code key={rc} className="bg-white rounded-[0.5rem] px-[0.75rem] py-[0.375rem] text-[0.75rem] font-black text-gray-950 text-center">{rc}</code>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {disabling && (
+                <div className="mt-[1rem] space-y-[0.75rem]">
+                    <input type="password" className={inputClass} value={password} onChange={(e) => setPassword(e.target.value)} placeholder={t('password')} />
+                    <div className="flex flex-col sm:flex-row gap-[0.75rem]">
+                        <input type="text" autoComplete="one-time-code" className={inputClass} value={code} onChange={(e) => setCode(e.target.value)} placeholder={t('twoFactorCode')} />
+                        <button onClick={confirmDisable} disabled={busy || !password || !code} className={`${buttonClass} bg-red-600 text-white hover:bg-red-700`}>
+                            {t('twoFactorDisable')}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TwoFactorPanel;
@@ -1,14 +1,18 @@
-import { createContext, useState, useEffect, useContext } from 'react';
+import { createContext, useState, useEffect, useContext, useRef } from 'react';
 import api from '../api';
 
 const AuthContext = createContext();
 
+// Calls that must not trigger a refresh-and-retry on 401
+const NO_REFRESH_URLS = ['/api/auth/login', '/api/auth/register', '/api/auth/refresh', '/api/auth/logout', '/api/auth/password-reset'];
+
 export const useAuth = () => useContext(AuthContext);
 
 export const AuthProvider = ({ children }) => {
     const [user, setUser] = useState(null);
     const [token, setToken] = useState(localStorage.getItem('token') || null);
     const [loading, setLoading] = useState(true);
+    const refreshPromise = useRef(null);
 
     // Configure API defaults
     api.defaults.baseURL = import.meta.env.VITE_API_URL || '';
@@ -17,6 +21,57 @@ export const AuthProvider = ({ children }) => {
         api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
     }
 
+    const applyToken = (newToken) => {
+        localStorage.setItem('token', newToken);
+        api.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+        setToken(newToken);
+    };
+
+    const clearSession = () => {
+        localStorage.removeItem('token');
+        setToken(null);
+        setUser(null);
+        delete api.defaults.headers.common['Authorization'];
+    };
+
+    // Access tokens are short-lived: on 401, refresh once (shared between
+    // concurrent requests) through the httpOnly cookie and replay the request
+    useEffect(() => {
+        const interceptor = api.interceptors.response.use(
+            response => response,
+            async (error) => {
+                const original = error.config;
+                if (
+                    error.response?.status !== 401 ||
+                    !original ||
+                    original._retried ||
+                    NO_REFRESH_URLS.some(url => original.url?.startsWith(url))
+                ) {
+                    return Promise.reject(error);
+                }
+                original._retried = true;
+
+                try {
+                    if (!refreshPromise.current) {
+                        refreshPromise.current = api.post('/api/auth/refresh')
+                            .then(({ data }) => {
+                                applyToken(data.token);
+                                return data.token;
+                            })
+                            .finally(() => { refreshPromise.current = null; });
+                    }
+                    const newToken = await refreshPromise.current;
+                    original.headers['Authorization'] = `Bearer ${newToken}`;
+                    return api(original);
+                } catch {
+                    clearSession();
+                    return Promise.reject(error);
+                }
+            }
+        );
+        return () => api.interceptors.response.eject(interceptor);
+    }, []);
+
     useEffect(() => {
         const checkUser = async () => {
             if (token) {
@@ -25,7 +80,7 @@ export const AuthProvider = ({ children }) => {
                     setUser(data);
                 } catch (error) {
                     console.error("Auth check failed", error);
-                    logout();
+                    clearSession();
                 }
             }
             setLoading(false);
@@ -33,12 +88,10 @@ export const AuthProvider = ({ children }) => {
         checkUser();
     }, [token]);
 
-    const login = async (matricule, password) => {
-        const { data } = await api.post('/api/auth/login', { matricule, password });
-        localStorage.setItem('token', data.token);
-        setToken(data.token);
+    const login = async (matricule, password, totpCode) => {
+        const { data } = await api.post('/api/auth/login', { matricule, password, totpCode });
+        applyToken(data.token);
         setUser(data);
-        api.defaults.headers.common['Authorization'] = `Bearer ${data.token}`;
         return data;
     };
 
@@ -66,25 +119,30 @@ export const AuthProvider = ({ children }) => {
             initialGrades
         });
 
-        localStorage.setItem('token', data.token);
         // Clear guest data after successful migration
         localStorage.removeItem('guest_grades');
 
-        setToken(data.token);
+        applyToken(data.token);
         setUser(data);
-        api.defaults.headers.common['Authorization'] = `Bearer ${data.token}`;
         return data;
     };
 
-    const logout = () => {
-        localStorage.removeItem('token');
-        setToken(null);
-        setUser(null);
-        delete api.defaults.headers.common['Authorization'];
+    const logout = async () => {
+        try {
+            await api.post('/api/auth/logout');
+        } catch (error) {
+            console.error("Logout failed", error);
+        }
+        clearSession();
+    };
+
+    const logoutAll = async () => {
+        await api.post('/api/auth/logout-all');
+        clearSession();
     };
 
     return (
-        <AuthContext.Provider value={{ user, login, register, logout, loading }}>
+        <AuthContext.Provider value={{ user, login, register, logout, logoutAll, loading }}>
             {children}
         </AuthContext.Provider>
     );
@@ -0,0 +1,71 @@
+import { createContext, useState, useEffect } from 'react';
+import { AlertCircle, RefreshCcw } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import api from '../api';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const CurriculumContext = createContext();
+
+export const CurriculumProvider = ({ children }) => {
+    const [curriculum, setCurriculum] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [failed, setFailed] = useState(false);
+    const [attempt, setAttempt] = useState(0);
+    const { t } = useTranslation();
+
+    useEffect(() => {
+        const fetchCurriculum = async () => {
+            try {
+                const { data } = await api.get('/api/curriculum');
+                setCurriculum(data);
+                setFailed(false);
+            } catch (error) {
+                // A failed refetch keeps the curriculum already loaded
+                console.error("Curriculum fetch failed", error);
+                setFailed(true);
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchCurriculum();
+    }, [attempt]);
+
+    const retry = () => {
+        setLoading(true);
+        setAttempt(attempt + 1);
+    };
+
+    const semesters = curriculum?.semesters || [];
+    const activeSemester = curriculum?.activeSemester || null;
+    const active = semesters.find(s => s.code === activeSemester);
+
+    // Same shape the pages used before: { name, coefficient, hasTD }
+    const subjects = active?.modules || [];
+    const totalCoef = active?.totalCoefficient || 0;
+
+    if (loading) return <LoadingSpinner fullScreen />;
+
+    // Without a curriculum every average would divide by a zero coefficient
+    if (failed && !curriculum) {
+        return (
+            <div className="fixed inset-0 z-[200] flex flex-col items-center justify-center gap-[1.5rem] bg-gray-50 p-8 text-center">
+                <AlertCircle className="text-red-500" size={40} />
+                <h3 className="text-lg font-black text-gray-950 tracking-tight uppercase">{t('curriculumLoadError')}</h3>
+                <button
+                    onClick={retry}
+                    className="flex items-center gap-[0.5rem] px-[1.5rem] py-[1rem] rounded-[1.25rem] bg-gray-900 text-white font-black text-[0.75rem] uppercase tracking-widest shadow-xl transition-all active:scale-95"
+                >
+                    <RefreshCcw size={16} /> {t('retry')}
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <CurriculumContext.Provider value={{ semesters, activeSemester, semester: active || null, subjects, totalCoef, loading }}>
+            {children}
+        </CurriculumContext.Provider>
+    );
+};
+
+export default CurriculumContext;
@@ -151,6 +151,7 @@ i18n
                     "Architecture des Ord.": "Architecture",
                     "Anglais": "English",
                     "Moyenne Générale": "General Average",
+                    "Moyenne Annuelle": "Annual Average",
                     "Architecture 02": "Architecture 02",
                     "Électronique Fondamentale 02": "Fundamental Electronics 02",
                     generalAverageFull: "GENERAL AVERAGE",
@@ -161,11 +162,151 @@ i18n
                     status: "Status",
                     pass: "Pass",
                     fail: "Fail",
+                    validated: "Validated",
+                    acquiredByCompensation: "Acquired (comp.)",
+                    eliminatory: "Eliminatory",
+                    creditsEarned: "ECTS credits",
+                    provenanceManual: "Manual",
+                    provenanceOfficial: "Official",
+                    provenanceScreenshot: "Screenshot",
+                    provenanceVideo: "Video",
+                    provenanceJob: "Verification",
+                    gradeHistory: "Grade history",
+                    historyChanges: "changes",
+                    historyFieldExam: "Exam",
+                    historyFieldTd: "TD",
+                    historyFieldTp: "TP",
+                    historyFieldRattrapage: "Resit",
+                    historySourceSingle: "Entry",
+                    historySourceBatch: "Auto-save",
+                    historySourceUndo: "Undo",
+                    undo: "Undo",
+                    showMore: "Show more",
+                    showLess: "Show less",
+                    activeSessions: "Active sessions",
+                    thisDevice: "This device",
+                    lastActive: "Last active",
+                    revokeSession: "Revoke this session",
+                    logoutAllDevices: "Log out all devices",
+                    logoutAllConfirm: "Log out of every device, including this one?",
+                    twoFactorTitle: "Two-factor authentication",
+                    twoFactorEnabled: "Enabled — a code is required at login",
+                    twoFactorDisabled: "Disabled",
+                    twoFactorEnable: "Enable",
+                    twoFactorDisable: "Disable",
+                    twoFactorConfirm: "Confirm",
+                    twoFactorCode: "Authenticator or recovery code",
+                    twoFactorLoginHelp: "Enter the 6-digit code from your authenticator app, or a recovery code.",
+                    twoFactorSetupHelp: "Add this key to your authenticator app (Google Authenticator, Aegis...), then enter the 6-digit code it shows.",
+                    twoFactorOpenApp: "Open in authenticator app",
+                    twoFactorRecoveryHelp: "Save these recovery codes now. Each one works once if you lose your phone; they won't be shown again.",
+                    copy: "Copy",
+                    forgotPassword: "Forgot password?",
+                    resetPasswordTitle: "Reset password",
+                    resetStepCard: "Prove your identity with your student card",
+                    resetStepPassword: "Choose a new password",
+                    resetStepDone: "Password changed",
+                    resetCardPhoto: "Student card photo",
+                    resetChoosePhoto: "Take or choose a photo",
+                    resetVerifyCard: "Verify my card",
+                    newPassword: "New password",
+                    resetSubmit: "Change password",
+                    resetDone: "Your password has been changed and every device has been logged out. Log in with your new password.",
+                    backToLogin: "Back to login",
+                    myData: "My data",
+                    exportHelp: "Download everything we hold about you: profile, grades, averages, history, verifications and sessions.",
+                    exportJson: "Export JSON",
+                    exportZip: "Export ZIP",
+                    exportError: "Export failed, please try again.",
+                    deleteAccount: "Delete my account",
+                    deleteAccountHelp: "Your grades, averages and history will be permanently erased; verification audit records are kept anonymised. Confirm with your password.",
+                    deleteAccountFinal: "Delete permanently",
+                    deleteAccountConfirm: "Permanently delete your account? This cannot be undone.",
+                    cancel: "Cancel",
+                    aliasRenamed: "Renamed",
+                    aliasRecentlyChanged: "This student changed alias recently",
+                    aliasNoHistory: "No history",
+                    aliasCooldown: "Next alias change possible on",
+                    loadMore: "Load more",
+                    showFromTop: "Back to the top",
+                    myPosition: "Your rank: {{rank}} / {{total}}",
+                    tieMethod_competition: "Competition ranking",
+                    tieMethod_dense: "Dense ranking",
+                    tieMethodToggle: "Switch how tied students are numbered",
+                    tieBreakersLabel: "Ties broken by:",
+                    noTieBreakers: "No tie-breaker",
+                    tieBreaker_unverifiedSlots: "fewer unverified marks",
+                    tieBreaker_weightedExam: "higher weighted exam mark",
+                    tiedRank: "Tied",
+                    tieBroken: "Tie broken",
+                    rankHistory: "My progress",
+                    previousRank: "Previously #{{rank}}",
+                    distribution: "Distribution of averages",
+                    statsSuppressed: "Statistics hidden: fewer than {{k}} students in this ranking",
+                    statsMean: "Mean",
+                    statsMedian: "Median",
+                    statsStdDev: "Std. dev.",
+                    statsQuartiles: "Q1–Q3",
+                    statsPassRate: "Pass rate",
+                    liveUpdates: "Live",
+                    liveUpdatesHint: "Ranks update as soon as averages change",
+                    trust_identity: "Identity",
+                    trust_partial: "Partial",
+                    trust_full: "Verified",
+                    trust_identity_hint: "Every identity-verified student",
+                    trust_partial_hint: "Students with at least one mark confirmed (official grades or verified screenshot/video)",
+                    trust_full_hint: "Students whose every mark is confirmed (official grades or verified screenshot/video)",
+                    trustBadgeFull: "Verified marks",
+                    trustBadgeTitle: "{{verified}} of {{total}} marks confirmed",
+                    crossFilters: "Filters",
+                    resetFilters: "Reset",
+                    filterSemester: "Semester",
+                    filterSubject: "Module",
+                    filterGroup: "Group",
+                    filterSection: "Section",
+                    activeSemester: "Current semester",
+                    allSubjects: "All modules (general average)",
+                    allGroups: "All groups",
+                    allSections: "All sections",
+                    sortBy: "Sort by",
+                    sort_average: "Average",
+                    sort_exam: "Exam only",
+                    sort_td: "TD only",
+                    privacy_hidden: "Hidden",
+                    privacy_alias: "Alias",
+                    privacy_aliasGroup: "Alias + group",
+                    privacy_hidden_hint: "Not listed to other students; you still see your own rank",
+                    privacy_alias_hint: "Listed under your alias only",
+                    privacy_aliasGroup_hint: "Listed under your alias with your group and section",
+                    listedIn: "Listed in",
+                    visibilityScope_general: "General",
+                    visibilityScope_subject: "Modules",
+                    visibilityScope_group: "Group",
+                    hiddenFromOthers: "Hidden from others",
+                    groupComparison: "Compare groups",
+                    compareBy_group: "Groups",
+                    compareBy_section: "Sections",
+                    overallCohort: "Cohort",
+                    participation: "Registered",
+                    tdMean: "TD {{value}}",
+                    underRegistered: "Under-registered: figures describe the students who signed up, not the group",
+                    underRegisteredHint: "Flagged: fewer than {{rate}}% of the listed students registered, or fewer than {{k}}. Figures under {{k}} students are hidden.",
+                    overallPartialHint: "The cohort column only pools the columns shown: those under {{k}} students are left out of it.",
+                    noGroupsToCompare: "No roster groups to compare yet.",
+                    curriculumLoadError: "The curriculum could not be loaded.",
+                    retry: "Retry",
+                    tpShort: "TP",
+                    tpFull: "Practical work (TP)",
+                    rattrapageShort: "Resit",
+                    rattrapage_max_hint: "Resit mark: the better of exam and resit counts",
+                    rattrapage_override_hint: "Resit mark: replaces the exam mark",
                     goToMyRank: "Go to my rank",
                     allStudents: "All Students",
                     top80: "Top 80%",
                     bottom20: "Bottom 20%",
                     refresh: "Refresh",
+                    officialMode: "Official grades",
+                    officialSlotsTitle: "Marks taken from the faculty's official grades",
 
                     // Verification
                     verificationRequired: "Verification Required",
@@ -394,6 +535,7 @@ i18n
                     "Architecture 02": "Architecture 02",
                     "Électronique Fondamentale 02": "Électronique Fondamentale 02",
                     "Moyenne Générale": "Moyenne Générale",
+                    "Moyenne Annuelle": "Moyenne Annuelle",
                     generalAverageFull: "MOYENNE GÉNÉRALE",
                     academicYear: "ANNÉE UNIVERSITAIRE 2024/2025",
                     totalCoefShort: "COEF TOTAL",
@@ -402,12 +544,152 @@ i18n
                     status: "Résultat",
                     pass: "Admis",
                     fail: "Ajourné",
+                    validated: "Validé",
+                    acquiredByCompensation: "Acquis (comp.)",
+                    eliminatory: "Éliminatoire",
+                    creditsEarned: "Crédits ECTS",
+                    provenanceManual: "Manuel",
+                    provenanceOfficial: "Officiel",
+                    provenanceScreenshot: "Capture",
+                    provenanceVideo: "Vidéo",
+                    provenanceJob: "Vérification",
+                    gradeHistory: "Historique des notes",
+                    historyChanges: "modifications",
+                    historyFieldExam: "Examen",
+                    historyFieldTd: "TD",
+                    historyFieldTp: "TP",
+                    historyFieldRattrapage: "Rattrapage",
+                    historySourceSingle: "Saisie",
+                    historySourceBatch: "Sauvegarde auto",
+                    historySourceUndo: "Annulation",
+                    undo: "Annuler",
+                    showMore: "Voir plus",
+                    showLess: "Voir moins",
+                    activeSessions: "Sessions actives",
+                    thisDevice: "Cet appareil",
+                    lastActive: "Dernière activité",
+                    revokeSession: "Révoquer cette session",
+                    logoutAllDevices: "Déconnecter tous les appareils",
+                    logoutAllConfirm: "Se déconnecter de tous les appareils, y compris celui-ci ?",
+                    twoFactorTitle: "Double authentification",
+                    twoFactorEnabled: "Activée — un code est demandé à la connexion",
+                    twoFactorDisabled: "Désactivée",
+                    twoFactorEnable: "Activer",
+                    twoFactorDisable: "Désactiver",
+                    twoFactorConfirm: "Confirmer",
+                    twoFactorCode: "Code d'authentification ou de secours",
+                    twoFactorLoginHelp: "Saisissez le code à 6 chiffres de votre application d'authentification, ou un code de secours.",
+                    twoFactorSetupHelp: "Ajoutez cette clé dans votre application d'authentification (Google Authenticator, Aegis...), puis saisissez le code à 6 chiffres affiché.",
+                    twoFactorOpenApp: "Ouvrir dans l'application",
+                    twoFactorRecoveryHelp: "Conservez ces codes de secours maintenant. Chacun fonctionne une fois si vous perdez votre téléphone ; ils ne seront plus affichés.",
+                    copy: "Copier",
+                    forgotPassword: "Mot de passe oublié ?",
+                    resetPasswordTitle: "Réinitialiser",
+                    resetStepCard: "Prouvez votre identité avec votre carte d'étudiant",
+                    resetStepPassword: "Choisissez un nouveau mot de passe",
+                    resetStepDone: "Mot de passe modifié",
+                    resetCardPhoto: "Photo de la carte d'étudiant",
+                    resetChoosePhoto: "Prendre ou choisir une photo",
+                    resetVerifyCard: "Vérifier ma carte",
+                    newPassword: "Nouveau mot de passe",
+                    resetSubmit: "Changer le mot de passe",
+                    resetDone: "Votre mot de passe a été modifié et tous les appareils ont été déconnectés. Connectez-vous avec votre nouveau mot de passe.",
+                    backToLogin: "Retour à la connexion",
+                    myData: "Mes données",
+                    exportHelp: "Téléchargez tout ce que nous conservons sur vous : profil, notes, moyennes, historique, vérifications et sessions.",
+                    exportJson: "Exporter en JSON",
+                    exportZip: "Exporter en ZIP",
+                    exportError: "L'export a échoué, réessayez.",
+                    deleteAccount: "Supprimer mon compte",
+                    deleteAccountHelp: "Vos notes, moyennes et historique seront définitivement effacés ; les traces d'audit de vérification sont conservées anonymisées. Confirmez avec votre mot de passe.",
+                    deleteAccountFinal: "Supprimer définitivement",
+                    deleteAccountConfirm: "Supprimer définitivement votre compte ? Cette action est irréversible.",
+                    cancel: "Annuler",
+                    aliasRenamed: "Renommé",
+                    aliasRecentlyChanged: "Cet étudiant a changé de pseudonyme récemment",
+                    aliasNoHistory: "Aucun historique",
+                    aliasCooldown: "Prochain changement de pseudonyme possible le",
+                    loadMore: "Afficher plus",
+                    showFromTop: "Revenir en haut du classement",
+                    myPosition: "Votre rang : {{rank}} / {{total}}",
+                    tieMethod_competition: "Classement olympique",
+                    tieMethod_dense: "Classement dense",
+                    tieMethodToggle: "Changer la numérotation des ex aequo",
+                    tieBreakersLabel: "Départage :",
+                    noTieBreakers: "Aucun critère de départage",
+                    tieBreaker_unverifiedSlots: "moins de notes non vérifiées",
+                    tieBreaker_weightedExam: "meilleure note d'examen pondérée",
+                    tiedRank: "Ex aequo",
+                    tieBroken: "Départagé",
+                    rankHistory: "Mon évolution",
+                    previousRank: "Auparavant #{{rank}}",
+                    distribution: "Répartition des moyennes",
+                    statsSuppressed: "Statistiques masquées : moins de {{k}} étudiants dans ce classement",
+                    statsMean: "Moyenne",
+                    statsMedian: "Médiane",
+                    statsStdDev: "Écart type",
+                    statsQuartiles: "Q1–Q3",
+                    statsPassRate: "Taux de réussite",
+                    liveUpdates: "En direct",
+                    liveUpdatesHint: "Les rangs se mettent à jour dès qu'une moyenne change",
+                    trust_identity: "Identité",
+                    trust_partial: "Partiel",
+                    trust_full: "Vérifié",
+                    trust_identity_hint: "Tous les étudiants à l'identité vérifiée",
+                    trust_partial_hint: "Étudiants avec au moins une note confirmée (notes officielles ou capture/vidéo vérifiée)",
+                    trust_full_hint: "Étudiants dont toutes les notes sont confirmées (notes officielles ou capture/vidéo vérifiée)",
+                    trustBadgeFull: "Notes vérifiées",
+                    trustBadgeTitle: "{{verified}} note(s) confirmée(s) sur {{total}}",
+                    crossFilters: "Filtres",
+                    resetFilters: "Réinitialiser",
+                    filterSemester: "Semestre",
+                    filterSubject: "Module",
+                    filterGroup: "Groupe",
+                    filterSection: "Section",
+                    activeSemester: "Semestre en cours",
+                    allSubjects: "Tous les modules (moyenne générale)",
+                    allGroups: "Tous les groupes",
+                    allSections: "Toutes les sections",
+                    sortBy: "Trier par",
+                    sort_average: "Moyenne",
+                    sort_exam: "Examen seul",
+                    sort_td: "TD seul",
+                    privacy_hidden: "Masqué",
+                    privacy_alias: "Pseudonyme",
+                    privacy_aliasGroup: "Pseudo + groupe",
+                    privacy_hidden_hint: "Absent des listes des autres étudiants ; vous voyez toujours votre rang",
+                    privacy_alias_hint: "Affiché sous votre pseudonyme uniquement",
+                    privacy_aliasGroup_hint: "Affiché sous votre pseudonyme avec votre groupe et votre section",
+                    listedIn: "Visible dans",
+                    visibilityScope_general: "Général",
+                    visibilityScope_subject: "Modules",
+                    visibilityScope_group: "Groupe",
+                    hiddenFromOthers: "Masqué aux autres",
+                    groupComparison: "Comparer les groupes",
+                    compareBy_group: "Groupes",
+                    compareBy_section: "Sections",
+                    overallCohort: "Promo",
+                    participation: "Inscrits",
+                    tdMean: "TD {{value}}",
+                    underRegistered: "Peu d'inscrits : les chiffres décrivent les étudiants inscrits, pas le groupe",
+                    underRegisteredHint: "Signalé : moins de {{rate}}% des étudiants de la liste inscrits, ou moins de {{k}}. Les chiffres sous {{k}} étudiants sont masqués.",
+                    overallPartialHint: "La colonne Promo ne regroupe que les colonnes affichées : celles de moins de {{k}} étudiants en sont exclues.",
+                    noGroupsToCompare: "Aucun groupe à comparer pour le moment.",
+                    curriculumLoadError: "Impossible de charger le programme.",
+                    retry: "Réessayer",
+                    tpShort: "TP",
+                    tpFull: "Travaux pratiques (TP)",
+                    rattrapageShort: "Ratt.",
+                    rattrapage_max_hint: "Note de rattrapage : la meilleure entre examen et rattrapage compte",
+                    rattrapage_override_hint: "Note de rattrapage : remplace la note d'examen",
 
                     // Ranking Filters
                     top80: "80% Meilleurs",
                     bottom20: "Derniers 20%",
                     refresh: "Actualiser",
                     allStudents: "Tous les étudiants",
+                    officialMode: "Notes officielles",
+                    officialSlotsTitle: "Notes issues des relevés officiels de la faculté",
                     goToMyRank: "Aller à mon rang",
 
                     // Verification
@@ -3,31 +3,49 @@ import { Calculator, Save, Star, CheckCircle2, RefreshCcw, FileDown, Target, Che
 import { jsPDF } from 'jspdf';
 import api from '../api';
 import { useAuth } from '../context/AuthContext';
+import { useCurriculum } from '../context/useCurriculum';
+import { computeSemesterResult } from '../utils/gradeFormula';
 import { useTranslation } from 'react-i18next';
 import LoadingSpinner from '../components/LoadingSpinner';
 import GradeVerification from '../components/GradeVerification';
 import CodeOverlay from '../components/CodeOverlay';
+import ProvenanceBadge from '../components/ProvenanceBadge';
+import GradeTimeline from '../components/GradeTimeline';
 import { Users } from 'lucide-react';
 
-const SUBJECTS = [
-    { name: 'Analyse 03', coefficient: 5, hasTD: true },
-    { name: 'Algèbre 03', coefficient: 3, hasTD: true },
-    { name: 'Économie d\'entreprise', coefficient: 2, hasTD: true },
-    { name: 'Probabilité et Statistique 01', coefficient: 4, hasTD: true },
-    { name: 'Anglais 02', coefficient: 2, hasTD: false },
-    { name: 'SFSD', coefficient: 4, hasTD: true },
-    { name: 'Architecture 02', coefficient: 4, hasTD: true },
-    { name: 'Électronique Fondamentale 02', coefficient: 4, hasTD: true },
-];
+// TP (modules with TP) and rattrapage marks, secondary to the exam / TD inputs
+const ExtraMarkInputs = ({ module, grade, onChange, idPrefix, t }) => {
+    const fields = [
+        ...(module.hasTP ? [{ type: 'tp', label: t('tpShort'), hint: t('tpFull') }] : []),
+        { type: 'rattrapage', label: t('rattrapageShort'), hint: t(`rattrapage_${module.rattrapageMode || 'max'}_hint`) },
+    ];
 
-const TOTAL_COEF = 28;
+    return (
+        <div className="flex flex-wrap gap-[0.5rem] mt-[0.5rem]">
+            {fields.map(field => (
+                <label key={field.type} title={field.hint} className="flex items-center gap-[0.375rem] text-[0.5rem] font-black text-gray-400 uppercase tracking-widest">
+                    {field.label}
+                    <input
+                        id={`${idPrefix}-${field.type}`}
+                        type="number"
+                        className="w-[4rem] text-center bg-gray-50 border-2 border-transparent rounded-[0.75rem] py-[0.375rem] text-[0.75rem] font-black text-gray-950 focus:bg-white focus:border-indigo-600 outline-none transition-all shadow-inner"
+                        value={grade[field.type] ?? ''}
+                        onChange={(e) => onChange(field.type, e.target.value)}
+                        placeholder="--"
+                    />
+                </label>
+            ))}
+        </div>
+    );
+};
 
 const Dashboard = () => {
     const { t } = useTranslation();
     const { user } = useAuth();
+    const { semester, subjects, totalCoef } = useCurriculum();
     const [grades, setGrades] = useState(
-        SUBJECTS.reduce((acc, s) => {
-            acc[s.name] = { exam: '', td: '', isExamVerified: null, isTdVerified: null };
+        subjects.reduce((acc, s) => {
+            acc[s.name] = { exam: '', td: '', tp: '', rattrapage: '', isExamVerified: null, isTdVerified: null, provenance: null };
             return acc;
         }, {})
     );
@@ -58,59 +76,36 @@ const Dashboard = () => {
         setOverlayTimeLeft(ttl);
     };
 
-    const calculations = useMemo(() => {
-        const subjectAverages = {};
-        let totalWeightedSum = 0;
-        let subjectsEntered = 0;
-
-        SUBJECTS.forEach(s => {
-            const hasTD = s.hasTD !== false;
-            const exam = parseFloat(grades[s.name].exam);
-            const td = parseFloat(grades[s.name].td);
-
-            if (!isNaN(exam) || (hasTD && !isNaN(td))) {
-                const eVal = isNaN(exam) ? 0 : exam;
-                const tVal = isNaN(td) ? 0 : td;
-
-                let avg;
-                if (!hasTD) {
-                    avg = eVal;
-                } else {
-                    avg = (eVal * 0.6) + (tVal * 0.4);
-                }
-
-                subjectAverages[s.name] = avg;
-                totalWeightedSum += avg * s.coefficient;
-                subjectsEntered++;
-            } else {
-                subjectAverages[s.name] = null;
-            }
-        });
-
-        const generalAverage = totalWeightedSum / TOTAL_COEF;
-        return {
-            subjects: subjectAverages,
-            general: subjectsEntered > 0 ? generalAverage : null
-        };
-    }, [grades]);
+    // Weights, rattrapage, eliminatory marks and credits come from the curriculum
+    const calculations = useMemo(() => computeSemesterResult(semester, grades), [grades, semester]);
+
+    // Module status: validated, acquired by compensation, eliminatory or failed
+    const getModuleStatus = (name) => {
+        const result = calculations.modules[name];
+        if (!result) return null;
+        if (result.validated) return { label: t('validated'), tone: 'pass' };
+        if (result.acquired) return { label: t('acquiredByCompensation'), tone: 'compensated' };
+        if (result.eliminated) return { label: t('eliminatory'), tone: 'fail' };
+        return { label: t('fail'), tone: 'fail' };
+    };
 
     // Profile Completion Calculation
     const profileCompletion = useMemo(() => {
         let filledSubjects = 0;
-        SUBJECTS.forEach(s => {
+        subjects.forEach(s => {
             const exam = grades[s.name].exam;
             const td = grades[s.name].td;
             if ((exam !== '' && exam !== null) || (td !== '' && td !== null)) {
                 filledSubjects++;
             }
         });
-        const percentage = Math.round((filledSubjects / SUBJECTS.length) * 100);
+        const percentage = Math.round((filledSubjects / subjects.length) * 100);
         return {
             filled: filledSubjects,
-            total: SUBJECTS.length,
+            total: subjects.length,
             percentage
         };
-    }, [grades]);
+    }, [grades, subjects]);
 
     // PDF Export Function
     const exportToPDF = () => {
@@ -157,7 +152,7 @@ const Dashboard = () => {
         // Table Rows
         doc.setFont('helvetica', 'normal');
         yPos += 12;
-        SUBJECTS.forEach(s => {
+        subjects.forEach(s => {
             const avg = calculations.subjects[s.name];
             const examVal = grades[s.name].exam || '--';
             const tdVal = grades[s.name].td || '--';
@@ -210,7 +205,9 @@ const Dashboard = () => {
             const localData = localStorage.getItem('guest_grades');
             if (localData) {
                 try {
-                    setGrades(JSON.parse(localData));
+                    // Merge to keep keys of modules added to the curriculum since
+                    const saved = JSON.parse(localData);
+                    setGrades(prev => ({ ...prev, ...saved }));
                 } catch (e) { console.error("Guest parse error", e); }
             }
             setLoading(false);
@@ -227,8 +224,11 @@ const Dashboard = () => {
                         next[g.subject] = {
                             exam: g.exam_score.toString(),
                             td: g.td_score !== null ? g.td_score.toString() : '',
+                            tp: g.tp_score !== null && g.tp_score !== undefined ? g.tp_score.toString() : '',
+                            rattrapage: g.rattrapage_score !== null && g.rattrapage_score !== undefined ? g.rattrapage_score.toString() : '',
                             isExamVerified: g.is_exam_verified,
-                            isTdVerified: g.is_td_verified
+                            isTdVerified: g.is_td_verified,
+                            provenance: g.provenance
                         };
                     }
                 });
@@ -322,13 +322,18 @@ const Dashboard = () => {
 
         try {
             // Prepare batch payload
-            const batchPayload = SUBJECTS.map(s => {
+            const batchPayload = subjects.map(s => {
                 const gradeData = gradesData[s.name];
-                if (gradeData.exam !== '' || gradeData.td !== '') {
+                const tp = s.hasTP ? gradeData.tp ?? '' : '';
+                const rattrapage = gradeData.rattrapage ?? '';
+                if (gradeData.exam !== '' || gradeData.td !== '' || tp !== '' || rattrapage !== '') {
                     return {
                         subject: s.name,
+                        semester: s.semester,
                         examScore: gradeData.exam === '' ? 0 : parseFloat(gradeData.exam),
-                        tdScore: gradeData.td === '' ? 0 : parseFloat(gradeData.td)
+                        tdScore: gradeData.td === '' ? 0 : parseFloat(gradeData.td),
+                        tpScore: tp === '' ? null : parseFloat(tp),
+                        rattrapageScore: rattrapage === '' ? null : parseFloat(rattrapage)
                     };
                 }
                 return null;
@@ -350,7 +355,8 @@ const Dashboard = () => {
                                     next[g.subject] = {
                                         ...next[g.subject], // Keep current exam/td values
                                         isExamVerified: g.is_exam_verified ?? next[g.subject].isExamVerified,
-                                        isTdVerified: g.is_td_verified ?? next[g.subject].isTdVerified
+                                        isTdVerified: g.is_td_verified ?? next[g.subject].isTdVerified,
+                                        provenance: g.provenance ?? next[g.subject].provenance
                                     };
                                 }
                             });
@@ -368,7 +374,8 @@ const Dashboard = () => {
                                             next[g.subject] = {
                                                 ...next[g.subject], // Keep current exam/td values
                                                 isExamVerified: g.is_exam_verified,
-                                                isTdVerified: g.is_td_verified
+                                                isTdVerified: g.is_td_verified,
+                                                provenance: g.provenance
                                             };
                                         }
                                     });
@@ -397,7 +404,7 @@ const Dashboard = () => {
         if (e.key === 'Enter') {
             e.preventDefault();
             let nextId = '';
-            const currentSubject = SUBJECTS[index];
+            const currentSubject = subjects[index];
             const hasTD = currentSubject.hasTD !== false;
 
             if (type === 'exam' && hasTD) {
@@ -405,7 +412,7 @@ const Dashboard = () => {
                 nextId = `${viewMode}-input-${index}-td`;
             } else {
                 // TD -> Next Exam, or Exam -> Next Exam (if no TD)
-                if (index < SUBJECTS.length - 1) {
+                if (index < subjects.length - 1) {
                     nextId = `${viewMode}-input-${index + 1}-exam`;
                 } else {
                     // Last field -> Blur
@@ -441,7 +448,7 @@ const Dashboard = () => {
                                 {t('evaluations')}<span className="text-indigo-500">.</span>
                             </h1>
                             <p className="text-gray-500 text-[0.7rem] sm:text-[1rem] font-bold uppercase tracking-[0.2em]">
-                                <span className="text-white">COEF: {TOTAL_COEF}</span>
+                                <span className="text-white">COEF: {totalCoef}</span>
                             </p>
                         </div>
                     </div>
@@ -590,8 +597,9 @@ const Dashboard = () => {
                             </tr>
                         </thead>
                         <tbody className="divide-y divide-gray-50 text-center">
-                            {SUBJECTS.map((s, index) => {
+                            {subjects.map((s, index) => {
                                 const avg = calculations.subjects[s.name];
+                                const status = getModuleStatus(s.name);
                                 const hasTD = s.hasTD !== false;
                                 const isExamVerified = grades[s.name].isExamVerified;
                                 const isTdVerified = grades[s.name].isTdVerified;
@@ -601,6 +609,13 @@ const Dashboard = () => {
                                         <td className="px-[2.5rem] py-[2rem] text-left">
                                             <p className="text-[1.125rem] font-black text-gray-950 tracking-tight">{t(s.name)}</p>
                                             <p className="text-[0.55rem] font-bold text-gray-300 uppercase tracking-widest mt-[0.25rem]">{t('semester')}</p>
+                                            <ExtraMarkInputs
+                                                module={s}
+                                                grade={grades[s.name]}
+                                                onChange={(type, value) => handleGradeChange(s.name, type, value)}
+                                                idPrefix={`desktop-input-${index}`}
+                                                t={t}
+                                            />
                                         </td>
                                         <td className="px-[1rem] py-[2rem]">
                                             <span className="font-black text-gray-400 px-3 py-1 bg-gray-50 rounded-lg">×{s.coefficient}</span>
@@ -615,6 +630,7 @@ const Dashboard = () => {
                                                 onKeyDown={(e) => handleKeyDown(e, index, 'exam', 'desktop')}
                                                 placeholder="00.0"
                                             />
+                                            <ProvenanceBadge provenance={grades[s.name].provenance?.exam} className="absolute bottom-[0.35rem] left-1/2 -translate-x-1/2" />
                                             {isExamVerified === true && (
                                                 <div className="absolute top-1/2 right-4 -translate-y-1/2 text-green-500 pointer-events-none">
                                                     <CheckCircle2 size={16} className="fill-green-500 text-white" />
@@ -640,6 +656,7 @@ const Dashboard = () => {
                                                         onKeyDown={(e) => handleKeyDown(e, index, 'td', 'desktop')}
                                                         placeholder="00.0"
                                                     />
+                                                    <ProvenanceBadge provenance={grades[s.name].provenance?.td} className="absolute bottom-[0.35rem] left-1/2 -translate-x-1/2" />
                                                     {isTdVerified === true && (
                                                         <div className="absolute top-1/2 right-4 -translate-y-1/2 text-green-500 pointer-events-none">
                                                             <CheckCircle2 size={16} className="fill-green-500 text-white" />
@@ -671,11 +688,13 @@ const Dashboard = () => {
                                             </div>
                                         </td>
                                         <td className="px-[1rem] py-[2rem]">
-                                            {avg !== null ? (
-                                                <span className={`px-[1rem] py-[0.5rem] rounded-xl text-[0.625rem] font-black uppercase tracking-widest shadow-sm ${avg >= 10
+                                            {status ? (
+                                                <span className={`px-[1rem] py-[0.5rem] rounded-xl text-[0.625rem] font-black uppercase tracking-widest shadow-sm ${status.tone === 'pass'
                                                     ? 'bg-emerald-100 text-emerald-700 border border-emerald-200'
-                                                    : 'bg-rose-100 text-rose-700 border border-rose-200'}`}>
-                                                    {avg >= 10 ? t('pass') : t('fail')}
+                                                    : status.tone === 'compensated'
+                                                        ? 'bg-teal-100 text-teal-700 border border-teal-200'
+                                                        : 'bg-rose-100 text-rose-700 border border-rose-200'}`}>
+                                                    {status.label}
                                                 </span>
                                             ) : (
                                                 <span className="px-[1rem] py-[0.5rem] rounded-xl text-[0.625rem] font-black uppercase tracking-widest bg-gray-100 text-gray-400 border border-gray-200">
@@ -692,9 +711,12 @@ const Dashboard = () => {
                                 <td className="px-[2.5rem] py-[2rem] text-left rounded-bl-[2rem]">
                                     <p className="text-[1.125rem] font-black tracking-tight">{t('generalAverageFull')}</p>
                                     <p className="text-[0.55rem] font-bold text-indigo-200 uppercase tracking-widest mt-[0.25rem]">{t('academicYear')}</p>
+                                    {calculations.creditsTotal > 0 && (
+                                        <p className="text-[0.55rem] font-bold text-indigo-200 uppercase tracking-widest mt-[0.25rem]">{t('creditsEarned')}: {calculations.creditsEarned}/{calculations.creditsTotal}</p>
+                                    )}
                                 </td>
                                 <td className="px-[1rem] py-[2rem]">
-                                    <span className="font-black text-indigo-200 opacity-60">×{TOTAL_COEF}</span>
+                                    <span className="font-black text-indigo-200 opacity-60">×{totalCoef}</span>
                                 </td>
                                 <td colSpan={2} className="px-[1rem] py-[2rem] text-right pr-[2.5rem]">
                                     <span className={`px-[1.5rem] py-[0.75rem] rounded-2xl text-[0.85rem] font-black uppercase tracking-[0.2em] border-2 shadow-2xl animate-pulse ${calculations.general >= 10
@@ -722,8 +744,9 @@ const Dashboard = () => {
 
                 {/* Mobile & Tablet Card List (<lg) */}
                 <div className="lg:hidden flex flex-col gap-[1rem] sm:grid sm:grid-cols-2 sm:gap-[1.5rem]">
-                    {SUBJECTS.map((s, index) => {
+                    {subjects.map((s, index) => {
                         const avg = calculations.subjects[s.name];
+                        const status = getModuleStatus(s.name);
                         const hasTD = s.hasTD !== false;
                         const isExamVerified = grades[s.name].isExamVerified;
                         const isTdVerified = grades[s.name].isTdVerified;
@@ -734,15 +757,23 @@ const Dashboard = () => {
                                     <div className="flex-1">
                                         <h3 className="text-[1.125rem] font-black text-gray-950 tracking-tight leading-[1.2] mb-[0.25rem]">{t(s.name)}</h3>
                                         <span className="text-[0.55rem] font-black uppercase text-indigo-400 tracking-[0.1em] bg-indigo-50/50 px-[0.5rem] py-[0.25rem] rounded-md">{t('coefficient')} {s.coefficient}</span>
+                                        <ExtraMarkInputs
+                                            module={s}
+                                            grade={grades[s.name]}
+                                            onChange={(type, value) => handleGradeChange(s.name, type, value)}
+                                            idPrefix={`mobile-input-${index}`}
+                                            t={t}
+                                        />
                                     </div>
-                                    <div className={`px-[0.75rem] py-[0.25rem] rounded-lg text-[0.625rem] font-black uppercase tracking-widest ${avg !== null ? (avg >= 10 ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700') : 'bg-gray-100 text-gray-400'}`}>
-                                        {avg !== null ? (avg >= 10 ? t('pass') : t('fail')) : '--'}
+                                    <div className={`px-[0.75rem] py-[0.25rem] rounded-lg text-[0.625rem] font-black uppercase tracking-widest ${status ? (status.tone === 'pass' ? 'bg-green-100 text-green-700' : status.tone === 'compensated' ? 'bg-teal-100 text-teal-700' : 'bg-red-100 text-red-700') : 'bg-gray-100 text-gray-400'}`}>
+                                        {status ? status.label : '--'}
                                     </div>
                                 </div>
 
                                 <div className="flex items-end gap-[0.75rem] mt-[1.5rem]">
                                     <div className="flex-1 relative">
                                         <label className="block text-[0.5rem] font-black text-gray-400 uppercase tracking-widest mb-[0.5rem] ml-[0.5rem]">{t('examFull')}</label>
+                                        <ProvenanceBadge provenance={grades[s.name].provenance?.exam} className="absolute top-[-0.15rem] right-0" />
                                         <input
                                             id={`mobile-input-${index}-exam`}
                                             type="number"
@@ -769,6 +800,7 @@ const Dashboard = () => {
                                         <label className="block text-[0.5rem] font-black text-gray-400 uppercase tracking-widest mb-[0.5rem] ml-[0.5rem]">{t('tdFull')}</label>
                                         {hasTD ? (
                                             <>
+                                                <ProvenanceBadge provenance={grades[s.name].provenance?.td} className="absolute top-[-0.15rem] right-0" />
                                                 <input
                                                     id={`mobile-input-${index}-td`}
                                                     type="number"
@@ -818,7 +850,10 @@ const Dashboard = () => {
                         <div className="flex justify-between items-center mb-[2rem] relative z-10">
                             <div>
                                 <h3 className="text-[1.5rem] font-black tracking-tight leading-none mb-[0.5rem] text-transparent bg-clip-text bg-gradient-to-r from-white to-indigo-100">{t('generalAverageShort')}</h3>
-                                <p className="text-indigo-200 text-[0.625rem] font-black uppercase tracking-[0.3em]">{t('totalCoefShort')}: {TOTAL_COEF}</p>
+                                <p className="text-indigo-200 text-[0.625rem] font-black uppercase tracking-[0.3em]">{t('totalCoefShort')}: {totalCoef}</p>
+                                {calculations.creditsTotal > 0 && (
+                                    <p className="text-indigo-200 text-[0.625rem] font-black uppercase tracking-[0.3em] mt-[0.25rem]">{t('creditsEarned')}: {calculations.creditsEarned}/{calculations.creditsTotal}</p>
+                                )}
                             </div>
                             <div className={`px-[1.25rem] py-[0.6rem] rounded-xl text-[0.75rem] font-black uppercase tracking-[0.1em] border-2 shadow-2xl ${calculations.general >= 10
                                 ? 'bg-gradient-to-r from-emerald-500 to-teal-600 text-white border-emerald-400 shadow-emerald-500/40'
@@ -836,6 +871,9 @@ const Dashboard = () => {
                     </div>
                 </div>
 
+                {/* Grade History Timeline (logged-in users) */}
+                {user && <GradeTimeline refreshKey={lastSaved} onUndo={fetchGrades} />}
+
                 <footer className="mt-[5rem] pb-[2rem] text-center opacity-40">
                 </footer>
             </div>
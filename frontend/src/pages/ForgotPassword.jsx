@@ -0,0 +1,181 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { KeyRound, Mail, Lock, Camera, ShieldCheck, RefreshCcw, CheckCircle, ArrowLeft } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import api from '../api';
+
+// Password reset: student card check (POST /api/auth/password-reset/verify)
+// then new password with the one-time token (/complete)
+const ForgotPassword = () => {
+    const { t } = useTranslation();
+    const [step, setStep] = useState('card'); // card, password, done
+    const [studentId, setStudentId] = useState('');
+    const [cardImage, setCardImage] = useState(null);
+    const [resetToken, setResetToken] = useState(null);
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [totpCode, setTotpCode] = useState('');
+    const [twoFactorRequired, setTwoFactorRequired] = useState(false);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const handleVerify = async (e) => {
+        e.preventDefault();
+        if (!cardImage) {
+            setError(t('photoError'));
+            return;
+        }
+
+        setLoading(true);
+        setError('');
+        const formData = new FormData();
+        formData.append('manualStudentId', studentId);
+        formData.append('studentCard', cardImage, 'student_card.jpg');
+
+        try {
+            const { data } = await api.post('/api/auth/password-reset/verify', formData, {
+                headers: { 'Content-Type': 'multipart/form-data' }
+            });
+            setResetToken(data.resetToken);
+            setStep('password');
+        } catch (err) {
+            setError(err.response?.data?.message || t('verifyErrorGeneric'));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleReset = async (e) => {
+        e.preventDefault();
+        if (password !== confirmPassword) {
+            setError(t('passwordMismatch'));
+            return;
+        }
+
+        setLoading(true);
+        setError('');
+        try {
+            await api.post('/api/auth/password-reset/complete', {
+                resetToken,
+                password,
+                totpCode: twoFactorRequired ? totpCode : undefined
+            });
+            setStep('done');
+        } catch (err) {
+            if (err.response?.data?.twoFactorRequired && !twoFactorRequired) {
+                setTwoFactorRequired(true);
+            } else {
+                setError(err.response?.data?.message || t('error'));
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const inputClass = "w-full bg-gray-50 border-2 border-transparent rounded-[1.25rem] py-[1.125rem] pl-[3.5rem] pr-[1.25rem] text-[1rem] font-black text-gray-950 focus:bg-white focus:border-indigo-600 outline-none transition-all shadow-inner";
+    const labelClass = "block text-[0.625rem] font-black text-indigo-600 uppercase tracking-[0.2em] ml-1";
+    const iconClass = "absolute left-[1.25rem] top-1/2 -translate-y-1/2 text-gray-400 group-focus-within:text-indigo-600 transition-colors";
+    const submitClass = "w-full bg-indigo-600 text-white py-[1.25rem] rounded-[1.25rem] font-black text-[1rem] uppercase tracking-widest shadow-2xl shadow-indigo-100 hover:bg-indigo-700 disabled:opacity-50 transition-all touch-feedback flex items-center justify-center gap-[0.75rem]";
+
+    return (
+        <div className="w-full responsive-container min-h-[calc(100vh-6rem)] flex items-center justify-center py-[2rem]">
+            <div className="w-full max-w-[28rem] bg-white shadow-3xl rounded-[2.5rem] p-[2rem] sm:p-[3rem] border border-gray-100 relative overflow-hidden">
+                <div className="absolute top-0 right-0 w-[12rem] h-[12rem] bg-indigo-50 rounded-full -mr-[6rem] -mt-[6rem] blur-[4rem]"></div>
+
+                <div className="relative z-10">
+                    <div className="flex flex-col items-center mb-[2.5rem] text-center">
+                        <div className="p-[1.25rem] bg-indigo-600 text-white rounded-[1.25rem] mb-[1.5rem] shadow-xl shadow-indigo-100 transform -rotate-3">
+                            <KeyRound size={32} />
+                        </div>
+                        <h1 className="text-[2rem] sm:text-[2.5rem] font-black text-gray-950 tracking-tighter leading-none mb-2">{t('resetPasswordTitle')}</h1>
+                        <p className="text-gray-400 font-bold text-[0.75rem] uppercase tracking-widest">
+                            {step === 'card' ? t('resetStepCard') : step === 'password' ? t('resetStepPassword') : t('resetStepDone')}
+                        </p>
+                    </div>
+
+                    {error && (
+                        <div className="bg-red-50 border-2 border-red-100 text-red-600 p-[1rem] rounded-[1.25rem] mb-[2rem] text-[0.875rem] font-black flex items-center gap-[0.75rem] whitespace-pre-line animate-in fade-in slide-in-from-top-2">
+                            <ShieldCheck size={18} className="flex-shrink-0" /> {error}
+                        </div>
+                    )}
+
+                    {step === 'card' && (
+                        <form onSubmit={handleVerify} className="space-y-[1.5rem]">
+                            <div className="space-y-[0.75rem]">
+                                <label className={labelClass}>{t('matriculeHelp')}</label>
+                                <div className="relative group">
+                                    <div className={iconClass}><Mail size={18} /></div>
+                                    <input type="text" required className={inputClass} value={studentId} onChange={(e) => setStudentId(e.target.value)} placeholder="2024XXXXXXXX" />
+                                </div>
+                            </div>
+
+                            <div className="space-y-[0.75rem]">
+                                <label className={labelClass}>{t('resetCardPhoto')}</label>
+                                <label className="flex items-center gap-[0.75rem] w-full bg-gray-50 border-2 border-dashed border-gray-200 rounded-[1.25rem] py-[1.125rem] px-[1.25rem] cursor-pointer hover:border-indigo-400 transition-all">
+                                    <Camera size={18} className="text-gray-400 flex-shrink-0" />
+                                    <span className="text-[0.875rem] font-black text-gray-500 truncate">{cardImage ? cardImage.name : t('resetChoosePhoto')}</span>
+                                    <input type="file" accept="image/*" className="hidden" onChange={(e) => setCardImage(e.target.files?.[0] || null)} />
+                                </label>
+                            </div>
+
+                            <button type="submit" disabled={loading} className={submitClass}>
+                                {loading ? <RefreshCcw className="animate-spin" size={20} /> : <ShieldCheck size={20} />}
+                                {loading ? t('authenticating') : t('resetVerifyCard')}
+                            </button>
+                        </form>
+                    )}
+
+                    {step === 'password' && (
+                        <form onSubmit={handleReset} className="space-y-[1.5rem]">
+                            <div className="space-y-[0.75rem]">
+                                <label className={labelClass}>{t('newPassword')}</label>
+                                <div className="relative group">
+                                    <div className={iconClass}><Lock size={18} /></div>
+                                    <input type="password" required minLength={6} className={inputClass} value={password} onChange={(e) => setPassword(e.target.value)} placeholder="••••••••" />
+                                </div>
+                            </div>
+
+                            <div className="space-y-[0.75rem]">
+                                <label className={labelClass}>{t('confirmPassword')}</label>
+                                <div className="relative group">
+                                    <div className={iconClass}><Lock size={18} /></div>
+                                    <input type="password" required className={inputClass} value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} placeholder="••••••••" />
+                                </div>
+                            </div>
+
+                            {twoFactorRequired && (
+                                <div className="space-y-[0.75rem] animate-in fade-in slide-in-from-top-2">
+                                    <label className={labelClass}>{t('twoFactorCode')}</label>
+                                    <div className="relative group">
+                                        <div className={iconClass}><KeyRound size={18} /></div>
+                                        <input type="text" required autoFocus autoComplete="one-time-code" className={inputClass} value={totpCode} onChange={(e) => setTotpCode(e.target.value)} placeholder="123456" />
+                                    </div>
+                                </div>
+                            )}
+
+                            <button type="submit" disabled={loading} className={submitClass}>
+                                {loading ? <RefreshCcw className="animate-spin" size={20} /> : <KeyRound size={20} />}
+                                {t('resetSubmit')}
+                            </button>
+                        </form>
+                    )}
+
+                    {step === 'done' && (
+                        <div className="flex flex-col items-center gap-[1rem] text-center">
+                            <CheckCircle size={48} className="text-green-500" />
+                            <p className="text-gray-600 font-bold text-[0.875rem]">{t('resetDone')}</p>
+                        </div>
+                    )}
+
+                    <div className="mt-[2.5rem] pt-[2rem] border-t border-gray-50 text-center">
+                        <Link to="/login" className="inline-flex items-center gap-[0.5rem] text-indigo-600 font-black text-[0.75rem] uppercase tracking-widest hover:text-indigo-800 transition-colors">
+                            <ArrowLeft size={16} /> {t('backToLogin')}
+                        </Link>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ForgotPassword;
@@ -1,7 +1,7 @@
 import { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { Link, useNavigate } from 'react-router-dom';
-import { LogIn, UserPlus, ShieldCheck, Mail, Lock, RefreshCcw, Eye, EyeOff, Calculator } from 'lucide-react';
+import { LogIn, UserPlus, ShieldCheck, Mail, Lock, RefreshCcw, Eye, EyeOff, Calculator, KeyRound } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import { useDemo } from '../App';
 
@@ -12,6 +12,8 @@ const Login = () => {
     const [studentId, setStudentId] = useState('');
     const [password, setPassword] = useState('');
     const [showPassword, setShowPassword] = useState(false);
+    const [totpCode, setTotpCode] = useState('');
+    const [twoFactorStep, setTwoFactorStep] = useState(false);
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
     const navigate = useNavigate();
@@ -21,9 +23,14 @@ const Login = () => {
         setLoading(true);
         setError('');
         try {
-            await login(studentId, password);
+            await login(studentId, password, twoFactorStep ? totpCode : undefined);
             navigate('/');
         } catch (err) {
+            // Password accepted but the account has 2FA: ask for the code
+            if (err.response?.data?.twoFactorRequired && !twoFactorStep) {
+                setTwoFactorStep(true);
+                return;
+            }
             setError(err.response?.data?.message || t('credentialsInvalid'));
         } finally {
             setLoading(false);
@@ -93,6 +100,32 @@ const Login = () => {
                             </div>
                         </div>
 
+                        {twoFactorStep && (
+                            <div className="space-y-[0.75rem] animate-in fade-in slide-in-from-top-2">
+                                <label className="block text-[0.625rem] font-black text-indigo-600 uppercase tracking-[0.2em] ml-1">{t('twoFactorCode')}</label>
+                                <div className="relative group">
+                                    <div className="absolute left-[1.25rem] top-1/2 -translate-y-1/2 text-gray-400 group-focus-within:text-indigo-600 transition-colors">
+                                        <KeyRound size={18} />
+                                    </div>
+                                    <input
+                                        type="text"
+                                        required
+                                        autoFocus
+                                        autoComplete="one-time-code"
+                                        className="w-full bg-gray-50 border-2 border-transparent rounded-[1.25rem] py-[1.125rem] pl-[3.5rem] pr-[1.25rem] text-[1rem] font-black text-gray-950 tracking-[0.3em] focus:bg-white focus:border-indigo-600 outline-none transition-all shadow-inner"
+                                        value={totpCode}
+                                        onChange={(e) => setTotpCode(e.target.value)}
+                                        placeholder="123456"
+                                    />
+                                </div>
+                                <p className="text-gray-400 font-bold text-[0.7rem] ml-1">{t('twoFactorLoginHelp')}</p>
+                            </div>
+                        )}
+
+                        <div className="text-right -mt-[0.75rem]">
+                            <Link to="/forgot-password" className="text-[0.7rem] font-black text-gray-400 hover:text-indigo-600 transition-colors">{t('forgotPassword')}</Link>
+                        </div>
+
                         <button
                             type="submit"
                             disabled={loading}
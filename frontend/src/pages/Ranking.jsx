@@ -1,41 +1,94 @@
-import { useState, useEffect, useMemo, useRef } from 'react';
-import { Trophy, Shield, CheckCircle, AlertCircle, Save, Settings, ChevronDown, ListFilter, Lock, Star, Sparkles, RefreshCcw, ArrowUp, ArrowDown, Users, Upload, ShieldCheck, Camera, X, Image, Loader2 } from 'lucide-react';
+import { useState, useEffect, useLayoutEffect, useMemo, useRef } from 'react';
+import { Trophy, Shield, CheckCircle, AlertCircle, Save, Settings, ChevronDown, ListFilter, Lock, Star, Sparkles, RefreshCcw, ArrowUp, ArrowDown, Minus, Users, Upload, ShieldCheck, Camera, X, Image, Loader2, Radio, ShieldHalf, BadgeCheck, SlidersHorizontal, EyeOff, Scale } from 'lucide-react';
 import api from '../api';
 import { useAuth } from '../context/AuthContext';
+import { useCurriculum } from '../context/useCurriculum';
 import { useTranslation } from 'react-i18next';
 import LoadingSpinner from '../components/LoadingSpinner';
-
-const SUBJECTS = [
-    { name: 'general', i18nKey: 'Moyenne Générale', type: 'general' },
-    { name: 'Analyse 03', i18nKey: 'Analyse 03', type: 'subject' },
-    { name: 'Algèbre 03', i18nKey: 'Algèbre 03', type: 'subject' },
-    { name: 'Économie d\'entreprise', i18nKey: 'Économie d\'entreprise', type: 'subject' },
-    { name: 'Probabilité et Statistique 01', i18nKey: 'Probabilité et Statistique 01', type: 'subject' },
-    { name: 'Anglais 02', i18nKey: 'Anglais 02', type: 'subject' },
-    { name: 'SFSD', i18nKey: 'SFSD', type: 'subject' },
-    { name: 'Architecture 02', i18nKey: 'Architecture 02', type: 'subject' },
-    { name: 'Électronique Fondamentale 02', i18nKey: 'Électronique Fondamentale 02', type: 'subject' },
-    { name: 'group-A1', i18nKey: '👥 Groupe A1', type: 'group', group: 'A1' },
-    { name: 'group-A2', i18nKey: '👥 Groupe A2', type: 'group', group: 'A2' },
-    { name: 'group-A3', i18nKey: '👥 Groupe A3', type: 'group', group: 'A3' },
-    { name: 'group-A4', i18nKey: '👥 Groupe A4', type: 'group', group: 'A4' },
+import SessionsPanel from '../components/SessionsPanel';
+import TwoFactorPanel from '../components/TwoFactorPanel';
+import PrivacyPanel from '../components/PrivacyPanel';
+import AliasHistoryBadge from '../components/AliasHistoryBadge';
+import RankSparkline from '../components/RankSparkline';
+import DistributionChart from '../components/DistributionChart';
+import RankingFilterBuilder from '../components/RankingFilterBuilder';
+import RankingPrivacyPicker from '../components/RankingPrivacyPicker';
+import GroupComparison from '../components/GroupComparison';
+import { openRankingStream } from '../utils/rankingStream';
+
+// Cross filters of /api/rankings/query; any non-default value switches to that endpoint
+const EMPTY_CROSS_FILTERS = { semester: '', subject: '', group: '', section: '', sort: 'average' };
+
+// ?trust= levels: identity verified only, some marks proven, every mark proven
+const TRUST_OPTIONS = [
+    { level: 'identity', icon: Shield },
+    { level: 'partial', icon: ShieldHalf },
+    { level: 'full', icon: ShieldCheck },
 ];
 
+const AROUND_ME_RADIUS = 10;
+const MOVE_ANIMATION_MS = 600;
+
+// Apply a stream delta to the loaded rows: rows outside the loaded rank range
+// are left to pagination unless the whole ranking is loaded
+const patchRankingRows = (rows, delta, complete) => {
+    const from = rows.length ? rows[0].rank : 1;
+    const to = complete ? Infinity : rows.length ? rows[rows.length - 1].rank : 0;
+    const changed = new Map(delta.changed.map(row => [row.alias, row]));
+    const gone = new Set(delta.removed);
+
+    const kept = rows.filter(row => !gone.has(row.alias) && !changed.has(row.alias));
+    const patched = delta.changed.filter(row => row.rank >= from && row.rank <= to);
+
+    return [...kept, ...patched].sort((a, b) => a.rank - b.rank || a.alias.localeCompare(b.alias));
+};
+
 const Ranking = () => {
-    const { t } = useTranslation();
+    const { t, i18n } = useTranslation();
     const { user } = useAuth();
+    const { subjects } = useCurriculum();
     const [selectedSubject, setSelectedSubject] = useState('general');
+
+    const [rosterFilters, setRosterFilters] = useState({ groups: [], sections: [] });
+    const [crossFilters, setCrossFilters] = useState(EMPTY_CROSS_FILTERS);
+    const [filterBuilderOpen, setFilterBuilderOpen] = useState(false);
+    const [groupComparisonOpen, setGroupComparisonOpen] = useState(false);
+    const crossActive = Object.keys(EMPTY_CROSS_FILTERS).some(k => crossFilters[k] !== EMPTY_CROSS_FILTERS[k]);
+
+    // Ranking options: general, annual (S3+S4), one per curriculum module, then the roster groups
+    const rankingOptions = useMemo(() => [
+        { name: 'general', i18nKey: 'Moyenne Générale', type: 'general' },
+        { name: 'annual', i18nKey: 'Moyenne Annuelle', type: 'annual' },
+        ...subjects.map(s => ({ name: s.name, i18nKey: s.name, type: 'subject' })),
+        ...rosterFilters.groups.map(group => ({ name: `group-${group}`, i18nKey: `👥 Groupe ${group}`, type: 'group', group })),
+    ], [subjects, rosterFilters.groups]);
     const [rankingData, setRankingData] = useState([]);
+    const [rankingMeta, setRankingMeta] = useState({ total: 0, me: null, nextCursor: null });
+    const [aroundMe, setAroundMe] = useState(false); // ?around=me window instead of the first page
+    const [tieMethod, setTieMethod] = useState('competition'); // competition (1224), dense (1223)
+    const [rankingRule, setRankingRule] = useState(null);
+    const [trustLevel, setTrustLevel] = useState('identity');
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [live, setLive] = useState(false);
+    const versionRef = useRef(null); // ranking version of the loaded rows
+    const hasMoreRef = useRef(false);
+    const listRef = useRef(null);
+    const rowPositionsRef = useRef(new Map()); // alias → offsetTop, for the move animation
+    const movedRef = useRef(null); // aliases changed by the last delta
     const [loading, setLoading] = useState(true);
     const [profileLoading, setProfileLoading] = useState(true);
 
     const [myAlias, setMyAlias] = useState('');
-    const [displayMode, setDisplayMode] = useState('alias');
+    const [displayMode, setDisplayMode] = useState('alias'); // privacy level: hidden, alias, aliasGroup
+    const [rankingScopes, setRankingScopes] = useState(['general', 'subject', 'group']);
     const [aliasStatus, setAliasStatus] = useState('');
+    const [aliasMessage, setAliasMessage] = useState('');
+    const [nextAliasChangeAt, setNextAliasChangeAt] = useState(null);
     const [isConfigured, setIsConfigured] = useState(false);
     const [settingsOpen, setSettingsOpen] = useState(false);
     const [message, setMessage] = useState('');
     const [filterMode, setFilterMode] = useState('all'); // all, top80, bottom20
+    const [officialMode, setOfficialMode] = useState(false); // general/annual from official grades
 
     // Verification State
     const [isVerified, setIsVerified] = useState(null);
@@ -63,7 +116,9 @@ const Ranking = () => {
             try {
                 const { data } = await api.get('/api/auth/me');
                 setMyAlias(data.alias);
+                setNextAliasChangeAt(data.nextAliasChangeAt);
                 setIsVerified(data.isVerified || false);
+                if (data.rankingScopes) setRankingScopes(data.rankingScopes);
                 if (data.displayMode) {
                     setDisplayMode(data.displayMode);
                     setIsConfigured(true);
@@ -81,22 +136,61 @@ const Ranking = () => {
         if (user) fetchProfile();
     }, [user]);
 
+    // Groups and sections accepted by the rankings, read from the roster
+    useEffect(() => {
+        if (!isVerified) return;
+        const fetchFilters = async () => {
+            try {
+                const { data } = await api.get('/api/rankings/filters');
+                setRosterFilters({ groups: data.groups, sections: data.sections });
+            } catch (error) {
+                console.error("Error fetching ranking filters:", error);
+            }
+        };
+        fetchFilters();
+    }, [isVerified]);
+
+    // Ranking endpoint for the current selection (page params added by the callers)
+    const buildRankingRequest = () => {
+        const selectedObj = rankingOptions.find(s => s.name === selectedSubject);
+        const params = { _t: Date.now(), ties: tieMethod };
+        if (filterMode !== 'all') params.portion = filterMode;
+        if (trustLevel !== 'identity') params.trust = trustLevel;
+
+        if (crossActive) {
+            Object.entries(crossFilters).forEach(([key, value]) => {
+                if (value) params[key] = value;
+            });
+            return { url: '/api/rankings/query', params, scope: 'query', key: '' };
+        }
+
+        if (selectedObj?.type === 'group') {
+            return { url: `/api/rankings/group/${selectedObj.group}`, params, scope: 'group', key: selectedObj.group };
+        }
+        if (selectedObj?.type === 'annual' || selectedSubject === 'general') {
+            if (selectedObj?.type === 'annual') params.period = 'annual';
+            if (officialMode) params.mode = 'official';
+            return { url: '/api/rankings/general', params, scope: 'general', key: '' };
+        }
+        return { url: `/api/rankings/subject/${encodeURIComponent(selectedSubject)}`, params, scope: 'subject', key: selectedSubject };
+    };
+
     const fetchRanking = async (silent = false) => {
         if (!silent) setLoading(true);
         try {
-            const selectedObj = SUBJECTS.find(s => s.name === selectedSubject);
-            let endpoint;
-
-            if (selectedObj?.type === 'group') {
-                endpoint = `/api/rankings/group/${selectedObj.group}?_t=${Date.now()}`;
-            } else if (selectedSubject === 'general') {
-                endpoint = `/api/rankings/general?_t=${Date.now()}`;
-            } else {
-                endpoint = `/api/rankings/subject/${selectedSubject}?_t=${Date.now()}`;
+            const { url, params } = buildRankingRequest();
+            if (aroundMe) {
+                params.around = 'me';
+                params.radius = AROUND_ME_RADIUS;
             }
 
-            const { data } = await api.get(endpoint);
-            setRankingData(data);
+            const { data } = await api.get(url, { params });
+            versionRef.current = data.version;
+            hasMoreRef.current = Boolean(data.nextCursor);
+            setRankingData(data.rows);
+            setRankingMeta({ total: data.total, me: data.me, nextCursor: data.nextCursor });
+            setRankingRule(data.rule);
+            if (aroundMe && !silent) setTimeout(scrollToMyRank, 100);
         } catch (error) {
             console.error("Error fetching ranking:", error);
         } finally {
@@ -104,6 +198,60 @@ const Ranking = () => {
         }
     };
 
+    const loadMore = async () => {
+        if (!rankingMeta.nextCursor) return;
+        setLoadingMore(true);
+        try {
+            const { url, params } = buildRankingRequest();
+            const { data } = await api.get(url, { params: { ...params, cursor: rankingMeta.nextCursor } });
+            // Pages of an older version would not line up: start over
+            if (data.version !== versionRef.current) return fetchRanking(true);
+            hasMoreRef.current = Boolean(data.nextCursor);
+            setRankingData(prev => [...prev, ...data.rows]);
+            setRankingMeta({ total: data.total, me: data.me, nextCursor: data.nextCursor });
+        } catch (error) {
+            console.error("Error loading more:", error);
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
+    // Scroll when the row is on screen, otherwise ask the server for the window around it
+    const goToMyRank = () => {
+        if (document.getElementById('my-rank-row')) {
+            scrollToMyRank();
+        } else if (rankingMeta.me) {
+            setAroundMe(true);
+        }
+    };
+
+    // Live delta: patch the rows in place; portions (top 80 / bottom 20) move as a whole, refetch them
+    const applyRankingDelta = (delta) => {
+        if (filterMode !== 'all') {
+            fetchRanking(true);
+            return;
+        }
+        versionRef.current = delta.version;
+        movedRef.current = new Set(delta.changed.map(row => row.alias));
+        setRankingData(prev => patchRankingRows(prev, delta, !hasMoreRef.current));
+        setRankingMeta(prev => ({ ...prev, total: delta.total, me: delta.me }));
+    };
+
+    const changeFilterMode = (mode) => {
+        setFilterMode(mode);
+        setAroundMe(false);
+    };
+
+    const changeCrossFilters = (filters) => {
+        setCrossFilters(filters);
+        setAroundMe(false);
+    };
+
+    const changeTrustLevel = (level) => {
+        setTrustLevel(level);
+        setAroundMe(false);
+    };
+
     // 2. Fetch Ranking Data
     useEffect(() => {
         if (isConfigured) {
@@ -118,13 +266,54 @@ const Ranking = () => {
             };
             initRanking();
 
-            const interval = setInterval(() => {
-                fetchRanking(true);
-            }, 30000);
+            // Live updates replace polling; a reconnect that missed versions refetches
+            const { params, scope, key } = buildRankingRequest();
+            const closeStream = openRankingStream(
+                { ...params, scope, key },
+                {
+                    onReady: ({ version }) => {
+                        setLive(true);
+                        if (versionRef.current !== null && version !== versionRef.current) fetchRanking(true);
+                    },
+                    onDelta: applyRankingDelta
+                }
+            );
 
-            return () => clearInterval(interval);
+            return () => {
+                closeStream();
+                setLive(false);
+            };
         }
-    }, [isConfigured, selectedSubject]);
+    }, [isConfigured, selectedSubject, officialMode, filterMode, aroundMe, tieMethod, trustLevel, crossFilters]);
+
+    // Rows moved by a delta slide from their old position (FLIP) and flash briefly
+    useLayoutEffect(() => {
+        const rows = listRef.current ? [...listRef.current.querySelectorAll('[data-alias]')] : [];
+        const previous = rowPositionsRef.current;
+        const moved = movedRef.current;
+        rowPositionsRef.current = new Map(rows.map(el => [el.dataset.alias, el.offsetTop]));
+        movedRef.current = null;
+        if (!moved) return;
+
+        rows.forEach(el => {
+            const alias = el.dataset.alias;
+            if (!moved.has(alias)) return;
+            const shift = (previous.get(alias) ?? el.offsetTop) - el.offsetTop;
+            if (shift) {
+                el.style.transition = 'none';
+                el.style.transform = `translateY(${shift}px)`;
+                requestAnimationFrame(() => {
+                    el.style.transition = `transform ${MOVE_ANIMATION_MS}ms ease`;
+                    el.style.transform = '';
+                });
+            }
+            el.classList.add('ring-2', 'ring-yellow-300');
+            setTimeout(() => {
+                el.classList.remove('ring-2', 'ring-yellow-300');
+                el.style.transition = '';
+            }, MOVE_ANIMATION_MS * 2);
+        });
+    }, [rankingData]);
 
     const handleRefresh = async () => {
         setLoading(true);
@@ -141,28 +330,11 @@ const Ranking = () => {
         }
     };
 
-    const filteredData = useMemo(() => {
-        if (filterMode === 'all') return rankingData;
-
-        const total = rankingData.length;
-        if (total === 0) return [];
-
-        if (filterMode === 'top80') {
-            const count = Math.ceil(total * 0.8);
-            return rankingData.slice(0, count);
-        }
-
-        if (filterMode === 'bottom20') {
-            const count = Math.ceil(total * 0.2);
-            return rankingData.slice(-count);
-        }
-        return rankingData;
-    }, [rankingData, filterMode]);
-
     const checkAliasUniqueness = async (alias) => {
         try {
-            const { data } = await api.get(`/api/auth/check-alias/${alias}`);
+            const { data } = await api.get(`/api/auth/check-alias/${encodeURIComponent(alias)}`);
             setAliasStatus(data.available ? 'unique' : 'duplicate');
+            setAliasMessage(data.available ? '' : data.message);
         } catch (error) {
             console.error("Error check alias", error);
         }
@@ -175,6 +347,7 @@ const Ranking = () => {
             checkAliasUniqueness(value);
         } else {
             setAliasStatus('');
+            setAliasMessage('');
         }
     };
 
@@ -182,7 +355,8 @@ const Ranking = () => {
         try {
             await api.put('/api/auth/profile', {
                 alias: myAlias,
-                displayMode
+                displayMode,
+                rankingScopes
             });
             setMessage(t('profileUpdated'));
             setIsConfigured(true);
@@ -264,8 +438,17 @@ const Ranking = () => {
 
     if (profileLoading || isVerified === null) return <LoadingSpinner />;
 
-    const selectedSubjectObj = SUBJECTS.find(s => s.name === selectedSubject);
-    const selectedSubjectName = selectedSubjectObj ? t(selectedSubjectObj.i18nKey) : t('Moyenne Générale');
+    const selectedSubjectObj = rankingOptions.find(s => s.name === selectedSubject);
+    const selectedSubjectName = crossActive
+        ? [crossFilters.subject ? t(crossFilters.subject) : t('Moyenne Générale'), crossFilters.semester, crossFilters.group, crossFilters.section].filter(Boolean).join(' · ')
+        : selectedSubjectObj ? t(selectedSubjectObj.i18nKey) : t('Moyenne Générale');
+
+    // Snapshots and stats exist for the active semester self-reported rankings only
+    const historyScope = crossActive ? { scope: null, key: '' }
+        : selectedSubjectObj?.type === 'group' ? { scope: 'group', key: selectedSubjectObj.group }
+        : selectedSubjectObj?.type === 'subject' ? { scope: 'subject', key: selectedSubjectObj.name }
+            : selectedSubjectObj?.type === 'general' && !officialMode ? { scope: 'general', key: '' }
+                : { scope: null, key: '' };
 
     return (
         <div className="w-full responsive-container py-[2rem] sm:py-[4rem]">
@@ -557,24 +740,17 @@ const Ranking = () => {
                                     {aliasStatus === 'duplicate' && <AlertCircle className="text-red-500" size={28} />}
                                 </div>
                             </div>
+                            {aliasMessage && <p className="mt-[0.5rem] ml-[0.5rem] text-[0.75rem] font-bold text-red-500">{aliasMessage}</p>}
                         </div>
 
                         <div>
                             <label className="block text-[0.625rem] font-black text-indigo-600 uppercase tracking-[0.3em] mb-[1rem]">{t('displayModeLabel')}</label>
-                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-[1rem]">
-                                <button
-                                    onClick={() => setDisplayMode('alias')}
-                                    className={`flex items-center justify-center gap-[0.75rem] py-[1.25rem] px-[1.5rem] rounded-[1.5rem] border-2 font-black transition-all text-[0.75rem] uppercase tracking-widest touch-feedback ${displayMode === 'alias' ? 'border-indigo-600 bg-indigo-600 text-white shadow-xl' : 'border-gray-50 bg-gray-50 text-gray-400 font-bold'}`}
-                                >
-                                    🎭 {t('alias').toUpperCase()}
-                                </button>
-                                <button
-                                    onClick={() => setDisplayMode('studentNumber')}
-                                    className={`flex items-center justify-center gap-[0.75rem] py-[1.25rem] px-[1.5rem] rounded-[1.5rem] border-2 font-black transition-all text-[0.75rem] uppercase tracking-widest touch-feedback ${displayMode === 'studentNumber' ? 'border-indigo-600 bg-indigo-600 text-white shadow-xl' : 'border-gray-50 bg-gray-50 text-gray-400 font-bold'}`}
-                                >
-                                    🆔 {t('studentNumber').toUpperCase()}
-                                </button>
-                            </div>
+                            <RankingPrivacyPicker
+                                displayMode={displayMode}
+                                onDisplayModeChange={setDisplayMode}
+                                rankingScopes={rankingScopes}
+                                onRankingScopesChange={setRankingScopes}
+                            />
                         </div>
 
                         <div className="pt-[2rem]">
@@ -603,15 +779,18 @@ const Ranking = () => {
                                 <select
                                     className="w-full bg-white border-2 border-gray-100 rounded-[1.5rem] py-[1.25rem] pl-[4rem] pr-[3rem] font-black text-gray-900 text-[0.875rem] sm:text-[1rem] shadow-xl focus:border-indigo-500 transition-all outline-none appearance-none cursor-pointer"
                                     value={selectedSubject}
-                                    onChange={(e) => setSelectedSubject(e.target.value)}
+                                    onChange={(e) => {
+                                        setSelectedSubject(e.target.value);
+                                        changeCrossFilters(EMPTY_CROSS_FILTERS);
+                                    }}
                                 >
                                     <optgroup label={t('bySubject')}>
-                                        {SUBJECTS.filter(s => s.type !== 'group').map(s => (
+                                        {rankingOptions.filter(s => s.type !== 'group').map(s => (
                                             <option key={s.name} value={s.name}>{t(s.i18nKey)}</option>
                                         ))}
                                     </optgroup>
                                     <optgroup label={t('byGroup')}>
-                                        {SUBJECTS.filter(s => s.type === 'group').map(s => (
+                                        {rankingOptions.filter(s => s.type === 'group').map(s => (
                                             <option key={s.name} value={s.name}>{t(s.i18nKey)}</option>
                                         ))}
                                     </optgroup>
@@ -634,31 +813,81 @@ const Ranking = () => {
                             </button>
 
                             <button
-                                onClick={scrollToMyRank}
+                                onClick={goToMyRank}
                                 title={t('goToMyRank')}
                                 className="p-[1.25rem] rounded-[1.5rem] bg-indigo-600 border-2 border-indigo-600 text-white shadow-xl hover:bg-indigo-700 transition-all active:scale-95"
                             >
                                 <ArrowDown size={22} />
                             </button>
 
+                            {/* Official grades toggle (general / annual rankings) */}
+                            {(selectedSubjectObj?.type === 'general' || selectedSubjectObj?.type === 'annual') && (
+                                <button
+                                    onClick={() => setOfficialMode(!officialMode)}
+                                    title={t('officialMode')}
+                                    className={`flex items-center gap-2 px-[1.25rem] py-[1.25rem] rounded-[1.5rem] border-2 font-black text-[0.75rem] uppercase tracking-wider shadow-xl transition-all active:scale-95 ${officialMode ? 'bg-emerald-600 border-emerald-600 text-white' : 'bg-white border-gray-100 text-gray-500 hover:bg-gray-50'}`}
+                                >
+                                    <ShieldCheck size={18} />
+                                    <span className="hidden sm:inline">{t('officialMode')}</span>
+                                </button>
+                            )}
+
+                            {/* Cross filters (subject × group × section × semester, sort key) */}
+                            <button
+                                onClick={() => setFilterBuilderOpen(!filterBuilderOpen)}
+                                title={t('crossFilters')}
+                                className={`flex items-center gap-2 px-[1.25rem] py-[1.25rem] rounded-[1.5rem] border-2 font-black text-[0.75rem] uppercase tracking-wider shadow-xl transition-all active:scale-95 ${crossActive ? 'bg-indigo-600 border-indigo-600 text-white' : 'bg-white border-gray-100 text-gray-500 hover:bg-gray-50'}`}
+                            >
+                                <SlidersHorizontal size={18} />
+                                <span className="hidden sm:inline">{t('crossFilters')}</span>
+                            </button>
+
+                            {/* Groups compared (mean, median, pass rate, modules, participation) */}
+                            <button
+                                onClick={() => setGroupComparisonOpen(!groupComparisonOpen)}
+                                title={t('groupComparison')}
+                                className={`flex items-center gap-2 px-[1.25rem] py-[1.25rem] rounded-[1.5rem] border-2 font-black text-[0.75rem] uppercase tracking-wider shadow-xl transition-all active:scale-95 ${groupComparisonOpen ? 'bg-indigo-600 border-indigo-600 text-white' : 'bg-white border-gray-100 text-gray-500 hover:bg-gray-50'}`}
+                            >
+                                <Scale size={18} />
+                                <span className="hidden sm:inline">{t('groupComparison')}</span>
+                            </button>
+
+                            {/* Trust level: how much of the ranked marks must be proven */}
+                            <div className="flex p-1 bg-white rounded-[1.5rem] border-2 border-gray-100 shadow-xl">
+                                {TRUST_OPTIONS.map(({ level, icon }) => {
+                                    const TrustIcon = icon;
+                                    return (
+                                        <button
+                                            key={level}
+                                            onClick={() => changeTrustLevel(level)}
+                                            title={t(`trust_${level}_hint`)}
+                                            className={`px-[1.25rem] py-[1rem] rounded-[1.25rem] font-black text-[0.75rem] uppercase tracking-wider transition-all flex items-center gap-2 ${trustLevel === level ? 'bg-emerald-600 text-white shadow-lg' : 'text-gray-500 hover:bg-gray-50'}`}
+                                        >
+                                            <TrustIcon size={18} />
+                                            <span className="hidden sm:inline">{t(`trust_${level}`)}</span>
+                                        </button>
+                                    );
+                                })}
+                            </div>
+
                             {/* Filter Group */}
                             <div className="flex p-1 bg-white rounded-[1.5rem] border-2 border-gray-100 shadow-xl">
                                 <button
-                                    onClick={() => setFilterMode('all')}
+                                    onClick={() => changeFilterMode('all')}
                                     className={`px-[1.25rem] py-[1rem] rounded-[1.25rem] font-black text-[0.75rem] uppercase tracking-wider transition-all flex items-center gap-2 ${filterMode === 'all' ? 'bg-gray-900 text-white shadow-lg' : 'text-gray-500 hover:bg-gray-50'}`}
                                 >
                                     <Users size={18} />
                                     <span className="hidden sm:inline">{t('allStudents')}</span>
                                 </button>
                                 <button
-                                    onClick={() => setFilterMode('top80')}
+                                    onClick={() => changeFilterMode('top80')}
                                     className={`px-[1.25rem] py-[1rem] rounded-[1.25rem] font-black text-[0.75rem] uppercase tracking-wider transition-all flex items-center gap-2 ${filterMode === 'top80' ? 'bg-indigo-600 text-white shadow-lg' : 'text-gray-500 hover:bg-gray-50'}`}
                                 >
                                     <ArrowUp size={18} />
                                     <span className="hidden sm:inline">{t('top80')}</span>
                                 </button>
                                 <button
-                                    onClick={() => setFilterMode('bottom20')}
+                                    onClick={() => changeFilterMode('bottom20')}
                                     className={`px-[1.25rem] py-[1rem] rounded-[1.25rem] font-black text-[0.75rem] uppercase tracking-wider transition-all flex items-center gap-2 ${filterMode === 'bottom20' ? 'bg-red-500 text-white shadow-lg' : 'text-gray-500 hover:bg-gray-50'}`}
                                 >
                                     <ArrowDown size={18} />
@@ -677,6 +906,18 @@ const Ranking = () => {
                         </div>
                     </div>
 
+                    {filterBuilderOpen && (
+                        <RankingFilterBuilder
+                            value={crossFilters}
+                            onChange={changeCrossFilters}
+                            onReset={() => changeCrossFilters(EMPTY_CROSS_FILTERS)}
+                            groups={rosterFilters.groups}
+                            sections={rosterFilters.sections}
+                        />
+                    )}
+
+                    {groupComparisonOpen && <GroupComparison />}
+
                     {settingsOpen && (
                         <div className="bg-white shadow-3xl rounded-[2.5rem] p-[1.5rem] sm:p-[3rem] mb-[3rem] border border-indigo-50 animate-in fade-in slide-in-from-top-4 duration-500">
                             <div className="space-y-[2rem]">
@@ -697,26 +938,30 @@ const Ranking = () => {
                                             {aliasStatus === 'duplicate' && <AlertCircle className="text-red-500" size={24} />}
                                         </div>
                                     </div>
+                                    {aliasMessage && <p className="mt-[0.5rem] ml-[0.5rem] text-[0.75rem] font-bold text-red-500">{aliasMessage}</p>}
+                                    {nextAliasChangeAt && new Date(nextAliasChangeAt) > new Date() && (
+                                        <p className="mt-[0.5rem] ml-[0.5rem] text-[0.7rem] font-bold text-gray-400">
+                                            {t('aliasCooldown')} {new Date(nextAliasChangeAt).toLocaleDateString(i18n.language)}
+                                        </p>
+                                    )}
                                 </div>
 
                                 <div>
                                     <label className="block text-[0.625rem] font-black text-indigo-600 uppercase tracking-[0.3em] mb-[1rem]">{t('displayModeLabel')}</label>
-                                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-[1rem]">
-                                        <button
-                                            onClick={() => setDisplayMode('alias')}
-                                            className={`flex items-center justify-center gap-[0.75rem] py-[1.125rem] px-[1.5rem] rounded-[1.25rem] border-2 font-black transition-all text-[0.7rem] uppercase tracking-widest touch-feedback ${displayMode === 'alias' ? 'border-indigo-600 bg-indigo-600 text-white' : 'border-gray-50 bg-gray-50 text-gray-400'}`}
-                                        >
-                                            🎭 {t('alias').toUpperCase()}
-                                        </button>
-                                        <button
-                                            onClick={() => setDisplayMode('studentNumber')}
-                                            className={`flex items-center justify-center gap-[0.75rem] py-[1.125rem] px-[1.5rem] rounded-[1.25rem] border-2 font-black transition-all text-[0.7rem] uppercase tracking-widest touch-feedback ${displayMode === 'studentNumber' ? 'border-indigo-600 bg-indigo-600 text-white' : 'border-gray-50 bg-gray-50 text-gray-400'}`}
-                                        >
-                                            🆔 {t('studentNumber').toUpperCase()}
-                                        </button>
-                                    </div>
+                                    <RankingPrivacyPicker
+                                        displayMode={displayMode}
+                                        onDisplayModeChange={setDisplayMode}
+                                        rankingScopes={rankingScopes}
+                                        onRankingScopesChange={setRankingScopes}
+                                    />
                                 </div>
 
+                                <TwoFactorPanel />
+
+                                <SessionsPanel />
+
+                                <PrivacyPanel />
+
                                 <div className="pt-[1.5rem] border-t border-gray-100 flex justify-end">
                                     <button
                                         onClick={updateProfile}
@@ -737,7 +982,31 @@ const Ranking = () => {
                             <div className="flex items-center justify-between gap-[1rem] relative z-10">
                                 <div className="min-w-0 flex-1">
                                     <h2 className="text-[1.75rem] sm:text-[2.5rem] font-black tracking-tighter leading-none mb-[0.5rem] truncate">{selectedSubjectName}</h2>
-                                    <p className="text-indigo-400 text-[0.625rem] sm:text-[0.75rem] font-black uppercase tracking-[0.2em]">{rankingData.length} {t('studentsCompeting')}</p>
+                                    <p className="flex items-center gap-[0.75rem] text-indigo-400 text-[0.625rem] sm:text-[0.75rem] font-black uppercase tracking-[0.2em]">
+                                        {rankingMeta.total} {t('studentsCompeting')}
+                                        {live && (
+                                            <span className="inline-flex items-center gap-[0.25rem] text-green-400" title={t('liveUpdatesHint')}>
+                                                <Radio size={12} className="animate-pulse" /> {t('liveUpdates')}
+                                            </span>
+                                        )}
+                                    </p>
+                                    {rankingRule && (
+                                        <div className="flex flex-wrap items-center gap-[0.5rem] mt-[0.75rem]">
+                                            <button
+                                                onClick={() => setTieMethod(tieMethod === 'competition' ? 'dense' : 'competition')}
+                                                title={t('tieMethodToggle')}
+                                                className="px-[0.625rem] py-[0.25rem] rounded-md bg-white/10 hover:bg-white/20 text-white text-[0.625rem] font-black uppercase tracking-widest transition-all"
+                                            >
+                                                {t(`tieMethod_${rankingRule.method}`)} · {rankingRule.pattern}
+                                            </button>
+                                            <span className="text-gray-400 text-[0.625rem] font-bold">
+                                                {rankingRule.tieBreakers.length > 0
+                                                    ? `${t('tieBreakersLabel')} ${rankingRule.tieBreakers.map(b => t(`tieBreaker_${b.key}`)).join(' → ')}`
+                                                    : t('noTieBreakers')}
+                                            </span>
+                                        </div>
+                                    )}
+                                    <RankSparkline scope={historyScope.scope} scopeKey={historyScope.key} />
                                 </div>
                                 <Star className="text-yellow-400/20 flex-shrink-0" size={48} />
                             </div>
@@ -748,13 +1017,32 @@ const Ranking = () => {
                                 <LoadingSpinner transparent />
                             </div>
                         ) : (
-                            <div className="flex flex-col">
-                                {filteredData.map((student) => {
-                                    const isMyRow = myAlias && student.alias === myAlias;
+                            <div ref={listRef} className="flex flex-col">
+                                <DistributionChart scope={historyScope.scope} scopeKey={historyScope.key} />
+                                {/* Own position, always known even when the row is on another page */}
+                                {rankingMeta.me && !rankingData.some(r => r.isMe) && (
+                                    <button
+                                        onClick={goToMyRank}
+                                        className="flex items-center justify-between gap-[1rem] px-[1.25rem] sm:px-[3rem] py-[1rem] bg-indigo-50 border-b border-indigo-100 text-indigo-700 font-black text-[0.75rem] uppercase tracking-widest hover:bg-indigo-100 transition-all"
+                                    >
+                                        <span>{t('myPosition', { rank: rankingMeta.me.rank, total: rankingMeta.total })}</span>
+                                        <ArrowDown size={16} />
+                                    </button>
+                                )}
+                                {aroundMe && (
+                                    <button
+                                        onClick={() => setAroundMe(false)}
+                                        className="flex items-center justify-center gap-[0.5rem] py-[1rem] border-b border-gray-50 text-gray-500 font-black text-[0.625rem] uppercase tracking-widest hover:bg-gray-50 transition-all"
+                                    >
+                                        <ArrowUp size={14} /> {t('showFromTop')}
+                                    </button>
+                                )}
+                                {rankingData.map((student) => {
+                                    const isMyRow = student.isMe;
                                     const rank = student.rank;
 
                                     return (
-                                        <div key={student.rank} id={isMyRow ? "my-rank-row" : undefined} className={`flex items-center gap-[1rem] sm:gap-[2.5rem] px-[1.25rem] sm:px-[3rem] py-[1.5rem] sm:py-[2.5rem] border-b border-gray-50 transition-all ${isMyRow ? 'bg-indigo-50/50 border-l-[0.5rem] border-indigo-600' : 'hover:bg-gray-50/50'}`}>
+                                        <div key={student.alias} data-alias={student.alias} id={isMyRow ? "my-rank-row" : undefined} className={`flex items-center gap-[1rem] sm:gap-[2.5rem] px-[1.25rem] sm:px-[3rem] py-[1.5rem] sm:py-[2.5rem] border-b border-gray-50 transition-all ${isMyRow ? 'bg-indigo-50/50 border-l-[0.5rem] border-indigo-600' : 'hover:bg-gray-50/50'}`}>
 
                                             <div className="flex-shrink-0">
                                                 <div className={`flex items-center justify-center w-[3rem] h-[3rem] sm:w-[4rem] sm:h-[4rem] rounded-[1rem] sm:rounded-[1.25rem] text-[1.125rem] sm:text-[1.5rem] font-black shadow-lg transition-transform ${rank === 1 ? 'bg-yellow-400 text-white rotate-6 scale-105' :
@@ -764,6 +1052,15 @@ const Ranking = () => {
                                                     }`}>
                                                     {rank}
                                                 </div>
+                                                {student.movement !== undefined && student.movement !== null && (
+                                                    <div
+                                                        title={t('previousRank', { rank: student.previousRank })}
+                                                        className={`flex items-center justify-center gap-[0.125rem] mt-[0.375rem] text-[0.625rem] font-black ${student.movement > 0 ? 'text-green-600' : student.movement < 0 ? 'text-red-500' : 'text-gray-300'}`}
+                                                    >
+                                                        {student.movement > 0 ? <ArrowUp size={12} /> : student.movement < 0 ? <ArrowDown size={12} /> : <Minus size={12} />}
+                                                        {student.movement !== 0 && Math.abs(student.movement)}
+                                                    </div>
+                                                )}
                                             </div>
 
                                             <div className="flex-1 min-w-0">
@@ -772,6 +1069,45 @@ const Ranking = () => {
                                                         {student.displayName}
                                                     </span>
                                                     {isMyRow && <span className="inline-flex w-fit px-[0.5rem] py-[0.125rem] bg-indigo-600 text-white text-[0.5rem] font-black uppercase tracking-widest rounded-md">{t('you')}</span>}
+                                                    {(student.tied || student.tieBreak) && (
+                                                        <span
+                                                            title={student.tieBreak ? Object.entries(student.tieBreak).map(([key, value]) => `${t(`tieBreaker_${key}`)}: ${value ?? '—'}`).join('\n') : undefined}
+                                                            className="inline-flex w-fit px-[0.5rem] py-[0.125rem] bg-gray-100 text-gray-600 text-[0.5rem] font-black uppercase tracking-widest rounded-md"
+                                                        >
+                                                            {student.tied ? t('tiedRank') : t('tieBroken')}
+                                                        </span>
+                                                    )}
+                                                    {student.totalSlots > 0 && (
+                                                        <span
+                                                            title={t('officialSlotsTitle')}
+                                                            className={`inline-flex items-center gap-1 w-fit px-[0.5rem] py-[0.125rem] text-[0.55rem] font-black uppercase tracking-widest rounded-md ${student.officialSlots === student.totalSlots ? 'bg-emerald-100 text-emerald-700' : student.officialSlots > 0 ? 'bg-amber-100 text-amber-700' : 'bg-gray-100 text-gray-500'}`}
+                                                        >
+                                                            <ShieldCheck size={10} /> {student.officialSlots}/{student.totalSlots}
+                                                        </span>
+                                                    )}
+                                                    {student.trust && student.totalSlots === undefined && student.trust.level !== 'identity' && (
+                                                        <span
+                                                            title={t('trustBadgeTitle', { verified: student.trust.verifiedSlots, total: student.trust.totalSlots })}
+                                                            className={`inline-flex items-center gap-1 w-fit px-[0.5rem] py-[0.125rem] text-[0.55rem] font-black uppercase tracking-widest rounded-md ${student.trust.level === 'full' ? 'bg-emerald-100 text-emerald-700' : 'bg-amber-100 text-amber-700'}`}
+                                                        >
+                                                            {student.trust.level === 'full'
+                                                                ? <><BadgeCheck size={10} /> {t('trustBadgeFull')}</>
+                                                                : <><ShieldHalf size={10} /> {student.trust.verifiedSlots}/{student.trust.totalSlots}</>}
+                                                        </span>
+                                                    )}
+                                                    {student.group && (
+                                                        <span className="inline-flex w-fit px-[0.5rem] py-[0.125rem] bg-indigo-50 text-indigo-600 text-[0.5rem] font-black uppercase tracking-widest rounded-md">
+                                                            {[student.section, student.group].filter(Boolean).join(' · ')}
+                                                        </span>
+                                                    )}
+                                                    {isMyRow && displayMode === 'hidden' && (
+                                                        <span title={t('privacy_hidden_hint')} className="inline-flex items-center gap-1 w-fit px-[0.5rem] py-[0.125rem] bg-gray-100 text-gray-500 text-[0.5rem] font-black uppercase tracking-widest rounded-md">
+                                                            <EyeOff size={10} /> {t('hiddenFromOthers')}
+                                                        </span>
+                                                    )}
+                                                    {student.displayName === student.alias && (
+                                                        <AliasHistoryBadge alias={student.alias} changedAt={student.aliasChangedAt} />
+                                                    )}
                                                 </div>
                                                 <p className="text-[0.55rem] sm:text-[0.625rem] font-bold text-gray-300 uppercase tracking-widest mt-0.5">{t('semester')}</p>
                                             </div>
@@ -783,10 +1119,22 @@ const Ranking = () => {
                                                     }`}>
                                                     {parseFloat(student.average).toFixed(2)}
                                                 </div>
+                                                {crossActive && crossFilters.sort !== 'average' && (
+                                                    <p className="text-[0.5rem] font-black text-gray-400 uppercase tracking-widest mt-[0.25rem]">{t(`sort_${crossFilters.sort}`)}</p>
+                                                )}
                                             </div>
                                         </div>
                                     );
                                 })}
+                                {rankingMeta.nextCursor && (
+                                    <button
+                                        onClick={loadMore}
+                                        disabled={loadingMore}
+                                        className="flex items-center justify-center gap-[0.5rem] py-[1.5rem] text-indigo-600 font-black text-[0.75rem] uppercase tracking-widest hover:bg-indigo-50 disabled:opacity-50 transition-all"
+                                    >
+                                        {loadingMore ? <Loader2 size={16} className="animate-spin" /> : <ChevronDown size={16} />} {t('loadMore')}
+                                    </button>
+                                )}
                             </div>
                         )}
                     </div>
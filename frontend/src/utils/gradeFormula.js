@@ -0,0 +1,87 @@
+// Client-side mirror of backend/utils/averageCalculator.js for live estimation.
+// Grades are the Dashboard's input values ({ exam, td, tp, rattrapage } as strings).
+
+const toMark = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = parseFloat(value);
+    return isNaN(num) ? null : num;
+};
+
+export const hasEnteredGrade = (module, grade) => {
+    if (!grade) return false;
+    return toMark(grade.exam) !== null
+        || (module.hasTD && toMark(grade.td) !== null)
+        || (module.hasTP && toMark(grade.tp) !== null)
+        || toMark(grade.rattrapage) !== null;
+};
+
+export const computeModuleAverage = (module, grade) => {
+    let exam = toMark(grade.exam) ?? 0;
+    const resit = toMark(grade.rattrapage);
+    if (resit !== null) {
+        exam = module.rattrapageMode === 'override' ? resit : Math.max(exam, resit);
+    }
+
+    const parts = [[module.examWeight ?? 1, exam]];
+    if (module.hasTD) parts.push([module.tdWeight ?? 0, toMark(grade.td) ?? 0]);
+    if (module.hasTP) parts.push([module.tpWeight ?? 0, toMark(grade.tp) ?? 0]);
+
+    const weightSum = parts.reduce((sum, [w]) => sum + w, 0);
+    return weightSum > 0
+        ? parts.reduce((sum, [w, mark]) => sum + w * mark, 0) / weightSum
+        : exam;
+};
+
+// Averages, validation and credits for the semester
+export const computeSemesterResult = (semester, grades) => {
+    const modules = semester?.modules || [];
+    const passAverage = semester?.passAverage ?? 10;
+    const totalCoef = modules.reduce((sum, m) => sum + m.coefficient, 0);
+    const averages = {};
+    const results = {};
+    let weightedSum = 0;
+    let entered = 0;
+
+    modules.forEach(m => {
+        const grade = grades[m.name];
+        if (!hasEnteredGrade(m, grade)) {
+            averages[m.name] = null;
+            return;
+        }
+
+        const avg = computeModuleAverage(m, grade);
+        averages[m.name] = avg;
+        results[m.name] = {
+            validated: avg >= passAverage,
+            eliminated: m.eliminatoryMark !== null && m.eliminatoryMark !== undefined && avg < m.eliminatoryMark
+        };
+        weightedSum += avg * m.coefficient;
+        entered++;
+    });
+
+    const general = entered > 0 && totalCoef > 0 ? weightedSum / totalCoef : null;
+    const allEntered = entered === modules.length && modules.length > 0;
+    const anyEliminated = Object.values(results).some(r => r.eliminated);
+
+    const isValidated = semester?.compensation !== false
+        ? allEntered && !anyEliminated && general >= passAverage
+        : allEntered && Object.values(results).every(r => r.validated);
+
+    let creditsEarned = 0;
+    modules.forEach(m => {
+        const r = results[m.name];
+        if (!r) return;
+        r.acquired = isValidated || r.validated;
+        if (r.acquired) creditsEarned += m.credits || 0;
+    });
+
+    return {
+        subjects: averages,
+        modules: results,
+        general,
+        passAverage,
+        isValidated,
+        creditsEarned,
+        creditsTotal: semester?.totalCredits || 0
+    };
+};
@@ -0,0 +1,82 @@
+// Client of GET /api/rankings/stream (Server-Sent Events).
+// EventSource can't send the Authorization header, so the stream is read with fetch;
+// the server ends it when the access token expires and we reconnect with the current one.
+
+import api from '../api';
+
+const MAX_BACKOFF_MS = 30000;
+
+// "event: x\ndata: {...}" frames separated by a blank line; ": ping" comments are skipped
+const parseFrame = (frame) => {
+    let event = 'message';
+    const data = [];
+    for (const line of frame.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+    }
+    return data.length ? { event, data: JSON.parse(data.join('\n')) } : null;
+};
+
+/**
+ * Watch a ranking; returns a function that closes the stream
+ * @param {Object} params - scope, key and the ranking query parameters
+ * @param {Object} handlers - { onReady({ version }), onDelta(delta) }
+ */
+export const openRankingStream = (params, { onReady, onDelta }) => {
+    let controller = null;
+    let closed = false;
+    let retryTimer = null;
+    let backoff = 1000;
+
+    const connect = async () => {
+        controller = new AbortController();
+        try {
+            const url = new URL('/api/rankings/stream', api.defaults.baseURL || window.location.origin);
+            Object.entries(params).forEach(([k, v]) => v !== undefined && url.searchParams.set(k, v));
+
+            const response = await fetch(url, {
+                headers: { Authorization: api.defaults.headers.common.Authorization || '', Accept: 'text/event-stream' },
+                credentials: 'include',
+                signal: controller.signal
+            });
+
+            // Any axios call refreshes an expired token through the interceptor
+            if (response.status === 401) await api.get('/api/auth/me');
+            if (!response.ok) throw new Error(`Stream HTTP ${response.status}`);
+
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += value.replace(/\r\n/g, '\n');
+
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const frame = parseFrame(buffer.slice(0, end));
+                    buffer = buffer.slice(end + 2);
+                    if (frame?.event === 'ready') {
+                        backoff = 1000;
+                        onReady(frame.data);
+                    } else if (frame?.event === 'delta') {
+                        onDelta(frame.data);
+                    }
+                }
+            }
+        } catch (err) {
+            if (closed) return;
+            console.error('Ranking stream error:', err.message);
+            backoff = Math.min(backoff * 2, MAX_BACKOFF_MS);
+        }
+
+        if (!closed) retryTimer = setTimeout(connect, backoff);
+    };
+
+    connect();
+
+    return () => {
+        closed = true;
+        clearTimeout(retryTimer);
+        controller?.abort();
+    };
+};